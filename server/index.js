@@ -14,6 +14,8 @@ const dockerRoutes = require('./routes/docker');
 const ecrRoutes = require('./routes/ecr');
 const { errorHandler } = require('./middleware/errorHandler');
 const { logger } = require('./utils/logger');
+const deploymentRepository = require('./store/deploymentRepository');
+const { startDriftSchedule } = require('./services/drift');
 
 const app = express();
 const server = createServer(app);
@@ -30,7 +32,9 @@ const PORT = process.env.PORT || 3001;
 app.use(helmet());
 app.use(cors({
   origin: process.env.FRONTEND_URL || "http://localhost:3000",
-  credentials: true
+  credentials: true,
+  // Lets the frontend name downloaded files
+  exposedHeaders: ['Content-Disposition']
 }));
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
 app.use(express.json({ limit: '10mb' }));
@@ -88,6 +92,7 @@ app.use('*', (req, res) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  deploymentRepository.flush();
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
@@ -96,6 +101,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  deploymentRepository.flush();
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
@@ -105,6 +111,7 @@ process.on('SIGINT', () => {
 server.listen(PORT, () => {
   logger.info(`AWS Builder Server running on port ${PORT}`);
   logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  startDriftSchedule(io);
 });
 
 module.exports = { app, server, io };
\ No newline at end of file
@@ -19,6 +19,17 @@ const repositorySchema = Joi.object({
   isPrivate: Joi.boolean().default(false)
 });
 
+// Kubernetes container environment variable names and resource quantities
+const envVarNamePattern = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const cpuQuantityPattern = /^(\d+m|\d+(\.\d+)?)$/;
+const memoryQuantityPattern = /^\d+(Ki|Mi|Gi|K|M|G)?$/;
+
+// Environment variables by name; an invalid name fails validation instead of
+// being stripped like other unknown keys
+const envVarsSchema = Joi.object()
+  .pattern(envVarNamePattern, Joi.string().allow(''))
+  .prefs({ stripUnknown: false });
+
 // Deployment configuration schema
 const deploymentConfigSchema = Joi.object({
   projectName: Joi.string().required().min(1).max(50).pattern(/^[a-z0-9-]+$/),
@@ -54,20 +65,34 @@ const deploymentConfigSchema = Joi.object({
   }).default(),
   
   // Application configuration
+  // Rendered into the application's Kubernetes manifests (see services/manifests)
   appConfig: Joi.object({
     containerPort: Joi.number().integer().min(1).max(65535).default(3000),
-    healthCheckPath: Joi.string().default('/health'),
-    environmentVariables: Joi.object().pattern(Joi.string(), Joi.string()).default({}),
-    secrets: Joi.object().pattern(Joi.string(), Joi.string()).default({}),
+    healthCheckPath: Joi.string().pattern(/^\//).default('/health'),
+    // Defaults to the container port
+    healthCheckPort: Joi.number().integer().min(1).max(65535).optional(),
+    // What the verify step waits for the health check path to return
+    healthCheckExpectedStatus: Joi.number().integer().min(100).max(599).default(200),
+    // Apply the rendered manifests, or install them as a Helm release
+    deployMethod: Joi.string().valid('manifests', 'helm').default('manifests'),
+    environmentVariables: envVarsSchema.default({}),
+    secrets: envVarsSchema.default({}),
     replicas: Joi.number().integer().min(1).max(10).default(2),
+    // Replaces the fixed replica count with a HorizontalPodAutoscaler
+    autoscaling: Joi.object({
+      enabled: Joi.boolean().default(false),
+      minReplicas: Joi.number().integer().min(1).max(20).default(2),
+      maxReplicas: Joi.number().integer().min(1).max(50).default(5),
+      targetCpuUtilization: Joi.number().integer().min(10).max(100).default(70)
+    }).default(),
     resources: Joi.object({
       requests: Joi.object({
-        cpu: Joi.string().default('100m'),
-        memory: Joi.string().default('128Mi')
+        cpu: Joi.string().pattern(cpuQuantityPattern).default('100m'),
+        memory: Joi.string().pattern(memoryQuantityPattern).default('128Mi')
       }).default(),
       limits: Joi.object({
-        cpu: Joi.string().default('500m'),
-        memory: Joi.string().default('512Mi')
+        cpu: Joi.string().pattern(cpuQuantityPattern).default('500m'),
+        memory: Joi.string().pattern(memoryQuantityPattern).default('512Mi')
       }).default()
     }).default()
   }).default(),
@@ -87,7 +112,11 @@ const deploymentConfigSchema = Joi.object({
     cloudWatchLogs: Joi.boolean().default(true),
     prometheusMetrics: Joi.boolean().default(false),
     alerting: Joi.boolean().default(false)
-  }).default()
+  }).default(),
+  
+  // Pause for plan approval before apply; always on for environments listed
+  // in DEPLOYMENT_APPROVAL_ENVIRONMENTS
+  requireApproval: Joi.boolean().default(false)
 });
 
 // Complete deployment request schema
@@ -96,7 +125,9 @@ const deploymentRequestSchema = Joi.object({
   repository: repositorySchema.required(),
   deploymentType: Joi.string().valid('eks', 'fargate', 'ec2').required(),
   environment: Joi.string().valid('dev', 'staging', 'prod').required(),
-  deploymentConfig: deploymentConfigSchema.required()
+  deploymentConfig: deploymentConfigSchema.required(),
+  // What to do when another deployment is in progress for the same project/environment
+  conflictStrategy: Joi.string().valid('reject', 'queue', 'supersede').default('reject')
 });
 
 // Docker build request schema
@@ -174,6 +205,66 @@ const terraformOperationSchema = Joi.object({
   awsCredentials: awsCredentialsSchema.required()
 });
 
+// Plan approval or rejection
+const approvalDecisionSchema = Joi.object({
+  approver: Joi.string().trim().required().min(1).max(100),
+  comment: Joi.string().optional().allow('').max(1000),
+  // The project name typed out, required to approve a destroy in some environments
+  confirmation: Joi.string().trim().optional().allow('').max(100)
+});
+
+// Destroy request schema: without targets the whole stack is destroyed,
+// otherwise only the listed modules or resources (Terraform addresses such
+// as module.database or module.eks.aws_eks_node_group.main)
+const destroyRequestSchema = Joi.object({
+  targets: Joi.array()
+    .items(Joi.string().trim().pattern(/^[A-Za-z][\w.\-[\]"]*$/).max(200)
+      .messages({ 'string.pattern.base': '"{#value}" is not a Terraform resource or module address' }))
+    .unique()
+    .max(50)
+    .default([]),
+  conflictStrategy: Joi.string().valid('reject', 'queue', 'supersede').optional(),
+  // Only needed after a server restart, which drops the stored credentials
+  awsCredentials: awsCredentialsSchema.optional()
+});
+
+// Resume request: the credentials and secrets the server did not keep
+// across a restart, given again
+const resumeRequestSchema = Joi.object({
+  conflictStrategy: Joi.string().valid('reject', 'queue', 'supersede').optional(),
+  awsCredentials: awsCredentialsSchema.optional(),
+  accessToken: Joi.string().optional().allow(''),
+  secrets: envVarsSchema.optional()
+});
+
+// Stack re-plan schema: Terraform variables to change, by tfvars name, on top
+// of those the stack was last deployed with. Credentials are only needed when
+// the stored ones have changed.
+const stackPlanSchema = Joi.object({
+  variables: Joi.object()
+    .pattern(/^[a-z][a-z0-9_]*$/, Joi.alternatives().try(
+      Joi.string().allow('').max(10000),
+      Joi.number(),
+      Joi.boolean(),
+      Joi.array().items(Joi.string(), Joi.number()).max(50)
+    ))
+    .min(1)
+    .required(),
+  awsCredentials: awsCredentialsSchema.optional(),
+  conflictStrategy: Joi.string().valid('reject', 'queue', 'supersede').optional()
+});
+
+// Cost estimate schema: Terraform variables as the deployment config step
+// holds them; missing ones take the deployment defaults
+const costEstimateSchema = Joi.object({
+  variables: Joi.object().unknown(true).required(),
+  environment: Joi.string().valid('dev', 'staging', 'prod').optional()
+});
+
+// Manifest preview schema: a deployment request, without the credentials
+// and repository details that rendering does not need
+const manifestPreviewSchema = deploymentRequestSchema.fork(['awsCredentials', 'repository'], schema => schema.optional());
+
 // GitHub repository validation schema
 const githubRepoSchema = Joi.object({
   owner: Joi.string().required().min(1).max(100),
@@ -236,6 +327,12 @@ const validateECRPushRequest = createValidationMiddleware(ecrPushRequestSchema);
 const validateDeploymentECRPush = createValidationMiddleware(deploymentECRPushSchema);
 const validateECRRepository = createValidationMiddleware(ecrRepositorySchema);
 const validateTerraformOperation = createValidationMiddleware(terraformOperationSchema);
+const validateApprovalDecision = createValidationMiddleware(approvalDecisionSchema);
+const validateDestroyRequest = createValidationMiddleware(destroyRequestSchema);
+const validateResumeRequest = createValidationMiddleware(resumeRequestSchema);
+const validateStackPlanRequest = createValidationMiddleware(stackPlanSchema);
+const validateCostEstimateRequest = createValidationMiddleware(costEstimateSchema);
+const validateManifestPreviewRequest = createValidationMiddleware(manifestPreviewSchema);
 const validateGitHubRepo = createValidationMiddleware(githubRepoSchema);
 const validateGitHubRequest = createValidationMiddleware(githubRequestSchema);
 const validateDockerBuildRequest = createValidationMiddleware(dockerBuildRequestSchema);
@@ -332,6 +429,12 @@ module.exports = {
   ecrPushRequestSchema,
   ecrRepositorySchema,
   terraformOperationSchema,
+  approvalDecisionSchema,
+  destroyRequestSchema,
+  resumeRequestSchema,
+  stackPlanSchema,
+  costEstimateSchema,
+  manifestPreviewSchema,
   githubRepoSchema,
   deploymentIdSchema,
   paginationSchema,
@@ -350,6 +453,12 @@ module.exports = {
   validateECRRepository,
   validateTerraformOperation,
   validateTerraformRequest: validateTerraformOperation, // Alias for Terraform routes
+  validateApprovalDecision,
+  validateDestroyRequest,
+  validateResumeRequest,
+  validateStackPlanRequest,
+  validateCostEstimateRequest,
+  validateManifestPreviewRequest,
   validateGitHubRepo,
   validateGitHubRequest,
   validateDockerBuildRequest,
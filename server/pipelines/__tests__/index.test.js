@@ -0,0 +1,127 @@
+const { getPipeline, getSkipReason, runStepGraph, validatePipeline } = require('..');
+const { CancelledError, createCancellationToken } = require('../../utils/cancellation');
+
+const step = (id, dependsOn = []) => ({ id, dependsOn });
+
+// A step runner whose steps stay running until the test finishes or fails them
+function createRunner() {
+  const started = [];
+  const pending = new Map();
+
+  const runStep = ({ id }) => new Promise((resolve, reject) => {
+    started.push(id);
+    pending.set(id, { resolve, reject });
+  });
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+
+  return {
+    started,
+    runStep,
+    finish: async (id) => {
+      pending.get(id).resolve();
+      await settle();
+    },
+    fail: async (id, error) => {
+      pending.get(id).reject(error);
+      await settle();
+    }
+  };
+}
+
+describe('validatePipeline', () => {
+  it('accepts the built-in pipelines', () => {
+    expect(() => validatePipeline(getPipeline('complete-deployment'))).not.toThrow();
+  });
+
+  it('rejects duplicate step ids', () => {
+    expect(() => validatePipeline({ id: 'p', steps: [step('a'), step('a')] })).toThrow('Pipeline p has duplicate step a');
+  });
+
+  it('rejects dependencies on later or unknown steps', () => {
+    expect(() => validatePipeline({ id: 'p', steps: [step('a', ['b']), step('b')] }))
+      .toThrow('Step a in pipeline p depends on b, which is not an earlier step');
+    expect(() => validatePipeline({ id: 'p', steps: [step('a', ['missing'])] })).toThrow('depends on missing');
+  });
+});
+
+describe('getSkipReason', () => {
+  const approval = { skipUnless: [{ config: ['requireApproval', 'destroy_mode'], reason: 'Not required' }] };
+  const kubectl = { skipIf: [{ config: 'destroy_mode', reason: 'Destroying' }] };
+
+  it('skips on the configured conditions only', () => {
+    expect(getSkipReason(approval, {})).toBe('Not required');
+    expect(getSkipReason(approval, { destroy_mode: true })).toBeNull();
+    expect(getSkipReason(kubectl, { destroy_mode: true })).toBe('Destroying');
+    expect(getSkipReason(kubectl, {})).toBeNull();
+  });
+});
+
+describe('runStepGraph', () => {
+  const steps = [step('clone'), step('build', ['clone']), step('init'), step('plan', ['init']), step('apply', ['build', 'plan'])];
+
+  it('starts independent branches together and a step once all its dependencies finish', async () => {
+    const runner = createRunner();
+    const run = runStepGraph(steps, runner.runStep);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(runner.started).toEqual(['clone', 'init']);
+
+    await runner.finish('clone');
+    await runner.finish('init');
+    expect(runner.started).toEqual(['clone', 'init', 'build', 'plan']);
+
+    await runner.finish('plan');
+    expect(runner.started).not.toContain('apply');
+    await runner.finish('build');
+    expect(runner.started).toContain('apply');
+
+    await runner.finish('apply');
+    await expect(run).resolves.toBeUndefined();
+  });
+
+  it('treats dependencies outside the given steps as finished', async () => {
+    const runStep = jest.fn().mockResolvedValue();
+    await runStepGraph([step('plan', ['init']), step('apply', ['plan'])], runStep);
+    expect(runStep.mock.calls.map(([{ id }]) => id)).toEqual(['plan', 'apply']);
+  });
+
+  it('starts nothing new after a failure, waits for running steps, then throws the first error', async () => {
+    const runner = createRunner();
+    const run = runStepGraph(steps, runner.runStep);
+    let settled = false;
+    run.catch(() => {}).finally(() => {
+      settled = true;
+    });
+    await new Promise(resolve => setImmediate(resolve));
+
+    await runner.finish('clone');
+    await runner.fail('init', new Error('init failed'));
+    expect(runner.started).toEqual(['clone', 'init', 'build']);
+    expect(settled).toBe(false);
+
+    await runner.fail('build', new Error('build failed'));
+    await expect(run).rejects.toThrow('init failed');
+    expect(runner.started).not.toContain('plan');
+    expect(runner.started).not.toContain('apply');
+  });
+
+  it('stops at a cancelled step and rejects with the cancellation', async () => {
+    const cancellation = createCancellationToken();
+    const ran = [];
+    const runStep = async ({ id }) => {
+      cancellation.throwIfCancelled();
+      ran.push(id);
+      if (id === 'build') {
+        await cancellation.sleep(60000);
+      }
+    };
+
+    const run = runStepGraph([step('clone'), step('build', ['clone']), step('push', ['build'])], runStep);
+    await new Promise(resolve => setImmediate(resolve));
+    cancellation.cancel('Cancelled by user');
+
+    const error = await run.catch(e => e);
+    expect(error).toBeInstanceOf(CancelledError);
+    expect(error.message).toBe('Cancelled by user');
+    expect(ran).toEqual(['clone', 'build']);
+  });
+});
@@ -0,0 +1,124 @@
+const { ERROR_CLASSES } = require('../utils/retry');
+
+const PREBUILT_IMAGE = 'repository.ecrImageUri';
+const DESTROY_MODE = 'destroy_mode';
+
+// Build the application image, provision EKS with Terraform and deploy to it.
+// Retry policies list how many attempts a step gets and which error classes
+// (see utils/retry) are worth another attempt; steps without one run once.
+module.exports = {
+  id: 'complete-deployment',
+  name: 'Complete Deployment',
+  description: 'Build and push the application image, provision infrastructure with Terraform and deploy the application',
+  steps: [
+    {
+      id: 'clone',
+      name: 'Clone Repository',
+      description: 'Cloning repository from GitHub',
+      handler: 'clone',
+      dependsOn: [],
+      skipIf: [{ config: PREBUILT_IMAGE, reason: 'Using pre-built image' }],
+      retry: { attempts: 3, initialDelayMs: 2000, retryOn: [ERROR_CLASSES.NETWORK] }
+    },
+    {
+      id: 'build',
+      name: 'Build Docker Image',
+      description: 'Building Docker image from source code',
+      handler: 'build',
+      dependsOn: ['clone'],
+      skipIf: [{ config: PREBUILT_IMAGE, reason: 'Using pre-built image' }],
+      retry: { attempts: 2, initialDelayMs: 5000, retryOn: [ERROR_CLASSES.NETWORK, ERROR_CLASSES.SERVICE_UNAVAILABLE] }
+    },
+    {
+      id: 'ecr-setup',
+      name: 'Setup ECR Repository',
+      description: 'Creating ECR repository for container images',
+      handler: 'ecr-setup',
+      dependsOn: [],
+      skipIf: [{ config: PREBUILT_IMAGE, reason: 'Using existing ECR repository' }],
+      retry: { attempts: 4, initialDelayMs: 1000, retryOn: [ERROR_CLASSES.NETWORK, ERROR_CLASSES.THROTTLING, ERROR_CLASSES.SERVICE_UNAVAILABLE] }
+    },
+    {
+      id: 'push',
+      name: 'Push to ECR',
+      description: 'Pushing Docker image to ECR registry',
+      handler: 'push',
+      dependsOn: ['build', 'ecr-setup'],
+      skipIf: [{ config: PREBUILT_IMAGE, reason: 'Using pre-pushed image' }],
+      retry: { attempts: 4, initialDelayMs: 2000, retryOn: [ERROR_CLASSES.NETWORK, ERROR_CLASSES.THROTTLING, ERROR_CLASSES.SERVICE_UNAVAILABLE] }
+    },
+    // Creates the S3 state bucket and DynamoDB lock table on a fresh account
+    {
+      id: 'terraform-backend',
+      name: 'Prepare State Backend',
+      description: 'Checking for and creating the Terraform state bucket and lock table',
+      handler: 'terraform-backend',
+      // Terraform variables come from the deployment config, not the image,
+      // so the backend, init and plan run alongside the image build
+      dependsOn: [],
+      retry: { attempts: 4, initialDelayMs: 2000, retryOn: [ERROR_CLASSES.NETWORK, ERROR_CLASSES.THROTTLING, ERROR_CLASSES.SERVICE_UNAVAILABLE] }
+    },
+    {
+      id: 'terraform-init',
+      name: 'Initialize Terraform',
+      description: 'Setting up Terraform configuration and providers',
+      handler: 'terraform-init',
+      dependsOn: ['terraform-backend'],
+      retry: { attempts: 3, initialDelayMs: 5000, retryOn: [ERROR_CLASSES.NETWORK, ERROR_CLASSES.PROVIDER_DOWNLOAD, ERROR_CLASSES.THROTTLING] }
+    },
+    {
+      id: 'terraform-plan',
+      name: 'Plan Infrastructure',
+      description: 'Creating deployment plan for AWS resources',
+      handler: 'terraform-plan',
+      dependsOn: ['terraform-init'],
+      retry: { attempts: 3, initialDelayMs: 10000, retryOn: [ERROR_CLASSES.NETWORK, ERROR_CLASSES.THROTTLING, ERROR_CLASSES.STATE_LOCK] }
+    },
+    // Environments that require it wait here until someone approves the plan;
+    // a destroy always waits so the resources it removes can be reviewed
+    {
+      id: 'approval',
+      name: 'Approve Plan',
+      description: 'Waiting for the infrastructure plan to be reviewed and approved',
+      handler: 'approval',
+      dependsOn: ['terraform-plan'],
+      skipUnless: [{ config: ['requireApproval', DESTROY_MODE], reason: 'Approval not required for this environment' }]
+    },
+    // Apply is never retried automatically: a partial apply leaves the saved plan stale
+    {
+      id: 'terraform-apply',
+      name: 'Deploy Infrastructure',
+      description: 'Creating EKS cluster and related resources',
+      handler: 'terraform-apply',
+      dependsOn: ['approval', 'push']
+    },
+    {
+      id: 'kubectl-config',
+      name: 'Configure kubectl',
+      description: 'Setting up Kubernetes cluster access',
+      handler: 'kubectl-config',
+      dependsOn: ['terraform-apply'],
+      skipIf: [{ config: DESTROY_MODE, reason: 'Not needed when destroying' }],
+      retry: { attempts: 3, initialDelayMs: 2000, retryOn: [ERROR_CLASSES.NETWORK, ERROR_CLASSES.THROTTLING, ERROR_CLASSES.SERVICE_UNAVAILABLE] }
+    },
+    {
+      id: 'deploy-app',
+      name: 'Deploy Application',
+      description: 'Deploying your application to the EKS cluster',
+      handler: 'deploy-app',
+      dependsOn: ['kubectl-config'],
+      skipIf: [{ config: DESTROY_MODE, reason: 'Not needed when destroying' }],
+      // Manifests are applied server-side, so applying them again is safe;
+      // a rollout that times out is not retried
+      retry: { attempts: 3, initialDelayMs: 5000, retryOn: [ERROR_CLASSES.NETWORK, ERROR_CLASSES.THROTTLING, ERROR_CLASSES.SERVICE_UNAVAILABLE] }
+    },
+    {
+      id: 'verify',
+      name: 'Verify Deployment',
+      description: 'Checking application health and accessibility',
+      handler: 'verify',
+      dependsOn: ['deploy-app'],
+      skipIf: [{ config: DESTROY_MODE, reason: 'Not needed when destroying' }]
+    }
+  ]
+};
@@ -0,0 +1,130 @@
+const completeDeployment = require('./completeDeployment');
+
+// Pipelines are described as data so the server and the UI share one
+// definition. Each step has:
+//   id, name, description  how the step is shown
+//   handler                name of the function that runs it (registered by the runner)
+//   dependsOn              step ids that must finish first; steps that do not
+//                          depend on each other run concurrently
+//   skipIf                 [{ config, reason }]: skip when that deployment config path is set
+//   skipUnless             [{ config, reason }]: skip when that deployment config path is not set
+//                          (`config` may list several paths: the condition is met when any is set)
+//   retry                  optional retry policy passed to utils/retry
+const PIPELINES = [completeDeployment];
+
+// Read a dotted path such as 'repository.ecrImageUri' from a config object
+const getConfigValue = (config, configPath) => configPath
+  .split('.')
+  .reduce((value, key) => (value == null ? undefined : value[key]), config);
+
+const isConfigSet = (config, configPaths) => [].concat(configPaths).some(configPath => Boolean(getConfigValue(config, configPath)));
+
+// The reason a step is skipped for this deployment config, or null if it runs
+function getSkipReason(step, config) {
+  const match = (step.skipIf || []).find(condition => isConfigSet(config, condition.config)) ||
+    (step.skipUnless || []).find(condition => !isConfigSet(config, condition.config));
+  return match ? match.reason : null;
+}
+
+// Steps must have unique ids and may only depend on steps listed before them,
+// so the listed order is always a valid order to run them in
+function validatePipeline(pipeline) {
+  const seen = new Set();
+
+  pipeline.steps.forEach(step => {
+    if (seen.has(step.id)) {
+      throw new Error(`Pipeline ${pipeline.id} has duplicate step ${step.id}`);
+    }
+
+    (step.dependsOn || []).forEach(dependency => {
+      if (!seen.has(dependency)) {
+        throw new Error(`Step ${step.id} in pipeline ${pipeline.id} depends on ${dependency}, which is not an earlier step`);
+      }
+    });
+
+    seen.add(step.id);
+  });
+
+  return pipeline;
+}
+
+PIPELINES.forEach(validatePipeline);
+
+function getPipeline(pipelineId) {
+  return PIPELINES.find(pipeline => pipeline.id === pipelineId) || null;
+}
+
+function listPipelines() {
+  return PIPELINES;
+}
+
+// Where each step sits when drawn as parallel lanes: `depth` is the length of
+// the longest dependency chain leading to it, and a step continues the lane
+// of its first dependency that no other step has continued yet
+function getPipelineLayout(pipeline) {
+  const layout = {};
+  const laneTails = [];
+
+  pipeline.steps.forEach(step => {
+    const dependsOn = step.dependsOn || [];
+    const depth = dependsOn.length ? Math.max(...dependsOn.map(dependency => layout[dependency].depth)) + 1 : 0;
+
+    let lane = dependsOn.map(dependency => layout[dependency].lane).find(candidate => dependsOn.includes(laneTails[candidate]));
+    if (lane === undefined) {
+      lane = laneTails.length;
+    }
+    laneTails[lane] = step.id;
+
+    layout[step.id] = { lane, depth };
+  });
+
+  return { lanes: laneTails.length, steps: layout };
+}
+
+// Run steps as a dependency graph: each starts once the steps it depends on
+// have finished, so independent branches run concurrently. Dependencies that
+// are not in `steps` count as finished. After a failure no new steps start;
+// the running ones finish, then the first error is thrown.
+async function runStepGraph(steps, runStep) {
+  const included = new Set(steps.map(step => step.id));
+  const waiting = [...steps];
+  const finished = new Set();
+  const running = new Map();
+  let failure = null;
+
+  const isReady = (step) => (step.dependsOn || []).every(dependency => finished.has(dependency) || !included.has(dependency));
+
+  while (waiting.length > 0 || running.size > 0) {
+    if (!failure) {
+      waiting.filter(isReady).forEach(step => {
+        waiting.splice(waiting.indexOf(step), 1);
+
+        const execution = Promise.resolve()
+          .then(() => runStep(step))
+          .then(() => finished.add(step.id), error => {
+            failure = failure || error;
+          })
+          .finally(() => running.delete(step.id));
+        running.set(step.id, execution);
+      });
+    }
+
+    if (running.size === 0) {
+      break;
+    }
+    await Promise.race(running.values());
+  }
+
+  if (failure) {
+    throw failure;
+  }
+}
+
+module.exports = {
+  getPipeline,
+  listPipelines,
+  getPipelineLayout,
+  getSkipReason,
+  runStepGraph,
+  validatePipeline
+};
@@ -1,9 +1,8 @@
 const express = require('express');
-const { STSClient, GetCallerIdentityCommand } = require('@aws-sdk/client-sts');
-const { ECRClient, GetAuthorizationTokenCommand, CreateRepositoryCommand, DescribeRepositoriesCommand } = require('@aws-sdk/client-ecr');
-const { EKSClient, DescribeClusterCommand, ListClustersCommand } = require('@aws-sdk/client-eks');
 const { logger } = require('../utils/logger');
 const { validateAWSCredentials } = require('../middleware/validation');
+const awsService = require('../services/aws');
+const ecrService = require('../services/ecr');
 
 const router = express.Router();
 
@@ -42,34 +41,19 @@ router.post('/validate-credentials', validateAWSCredentials, async (req, res) =>
       });
     }
     
-    // Trim whitespace from credentials
-    const trimmedAccessKeyId = accessKeyId.trim();
-    const trimmedSecretAccessKey = secretAccessKey.trim();
-    const trimmedRegion = region.trim();
-    
-    logger.info('Creating STS client with trimmed credentials');
-    
-    const stsClient = new STSClient({
-      region: trimmedRegion,
-      credentials: {
-        accessKeyId: trimmedAccessKeyId,
-        secretAccessKey: trimmedSecretAccessKey
-      }
-    });
-    
+    // The service trims whitespace from the credentials
     logger.info('Sending GetCallerIdentity command');
-    const command = new GetCallerIdentityCommand({});
-    const response = await stsClient.send(command);
+    const identity = await awsService.getCallerIdentity({ accessKeyId, secretAccessKey, region });
     
     logger.info('AWS credentials validated successfully');
     
-    logger.info(`AWS credentials validated for account: ${response.Account}`);
+    logger.info(`AWS credentials validated for account: ${identity.account}`);
     
     res.json({
       success: true,
-      account: response.Account,
-      userId: response.UserId,
-      arn: response.Arn,
+      account: identity.account,
+      userId: identity.userId,
+      arn: identity.arn,
       region
     });
   } catch (error) {
@@ -107,27 +91,11 @@ router.post('/ecr/auth-token', validateAWSCredentials, async (req, res) => {
   try {
     const { accessKeyId, secretAccessKey, region } = req.body;
     
-    const ecrClient = new ECRClient({
-      region,
-      credentials: {
-        accessKeyId,
-        secretAccessKey
-      }
-    });
-    
-    const command = new GetAuthorizationTokenCommand({});
-    const response = await ecrClient.send(command);
-    
-    const authData = response.authorizationData[0];
-    const token = Buffer.from(authData.authorizationToken, 'base64').toString('utf-8');
-    const [username, password] = token.split(':');
+    const auth = await ecrService.getAuthorizationToken({ accessKeyId, secretAccessKey, region });
     
     res.json({
       success: true,
-      registry: authData.proxyEndpoint,
-      username,
-      password,
-      expiresAt: authData.expiresAt
+      ...auth
     });
   } catch (error) {
     logger.error('ECR auth token retrieval failed:', error);
@@ -144,51 +112,12 @@ router.post('/ecr/create-repository', validateAWSCredentials, async (req, res) =
   try {
     const { accessKeyId, secretAccessKey, region, repositoryName } = req.body;
     
-    const ecrClient = new ECRClient({
-      region,
-      credentials: {
-        accessKeyId,
-        secretAccessKey
-      }
-    });
-    
-    // Check if repository already exists
-    try {
-      const describeCommand = new DescribeRepositoriesCommand({
-        repositoryNames: [repositoryName]
-      });
-      const existingRepo = await ecrClient.send(describeCommand);
-      
-      return res.json({
-        success: true,
-        repository: existingRepo.repositories[0],
-        existed: true
-      });
-    } catch (error) {
-      // Repository doesn't exist, create it
-      if (error.name !== 'RepositoryNotFoundException') {
-        throw error;
-      }
-    }
-    
-    const createCommand = new CreateRepositoryCommand({
-      repositoryName,
-      imageScanningConfiguration: {
-        scanOnPush: true
-      },
-      encryptionConfiguration: {
-        encryptionType: 'AES256'
-      }
-    });
-    
-    const response = await ecrClient.send(createCommand);
-    
-    logger.info(`ECR repository created: ${repositoryName}`);
+    const { repository, existed } = await ecrService.ensureRepository({ accessKeyId, secretAccessKey, region }, repositoryName);
     
     res.json({
       success: true,
-      repository: response.repository,
-      existed: false
+      repository,
+      existed
     });
   } catch (error) {
     logger.error('ECR repository creation failed:', error);
@@ -205,20 +134,11 @@ router.post('/eks/list-clusters', validateAWSCredentials, async (req, res) => {
   try {
     const { accessKeyId, secretAccessKey, region } = req.body;
     
-    const eksClient = new EKSClient({
-      region,
-      credentials: {
-        accessKeyId,
-        secretAccessKey
-      }
-    });
-    
-    const command = new ListClustersCommand({});
-    const response = await eksClient.send(command);
+    const clusters = await awsService.listClusters({ accessKeyId, secretAccessKey, region });
     
     res.json({
       success: true,
-      clusters: response.clusters || []
+      clusters
     });
   } catch (error) {
     logger.error('EKS cluster listing failed:', error);
@@ -235,20 +155,11 @@ router.post('/eks/describe-cluster', validateAWSCredentials, async (req, res) =>
   try {
     const { accessKeyId, secretAccessKey, region, clusterName } = req.body;
     
-    const eksClient = new EKSClient({
-      region,
-      credentials: {
-        accessKeyId,
-        secretAccessKey
-      }
-    });
-    
-    const command = new DescribeClusterCommand({ name: clusterName });
-    const response = await eksClient.send(command);
+    const cluster = await awsService.describeCluster({ accessKeyId, secretAccessKey, region }, clusterName);
     
     res.json({
       success: true,
-      cluster: response.cluster
+      cluster
     });
   } catch (error) {
     logger.error('EKS cluster description failed:', error);
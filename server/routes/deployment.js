@@ -1,30 +1,115 @@
 const express = require('express');
-const axios = require('axios');
-const Docker = require('dockerode');
-const tar = require('tar');
 const fs = require('fs').promises;
 const path = require('path');
 const tmp = require('tmp');
-const { spawn } = require('child_process');
 const { v4: uuidv4 } = require('uuid');
 const { logger } = require('../utils/logger');
-const { validateDeploymentRequest, validateDockerBuild, validateECRPushRequest, validateDeploymentECRPush } = require('../middleware/validation');
+const { validateDeploymentRequest, validateDockerBuild, validateECRPushRequest, validateDeploymentECRPush, validateApprovalDecision, validateDestroyRequest, validateStackPlanRequest, validateCostEstimateRequest, validateManifestPreviewRequest, validateResumeRequest } = require('../middleware/validation');
+const { deployments: activeDeployments, stacks, getMissingSecrets } = require('../store/deploymentRepository');
+const { retryWithBackoff } = require('../utils/retry');
+const { CancelledError, createCancellationToken } = require('../utils/cancellation');
+const { toTfVars } = require('../utils/hcl');
+const { getPipeline, listPipelines, getPipelineLayout, getSkipReason, runStepGraph } = require('../pipelines');
+const dockerService = require('../services/docker');
+const ecrService = require('../services/ecr');
+const { cloneRepository } = require('../services/github');
+const { getCredentialsEnv } = require('../services/aws');
+const { getBackendConfig, parsePlanSummary, runTerraform, summarizeOutputs, summarizePlanJson, summarizeStateJson, toTerraformError } = require('../services/terraform');
+const { DEFAULT_TEMPLATE_ID, copyTemplate, formatTemplateVersion } = require('../services/templates');
+const { describeStateBackend, ensureStateBackend } = require('../services/stateBackend');
+const { findExistingResources, findImportCandidates, toImportBlocks } = require('../services/resourceImports');
+const { getDriftBadge, isDriftCheckJob } = require('../services/drift');
+const { deploymentQueue, getStackKey, onQueueChange } = require('../services/deploymentQueue');
+const { getConsoleUrl } = require('../services/awsConsole');
+const { checkBudget, estimateFromPlan, estimateFromVariables, getCostSummary } = require('../services/costEstimator');
+const { createKubeconfig, removeKubeconfig, saveKubeconfig } = require('../services/kubeconfig');
+const { createKubernetesClient, describeProgress, getPodWarnings, waitForLoadBalancer, waitForRollout } = require('../services/kubernetes');
+const { getAppIdentity, getAppSettings, getExposure, renderManifests, toYaml } = require('../services/manifests');
+const { requestUrl, waitForHealthy } = require('../services/healthCheck');
+const { packageChart, renderChart, runHelm, writeChart } = require('../services/helm');
+const { ensureStack, holdsStackWorkingDir, prepareStackWorkingDir, recordStackApply, recordStackDeployment, writeWorkingFile } = require('../services/stacks');
 
 const router = express.Router();
-const docker = new Docker();
 
-// Store active deployments
-const activeDeployments = new Map();
+// Statuses that no longer change; everything else is still in flight
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled', 'rejected', 'interrupted', 'destroy-failed', 'build-complete', 'push-complete'];
+
+// Statuses from which a complete deployment can be resumed
+const RESUMABLE_STATUSES = ['failed', 'interrupted', 'destroy-failed', 'cancelled', 'rejected'];
+
+// Environments whose deployments always wait for plan approval before apply
+const APPROVAL_ENVIRONMENTS = (process.env.DEPLOYMENT_APPROVAL_ENVIRONMENTS || 'staging,prod')
+  .split(',')
+  .map(environment => environment.trim())
+  .filter(Boolean);
+
+// How long a plan waits for a decision before the deployment stops and frees
+// its worker slot; resuming it asks for approval of the same plan again
+const APPROVAL_TIMEOUT_MINUTES = parseInt(process.env.APPROVAL_TIMEOUT_MINUTES, 10) || 60;
+
+// Environments where approving a destroy takes the project name typed out
+const DESTROY_CONFIRMATION_ENVIRONMENTS = (process.env.DESTROY_CONFIRMATION_ENVIRONMENTS || 'prod')
+  .split(',')
+  .map(environment => environment.trim())
+  .filter(Boolean);
+
+// Steps a destroy runs: plan the destroy, wait for it to be reviewed, apply
+// it. Init only runs again when the working directory is gone.
+const DESTROY_STEP_IDS = ['terraform-init', 'terraform-plan', 'approval', 'terraform-apply'];
+
+// Steps a stack re-plan runs: the infrastructure only, with the image and
+// application left as the stack's last deployment left them
+const STACK_PLAN_STEP_IDS = ['terraform-backend', 'terraform-init', 'terraform-plan', 'approval', 'terraform-apply'];
+
+// Terraform variables a re-plan cannot change, since they decide which stack,
+// state and cluster it is
+const STACK_IDENTITY_VARIABLES = ['project_name', 'environment', 'aws_region', 'cluster_name', 'node_group_name'];
+
+// Shown in place of secret Terraform variables
+const SENSITIVE_VARIABLE_VALUE = '(sensitive)';
+
+// How long the application's pods have to become ready after its manifests
+// are applied before the deploy step fails
+const ROLLOUT_TIMEOUT_MS = (parseInt(process.env.ROLLOUT_TIMEOUT_SECONDS, 10) || 600) * 1000;
+
+// How long the verify step waits for the application's load balancer and for
+// its health check to return the expected status
+const HEALTH_CHECK_TIMEOUT_MS = (parseInt(process.env.HEALTH_CHECK_TIMEOUT_SECONDS, 10) || 300) * 1000;
+
+// Cancellation tokens of deployments that are currently running. They hold
+// live process handles, so they are kept here rather than in the store.
+const cancellationTokens = new Map();
+
+// Deployments paused at the approval gate, by id; each entry receives the decision
+const approvalWaiters = new Map();
+
+// Thrown by the approval step when the plan is rejected
+class ApprovalRejectedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ApprovalRejectedError';
+  }
+}
+
+// What to do when a deployment targets a stack that another deployment is
+// already queued or running against
+const STACK_CONFLICT_STRATEGIES = ['reject', 'queue', 'supersede'];
+
+// Socket.io server for queue updates; every request carries the same instance
+let queueIo = null;
+
+onQueueChange((queue) => broadcastQueuePositions(queue));
 
 // Add logging for deployment tracking
 setInterval(() => {
-  if (activeDeployments.size > 0) {
-    logger.info(`Active deployments: ${activeDeployments.size}`);
-    activeDeployments.forEach((deployment, id) => {
-      logger.info(`Deployment ${id}: ${deployment.status} - Step: ${deployment.currentStep || 'N/A'}`);
+  const inFlight = Array.from(activeDeployments.values()).filter(deployment => !TERMINAL_STATUSES.includes(deployment.status));
+  if (inFlight.length > 0) {
+    logger.info(`Active deployments: ${inFlight.length}`);
+    inFlight.forEach(deployment => {
+      logger.info(`Deployment ${deployment.id}: ${deployment.status} - Step: ${deployment.currentStep || 'N/A'}`);
     });
   }
-}, 30000); // Log every 30 seconds
+}, 30000).unref(); // Log every 30 seconds
 
 // Build Docker image from repository
 router.post('/build-image', validateDockerBuild, async (req, res) => {
@@ -52,86 +137,64 @@ router.post('/build-image', validateDockerBuild, async (req, res) => {
       logs: []
     });
     
-    // Create tar stream from repository directory
-    const tarStream = tar.create(
-      {
-        gzip: true,
-        cwd: repositoryPath
-      },
-      ['.'] // Include all files
-    );
-    
-    // Build image
-    const buildStream = await docker.buildImage(tarStream, {
-      t: fullImageName,
-      dockerfile: 'Dockerfile',
-      rm: true, // Remove intermediate containers
-      forcerm: true, // Always remove intermediate containers
-      pull: true // Always pull base image
+    // Stop the build when the caller goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        controller.abort();
+      }
     });
     
-    // Handle build stream
-    const buildPromise = new Promise((resolve, reject) => {
-      const buildLogs = [];
-      
-      docker.modem.followProgress(buildStream, (err, result) => {
-        if (err) {
-          logger.error('Docker build failed:', err);
-          activeDeployments.get(deploymentId).status = 'failed';
-          reject(err);
-        } else {
-          logger.info('Docker build completed successfully');
-          activeDeployments.get(deploymentId).status = 'build-complete';
-          activeDeployments.get(deploymentId).logs = buildLogs;
-          resolve(result);
-        }
-      }, (event) => {
-        // Handle build progress
-        if (event.stream) {
-          const logEntry = {
-            timestamp: new Date(),
-            message: event.stream.trim()
-          };
-          buildLogs.push(logEntry);
+    const buildLogs = [];
+    let imageInfo;
+    try {
+      imageInfo = await dockerService.buildImage({
+        contextPath: repositoryPath,
+        imageName,
+        imageTag,
+        signal: controller.signal,
+        onProgress: (event) => {
+          if (event.stream) {
+            buildLogs.push({
+              timestamp: new Date(),
+              message: event.stream.trim()
+            });
+            
+            // Emit real-time build progress
+            req.io.to(`deployment-${deploymentId}`).emit('build-progress', {
+              deploymentId,
+              type: 'build',
+              message: event.stream.trim(),
+              timestamp: new Date()
+            });
+          }
           
-          // Emit real-time build progress
-          req.io.to(`deployment-${deploymentId}`).emit('build-progress', {
-            deploymentId,
-            type: 'build',
-            message: event.stream.trim(),
-            timestamp: new Date()
-          });
-        }
-        
-        if (event.error) {
-          logger.error('Docker build error:', event.error);
-          buildLogs.push({
-            timestamp: new Date(),
-            message: event.error,
-            level: 'error'
-          });
+          if (event.error) {
+            logger.error('Docker build error:', event.error);
+            buildLogs.push({
+              timestamp: new Date(),
+              message: event.error,
+              level: 'error'
+            });
+          }
         }
       });
-    });
-    
-    // Wait for build to complete
-    await buildPromise;
+    } catch (error) {
+      activeDeployments.get(deploymentId).status = 'failed';
+      activeDeployments.get(deploymentId).logs = buildLogs;
+      activeDeployments.save(deploymentId);
+      throw error;
+    }
     
-    // Get image info
-    const image = docker.getImage(fullImageName);
-    const imageInfo = await image.inspect();
+    logger.info('Docker build completed successfully');
+    activeDeployments.get(deploymentId).status = 'build-complete';
+    activeDeployments.get(deploymentId).logs = buildLogs;
+    activeDeployments.save(deploymentId);
     
     res.json({
       success: true,
       deploymentId,
-      image: {
-        id: imageInfo.Id,
-        name: fullImageName,
-        size: imageInfo.Size,
-        created: imageInfo.Created,
-        architecture: imageInfo.Architecture,
-        os: imageInfo.Os
-      },
+      image: imageInfo,
       status: 'build-complete'
     });
   } catch (error) {
@@ -173,81 +236,71 @@ router.post('/push-to-ecr', validateDeploymentECRPush, async (req, res) => {
       logs: []
     });
     
-    // Tag image for ECR
-    const image = docker.getImage(localImageName);
-    await image.tag({
-      repo: `${ecrRegistry}/${ecrRepository}`,
-      tag: imageTag
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        controller.abort();
+      }
     });
     
-    // Get ECR auth token (this should be called from frontend with AWS credentials)
-    const authConfig = {
-      username: 'AWS',
-      password: ecrAuthToken, // Should be provided from frontend
-      serveraddress: ecrRegistry
-    };
-    
-    // Push to ECR
-    const ecrImage = docker.getImage(ecrImageName);
-    const pushStream = await ecrImage.push({ authconfig: authConfig });
-    
-    // Handle push stream
-    const pushPromise = new Promise((resolve, reject) => {
-      const pushLogs = [];
-      
-      docker.modem.followProgress(pushStream, (err, result) => {
-        if (err) {
-          logger.error('ECR push failed with detailed error:', {
-            error: err.message,
-            statusCode: err.statusCode,
-            reason: err.reason,
-            json: err.json,
-            stack: err.stack
-          });
-          activeDeployments.get(deploymentId).status = 'failed';
-          reject(err);
-        } else {
-          logger.info('ECR push completed successfully');
-          activeDeployments.get(deploymentId).status = 'push-complete';
-          activeDeployments.get(deploymentId).logs = pushLogs;
-          resolve(result);
-        }
-      }, (event) => {
-        // Handle push progress
-        if (event.status) {
-          const logEntry = {
-            timestamp: new Date(),
-            message: `${event.status} ${event.progress || ''}`.trim()
-          };
-          pushLogs.push(logEntry);
+    const pushLogs = [];
+    try {
+      await dockerService.pushImage({
+        localImage: localImageName,
+        registry: ecrRegistry,
+        repository: ecrRepository,
+        tag: imageTag,
+        auth: { username: 'AWS', password: ecrAuthToken },
+        signal: controller.signal,
+        onProgress: (event) => {
+          if (event.status) {
+            const logEntry = {
+              timestamp: new Date(),
+              message: `${event.status} ${event.progress || ''}`.trim()
+            };
+            pushLogs.push(logEntry);
+            
+            // Emit real-time push progress
+            req.io.to(`deployment-${deploymentId}`).emit('push-progress', {
+              deploymentId,
+              type: 'push',
+              message: logEntry.message,
+              timestamp: new Date()
+            });
+          }
           
-          // Emit real-time push progress
-          req.io.to(`deployment-${deploymentId}`).emit('push-progress', {
-            deploymentId,
-            type: 'push',
-            message: logEntry.message,
-            timestamp: new Date()
-          });
-        }
-        
-        if (event.error) {
-          logger.error('ECR push error details:', {
-            error: event.error,
-            errorDetails: event.errorDetail,
-            status: event.status,
-            progress: event.progress
-          });
-          pushLogs.push({
-            timestamp: new Date(),
-            message: `ECR Push Error: ${event.error} ${event.errorDetail ? JSON.stringify(event.errorDetail) : ''}`,
-            level: 'error'
-          });
+          if (event.error) {
+            logger.error('ECR push error details:', {
+              error: event.error,
+              errorDetails: event.errorDetail,
+              status: event.status,
+              progress: event.progress
+            });
+            pushLogs.push({
+              timestamp: new Date(),
+              message: `ECR Push Error: ${event.error} ${event.errorDetail ? JSON.stringify(event.errorDetail) : ''}`,
+              level: 'error'
+            });
+          }
         }
       });
-    });
+    } catch (error) {
+      logger.error('ECR push failed with detailed error:', {
+        error: error.message,
+        statusCode: error.statusCode,
+        reason: error.reason,
+        details: error.details
+      });
+      activeDeployments.get(deploymentId).status = 'failed';
+      activeDeployments.get(deploymentId).logs = pushLogs;
+      activeDeployments.save(deploymentId);
+      throw error;
+    }
     
-    // Wait for push to complete
-    await pushPromise;
+    logger.info('ECR push completed successfully');
+    activeDeployments.get(deploymentId).status = 'push-complete';
+    activeDeployments.get(deploymentId).logs = pushLogs;
+    activeDeployments.save(deploymentId);
     
     res.json({
       success: true,
@@ -271,19 +324,24 @@ router.post('/push-to-ecr', validateDeploymentECRPush, async (req, res) => {
   }
 });
 
+// The stored config of a deployment, from a validated deployment request
+function buildDeploymentConfig({ awsCredentials, repository, deploymentType, environment, deploymentConfig }) {
+  return {
+    awsCredentials,
+    repository,
+    deploymentType,
+    environment,
+    projectName: deploymentConfig.projectName || 'aws-builder-app',
+    ...deploymentConfig,
+    requireApproval: deploymentConfig.requireApproval === true ||
+      APPROVAL_ENVIRONMENTS.includes(deploymentConfig.environment || environment)
+  };
+}
+
 // Start complete deployment process
 router.post('/start', validateDeploymentRequest, async (req, res) => {
   try {
-    const {
-      awsCredentials,
-      repository,
-      deploymentType,
-      environment,
-      deploymentConfig
-    } = req.body;
-    
     const deploymentId = uuidv4();
-    const projectName = deploymentConfig.projectName || 'aws-builder-app';
     
     logger.info(`Starting complete deployment ${deploymentId}`);
     
@@ -293,49 +351,46 @@ router.post('/start', validateDeploymentRequest, async (req, res) => {
       type: 'complete-deployment',
       status: 'initializing',
       startTime: new Date(),
-      steps: [
-        { id: 'clone', name: 'Clone Repository', status: 'pending' },
-        { id: 'build', name: 'Build Docker Image', status: 'pending' },
-        { id: 'ecr-setup', name: 'Setup ECR Repository', status: 'pending' },
-        { id: 'push', name: 'Push to ECR', status: 'pending' },
-        { id: 'terraform-init', name: 'Initialize Terraform', status: 'pending' },
-        { id: 'terraform-plan', name: 'Plan Infrastructure', status: 'pending' },
-        { id: 'terraform-apply', name: 'Deploy Infrastructure', status: 'pending' },
-        { id: 'kubectl-config', name: 'Configure kubectl', status: 'pending' },
-        { id: 'deploy-app', name: 'Deploy Application', status: 'pending' },
-        { id: 'verify', name: 'Verify Deployment', status: 'pending' }
-      ],
+      steps: getPipeline('complete-deployment').steps.map(({ id, name }) => ({ id, name, status: 'pending' })),
       currentStep: 0,
-      config: {
-        awsCredentials,
-        repository,
-        deploymentType,
-        environment,
-        projectName,
-        ...deploymentConfig
-      },
+      config: buildDeploymentConfig(req.body),
       logs: []
     };
     
+    const stackCheck = checkStackConflict(req, res, deployment);
+    if (!stackCheck) {
+      return;
+    }
+    
     activeDeployments.set(deploymentId, deployment);
+    recordStackDeployment(deployment);
     
-    // Start deployment process asynchronously
-    processDeployment(deploymentId, req.io).catch(error => {
-      logger.error(`Deployment ${deploymentId} failed:`, error);
-      deployment.status = 'failed';
-      deployment.error = error.message;
-      
-      req.io.to(`deployment-${deploymentId}`).emit('deployment-failed', {
-        deploymentId,
-        error: error.message,
-        timestamp: new Date()
-      });
+    if (stackCheck.conflict) {
+      resolveStackConflict(deployment, stackCheck.conflict, stackCheck.strategy, req.io);
+    }
+    
+    // Queue the deployment; it starts once a worker slot is free
+    const queuePosition = enqueueDeployment(deployment, req.io, {
+      onFailure: (error) => {
+        logger.error(`Deployment ${deploymentId} failed:`, error);
+        deployment.status = 'failed';
+        deployment.error = error.message;
+        activeDeployments.save(deploymentId);
+        
+        req.io.to(`deployment-${deploymentId}`).emit('deployment-failed', {
+          deploymentId,
+          error: error.message,
+          timestamp: new Date()
+        });
+      }
     });
     
     res.json({
       success: true,
       deploymentId,
       status: deployment.status,
+      queuePosition,
+      stackConflict: deployment.stackConflict,
       steps: deployment.steps
     });
   } catch (error) {
@@ -348,378 +403,1616 @@ router.post('/start', validateDeploymentRequest, async (req, res) => {
   }
 });
 
-// Process complete deployment
-async function processDeployment(deploymentId, io) {
-  const deployment = activeDeployments.get(deploymentId);
-  if (!deployment) {
-    throw new Error('Deployment not found');
+const pathExists = (targetPath) => fs.access(targetPath).then(() => true, () => false);
+
+// Step 1: Clone Repository
+async function runCloneStep({ deployment, cancellation, updateStep, addLog }) {
+  updateStep('clone', 'running', 'Cloning repository...');
+  addLog(`Cloning repository: ${deployment.config.repository.url}`, 'info', 'clone');
+  try {
+    // Create temporary directory for repository
+    const tmpDir = tmp.dirSync({ unsafeCleanup: true });
+    const repositoryPath = tmpDir.name;
+    
+    if (deployment.config.repository.accessToken) {
+      addLog('Using GitHub access token for authentication', 'info', 'clone');
+    }
+    
+    await cloneRepository({
+      url: deployment.config.repository.url,
+      accessToken: deployment.config.repository.accessToken,
+      targetDir: repositoryPath,
+      cancellation,
+      onOutput: (output, stream) => addLog(`Git: ${output}`, stream === 'stderr' ? 'warning' : 'info', 'clone')
+    });
+    
+    updateStep('clone', 'completed', 'Repository cloned successfully');
+    addLog(`Repository cloned to: ${repositoryPath}`, 'success', 'clone');
+    
+    return { repositoryPath };
+  } catch (error) {
+    addLog(`Repository clone failed: ${error.message}`, 'error', 'clone');
+    throw error;
   }
-  
-  const updateStep = (stepId, status, message = '') => {
-    const step = deployment.steps.find(s => s.id === stepId);
-    if (step) {
-      step.status = status;
-      step.message = message;
-      step.timestamp = new Date();
+}
+
+// Step 2: Build Docker Image
+async function runBuildStep({ deployment, cancellation, updateStep, addLog }) {
+  updateStep('build', 'running', 'Building Docker image...');
+  addLog('Building Docker image from repository');
+  try {
+    if (!deployment.repositoryPath) {
+      throw new Error('Repository path not available - clone step may have failed');
     }
     
-    io.to(`deployment-${deploymentId}`).emit('step-update', {
-      deploymentId,
-      stepId,
-      status,
-      message,
-      timestamp: new Date()
+    const image = await dockerService.buildImage({
+      contextPath: deployment.repositoryPath,
+      imageName: deployment.config.projectName,
+      imageTag: deployment.config.repository.imageTag || 'latest',
+      signal: cancellation.signal,
+      onProgress: (event) => {
+        if (event.stream && event.stream.trim()) {
+          addLog(event.stream.trim(), 'info', 'build');
+        }
+      }
     });
-  };
-  
-  const addLog = (message, level = 'info', stepId = null) => {
-    const logEntry = {
-      timestamp: new Date(),
-      message,
-      level,
-      stepId
-    };
-    deployment.logs.push(logEntry);
     
-    // Emit to both old and new event names for compatibility
-    io.to(`deployment-${deploymentId}`).emit('deployment-log', {
-      deploymentId,
-      ...logEntry
+    updateStep('build', 'completed', 'Docker image built successfully');
+    addLog(`Docker image built: ${image.name}`);
+    return { imageName: image.name, imageId: image.id };
+  } catch (error) {
+    addLog(`Docker image build failed: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+// Step 3: Setup ECR Repository - REAL IMPLEMENTATION
+async function runEcrSetupStep({ deployment, updateStep, addLog }) {
+  updateStep('ecr-setup', 'running', 'Setting up ECR repository...');
+  addLog('Creating ECR repository if not exists');
+  try {
+    const { repository } = await ecrService.ensureRepository(
+      deployment.config.awsCredentials,
+      deployment.config.repository.ecrRepositoryName || deployment.config.projectName
+    );
+    
+    updateStep('ecr-setup', 'completed', 'ECR repository ready');
+    addLog(`ECR repository ready: ${repository.repositoryUri}`);
+    return { ecrRepository: repository };
+  } catch (error) {
+    addLog(`ECR repository setup failed: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+// Step 4: Push to ECR - REAL IMPLEMENTATION
+async function runPushStep({ deployment, cancellation, updateStep, addLog }) {
+  updateStep('push', 'running', 'Pushing image to ECR...');
+  addLog('Pushing Docker image to ECR');
+  try {
+    const imageTag = deployment.config.repository.imageTag || 'latest';
+    
+    // First get ECR auth token
+    const auth = await ecrService.getAuthorizationToken(deployment.config.awsCredentials);
+    
+    const pushed = await dockerService.pushImage({
+      localImage: `${deployment.config.projectName}:${imageTag}`,
+      registry: ecrService.getRegistryHost(auth.registry),
+      repository: deployment.config.repository.ecrRepositoryName || deployment.config.projectName,
+      tag: imageTag,
+      auth,
+      signal: cancellation.signal
     });
     
-    io.to(`deployment-${deploymentId}`).emit('realTimeLog', {
-      message,
-      level,
-      stepId
+    updateStep('push', 'completed', 'Image pushed to ECR successfully');
+    addLog(`Image pushed to ECR: ${pushed.remote}`);
+    return { ecrImage: pushed, ecrImageUri: pushed.remote };
+  } catch (error) {
+    addLog(`ECR push failed: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+// Terraform state backend: the S3 bucket and lock table init expects must exist first
+async function runTerraformBackendStep({ deployment, updateStep, addLog }) {
+  updateStep('terraform-backend', 'running', 'Checking Terraform state backend...');
+  const backendConfig = getBackendConfig({
+    projectName: deployment.config.projectName,
+    environment: deployment.config.environment,
+    region: deployment.config.awsCredentials.region
+  });
+  addLog(`Checking state bucket ${backendConfig.bucket} and lock table ${backendConfig.dynamodb_table}`);
+  try {
+    const terraformBackend = await ensureStateBackend(deployment.config.awsCredentials, backendConfig);
+    const summary = describeStateBackend(terraformBackend);
+    
+    updateStep('terraform-backend', 'completed', summary);
+    addLog(summary);
+    return { terraformBackend: { ...terraformBackend, checkedAt: new Date() } };
+  } catch (error) {
+    addLog(`State backend setup failed: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+// Step 5: Initialize Terraform - REAL IMPLEMENTATION
+async function runTerraformInitStep({ deployment, deploymentId, io, cancellation, updateStep, addLog }) {
+  updateStep('terraform-init', 'running', 'Initializing Terraform...');
+  addLog('Setting up Terraform configuration');
+  try {
+    // The stack's working directory is kept between deployments, so providers
+    // and modules downloaded by an earlier init are reused
+    const stack = ensureStack(deployment.config);
+    deployment.stackId = stack.id;
+    const workingDir = await prepareStackWorkingDir(stack, deployment);
+    
+    addLog(`Using Terraform working directory of stack ${stack.id}: ${workingDir}`);
+    
+    // Copy Terraform template to working directory
+    const terraformTemplate = await copyTemplate(DEFAULT_TEMPLATE_ID, workingDir, { cancellation, onOutput: addLog });
+    addLog(`Copied Terraform template ${formatTemplateVersion(terraformTemplate)}`);
+    
+    // Generate terraform.tfvars file
+    const tfVars = generateTerraformVars(deployment.config);
+    const tfVarsContent = toTfVars(tfVars);
+    await writeWorkingFile(workingDir, 'terraform.tfvars', tfVarsContent);
+    addLog('Generated Terraform variables');
+    
+    // Generate backend configuration
+    const backendConfig = getBackendConfig({
+      projectName: deployment.config.projectName,
+      environment: deployment.config.environment,
+      region: deployment.config.awsCredentials.region
     });
-  };
-  
+    
+    const backendContent = toTfVars(backendConfig);
+    await writeWorkingFile(workingDir, 'backend.hcl', backendContent);
+    addLog('Generated backend configuration');
+    
+    // Run terraform init
+    await executeTerraform('init', ['-backend-config=backend.hcl'], workingDir, deploymentId, io, cancellation);
+    
+    updateStep('terraform-init', 'completed', 'Terraform initialized');
+    addLog('Terraform initialization completed successfully');
+    
+    return { terraformWorkingDir: workingDir, terraformTemplate };
+  } catch (error) {
+    addLog(`Terraform initialization failed: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+// `terraform plan` arguments for a destroy, limited to the requested targets
+const getDestroyPlanArgs = (config) => (config.destroy_mode === true
+  ? ['-destroy', ...(config.destroy_targets || []).map(target => `-target=${target}`)]
+  : []);
+
+const describeDestroyTargets = (config) => ((config.destroy_targets || []).length > 0
+  ? config.destroy_targets.join(', ')
+  : 'all infrastructure');
+
+// Step 6: Plan Infrastructure - REAL IMPLEMENTATION
+async function runTerraformPlanStep({ deployment, deploymentId, io, cancellation, updateStep, addLog }) {
+  updateStep('terraform-plan', 'running', 'Planning infrastructure...');
+  addLog('Creating deployment plan for AWS resources');
+  // A previous plan no longer describes what apply will do
+  deployment.terraformPlan = null;
+  deployment.terraformPlanSummary = null;
+  deployment.costEstimate = null;
   try {
-    deployment.status = 'running';
-    
-    // Step 1: Clone Repository - Only if ECR image is not pre-built
-    if (deployment.config.repository.ecrImageUri) {
-      // Skip cloning when using pre-built ECR image
-      updateStep('clone', 'completed', 'Skipping clone - using pre-built image');
-      addLog(`Using pre-built ECR image: ${deployment.config.repository.ecrImageUri}`, 'success', 'clone');
-      addLog('Repository clone skipped - image already built and pushed', 'info', 'clone');
-    } else {
-      // Clone repository for building
-      updateStep('clone', 'running', 'Cloning repository...');
-      addLog(`Cloning repository: ${deployment.config.repository.url}`, 'info', 'clone');
-      try {
-        // Create temporary directory for repository
-        const tmpDir = tmp.dirSync({ unsafeCleanup: true });
-        deployment.repositoryPath = tmpDir.name;
-        
-        // Prepare repository URL with authentication if access token is provided
-        let repoUrl = deployment.config.repository.url;
-        if (deployment.config.repository.accessToken && repoUrl.includes('github.com')) {
-          // Convert HTTPS URL to authenticated format
-          repoUrl = repoUrl.replace('https://github.com/', `https://${deployment.config.repository.accessToken}@github.com/`);
-          addLog('Using GitHub access token for authentication', 'info', 'clone');
-        }
-        
-        // Clone repository using git
-        const gitClonePromise = new Promise((resolve, reject) => {
-          const gitProcess = spawn('git', ['clone', repoUrl, '.'], {
-            cwd: deployment.repositoryPath,
-            stdio: ['pipe', 'pipe', 'pipe']
-          });
-          
-          let output = '';
-          let errorOutput = '';
-          
-          gitProcess.stdout.on('data', (data) => {
-            output += data.toString();
-            addLog(`Git: ${data.toString().trim()}`, 'info', 'clone');
-          });
-          
-          gitProcess.stderr.on('data', (data) => {
-            errorOutput += data.toString();
-            addLog(`Git: ${data.toString().trim()}`, 'warning', 'clone');
-          });
-          
-          gitProcess.on('close', (code) => {
-            if (code === 0) {
-              resolve(output);
-            } else {
-              reject(new Error(`Git clone failed with code ${code}: ${errorOutput}`));
-            }
-          });
-        });
-        
-        await gitClonePromise;
-        updateStep('clone', 'completed', 'Repository cloned successfully');
-        addLog(`Repository cloned to: ${deployment.repositoryPath}`, 'success', 'clone');
-      } catch (error) {
-        addLog(`Repository clone failed: ${error.message}`, 'error', 'clone');
-        throw error;
-      }
+    // Imports from an earlier plan are looked up again below
+    await removeImportBlocks(deployment);
+    const planArgs = [...getDestroyPlanArgs(deployment.config), '-out=tfplan'];
+    if (deployment.config.destroy_mode === true) {
+      addLog(`Planning destroy of ${describeDestroyTargets(deployment.config)}`);
     }
+    let result = await executeTerraform('plan', planArgs, deployment.terraformWorkingDir, deploymentId, io, cancellation);
     
-    // Step 2: Use Pre-built Image or Build Docker Image
-    if (deployment.config.repository.ecrImageUri) {
-      // Use pre-built image from repository step
-      updateStep('build', 'completed', 'Using pre-built Docker image');
-      updateStep('ecr-setup', 'completed', 'Using existing ECR repository');
-      updateStep('push', 'completed', 'Using pre-pushed ECR image');
-      
-      deployment.ecrImageUri = deployment.config.repository.ecrImageUri;
-      addLog(`Using pre-built ECR image: ${deployment.config.repository.ecrImageUri}`);
-      addLog('Skipping Docker build and ECR push - image already available');
-    } else {
-      // Fallback: Build Docker Image if not pre-built
-      updateStep('build', 'running', 'Building Docker image...');
-      addLog('Building Docker image from repository');
-      try {
-        if (!deployment.repositoryPath) {
-          throw new Error('Repository path not available - clone step may have failed');
-        }
-        
-        // Check if Dockerfile exists
-        const dockerfilePath = path.join(deployment.repositoryPath, 'Dockerfile');
+    // The saved plan as JSON gives the per-resource diff; the counts from the
+    // plan output are still enough for the approval gate if it cannot be read
+    let planJson = await readPlanJson(deployment, 'tfplan', { cancellation, addLog });
+    
+    // Resources the plan would create that already exist get import blocks,
+    // then the plan is made again so approving it also approves the imports
+    let adoptedResources = [];
+    if (planJson && deployment.config.destroy_mode !== true) {
+      adoptedResources = await adoptExistingResources(deployment, planJson, { cancellation, addLog });
+      if (adoptedResources.length > 0) {
+        addLog('Planning again with the existing resources imported');
         try {
-          await fs.access(dockerfilePath);
-          addLog('Dockerfile found in repository');
+          result = await executeTerraform('plan', planArgs, deployment.terraformWorkingDir, deploymentId, io, cancellation);
         } catch (error) {
-          throw new Error('Dockerfile not found in repository root');
-        }
-        
-        const buildResponse = await axios.post('http://localhost:3001/api/deployment/build-image', {
-          repositoryPath: deployment.repositoryPath,
-          imageName: deployment.config.projectName,
-          imageTag: deployment.config.repository.imageTag || 'latest',
-          awsCredentials: deployment.config.awsCredentials,
-          ecrRepository: deployment.config.repository.ecrRepositoryName || deployment.config.projectName
-        });
-        
-        if (buildResponse.data.success) {
-          deployment.buildDeploymentId = buildResponse.data.deploymentId;
-          deployment.imageName = `${deployment.config.projectName}:${deployment.config.repository.imageTag || 'latest'}`;
-          updateStep('build', 'completed', 'Docker image built successfully');
-          addLog(`Docker image built: ${deployment.imageName}`);
-        } else {
-          throw new Error('Image build failed');
-        }
-      } catch (error) {
-        addLog(`Docker image build failed: ${error.message}`, 'error');
-        throw error;
-      }
-      
-      // Step 3: Setup ECR Repository - REAL IMPLEMENTATION
-      updateStep('ecr-setup', 'running', 'Setting up ECR repository...');
-      addLog('Creating ECR repository if not exists');
-      try {
-        const ecrResponse = await axios.post('http://localhost:3001/api/ecr/create-repository', {
-          repositoryName: deployment.config.repository.ecrRepositoryName || deployment.config.projectName,
-          awsCredentials: deployment.config.awsCredentials
-        });
-        
-        if (ecrResponse.data.success) {
-          deployment.ecrRepository = ecrResponse.data.repository;
-          updateStep('ecr-setup', 'completed', 'ECR repository ready');
-          addLog(`ECR repository ready: ${ecrResponse.data.repository.repositoryUri}`);
-        } else {
-          throw new Error('ECR repository setup failed');
-        }
-      } catch (error) {
-        addLog(`ECR repository setup failed: ${error.message}`, 'error');
-        throw error;
-      }
-      
-      // Step 4: Push to ECR - REAL IMPLEMENTATION
-      updateStep('push', 'running', 'Pushing image to ECR...');
-      addLog('Pushing Docker image to ECR');
-      try {
-        // First get ECR auth token
-        const ecrAuthResponse = await axios.post('http://localhost:3001/api/aws/ecr/auth-token', {
-          accessKeyId: deployment.config.awsCredentials.accessKeyId,
-          secretAccessKey: deployment.config.awsCredentials.secretAccessKey,
-          region: deployment.config.awsCredentials.region
-        });
-        
-        if (!ecrAuthResponse.data.success) {
-          throw new Error('Failed to get ECR auth token');
-        }
-        
-        const ecrRegistry = ecrAuthResponse.data.registry.replace('https://', '');
-        const pushResponse = await axios.post('http://localhost:3001/api/deployment/push-to-ecr', {
-          imageName: deployment.config.projectName,
-          imageTag: deployment.config.repository.imageTag || 'latest',
-          ecrRegistry: ecrRegistry,
-          ecrRepository: deployment.config.repository.ecrRepositoryName || deployment.config.projectName,
-          awsCredentials: deployment.config.awsCredentials,
-          ecrAuthToken: ecrAuthResponse.data.password
-        });
-        
-        if (pushResponse.data.success) {
-          deployment.ecrImage = pushResponse.data.image;
-          deployment.ecrImageUri = `${ecrRegistry}/${deployment.config.repository.ecrRepositoryName || deployment.config.projectName}:${deployment.config.repository.imageTag || 'latest'}`;
-          updateStep('push', 'completed', 'Image pushed to ECR successfully');
-          addLog(`Image pushed to ECR: ${deployment.ecrImageUri}`);
-        } else {
-          throw new Error('ECR push failed');
+          cancellation.throwIfCancelled();
+          addLog(`Could not plan the imports, planning without them: ${error.message}`, 'warning');
+          await removeImportBlocks(deployment);
+          adoptedResources = [];
+          result = await executeTerraform('plan', planArgs, deployment.terraformWorkingDir, deploymentId, io, cancellation);
         }
-      } catch (error) {
-        addLog(`ECR push failed: ${error.message}`, 'error');
-        throw error;
+        planJson = await readPlanJson(deployment, 'tfplan', { cancellation, addLog });
       }
     }
     
-    // Step 5: Initialize Terraform - REAL IMPLEMENTATION
-    updateStep('terraform-init', 'running', 'Initializing Terraform...');
-    addLog('Setting up Terraform configuration');
+    const terraformPlan = planJson ? summarizePlanJson(planJson) : null;
+    if (terraformPlan) {
+      addLog(`Read plan: ${terraformPlan.resources.length} resources with changes`);
+    }
+    const terraformPlanSummary = terraformPlan ? terraformPlan.summary : parsePlanSummary(result.stdout);
+    const costEstimate = planJson ? estimatePlanCost(deployment, planJson, addLog) : null;
+    
+    io.to(`deployment-${deploymentId}`).emit('plan-ready', {
+      deploymentId,
+      planSummary: terraformPlanSummary,
+      hasResourceChanges: Boolean(terraformPlan),
+      adoptedResources,
+      costEstimate,
+      destroy: deployment.config.destroy_mode === true
+    });
+    
+    const adopted = adoptedResources.length;
+    updateStep('terraform-plan', 'completed', `${terraformPlanSummary.text || 'Infrastructure plan created'}${adopted > 0 ? ` (adopted ${adopted} existing resource${adopted === 1 ? '' : 's'})` : ''}`);
+    addLog('Terraform plan completed successfully');
+    
+    return { terraformPlanFile: path.join(deployment.terraformWorkingDir, 'tfplan'), terraformPlanSummary, terraformPlan, adoptedResources, costEstimate };
+  } catch (error) {
+    addLog(`Terraform planning failed: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+// Monthly cost of the infrastructure the plan leaves, checked against the
+// environment's budget
+function estimatePlanCost(deployment, planJson, addLog) {
+  const { config } = deployment;
+  const estimate = estimateFromPlan(planJson, config.awsCredentials.region);
+  estimate.budget = checkBudget(estimate, config.environment);
+  
+  const total = `$${estimate.monthlyTotal.toFixed(2)}/month`;
+  if (estimate.budget && estimate.budget.exceeded) {
+    addLog(`Estimated cost ${total} exceeds the ${config.environment} budget of $${estimate.budget.limit.toFixed(2)}/month`, 'warning');
+  } else {
+    addLog(`Estimated cost after this plan: ${total} (${estimate.monthlyChange >= 0 ? '+' : '-'}$${Math.abs(estimate.monthlyChange).toFixed(2)})`);
+  }
+  return estimate;
+}
+
+// The EKS cluster Terraform created, as the template names it
+const getClusterName = (deployment) => {
+  const outputs = deployment.terraformOutputs || {};
+  return outputs.cluster_name ? outputs.cluster_name.value : `${deployment.config.projectName}-${deployment.config.environment}`;
+};
+
+// Step 7: Deploy or Destroy Infrastructure - REAL IMPLEMENTATION
+async function runTerraformApplyStep({ deployment, deploymentId, io, cancellation, updateStep, addLog }) {
+  if (deployment.config.destroy_mode === true) {
+    const targets = deployment.config.destroy_targets || [];
+    updateStep('terraform-apply', 'running', 'Destroying infrastructure...');
+    addLog(`Destroying ${describeDestroyTargets(deployment.config)} - this may take 10-15 minutes`);
     try {
-      // Initialize Terraform directly
-      const terraformDeploymentId = uuidv4();
-      deployment.terraformDeploymentId = terraformDeploymentId;
-      
-      // Create temporary working directory
-      const tmpDir = tmp.dirSync({ unsafeCleanup: true });
-      const workingDir = tmpDir.name;
-      deployment.terraformWorkingDir = workingDir;
-      deployment.terraformCleanup = tmpDir.removeCallback;
-      
-      addLog(`Created Terraform working directory: ${workingDir}`);
+      // Apply the reviewed destroy plan, so exactly what was approved is removed
+      await executeTerraform('apply', ['-auto-approve', 'tfplan'], deployment.terraformWorkingDir, deploymentId, io, cancellation);
       
-      // Copy Terraform template to working directory
-      const TERRAFORM_TEMPLATE_PATH = '/Users/yusufam/Desktop/Corevice/aws-builder-eks';
-      await fs.cp(TERRAFORM_TEMPLATE_PATH, workingDir, { recursive: true });
-      addLog('Copied Terraform templates');
+      updateStep('terraform-apply', 'completed', targets.length > 0 ? `Destroyed ${targets.join(', ')}` : 'Infrastructure destroyed successfully');
+      addLog('Terraform destroy completed successfully - AWS resources removed');
       
-      // Generate terraform.tfvars file
-      const tfVars = generateTerraformVars(deployment.config);
-      const tfVarsContent = objectToTfVars(tfVars);
-      await fs.writeFile(path.join(workingDir, 'terraform.tfvars'), tfVarsContent);
-      addLog('Generated Terraform variables');
-      
-      // Generate backend configuration
-      const backendConfig = {
-        bucket: `${deployment.config.projectName}-${deployment.config.environment}-terraform-state`,
-        key: `${deployment.config.projectName}/${deployment.config.environment}/terraform.tfstate`,
-        region: deployment.config.awsCredentials.region,
-        encrypt: true,
-        dynamodb_table: `${deployment.config.projectName}-${deployment.config.environment}-terraform-locks`
-      };
-      
-      const backendContent = objectToTfVars(backendConfig);
-      await fs.writeFile(path.join(workingDir, 'backend.hcl'), backendContent);
-      addLog('Generated backend configuration');
-      
-      // Set AWS credentials as environment variables
-      process.env.AWS_ACCESS_KEY_ID = deployment.config.awsCredentials.accessKeyId;
-      process.env.AWS_SECRET_ACCESS_KEY = deployment.config.awsCredentials.secretAccessKey;
-      process.env.AWS_DEFAULT_REGION = deployment.config.awsCredentials.region;
-      
-      // Run terraform init
-      await executeTerraform('init', ['-backend-config=backend.hcl'], workingDir, deploymentId, io);
+      if (targets.length === 0) {
+        recordStackApply(deployment, { destroyed: true, targets });
+        // The cluster the kubeconfig points at is gone
+        await removeKubeconfig(deployment.kubeconfigPath);
+        return { terraformOutputs: undefined, drift: undefined, kubeconfigPath: undefined, kubeconfigCluster: undefined, kubeconfigExpiresAt: undefined, kubernetesApp: undefined };
+      }
       
-      updateStep('terraform-init', 'completed', 'Terraform initialized');
-      addLog('Terraform initialization completed successfully');
+      // The rest of the stack is still deployed
+      deployment.config.destroy_mode = false;
+      let terraformOutputs = deployment.terraformOutputs;
+      try {
+        const outputResult = await executeTerraform('output', ['-json'], deployment.terraformWorkingDir, deploymentId, io, cancellation);
+        terraformOutputs = JSON.parse(outputResult.stdout);
+      } catch (outputError) {
+        addLog('Failed to read Terraform outputs after the destroy', 'warning');
+      }
+      recordStackApply(deployment, { destroyed: true, targets, outputs: terraformOutputs });
+      return { terraformOutputs, drift: undefined };
     } catch (error) {
-      addLog(`Terraform initialization failed: ${error.message}`, 'error');
+      addLog(`Infrastructure destruction failed: ${error.message}`, 'error');
       throw error;
     }
+  }
+  
+  updateStep('terraform-apply', 'running', 'Deploying infrastructure...');
+  addLog('Creating EKS cluster and related resources - this may take 10-15 minutes');
+  try {
+    await executeTerraform('apply', ['-auto-approve', 'tfplan'], deployment.terraformWorkingDir, deploymentId, io, cancellation);
     
-    // Step 6: Plan Infrastructure - REAL IMPLEMENTATION
-    updateStep('terraform-plan', 'running', 'Planning infrastructure...');
-    addLog('Creating deployment plan for AWS resources');
+    // Get terraform outputs
+    let terraformOutputs;
     try {
-      await executeTerraform('plan', ['-out=tfplan'], deployment.terraformWorkingDir, deploymentId, io);
-      
-      updateStep('terraform-plan', 'completed', 'Infrastructure plan created');
-      addLog('Terraform plan completed successfully');
-    } catch (error) {
-      addLog(`Terraform planning failed: ${error.message}`, 'error');
-      throw error;
+      const outputResult = await executeTerraform('output', ['-json'], deployment.terraformWorkingDir, deploymentId, io, cancellation);
+      terraformOutputs = JSON.parse(outputResult.stdout);
+      addLog('Retrieved Terraform outputs');
+    } catch (outputError) {
+      addLog('Failed to parse terraform outputs, but deployment may have succeeded', 'warn');
     }
     
-    // Step 7: Deploy or Destroy Infrastructure - REAL IMPLEMENTATION
-    const isDestroyMode = deployment.config.destroy_mode === true;
-    
-    if (isDestroyMode) {
-      updateStep('terraform-apply', 'running', 'Destroying infrastructure...');
-      addLog('Destroying EKS cluster and related resources - this may take 10-15 minutes');
-      try {
-        await executeTerraform('destroy', ['-auto-approve'], deployment.terraformWorkingDir, deploymentId, io);
-        
-        updateStep('terraform-apply', 'completed', 'Infrastructure destroyed successfully');
-        addLog('Terraform destroy completed successfully - AWS resources removed');
-      } catch (error) {
-        addLog(`Infrastructure destruction failed: ${error.message}`, 'error');
-        throw error;
+    updateStep('terraform-apply', 'completed', 'Infrastructure deployed successfully');
+    addLog('Terraform apply completed successfully - AWS resources created');
+    recordStackApply(deployment, { outputs: terraformOutputs });
+    // An earlier drift check describes infrastructure that has just been replaced
+    return { terraformOutputs, drift: undefined };
+  } catch (error) {
+    addLog(`Infrastructure deployment failed: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+// Plan approval: pause until someone approves or rejects the saved plan
+async function runApprovalStep({ deployment, deploymentId, io, cancellation, updateStep, addLog }) {
+  const { config } = deployment;
+  const destroy = config.destroy_mode === true;
+  deployment.status = 'awaiting-approval';
+  deployment.approval = {
+    status: 'pending',
+    requestedAt: new Date(),
+    planSummary: deployment.terraformPlanSummary,
+    costEstimate: getCostSummary(deployment.costEstimate),
+    destroy,
+    targets: destroy ? config.destroy_targets || [] : undefined,
+    confirmationRequired: destroy && DESTROY_CONFIRMATION_ENVIRONMENTS.includes(config.environment)
+  };
+  updateStep('approval', 'awaiting-approval', destroy ? 'Waiting for destroy approval' : 'Waiting for plan approval');
+  addLog(`Waiting for approval of the ${destroy ? 'destroy' : 'infrastructure'} plan${deployment.terraformPlanSummary ? `: ${deployment.terraformPlanSummary.text}` : ''}`, 'info', 'approval');
+  
+  io.to(`deployment-${deploymentId}`).emit('approval-required', {
+    deploymentId,
+    planSummary: deployment.terraformPlanSummary,
+    costEstimate: deployment.approval.costEstimate,
+    requestedAt: deployment.approval.requestedAt,
+    destroy,
+    targets: deployment.approval.targets,
+    confirmationRequired: deployment.approval.confirmationRequired,
+    projectName: config.projectName
+  });
+  
+  const decision = await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => approvalWaiters.get(deploymentId)({ expired: true }), APPROVAL_TIMEOUT_MINUTES * 60 * 1000);
+    const unsubscribe = cancellation.onCancel((reason) => {
+      clearTimeout(timer);
+      approvalWaiters.delete(deploymentId);
+      reject(new CancelledError(reason));
+    });
+    approvalWaiters.set(deploymentId, (result) => {
+      clearTimeout(timer);
+      unsubscribe();
+      approvalWaiters.delete(deploymentId);
+      resolve(result);
+    });
+  });
+  
+  // Nobody decided in time; the deployment fails so its worker slot is freed
+  if (decision.expired) {
+    deployment.approval = { ...deployment.approval, status: 'expired', decidedAt: new Date() };
+    deployment.status = destroy ? 'destroying' : 'running';
+    addLog(`No decision on the plan within ${APPROVAL_TIMEOUT_MINUTES} minutes - resume the deployment to ask for approval again`, 'warning', 'approval');
+    throw new Error(`Plan not approved within ${APPROVAL_TIMEOUT_MINUTES} minutes`);
+  }
+  
+  // Another branch failed while we waited: there is nothing left to approve
+  if (decision.abandoned) {
+    deployment.approval = { ...deployment.approval, status: 'cancelled', decidedAt: new Date() };
+    deployment.status = destroy ? 'destroying' : 'running';
+    updateStep('approval', 'cancelled', decision.abandoned);
+    addLog(`Approval no longer needed: ${decision.abandoned}`, 'warning', 'approval');
+    throw new CancelledError(decision.abandoned);
+  }
+  
+  const decidedAt = new Date();
+  deployment.approval = {
+    ...deployment.approval,
+    status: decision.approved ? 'approved' : 'rejected',
+    approver: decision.approver,
+    comment: decision.comment,
+    decidedAt,
+    waitMs: decidedAt - new Date(deployment.approval.requestedAt)
+  };
+  
+  const verdict = `${decision.approved ? 'Approved' : 'Rejected'} by ${decision.approver}${decision.comment ? `: ${decision.comment}` : ''}`;
+  io.to(`deployment-${deploymentId}`).emit('approval-decision', {
+    deploymentId,
+    ...deployment.approval
+  });
+  
+  if (!decision.approved) {
+    updateStep('approval', 'rejected', verdict);
+    addLog(`Plan ${verdict.charAt(0).toLowerCase()}${verdict.slice(1)}`, 'warning', 'approval');
+    throw new ApprovalRejectedError(`Plan rejected by ${decision.approver}`);
+  }
+  
+  deployment.status = deployment.config.destroy_mode === true ? 'destroying' : 'running';
+  updateStep('approval', 'completed', verdict);
+  addLog(`Plan ${verdict.charAt(0).toLowerCase()}${verdict.slice(1)}`, 'success', 'approval');
+  return null;
+}
+
+// Step 8: Configure kubectl
+async function runKubectlConfigStep({ deployment, deploymentId, cancellation, updateStep, addLog }) {
+  updateStep('kubectl-config', 'running', 'Configuring kubectl...');
+  addLog('Setting up Kubernetes cluster access');
+  try {
+    const clusterName = getClusterName(deployment);
+    const kubeconfig = await createKubeconfig(deployment.config.awsCredentials, clusterName);
+    cancellation.throwIfCancelled();
+    
+    const kubeconfigPath = await saveKubeconfig(deploymentId, kubeconfig.content);
+    addLog(`Wrote kubeconfig for EKS cluster ${clusterName} (Kubernetes ${kubeconfig.cluster.version}, ${kubeconfig.cluster.endpoint})`);
+    
+    updateStep('kubectl-config', 'completed', `kubectl configured for ${clusterName}`);
+    return { kubeconfigPath, kubeconfigCluster: kubeconfig.cluster, kubeconfigExpiresAt: kubeconfig.expiresAt };
+  } catch (error) {
+    addLog(`kubectl configuration failed: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+// Kubernetes client for the deployment's cluster. The stored kubeconfig is
+// written again first when its token would expire within validForMs.
+async function connectToCluster(deployment, deploymentId, { validForMs, cancellation, addLog }) {
+  if (!deployment.kubeconfigExpiresAt || new Date(deployment.kubeconfigExpiresAt) - Date.now() < validForMs) {
+    const kubeconfig = await createKubeconfig(deployment.config.awsCredentials, getClusterName(deployment));
+    deployment.kubeconfigPath = await saveKubeconfig(deploymentId, kubeconfig.content);
+    deployment.kubeconfigCluster = kubeconfig.cluster;
+    deployment.kubeconfigExpiresAt = kubeconfig.expiresAt;
+    activeDeployments.save(deploymentId);
+    addLog('Refreshed the kubeconfig token');
+  }
+  
+  return createKubernetesClient(await fs.readFile(deployment.kubeconfigPath, 'utf8'), { signal: cancellation.signal });
+}
+
+// Step 9: Deploy Application - REAL IMPLEMENTATION
+async function runDeployAppStep({ deployment, deploymentId, cancellation, updateStep, addLog }) {
+  updateStep('deploy-app', 'running', 'Deploying application...');
+  addLog('Deploying application to EKS cluster');
+  try {
+    const imageUri = deployment.ecrImageUri || deployment.config.repository?.ecrImageUri;
+    if (!imageUri) {
+      throw new Error('Application image not available - push step may have failed');
+    }
+    
+    const client = await connectToCluster(deployment, deploymentId, {
+      validForMs: ROLLOUT_TIMEOUT_MS + 60000,
+      cancellation,
+      addLog
+    });
+    
+    const { namespace, name } = getAppIdentity(deployment.config);
+    const { deployMethod } = getAppSettings(deployment.config);
+    const manifests = renderManifests(deployment.config, imageUri);
+    let helmRelease;
+    if (deployMethod === 'helm') {
+      helmRelease = await installHelmRelease(deployment, imageUri, { cancellation, addLog });
+    } else {
+      for (const manifest of manifests) {
+        cancellation.throwIfCancelled();
+        await client.apply(manifest);
+        addLog(`Applied ${manifest.kind} ${[manifest.metadata.namespace, manifest.metadata.name].filter(Boolean).join('/')}`);
+      }
+    }
+    
+    updateStep('deploy-app', 'running', `Rolling out ${imageUri}...`);
+    const reportedProblems = new Set();
+    const progress = await waitForRollout(client, { namespace, name }, {
+      timeoutMs: ROLLOUT_TIMEOUT_MS,
+      sleep: (ms) => cancellation.sleep(ms),
+      onProgress: (rollout) => {
+        updateStep('deploy-app', 'running', `Rolling out: ${describeProgress(rollout)}`);
+        rollout.problems
+          .filter(problem => !reportedProblems.has(problem))
+          .forEach(problem => {
+            reportedProblems.add(problem);
+            addLog(problem, 'warning');
+          });
+      }
+    });
+    
+    updateStep('deploy-app', 'completed', `${progress.ready}/${progress.desired} replicas of ${name} ready`);
+    addLog(`Application rolled out to ${namespace}/${name}`, 'success');
+    return {
+      kubernetesApp: {
+        namespace,
+        name,
+        image: imageUri,
+        replicas: progress.desired,
+        exposure: getExposure(deployment.config),
+        deployMethod,
+        helmRelease,
+        objects: manifests.map(manifest => `${manifest.kind}/${manifest.metadata.name}`),
+        rolledOutAt: new Date()
+      }
+    };
+  } catch (error) {
+    addLog(`Application deployment failed: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+// Install or upgrade the application's Helm release with the chart of its
+// settings and the values of its environment. The chart, secret values
+// included, only exists for the length of the install.
+async function installHelmRelease(deployment, imageUri, { cancellation, addLog }) {
+  const { namespace, name } = getAppIdentity(deployment.config);
+  const tmpDir = tmp.dirSync({ unsafeCleanup: true });
+  try {
+    const chart = renderChart(deployment.config, imageUri, { includeSecrets: true });
+    const chartDir = await writeChart(chart, tmpDir.name);
+    const { stdout } = await runHelm([
+      'upgrade', '--install', name, chartDir,
+      '--namespace', namespace,
+      '--create-namespace',
+      '--values', path.join(chartDir, `values-${deployment.config.environment}.yaml`),
+      '--kubeconfig', deployment.kubeconfigPath
+    ], {
+      cancellation,
+      onOutput: (output, stream) => {
+        if (stream === 'stderr') {
+          addLog(`Helm: ${output.trim()}`, 'warning');
+        }
       }
+    });
+    
+    const revision = stdout.match(/REVISION: (\d+)/);
+    const release = { name, namespace, chartVersion: chart.version, revision: revision ? parseInt(revision[1], 10) : null };
+    addLog(`Installed Helm release ${namespace}/${name}${release.revision ? ` (revision ${release.revision})` : ''}`);
+    return release;
+  } finally {
+    tmpDir.removeCallback();
+  }
+}
+
+// Step 10: Verify Deployment - REAL IMPLEMENTATION
+async function runVerifyStep({ deployment, deploymentId, cancellation, updateStep, addLog }) {
+  updateStep('verify', 'running', 'Verifying deployment...');
+  addLog('Checking application health and accessibility');
+  const sleep = (ms) => cancellation.sleep(ms);
+  let client;
+  try {
+    if (!deployment.kubernetesApp) {
+      throw new Error('Application not deployed - deploy step may have failed');
+    }
+    const { namespace, name } = deployment.kubernetesApp;
+    
+    client = await connectToCluster(deployment, deploymentId, { validForMs: ROLLOUT_TIMEOUT_MS + 60000, cancellation, addLog });
+    await waitForRollout(client, { namespace, name }, {
+      timeoutMs: ROLLOUT_TIMEOUT_MS,
+      sleep,
+      onProgress: (rollout) => updateStep('verify', 'running', `Waiting for rollout: ${describeProgress(rollout)}`)
+    });
+    
+    const app = getAppSettings(deployment.config);
+    const exposure = getExposure(deployment.config);
+    const checkStartedAt = Date.now();
+    client = await connectToCluster(deployment, deploymentId, { validForMs: HEALTH_CHECK_TIMEOUT_MS + 60000, cancellation, addLog });
+    
+    let deploymentUrl = null;
+    let probe;
+    if (exposure === 'cluster') {
+      addLog(`No load balancer is configured; checking ${app.healthCheckPath} through the Kubernetes API`);
+      probe = () => client.proxyGet(namespace, name, 'http', app.healthCheckPath);
     } else {
-      updateStep('terraform-apply', 'running', 'Deploying infrastructure...');
-      addLog('Creating EKS cluster and related resources - this may take 10-15 minutes');
+      // A new load balancer takes a few minutes to be provisioned
+      updateStep('verify', 'running', 'Waiting for the load balancer address...');
+      const hostname = await waitForLoadBalancer(client, {
+        kind: exposure === 'application' ? 'Ingress' : 'Service',
+        namespace,
+        name
+      }, { timeoutMs: HEALTH_CHECK_TIMEOUT_MS, sleep });
+      deploymentUrl = `${deployment.config.loadBalancerConfig?.certificateArn ? 'https' : 'http'}://${hostname}`;
+      addLog(`Load balancer address: ${hostname}`);
+      probe = () => requestUrl(`${deploymentUrl}${app.healthCheckPath}`, { signal: cancellation.signal });
+    }
+    
+    const target = deploymentUrl ? `${deploymentUrl}${app.healthCheckPath}` : `${namespace}/${name}${app.healthCheckPath}`;
+    await waitForHealthy(probe, {
+      expectedStatus: app.healthCheckExpectedStatus,
+      timeoutMs: Math.max(HEALTH_CHECK_TIMEOUT_MS - (Date.now() - checkStartedAt), 0),
+      sleep,
+      onAttempt: ({ attempt, result }) => updateStep('verify', 'running',
+        `Checking ${target} (attempt ${attempt}): ${result.error || `HTTP ${result.status}`}`)
+    });
+    
+    updateStep('verify', 'completed', `${target} returned HTTP ${app.healthCheckExpectedStatus}`);
+    addLog(`Application is healthy: ${target} returned HTTP ${app.healthCheckExpectedStatus}`, 'success');
+    return { deploymentUrl };
+  } catch (error) {
+    // The pods' warning events usually say why they are not serving
+    if (client && !cancellation.cancelled) {
       try {
-        await executeTerraform('apply', ['-auto-approve', 'tfplan'], deployment.terraformWorkingDir, deploymentId, io);
-        
-        // Get terraform outputs
-        try {
-          const outputResult = await executeTerraform('output', ['-json'], deployment.terraformWorkingDir, deploymentId, io);
-          deployment.terraformOutputs = JSON.parse(outputResult.stdout);
-          addLog('Retrieved Terraform outputs');
-        } catch (outputError) {
-          addLog('Failed to parse terraform outputs, but deployment may have succeeded', 'warn');
+        const { namespace } = deployment.kubernetesApp;
+        const pods = await client.listPods(namespace, getAppIdentity(deployment.config).selector);
+        const warnings = await getPodWarnings(client, namespace, pods);
+        warnings.forEach(warning => addLog(warning, 'warning'));
+        if (warnings.length > 0) {
+          error.message = `${error.message}; recent pod events: ${warnings.slice(-3).join('; ')}`;
         }
+      } catch (eventsError) {
+        logger.warn(`Could not read pod events for deployment ${deploymentId}: ${eventsError.message}`);
+      }
+    }
+    addLog(`Deployment verification failed: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+// Whether an apply started and then failed, was cancelled or was interrupted
+const applyStopped = (deployment) => deployment.steps.some(step =>
+  step.id === 'terraform-apply' && ['failed', 'cancelled'].includes(step.status));
+
+// Functions that run pipeline steps, by the handler name used in pipeline
+// definitions. `hasOutputs` checks that what a completed step produced is
+// still usable, so a resumed deployment can skip it safely.
+const STEP_HANDLERS = {
+  'clone': { run: runCloneStep, hasOutputs: (deployment) => pathExists(deployment.repositoryPath || '') },
+  'build': { run: runBuildStep, hasOutputs: (deployment) => Boolean(deployment.imageName) },
+  'ecr-setup': { run: runEcrSetupStep, hasOutputs: (deployment) => Boolean(deployment.ecrRepository) },
+  'push': { run: runPushStep, hasOutputs: (deployment) => Boolean(deployment.ecrImageUri) },
+  'terraform-backend': { run: runTerraformBackendStep, hasOutputs: (deployment) => Boolean(deployment.terraformBackend) },
+  'terraform-init': {
+    run: runTerraformInitStep,
+    // A later deployment of the stack may have rewritten the working directory
+    hasOutputs: async (deployment) => holdsStackWorkingDir(deployment) &&
+      pathExists(path.join(deployment.terraformWorkingDir || '', '.terraform'))
+  },
+  'terraform-plan': {
+    run: runTerraformPlanStep,
+    // Terraform rejects a saved plan once an apply has been started with it
+    hasOutputs: async (deployment) => !applyStopped(deployment) &&
+      pathExists(deployment.terraformPlanFile || '')
+  },
+  'approval': { run: runApprovalStep },
+  'terraform-apply': { run: runTerraformApplyStep },
+  'kubectl-config': {
+    run: runKubectlConfigStep,
+    // The kubeconfig's token is only accepted for a few minutes
+    hasOutputs: async (deployment) => Boolean(deployment.kubeconfigExpiresAt) &&
+      new Date(deployment.kubeconfigExpiresAt) > new Date() &&
+      pathExists(deployment.kubeconfigPath || '')
+  },
+  'deploy-app': { run: runDeployAppStep },
+  'verify': { run: runVerifyStep }
+};
+
+// Every pipeline step must name a registered handler
+listPipelines().forEach(pipeline => pipeline.steps.forEach(step => {
+  if (!STEP_HANDLERS[step.handler]) {
+    throw new Error(`Pipeline ${pipeline.id} step ${step.id} uses unknown handler ${step.handler}`);
+  }
+}));
+
+// The pipeline a deployment runs; complete deployments are the only kind so far
+const getDeploymentPipeline = (deployment) => getPipeline(deployment.type) || getPipeline('complete-deployment');
+
+// The only steps a destroy or stack re-plan runs, or null when the whole
+// pipeline applies
+const getScopedStepIds = (deployment) => {
+  if (deployment.config.destroy_mode === true) {
+    return DESTROY_STEP_IDS;
+  }
+  return deployment.replanOf ? STACK_PLAN_STEP_IDS : null;
+};
+
+// Find the steps a resumed deployment runs again: those that did not
+// complete, completed steps whose recorded outputs are gone, and every step
+// that depends on one of those
+async function findResumeSteps(deployment) {
+  const rerun = new Set();
+  
+  // Pipelines list steps after their dependencies, so one pass is enough
+  for (const step of getDeploymentPipeline(deployment).steps) {
+    const scopedStepIds = getScopedStepIds(deployment);
+    if (getSkipReason(step, deployment.config) ||
+      (scopedStepIds && !scopedStepIds.includes(step.id))) {
+      continue;
+    }
+    
+    const record = deployment.steps.find(s => s.id === step.id);
+    const { hasOutputs } = STEP_HANDLERS[step.handler];
+    if ((step.dependsOn || []).some(dependency => rerun.has(dependency)) ||
+      !record || record.status !== 'completed' ||
+      (hasOutputs && !(await hasOutputs(deployment)))) {
+      rerun.add(step.id);
+    }
+  }
+  return Array.from(rerun);
+}
+
+// Process complete deployment, optionally running only some of its steps;
+// steps left out count as already done
+async function processDeployment(deploymentId, io, { stepIds } = {}) {
+  const deployment = activeDeployments.get(deploymentId);
+  if (!deployment) {
+    throw new Error('Deployment not found');
+  }
+  
+  const updateStep = (stepId, status, message = '') => {
+    const step = deployment.steps.find(s => s.id === stepId);
+    if (step) {
+      step.status = status;
+      step.message = message;
+      step.timestamp = new Date();
+    }
+    activeDeployments.save(deploymentId);
+    
+    io.to(`deployment-${deploymentId}`).emit('step-update', {
+      deploymentId,
+      stepId,
+      status,
+      message,
+      timestamp: new Date()
+    });
+  };
+  
+  const addLog = (message, level = 'info', stepId = null) => {
+    const logEntry = {
+      timestamp: new Date(),
+      message,
+      level,
+      stepId
+    };
+    deployment.logs.push(logEntry);
+    activeDeployments.save(deploymentId);
+    
+    // Emit to both old and new event names for compatibility
+    io.to(`deployment-${deploymentId}`).emit('deployment-log', {
+      deploymentId,
+      ...logEntry
+    });
+    
+    io.to(`deployment-${deploymentId}`).emit('realTimeLog', {
+      message,
+      level,
+      stepId
+    });
+  };
+  
+  // Record a failed attempt on the step and announce the upcoming retry
+  const recordRetry = (stepId, { attempt, maxAttempts, delayMs, error, errorClasses }) => {
+    const step = deployment.steps.find(s => s.id === stepId);
+    const retryEntry = {
+      attempt,
+      maxAttempts,
+      delayMs,
+      error: error.message,
+      errorClasses,
+      timestamp: new Date()
+    };
+    
+    const message = `Attempt ${attempt}/${maxAttempts} failed, retrying in ${Math.round(delayMs / 1000)}s`;
+    
+    if (step) {
+      step.status = 'retrying';
+      step.message = message;
+      step.timestamp = new Date();
+      step.retries = [...(step.retries || []), retryEntry];
+    }
+    activeDeployments.save(deploymentId);
+    
+    io.to(`deployment-${deploymentId}`).emit('step-update', {
+      deploymentId,
+      stepId,
+      status: 'retrying',
+      message,
+      event: 'retry',
+      retry: retryEntry,
+      timestamp: new Date()
+    });
+    addLog(`${step ? step.name : stepId} failed (${errorClasses.join(', ')}): ${error.message} - retrying in ${Math.round(delayMs / 1000)}s (attempt ${attempt + 1}/${maxAttempts})`, 'warning', stepId);
+  };
+  
+  const cancellation = createCancellationToken();
+  cancellationTokens.set(deploymentId, cancellation);
+  
+  const context = { deployment, deploymentId, io, cancellation, updateStep, addLog };
+  const isDestroyMode = deployment.config.destroy_mode === true;
+  const { steps } = getDeploymentPipeline(deployment);
+  const unknownStep = (stepIds || []).find(stepId => !steps.some(step => step.id === stepId));
+  if (unknownStep) {
+    cancellationTokens.delete(deploymentId);
+    throw new Error(`Unknown deployment step: ${unknownStep}`);
+  }
+  
+  const runStep = async (step) => {
+    cancellation.throwIfCancelled();
+    
+    const skipReason = getSkipReason(step, deployment.config);
+    if (skipReason) {
+      updateStep(step.id, 'skipped', skipReason);
+      addLog(`${step.name} skipped: ${skipReason}`, 'info', step.id);
+      return;
+    }
+    
+    deployment.currentStep = steps.indexOf(step);
+    const { run } = STEP_HANDLERS[step.handler];
+    let outputs;
+    try {
+      outputs = await retryWithBackoff(() => run(context), step.retry, {
+        onRetry: (retry) => recordRetry(step.id, retry),
+        sleep: (ms) => cancellation.sleep(ms)
+      });
+    } catch (error) {
+      // Other branches may still be running, so mark which step broke
+      if (!(error instanceof CancelledError) && !(error instanceof ApprovalRejectedError) && !cancellation.cancelled) {
+        updateStep(step.id, 'failed', error.message);
         
-        updateStep('terraform-apply', 'completed', 'Infrastructure deployed successfully');
-        addLog('Terraform apply completed successfully - AWS resources created');
-      } catch (error) {
-        addLog(`Infrastructure deployment failed: ${error.message}`, 'error');
-        throw error;
+        // The graph waits for running steps, and a pending approval would
+        // otherwise keep the deployment awaiting a plan that can't be applied
+        const settleApproval = approvalWaiters.get(deploymentId);
+        if (settleApproval) {
+          settleApproval({ abandoned: `${step.name} failed` });
+        }
       }
+      throw error;
     }
     
-    // Skip application deployment steps if in destroy mode
-    if (!isDestroyMode) {
-      // Step 8: Configure kubectl
-      updateStep('kubectl-config', 'running', 'Configuring kubectl...');
-      addLog('Setting up Kubernetes cluster access');
-      await new Promise(resolve => setTimeout(resolve, 2000)); // Simulate
-      updateStep('kubectl-config', 'completed', 'kubectl configured');
-      
-      // Step 9: Deploy Application
-      updateStep('deploy-app', 'running', 'Deploying application...');
-      addLog('Deploying application to EKS cluster');
-      await new Promise(resolve => setTimeout(resolve, 5000)); // Simulate
-      updateStep('deploy-app', 'completed', 'Application deployed successfully');
-      
-      // Step 10: Verify Deployment
-      updateStep('verify', 'running', 'Verifying deployment...');
-      addLog('Checking application health and accessibility');
-      await new Promise(resolve => setTimeout(resolve, 3000)); // Simulate
-      updateStep('verify', 'completed', 'Deployment verified successfully');
-      
-      deployment.deploymentUrl = deployment.terraformOutputs?.application_url?.value || 
-        `https://${deployment.config.projectName}-${deployment.config.environment}.example.com`;
+    // Record what the step produced so later steps and resumes can reuse it.
+    // Only on the deployment: steps are sent to clients as they are, and
+    // outputs such as Terraform's are only sent through their masking routes.
+    if (outputs) {
+      Object.assign(deployment, outputs);
+      activeDeployments.save(deploymentId);
     }
+  };
+  
+  try {
+    deployment.status = isDestroyMode ? 'destroying' : 'running';
+    deployment.startedAt = new Date();
+    activeDeployments.save(deploymentId);
+    
+    // Independent steps (e.g. the image build and terraform init/plan) run concurrently
+    await runStepGraph(stepIds ? steps.filter(step => stepIds.includes(step.id)) : steps, runStep);
     
     deployment.status = 'completed';
     deployment.completedAt = new Date();
+    activeDeployments.save(deploymentId);
     
     const completionMessage = isDestroyMode ? 'Infrastructure destruction completed successfully!' : 'Deployment completed successfully!';
     addLog(completionMessage);
     
     io.to(`deployment-${deploymentId}`).emit('deployment-completed', {
       deploymentId,
-      deploymentUrl: deployment.deploymentUrl,
-      timestamp: new Date(),
-      isDestroy: isDestroyMode
+      deploymentUrl: deployment.deploymentUrl,
+      timestamp: new Date(),
+      isDestroy: isDestroyMode,
+      destroyTargets: isDestroyMode ? deployment.config.destroy_targets || [] : undefined
+    });
+    
+  } catch (error) {
+    // A killed process surfaces as an ordinary failure, so check the token too
+    if (error instanceof CancelledError || cancellation.cancelled) {
+      finishCancellation(deployment, io, updateStep, addLog, cancellation.reason);
+      return;
+    }
+    
+    // A rejected plan stops the deployment without it counting as a failure
+    if (error instanceof ApprovalRejectedError) {
+      deployment.status = 'rejected';
+      deployment.error = error.message;
+      // The infrastructure stays; a resume plans a normal apply again
+      if (isDestroyMode) {
+        deployment.config.destroy_mode = false;
+        deployment.terraformPlanFile = undefined;
+      }
+      activeDeployments.save(deploymentId);
+      
+      io.to(`deployment-${deploymentId}`).emit('deployment-rejected', {
+        deploymentId,
+        approval: deployment.approval,
+        steps: deployment.steps,
+        timestamp: new Date()
+      });
+      return;
+    }
+    
+    deployment.status = 'failed';
+    deployment.error = error.message;
+    activeDeployments.save(deploymentId);
+    addLog(`Deployment failed: ${error.message}`, 'error');
+    throw error;
+  } finally {
+    cancellationTokens.delete(deploymentId);
+  }
+}
+
+// Mark a deployment whose steps have stopped as cancelled
+function finishCancellation(deployment, io, updateStep, addLog, reason) {
+  deployment.steps
+    .filter(step => ['running', 'retrying', 'awaiting-approval'].includes(step.status))
+    .forEach(step => updateStep(step.id, 'cancelled', 'Cancelled'));
+  
+  deployment.status = 'cancelled';
+  deployment.cancelledAt = new Date();
+  deployment.error = undefined;
+  activeDeployments.save(deployment.id);
+  addLog(reason || 'Deployment cancelled', 'warning');
+  
+  logger.info(`Deployment ${deployment.id} cancelled`);
+  
+  io.to(`deployment-${deployment.id}`).emit('deployment-cancelled', {
+    deploymentId: deployment.id,
+    steps: deployment.steps,
+    reason,
+    supersededBy: deployment.supersededBy,
+    timestamp: new Date()
+  });
+}
+
+// Put a deployment in the job queue. The queue key is the project, so one
+// project's deployments never take every worker slot.
+function enqueueDeployment(deployment, io, { stepIds, onFailure } = {}) {
+  queueIo = io;
+  
+  deployment.status = 'queued';
+  deployment.queuedAt = new Date();
+  activeDeployments.save(deployment.id);
+  
+  return deploymentQueue.enqueue(deployment.id, {
+    key: deployment.config.projectName,
+    // Deployments of one stack share a Terraform state key, so never run together
+    lock: getStackKey(deployment.config),
+    meta: {
+      projectName: deployment.config.projectName,
+      environment: deployment.config.environment,
+      destroy: deployment.config.destroy_mode === true
+    },
+    run: () => processDeployment(deployment.id, io, { stepIds }).catch(onFailure)
+  });
+}
+
+// Queued and running deployments, other than `excludeId`, for a stack;
+// the running one first. Drift checks hold the stack's lock too, but only
+// briefly and without changing it, so they are not conflicts.
+function findStackJobs(config, excludeId) {
+  const stackKey = getStackKey(config);
+  const { running, queued } = deploymentQueue.snapshot();
+  return [...running, ...queued].filter(job => job.lock === stackKey && job.id !== excludeId && !isDriftCheckJob(job));
+}
+
+// The deployment in the way of a new one for the same stack, if any
+function findStackConflict(config, excludeId) {
+  const jobs = findStackJobs(config, excludeId);
+  if (jobs.length === 0) {
+    return null;
+  }
+  
+  const [job] = jobs;
+  const other = activeDeployments.get(job.id);
+  return {
+    deploymentId: job.id,
+    stack: job.lock,
+    status: other ? other.status : 'queued',
+    queuePosition: job.position || 0,
+    destroy: job.destroy,
+    startTime: other ? other.startTime : job.queuedAt,
+    waiting: jobs.length - 1
+  };
+}
+
+// Body of the 409 sent when the caller asked to reject on a stack conflict
+const stackConflictResponse = (conflict) => ({
+  success: false,
+  error: 'Another deployment is in progress for this stack',
+  message: `Deployment ${conflict.deploymentId} is ${conflict.status} for ${conflict.stack}`,
+  conflict,
+  strategies: STACK_CONFLICT_STRATEGIES
+});
+
+// Record how a stack conflict was resolved. Superseding cancels every other
+// deployment for the stack; the new one still waits in the queue until the
+// running one has stopped.
+function resolveStackConflict(deployment, conflict, strategy, io) {
+  deployment.stackConflict = {
+    deploymentId: conflict.deploymentId,
+    strategy,
+    timestamp: new Date()
+  };
+  activeDeployments.save(deployment.id);
+  
+  logger.info(`Deployment ${deployment.id} conflicts with ${conflict.deploymentId} on ${conflict.stack}, strategy: ${strategy}`);
+  
+  if (strategy === 'supersede') {
+    findStackJobs(deployment.config, deployment.id).forEach(job => {
+      const superseded = activeDeployments.get(job.id);
+      if (superseded && !TERMINAL_STATUSES.includes(superseded.status)) {
+        superseded.supersededBy = deployment.id;
+        requestCancellation(superseded, io, `Superseded by deployment ${deployment.id}`);
+      }
+    });
+  }
+}
+
+// Check the deployment's stack against the request's conflictStrategy
+// (default 'reject'). Returns null after sending an error response when the
+// request must not go ahead, otherwise { conflict, strategy } to resolve
+// once the deployment is stored.
+function checkStackConflict(req, res, deployment) {
+  const strategy = (req.body && req.body.conflictStrategy) || 'reject';
+  if (!STACK_CONFLICT_STRATEGIES.includes(strategy)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid conflict strategy',
+      message: `conflictStrategy must be one of: ${STACK_CONFLICT_STRATEGIES.join(', ')}`
+    });
+    return null;
+  }
+  
+  const conflict = findStackConflict(deployment.config, deployment.id);
+  if (conflict && strategy === 'reject') {
+    res.status(409).json(stackConflictResponse(conflict));
+    return null;
+  }
+  
+  return { conflict, strategy };
+}
+
+// The request fields that give back each secret the store withholds from disk
+const SECRET_FIELDS = {
+  'config.awsCredentials.secretAccessKey': 'awsCredentials',
+  'config.awsCredentials.sessionToken': 'awsCredentials',
+  'config.repository.accessToken': 'accessToken',
+  'config.appConfig.secrets': 'secrets'
+};
+
+// Give a deployment the credentials and secrets in the request. Those kept
+// only in memory are lost when the server restarts, so they have to be sent
+// again before the deployment can run. Returns false after sending an error
+// response when any of the `required` request fields is still missing.
+function restoreSecrets(req, res, deployment, required = ['awsCredentials', 'accessToken', 'secrets']) {
+  const { awsCredentials, accessToken, secrets } = req.body || {};
+  const { config } = deployment;
+  
+  if (awsCredentials) {
+    if (awsCredentials.region !== config.awsCredentials.region) {
+      res.status(400).json({
+        success: false,
+        error: 'Invalid AWS credentials',
+        message: `Deployment ${deployment.id} is in ${config.awsCredentials.region}`
+      });
+      return false;
+    }
+    config.awsCredentials = awsCredentials;
+  }
+  if (accessToken) {
+    config.repository = { ...config.repository, accessToken };
+  }
+  if (secrets) {
+    config.appConfig = { ...config.appConfig, secrets };
+  }
+  
+  const missing = Array.from(new Set(getMissingSecrets(deployment).map(secretPath => SECRET_FIELDS[secretPath])))
+    .filter(field => required.includes(field));
+  if (missing.length > 0) {
+    res.status(400).json({
+      success: false,
+      error: 'Credentials required',
+      message: `The server does not keep credentials or secrets across restarts; send ${missing.join(', ')} again`,
+      missing
+    });
+    return false;
+  }
+  
+  activeDeployments.save(deployment.id);
+  return true;
+}
+
+// Stop a deployment. A running one stops its processes first and
+// processDeployment marks it cancelled once the current step has unwound;
+// a queued one never started, so it is cancelled straight away.
+function requestCancellation(deployment, io, reason) {
+  const deploymentId = deployment.id;
+  const cancellation = cancellationTokens.get(deploymentId);
+  if (cancellation) {
+    deployment.status = 'cancelling';
+    deployment.cancelRequestedAt = new Date();
+    activeDeployments.save(deploymentId);
+    
+    logger.info(`Cancelling deployment ${deploymentId}: ${reason}`);
+    cancellation.cancel(reason);
+    return deployment.status;
+  }
+  
+  deploymentQueue.remove(deploymentId);
+  
+  deployment.status = 'cancelled';
+  deployment.cancelledAt = new Date();
+  activeDeployments.save(deploymentId);
+  
+  logger.info(`Deployment ${deploymentId} cancelled: ${reason}`);
+  
+  io.to(`deployment-${deploymentId}`).emit('deployment-cancelled', {
+    deploymentId,
+    reason,
+    supersededBy: deployment.supersededBy,
+    timestamp: new Date()
+  });
+  return deployment.status;
+}
+
+// Tell every waiting deployment where it now stands in the queue
+function broadcastQueuePositions(queue) {
+  if (!queueIo) {
+    return;
+  }
+  
+  const { running, queued } = queue.snapshot();
+  [...running, ...queued].filter(job => !isDriftCheckJob(job)).forEach(job => {
+    queueIo.to(`deployment-${job.id}`).emit('queue-update', {
+      deploymentId: job.id,
+      position: job.position || 0,
+      queueLength: queued.length,
+      running: running.length,
+      timestamp: new Date()
+    });
+  });
+}
+
+// Resume a failed or interrupted deployment from its last completed step
+router.post('/resume/:deploymentId', validateResumeRequest, async (req, res) => {
+  try {
+    const { deploymentId } = req.params;
+    const deployment = activeDeployments.get(deploymentId);
+    
+    if (!deployment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Deployment not found'
+      });
+    }
+    
+    if (deployment.type !== 'complete-deployment') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only complete deployments can be resumed'
+      });
+    }
+    
+    if (!RESUMABLE_STATUSES.includes(deployment.status)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Deployment cannot be resumed',
+        message: `Deployment is ${deployment.status}`
+      });
+    }
+    
+    const stepIds = await findResumeSteps(deployment);
+    if (stepIds.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Deployment cannot be resumed',
+        message: 'All steps have already completed'
+      });
+    }
+    
+    if (!restoreSecrets(req, res, deployment)) {
+      return;
+    }
+    
+    const stackCheck = checkStackConflict(req, res, deployment);
+    if (!stackCheck) {
+      return;
+    }
+    
+    deployment.steps.filter(step => stepIds.includes(step.id)).forEach(step => {
+      step.status = 'pending';
+      step.message = '';
+      delete step.retries;
+    });
+    
+    deployment.error = undefined;
+    deployment.resumedAt = new Date();
+    deployment.resumeCount = (deployment.resumeCount || 0) + 1;
+    deployment.stackConflict = undefined;
+    
+    recordStackDeployment(deployment);
+    if (stackCheck.conflict) {
+      resolveStackConflict(deployment, stackCheck.conflict, stackCheck.strategy, req.io);
+    }
+    
+    logger.info(`Resuming deployment ${deploymentId}, running steps: ${stepIds.join(', ')}`);
+    
+    const queuePosition = enqueueDeployment(deployment, req.io, {
+      stepIds,
+      onFailure: (error) => {
+        logger.error(`Resumed deployment ${deploymentId} failed:`, error);
+        
+        req.io.to(`deployment-${deploymentId}`).emit('deployment-failed', {
+          deploymentId,
+          error: error.message,
+          timestamp: new Date()
+        });
+      }
+    });
+    
+    res.json({
+      success: true,
+      deploymentId,
+      status: deployment.status,
+      queuePosition,
+      stackConflict: deployment.stackConflict,
+      resumedFrom: stepIds[0],
+      resumedSteps: stepIds,
+      steps: deployment.steps
+    });
+  } catch (error) {
+    logger.error('Failed to resume deployment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resume deployment',
+      message: error.message
+    });
+  }
+});
+
+// Destroy a deployment's infrastructure, or only the modules or resources
+// listed in `targets`. Runs `terraform plan -destroy` and waits for the
+// destroy plan to be approved before applying it.
+router.post('/destroy/:deploymentId', validateDestroyRequest, async (req, res) => {
+  try {
+    const { deploymentId } = req.params;
+    const deployment = activeDeployments.get(deploymentId);
+    
+    if (!deployment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Deployment not found'
+      });
+    }
+    
+    if (deployment.type !== 'complete-deployment' || !deployment.config) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only complete deployments can be destroyed'
+      });
+    }
+    
+    // Destroy plans against the deployment's Terraform state, so it must have
+    // got as far as a working directory or a state backend
+    if (!deployment.terraformWorkingDir && !deployment.terraformBackend) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to destroy',
+        message: `Deployment ${deploymentId} never reached the infrastructure steps`
+      });
+    }
+    
+    if (deploymentQueue.position(deploymentId) !== null) {
+      return res.status(409).json({
+        success: false,
+        error: 'Deployment is already queued or running'
+      });
+    }
+    
+    if (!restoreSecrets(req, res, deployment, ['awsCredentials'])) {
+      return;
+    }
+    
+    const stackCheck = checkStackConflict(req, res, deployment);
+    if (!stackCheck) {
+      return;
+    }
+    
+    const { targets } = req.body;
+    deployment.config.destroy_mode = true;
+    deployment.config.destroy_targets = targets;
+    deployment.stackConflict = undefined;
+    deployment.error = undefined;
+    
+    // The working directory is reused while it still holds an initialized configuration
+    const reuseWorkingDir = await STEP_HANDLERS['terraform-init'].hasOutputs(deployment);
+    const stepIds = DESTROY_STEP_IDS.filter(stepId => stepId !== 'terraform-init' || !reuseWorkingDir);
+    deployment.steps.filter(step => stepIds.includes(step.id)).forEach(step => {
+      step.status = 'pending';
+      step.message = '';
+      delete step.retries;
+    });
+    
+    recordStackDeployment(deployment);
+    if (stackCheck.conflict) {
+      resolveStackConflict(deployment, stackCheck.conflict, stackCheck.strategy, req.io);
+    }
+    
+    logger.info(`Queueing terraform destroy of ${describeDestroyTargets(deployment.config)} for deployment ${deploymentId}`);
+    
+    const queuePosition = enqueueDeployment(deployment, req.io, {
+      stepIds,
+      onFailure: (error) => {
+        logger.error(`Destroy ${deploymentId} failed:`, error);
+        deployment.status = 'destroy-failed';
+        deployment.error = error.message;
+        activeDeployments.save(deploymentId);
+        
+        req.io.to(`deployment-${deploymentId}`).emit('deployment-failed', {
+          deploymentId,
+          error: error.message,
+          timestamp: new Date()
+        });
+      }
+    });
+    
+    res.json({
+      success: true,
+      deploymentId,
+      status: deployment.status,
+      queuePosition,
+      stackConflict: deployment.stackConflict,
+      targets,
+      steps: deployment.steps,
+      message: 'Terraform destroy queued; the destroy plan needs approval before anything is removed'
+    });
+  } catch (error) {
+    logger.error('Failed to start terraform destroy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start terraform destroy',
+      message: error.message
+    });
+  }
+});
+
+// Approve or reject the plan of a deployment waiting at the approval gate
+const decideApproval = (approved) => (req, res) => {
+  const { deploymentId } = req.params;
+  const deployment = activeDeployments.get(deploymentId);
+  
+  if (!deployment) {
+    return res.status(404).json({
+      success: false,
+      error: 'Deployment not found'
+    });
+  }
+  
+  const resolveApproval = approvalWaiters.get(deploymentId);
+  if (!resolveApproval) {
+    return res.status(409).json({
+      success: false,
+      error: 'Deployment is not awaiting approval',
+      message: `Deployment is ${deployment.status}`
+    });
+  }
+  
+  const { approver, comment, confirmation } = req.body;
+  if (approved && deployment.approval && deployment.approval.confirmationRequired && confirmation !== deployment.config.projectName) {
+    return res.status(400).json({
+      success: false,
+      error: 'Confirmation required',
+      message: `Type the project name "${deployment.config.projectName}" to approve destroying ${deployment.config.environment} infrastructure`
+    });
+  }
+  
+  logger.info(`Deployment ${deploymentId} plan ${approved ? 'approved' : 'rejected'} by ${approver}`);
+  resolveApproval({ approved, approver, comment });
+  
+  res.json({
+    success: true,
+    deploymentId,
+    status: deployment.status,
+    approval: deployment.approval
+  });
+};
+
+router.post('/approve/:deploymentId', validateApprovalDecision, decideApproval(true));
+router.post('/reject/:deploymentId', validateApprovalDecision, decideApproval(false));
+
+// Get the pipeline definitions deployments run, for the UI to render steps from
+router.get('/pipelines', (req, res) => {
+  res.json({
+    success: true,
+    pipelines: listPipelines().map(pipeline => ({
+      ...pipeline,
+      layout: getPipelineLayout(pipeline)
+    }))
+  });
+});
+
+// Get deployment status
+router.get('/status/:deploymentId', (req, res) => {
+  const { deploymentId } = req.params;
+  const deployment = activeDeployments.get(deploymentId);
+  
+  if (!deployment) {
+    return res.status(404).json({
+      success: false,
+      error: 'Deployment not found'
+    });
+  }
+  
+  res.json({
+    success: true,
+    deployment: {
+      id: deployment.id,
+      type: deployment.type,
+      status: deployment.status,
+      startTime: deployment.startTime,
+      completedAt: deployment.completedAt,
+      steps: deployment.steps,
+      currentStep: deployment.currentStep,
+      queuePosition: deploymentQueue.position(deploymentId),
+      queuedAt: deployment.queuedAt,
+      stackConflict: deployment.stackConflict,
+      supersededBy: deployment.supersededBy,
+      planSummary: deployment.terraformPlanSummary,
+      costEstimate: getCostSummary(deployment.costEstimate),
+      approval: deployment.approval,
+      template: deployment.terraformTemplate,
+      adoptedResources: deployment.adoptedResources,
+      drift: getDriftBadge(deployment.drift),
+      stackId: deployment.stackId,
+      replanOf: deployment.replanOf,
+      deploymentUrl: deployment.deploymentUrl,
+      error: deployment.error,
+      logs: deployment.logs.slice(-50) // Last 50 logs
+    }
+  });
+});
+
+// Estimate the monthly cost of a deployment config before it is planned,
+// from the Terraform variables it would generate
+router.post('/estimate', validateCostEstimateRequest, (req, res) => {
+  try {
+    const { variables, environment = variables.environment } = req.body;
+    const estimate = estimateFromVariables(generateTerraformVars({ environment, terraformConfig: variables }));
+    estimate.budget = checkBudget(estimate, environment);
+    
+    res.json({
+      success: true,
+      estimate
+    });
+  } catch (error) {
+    logger.error('Failed to estimate deployment cost:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to estimate deployment cost',
+      message: error.message
+    });
+  }
+});
+
+// The application image of a deployment that has not run yet: until the
+// image is pushed, the name it will be pushed under
+const getPlannedImage = (config) => config.repository?.ecrImageUri ||
+  `<aws-account-id>.dkr.ecr.${config.awsCredentials?.region || '<region>'}.amazonaws.com/${config.repository?.ecrRepositoryName || config.projectName}:${config.repository?.imageTag || 'latest'}`;
+
+// Render the Kubernetes manifests a deployment request would apply, without
+// starting it. Takes the /start payload, with credentials optional. The
+// Secret holding secret values is left out; the Deployment shows which keys
+// it references.
+router.post('/manifests/preview', validateManifestPreviewRequest, (req, res) => {
+  try {
+    const config = buildDeploymentConfig(req.body);
+    const imageUri = getPlannedImage(config);
+    
+    const manifests = renderManifests(config, imageUri, { includeSecrets: false });
+    const { namespace, name } = getAppIdentity(config);
+    
+    res.json({
+      success: true,
+      namespace,
+      name,
+      image: imageUri,
+      secretKeys: Object.keys(getAppSettings(config).secrets),
+      manifests,
+      yaml: toYaml(manifests)
+    });
+  } catch (error) {
+    logger.error('Failed to render manifests:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to render manifests',
+      message: error.message
+    });
+  }
+});
+
+// Download a Helm chart of the application a deployment request would deploy,
+// for installing it with other tooling. Takes the same body as the manifest
+// preview; secret values are left blank in the chart.
+router.post('/helm/chart', validateManifestPreviewRequest, async (req, res) => {
+  try {
+    const config = buildDeploymentConfig(req.body);
+    const chart = renderChart(config, getPlannedImage(config));
+    const archive = await packageChart(chart);
+    
+    res.set('Content-Type', 'application/gzip');
+    res.set('Content-Disposition', `attachment; filename="${chart.name}-${chart.version}.tgz"`);
+    res.send(archive);
+  } catch (error) {
+    logger.error('Failed to generate Helm chart:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate Helm chart',
+      message: error.message
+    });
+  }
+});
+
+// Get the resource changes of the deployment's latest Terraform plan
+router.get('/plan/:deploymentId', (req, res) => {
+  const { deploymentId } = req.params;
+  const deployment = activeDeployments.get(deploymentId);
+  
+  if (!deployment) {
+    return res.status(404).json({
+      success: false,
+      error: 'Deployment not found'
+    });
+  }
+  
+  if (!deployment.terraformPlan) {
+    return res.status(404).json({
+      success: false,
+      error: 'Plan not found',
+      message: deployment.terraformPlanSummary
+        ? 'The structured plan could not be read; only the summary is available'
+        : 'This deployment has not created a Terraform plan yet',
+      planSummary: deployment.terraformPlanSummary
+    });
+  }
+  
+  res.json({
+    success: true,
+    deploymentId,
+    plan: deployment.terraformPlan,
+    costEstimate: deployment.costEstimate
+  });
+});
+
+// Get the resources in the deployment's Terraform state, with sensitive
+// attributes masked and links to the AWS console where there is a page
+router.get('/state/:deploymentId', async (req, res) => {
+  try {
+    const { deploymentId } = req.params;
+    const deployment = activeDeployments.get(deploymentId);
+    
+    if (!deployment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Deployment not found'
+      });
+    }
+    
+    const unavailable = await getStateUnavailableReason(deployment);
+    if (unavailable) {
+      return res.status(409).json({
+        success: false,
+        error: 'Terraform state not available',
+        message: unavailable
+      });
+    }
+    
+    const state = summarizeStateJson(JSON.parse(await readTerraform(deployment, 'show', ['-json'])));
+    const { region } = deployment.config.awsCredentials;
+    
+    res.json({
+      success: true,
+      deploymentId,
+      state: {
+        ...state,
+        resources: state.resources.map(resource => ({
+          ...resource,
+          consoleUrl: getConsoleUrl(resource.type, resource.attributes, region)
+        }))
+      }
     });
-    
   } catch (error) {
-    deployment.status = 'failed';
-    deployment.error = error.message;
-    addLog(`Deployment failed: ${error.message}`, 'error');
-    throw error;
+    logger.error('Failed to read Terraform state:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read Terraform state',
+      message: error.message
+    });
   }
-}
+});
 
-// Terraform destroy endpoint
-router.post('/destroy/:deploymentId', async (req, res) => {
+// Get every Terraform output of the deployment, sensitive values masked.
+// Read from state while the working directory exists, otherwise the outputs
+// recorded after the last apply.
+router.get('/outputs/:deploymentId', async (req, res) => {
   try {
     const { deploymentId } = req.params;
     const deployment = activeDeployments.get(deploymentId);
@@ -731,68 +2024,114 @@ router.post('/destroy/:deploymentId', async (req, res) => {
       });
     }
     
-    // Set destroy mode
-    deployment.config.destroy_mode = true;
-    deployment.status = 'destroying';
-    
-    logger.info(`Starting terraform destroy for deployment ${deploymentId}`);
-    
-    // Start destroy process asynchronously
-    processDeployment(deploymentId, req.io).catch(error => {
-      logger.error(`Destroy ${deploymentId} failed:`, error);
-      deployment.status = 'destroy-failed';
-      deployment.error = error.message;
-      
-      req.io.to(`deployment-${deploymentId}`).emit('deployment-failed', {
+    if (!(await getStateUnavailableReason(deployment))) {
+      return res.json({
+        success: true,
         deploymentId,
-        error: error.message,
-        timestamp: new Date()
+        source: 'state',
+        outputs: summarizeOutputs(JSON.parse(await readTerraform(deployment, 'output', ['-json'])))
       });
-    });
+    }
+    
+    if (!deployment.terraformOutputs) {
+      return res.status(404).json({
+        success: false,
+        error: 'Outputs not found',
+        message: 'This deployment has no Terraform outputs'
+      });
+    }
     
     res.json({
       success: true,
       deploymentId,
-      status: 'destroying',
-      message: 'Terraform destroy started'
+      source: 'last-apply',
+      outputs: summarizeOutputs(deployment.terraformOutputs)
     });
   } catch (error) {
-    logger.error('Failed to start terraform destroy:', error);
+    logger.error('Failed to read Terraform outputs:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to start terraform destroy',
+      error: 'Failed to read Terraform outputs',
       message: error.message
     });
   }
 });
 
-// Get deployment status
-router.get('/status/:deploymentId', (req, res) => {
-  const { deploymentId } = req.params;
-  const deployment = activeDeployments.get(deploymentId);
-  
-  if (!deployment) {
-    return res.status(404).json({
+// Download a kubeconfig for the deployment's EKS cluster. The caller proves
+// access with AWS credentials of their own in the X-AWS-Access-Key-Id and
+// X-AWS-Secret-Access-Key headers: the cluster must be visible to them, and
+// the kubeconfig authenticates as them, so Kubernetes grants only what
+// their IAM identity is mapped to. ?auth=exec leaves the token out and has
+// kubectl run `aws eks get-token` instead.
+router.get('/kubeconfig/:deploymentId', async (req, res) => {
+  try {
+    const { deploymentId } = req.params;
+    const deployment = activeDeployments.get(deploymentId);
+    
+    if (!deployment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Deployment not found'
+      });
+    }
+    
+    if (!deployment.kubeconfigCluster || !(await pathExists(deployment.kubeconfigPath || ''))) {
+      return res.status(409).json({
+        success: false,
+        error: 'Kubeconfig not available',
+        message: 'kubectl has not been configured for this deployment, or its cluster has been destroyed'
+      });
+    }
+    
+    const auth = req.query.auth === 'exec' ? 'exec' : 'token';
+    const callerCredentials = {
+      accessKeyId: req.get('X-AWS-Access-Key-Id'),
+      secretAccessKey: req.get('X-AWS-Secret-Access-Key'),
+      region: deployment.config.awsCredentials.region
+    };
+    if (!callerCredentials.accessKeyId || !callerCredentials.secretAccessKey) {
+      return res.status(401).json({
+        success: false,
+        error: 'AWS credentials required',
+        message: 'Send X-AWS-Access-Key-Id and X-AWS-Secret-Access-Key for an identity with access to the cluster'
+      });
+    }
+    
+    const { name: clusterName, arn: clusterArn } = deployment.kubeconfigCluster;
+    let kubeconfig;
+    try {
+      kubeconfig = await createKubeconfig(callerCredentials, clusterName, { auth });
+    } catch (error) {
+      logger.warn(`Kubeconfig for deployment ${deploymentId} refused: ${error.message}`);
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: `These credentials cannot access EKS cluster ${clusterName}: ${error.message}`
+      });
+    }
+    
+    // A cluster of the same name in another account is not this one
+    if (kubeconfig.cluster.arn !== clusterArn) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: `These credentials belong to another account than EKS cluster ${clusterName}`
+      });
+    }
+    
+    logger.info(`Kubeconfig for deployment ${deploymentId} downloaded (${auth})`);
+    res.set('Cache-Control', 'no-store');
+    res.attachment(`${clusterName}-kubeconfig.yaml`);
+    res.type('application/yaml');
+    res.send(kubeconfig.content);
+  } catch (error) {
+    logger.error('Failed to create kubeconfig:', error);
+    res.status(500).json({
       success: false,
-      error: 'Deployment not found'
+      error: 'Failed to create kubeconfig',
+      message: error.message
     });
   }
-  
-  res.json({
-    success: true,
-    deployment: {
-      id: deployment.id,
-      type: deployment.type,
-      status: deployment.status,
-      startTime: deployment.startTime,
-      completedAt: deployment.completedAt,
-      steps: deployment.steps,
-      currentStep: deployment.currentStep,
-      deploymentUrl: deployment.deploymentUrl,
-      error: deployment.error,
-      logs: deployment.logs.slice(-50) // Last 50 logs
-    }
-  });
 });
 
 // Get deployment logs
@@ -827,8 +2166,10 @@ router.get('/active', (req, res) => {
     startTime: deployment.startTime,
     completedAt: deployment.completedAt,
     currentStep: deployment.currentStep,
+    queuePosition: deploymentQueue.position(deployment.id),
     error: deployment.error,
     progress: deployment.progress || 0,
+    drift: getDriftBadge(deployment.drift),
     steps: deployment.steps || []
   }));
   
@@ -839,6 +2180,242 @@ router.get('/active', (req, res) => {
   });
 });
 
+// Get the deployment queue: running and waiting deployments with their limits
+router.get('/queue', (req, res) => {
+  const { running, queued } = deploymentQueue.snapshot();
+  
+  res.json({
+    success: true,
+    concurrency: deploymentQueue.concurrency,
+    projectConcurrency: deploymentQueue.keyConcurrency,
+    running,
+    queued
+  });
+});
+
+// A stack as listed: where its state lives, what it last applied and the
+// deployment in progress, if any
+function describeStack(stack) {
+  const lastDeployment = activeDeployments.get(stack.lastDeploymentId);
+  const appliedDeployment = stack.lastApply && activeDeployments.get(stack.lastApply.deploymentId);
+  const [activeJob] = findStackJobs(stack);
+  const activeDeployment = activeJob && activeDeployments.get(activeJob.id);
+  const { bucket, key } = getBackendConfig(stack);
+  
+  return {
+    id: stack.id,
+    projectName: stack.projectName,
+    environment: stack.environment,
+    region: stack.region,
+    status: activeDeployment ? activeDeployment.status : stack.status,
+    state: { bucket, key },
+    createdAt: stack.createdAt,
+    updatedAt: stack.updatedAt,
+    lastApply: stack.lastApply,
+    lastDeployment: lastDeployment && {
+      id: lastDeployment.id,
+      status: lastDeployment.status,
+      startTime: lastDeployment.startTime,
+      completedAt: lastDeployment.completedAt,
+      replanOf: lastDeployment.replanOf
+    },
+    activeDeployment: activeDeployment && {
+      id: activeDeployment.id,
+      status: activeDeployment.status,
+      queuePosition: deploymentQueue.position(activeDeployment.id)
+    },
+    outputs: summarizeOutputs(stack.outputs),
+    drift: getDriftBadge(appliedDeployment && appliedDeployment.drift)
+  };
+}
+
+// List every stack (project environment) with its last apply, outputs and status
+router.get('/stacks', (req, res) => {
+  const stackList = Array.from(stacks.values())
+    .map(describeStack)
+    .sort((a, b) => a.id.localeCompare(b.id));
+  
+  res.json({
+    success: true,
+    stacks: stackList,
+    count: stackList.length
+  });
+});
+
+// Get a stack with the Terraform variables of its last deployment, which a
+// re-plan starts from, and the deployments that have run against it
+router.get('/stacks/:stackId', (req, res) => {
+  const stack = stacks.get(req.params.stackId);
+  
+  if (!stack) {
+    return res.status(404).json({
+      success: false,
+      error: 'Stack not found'
+    });
+  }
+  
+  const lastDeployment = activeDeployments.get(stack.lastDeploymentId);
+  const variables = lastDeployment ? generateTerraformVars(lastDeployment.config) : null;
+  if (variables && variables.ssl_private_key) {
+    variables.ssl_private_key = SENSITIVE_VARIABLE_VALUE;
+  }
+  
+  const deployments = Array.from(activeDeployments.values())
+    .filter(deployment => deployment.stackId === stack.id)
+    .sort((a, b) => new Date(b.startTime) - new Date(a.startTime))
+    .map(deployment => ({
+      id: deployment.id,
+      status: deployment.status,
+      startTime: deployment.startTime,
+      completedAt: deployment.completedAt,
+      destroy: deployment.config.destroy_mode === true,
+      replanOf: deployment.replanOf
+    }));
+  
+  res.json({
+    success: true,
+    stack: {
+      ...describeStack(stack),
+      variables,
+      identityVariables: STACK_IDENTITY_VARIABLES,
+      deployments
+    }
+  });
+});
+
+// Plan the stack again with some Terraform variables changed, without going
+// through the deployment wizard. Runs the infrastructure steps of a new
+// deployment based on the stack's last one; the plan always waits for
+// approval, so it can be reviewed before anything is applied.
+router.post('/stacks/:stackId/plan', validateStackPlanRequest, async (req, res) => {
+  try {
+    const stack = stacks.get(req.params.stackId);
+    
+    if (!stack) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stack not found'
+      });
+    }
+    
+    const base = activeDeployments.get(stack.lastDeploymentId);
+    if (!base) {
+      return res.status(409).json({
+        success: false,
+        error: 'Stack cannot be re-planned',
+        message: 'The last deployment of this stack is no longer stored; start a new deployment instead'
+      });
+    }
+    
+    const { variables, awsCredentials } = req.body;
+    const currentVariables = generateTerraformVars(base.config);
+    const unknown = Object.keys(variables).filter(name => !(name in currentVariables));
+    const fixed = Object.keys(variables).filter(name => STACK_IDENTITY_VARIABLES.includes(name));
+    if (unknown.length > 0 || fixed.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid stack variables',
+        message: [
+          unknown.length > 0 && `Unknown Terraform variables: ${unknown.join(', ')}`,
+          fixed.length > 0 && `Cannot be changed by a re-plan: ${fixed.join(', ')}`
+        ].filter(Boolean).join('; ')
+      });
+    }
+    
+    if (awsCredentials && stack.region && awsCredentials.region !== stack.region) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid AWS credentials',
+        message: `Stack ${stack.id} is in ${stack.region}`
+      });
+    }
+    
+    if (!awsCredentials && getMissingSecrets(base).some(secretPath => SECRET_FIELDS[secretPath] === 'awsCredentials')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Credentials required',
+        message: 'The server does not keep credentials across restarts; send awsCredentials again',
+        missing: ['awsCredentials']
+      });
+    }
+    
+    const deploymentId = uuidv4();
+    const deployment = {
+      id: deploymentId,
+      type: base.type,
+      status: 'initializing',
+      startTime: new Date(),
+      steps: getDeploymentPipeline(base).steps.map(({ id, name }) => (STACK_PLAN_STEP_IDS.includes(id)
+        ? { id, name, status: 'pending' }
+        : { id, name, status: 'skipped', message: 'Not part of a stack re-plan' })),
+      currentStep: 0,
+      config: {
+        ...base.config,
+        awsCredentials: awsCredentials || base.config.awsCredentials,
+        // The variables are those the stack was deployed with, so later
+        // changes to the defaults do not slip into the re-plan
+        terraformConfig: { ...currentVariables, ...variables },
+        requireApproval: true,
+        destroy_mode: false,
+        destroy_targets: undefined
+      },
+      replanOf: base.id,
+      // Secrets of the base deployment that are still to be given again
+      withheldSecrets: getMissingSecrets(base),
+      logs: []
+    };
+    
+    const stackCheck = checkStackConflict(req, res, deployment);
+    if (!stackCheck) {
+      return;
+    }
+    
+    activeDeployments.set(deploymentId, deployment);
+    recordStackDeployment(deployment);
+    
+    if (stackCheck.conflict) {
+      resolveStackConflict(deployment, stackCheck.conflict, stackCheck.strategy, req.io);
+    }
+    
+    logger.info(`Re-planning stack ${stack.id} as deployment ${deploymentId}, changing ${Object.keys(variables).join(', ')}`);
+    
+    const queuePosition = enqueueDeployment(deployment, req.io, {
+      stepIds: STACK_PLAN_STEP_IDS,
+      onFailure: (error) => {
+        logger.error(`Stack re-plan ${deploymentId} failed:`, error);
+        deployment.status = 'failed';
+        deployment.error = error.message;
+        activeDeployments.save(deploymentId);
+        
+        req.io.to(`deployment-${deploymentId}`).emit('deployment-failed', {
+          deploymentId,
+          error: error.message,
+          timestamp: new Date()
+        });
+      }
+    });
+    
+    res.json({
+      success: true,
+      deploymentId,
+      stackId: stack.id,
+      replanOf: base.id,
+      status: deployment.status,
+      queuePosition,
+      stackConflict: deployment.stackConflict,
+      changedVariables: Object.keys(variables),
+      steps: deployment.steps
+    });
+  } catch (error) {
+    logger.error('Failed to re-plan stack:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to re-plan stack',
+      message: error.message
+    });
+  }
+});
+
 // Get build logs for frontend display
 router.get('/build-logs/:deploymentId', (req, res) => {
   const { deploymentId } = req.params;
@@ -873,15 +2450,15 @@ router.post('/cancel/:deploymentId', (req, res) => {
     });
   }
   
-  deployment.status = 'cancelled';
-  deployment.cancelledAt = new Date();
-  
-  logger.info(`Deployment ${deploymentId} cancelled`);
+  if (TERMINAL_STATUSES.includes(deployment.status)) {
+    return res.status(409).json({
+      success: false,
+      error: 'Deployment cannot be cancelled',
+      message: `Deployment is ${deployment.status}`
+    });
+  }
   
-  req.io.to(`deployment-${deploymentId}`).emit('deployment-cancelled', {
-    deploymentId,
-    timestamp: new Date()
-  });
+  requestCancellation(deployment, req.io, 'Deployment cancelled by user');
   
   res.json({
     success: true,
@@ -987,142 +2564,117 @@ function generateTerraformVars(config) {
   return tfVars;
 }
 
-// Helper function to convert object to Terraform variables format
-function objectToTfVars(obj) {
-  return Object.entries(obj)
-    .map(([key, value]) => {
-      if (typeof value === 'string') {
-        return `${key} = "${value}"`;
-      } else if (typeof value === 'number' || typeof value === 'boolean') {
-        return `${key} = ${value}`;
-      } else if (Array.isArray(value)) {
-        if (value.length === 0) {
-          return `${key} = []`;
-        }
-        const arrayItems = value.map(item => {
-          if (typeof item === 'string') {
-            return `"${item}"`;
-          } else {
-            return String(item);
-          }
-        }).join(', ');
-        return `${key} = [${arrayItems}]`;
-      } else if (value === null || value === undefined) {
-        return `${key} = null`;
-      } else {
-        return `${key} = "${String(value)}"`;
+// Helper function to execute Terraform commands with the deployment's AWS credentials
+async function executeTerraform(command, args = [], workingDir, deploymentId, io, cancellation) {
+  const deployment = activeDeployments.get(deploymentId);
+  const env = deployment ? getCredentialsEnv(deployment.config.awsCredentials) : {};
+  
+  const result = await runTerraform(command, args, {
+    workingDir,
+    env,
+    cancellation,
+    onOutput: (output, stream) => {
+      // Check for resource already exists errors and handle gracefully
+      let type = stream === 'stdout' ? 'terraform' : 'terraform-error';
+      let message = output.trim();
+      if (stream === 'stderr' && (output.includes('already exists') || output.includes('AlreadyExists'))) {
+        type = 'terraform-info';
+        message = `Resource exists, continuing: ${message}`;
       }
-    })
-    .join('\n');
-}
-
-// Helper function to execute Terraform commands
-async function executeTerraform(command, args = [], workingDir, deploymentId, io) {
-  // Handle terraform apply with resource conflicts
-  if (command === 'apply' && args.includes('-auto-approve')) {
-    try {
-      // First try to import existing resources
-      await importExistingResources(workingDir, deploymentId, io);
-    } catch (importError) {
-      // Log import errors but continue with apply
+      
+      // Emit real-time logs
       io.to(`deployment-${deploymentId}`).emit('deployment-log', {
         deploymentId,
-        message: `Import warnings: ${importError.message}`,
+        message,
         timestamp: new Date(),
-        type: 'terraform-warning'
+        type
       });
     }
-  }
-
-  return new Promise((resolve, reject) => {
-    const terraformProcess = spawn('terraform', [command, ...args], {
-      cwd: workingDir,
-      env: { ...process.env },
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
-
-    let stdout = '';
-    let stderr = '';
+  });
 
-    terraformProcess.stdout.on('data', (data) => {
-      const output = data.toString();
-      stdout += output;
-      // Emit real-time logs
-      io.to(`deployment-${deploymentId}`).emit('deployment-log', {
-        deploymentId,
-        message: output.trim(),
-        timestamp: new Date(),
-        type: 'terraform'
-      });
-    });
+  // Consider partial success if only "already exists" errors
+  if (result.exitCode === 0 || (result.exitCode === 1 && result.stderr.includes('already exists'))) {
+    return { stdout: result.stdout, stderr: result.stderr, code: 0 };
+  }
+  throw toTerraformError(command, result);
+}
 
-    terraformProcess.stderr.on('data', (data) => {
-      const output = data.toString();
-      stderr += output;
-      
-      // Check for resource already exists errors and handle gracefully
-      if (output.includes('already exists') || output.includes('AlreadyExists')) {
-        io.to(`deployment-${deploymentId}`).emit('deployment-log', {
-          deploymentId,
-          message: `Resource exists, continuing: ${output.trim()}`,
-          timestamp: new Date(),
-          type: 'terraform-info'
-        });
-      } else {
-        // Emit real-time logs
-        io.to(`deployment-${deploymentId}`).emit('deployment-log', {
-          deploymentId,
-          message: output.trim(),
-          timestamp: new Date(),
-          type: 'terraform-error'
-        });
-      }
+// Read a saved plan file with `terraform show -json`; null if it cannot be read
+async function readPlanJson(deployment, planFile, { cancellation, addLog }) {
+  try {
+    const result = await runTerraform('show', ['-json', planFile], {
+      workingDir: deployment.terraformWorkingDir,
+      env: getCredentialsEnv(deployment.config.awsCredentials),
+      cancellation
     });
+    if (result.exitCode !== 0) {
+      throw toTerraformError('show', result);
+    }
+    return JSON.parse(result.stdout);
+  } catch (error) {
+    if (error instanceof CancelledError) {
+      throw error;
+    }
+    addLog(`Could not read the structured plan: ${error.message}`, 'warning');
+    return null;
+  }
+}
 
-    terraformProcess.on('close', (code) => {
-      // Consider partial success if only "already exists" errors
-      if (code === 0 || (code === 1 && stderr.includes('already exists'))) {
-        resolve({ stdout, stderr, code: 0 });
-      } else {
-        reject(new Error(`Terraform ${command} failed with exit code ${code}: ${stderr}`));
-      }
-    });
+// Why the deployment's Terraform state cannot be read right now, or null if it can
+async function getStateUnavailableReason(deployment) {
+  if (!deployment.terraformWorkingDir) {
+    return 'This deployment has not initialized Terraform';
+  }
+  if (!(await pathExists(path.join(deployment.terraformWorkingDir, '.terraform')))) {
+    return 'The Terraform working directory no longer exists; resume the deployment to recreate it';
+  }
+  return null;
+}
 
-    terraformProcess.on('error', (error) => {
-      reject(new Error(`Failed to start terraform process: ${error.message}`));
-    });
+// stdout of a read-only Terraform command (show, output) in the deployment's
+// working directory; not logged to the deployment
+async function readTerraform(deployment, command, args) {
+  const result = await runTerraform(command, args, {
+    workingDir: deployment.terraformWorkingDir,
+    env: getCredentialsEnv(deployment.config.awsCredentials)
   });
+  if (result.exitCode !== 0) {
+    throw toTerraformError(command, result);
+  }
+  return result.stdout;
 }
 
-// Helper function to import existing resources
-async function importExistingResources(workingDir, deploymentId, io) {
-  const importCommands = [
-    // Only import critical resources that commonly conflict
-    'terraform import "module.database[0].aws_db_subnet_group.main" "ai-interview-back-dev-db-subnet-group" || true',
-    'terraform import "module.eks.aws_iam_role.eks_cluster" "ai-interview-back-dev-eks-cluster-role" || true',
-    'terraform import "module.eks.aws_iam_role.eks_node_group" "ai-interview-back-dev-eks-node-group-role" || true'
-  ];
+// Written into the working dir by the plan step; `import` blocks need
+// Terraform 1.5, which the templates require
+const IMPORT_BLOCKS_FILE = 'adopted_resources.tf';
 
-  for (const cmd of importCommands) {
-    try {
-      io.to(`deployment-${deploymentId}`).emit('deployment-log', {
-        deploymentId,
-        message: `Importing: ${cmd}`,
-        timestamp: new Date(),
-        type: 'terraform-import'
-      });
-      
-      await new Promise((resolve) => {
-        const importProcess = spawn('bash', ['-c', cmd], {
-          cwd: workingDir,
-          stdio: 'pipe'
-        });
-        importProcess.on('close', () => resolve());
-      });
-    } catch (error) {
-      // Ignore import errors, they're expected for new resources
-    }
+const removeImportBlocks = (deployment) => fs.rm(path.join(deployment.terraformWorkingDir, IMPORT_BLOCKS_FILE), { force: true });
+
+// Add import blocks for resources that the plan would create but that already
+// exist in AWS under this project's names, e.g. left behind by an earlier run
+// whose state was lost. Nothing is written to state until the plan is applied.
+async function adoptExistingResources(deployment, planJson, { addLog }) {
+  const { projectName, environment, awsCredentials } = deployment.config;
+  const candidates = findImportCandidates(planJson, { projectName, environment });
+  if (candidates.length === 0) {
+    return [];
+  }
+  
+  addLog(`Checking whether ${candidates.length} planned resource${candidates.length === 1 ? '' : 's'} already exist in AWS`);
+  let existing;
+  try {
+    existing = await findExistingResources(awsCredentials, candidates);
+  } catch (error) {
+    addLog(`Could not look up existing resources, none will be imported: ${error.message}`, 'warning');
+    return [];
   }
+  if (existing.length === 0) {
+    return [];
+  }
+  
+  await fs.writeFile(path.join(deployment.terraformWorkingDir, IMPORT_BLOCKS_FILE), toImportBlocks(existing));
+  existing.forEach(resource => addLog(`Importing existing ${resource.type} ${resource.id} as ${resource.address} when the plan is applied`));
+  return existing;
 }
 
 module.exports = router;
\ No newline at end of file
@@ -1,41 +1,13 @@
 const express = require('express');
-const Docker = require('dockerode');
-const simpleGit = require('simple-git');
-const tar = require('tar');
-const fs = require('fs').promises;
-const path = require('path');
 const tmp = require('tmp');
 const { v4: uuidv4 } = require('uuid');
 const { logger } = require('../utils/logger');
 const { validateDockerBuild, validateDockerBuildRequest } = require('../middleware/validation');
+const { builds: activeBuilds } = require('../store/deploymentRepository');
+const dockerService = require('../services/docker');
+const { parseGitHubUrl, cloneRepository } = require('../services/github');
 
 const router = express.Router();
-const docker = new Docker();
-
-// Store active builds
-const activeBuilds = new Map();
-
-// Parse GitHub repository URL
-function parseGitHubUrl(url) {
-  const patterns = [
-    /^https:\/\/github\.com\/([^/]+)\/([^/]+?)(?:\.git)?\/?$/,
-    /^git@github\.com:([^/]+)\/([^/]+?)\.git$/,
-    /^https:\/\/www\.github\.com\/([^/]+)\/([^/]+?)(?:\.git)?\/?$/
-  ];
-  
-  for (const pattern of patterns) {
-    const match = url.match(pattern);
-    if (match) {
-      return {
-        owner: match[1],
-        repo: match[2],
-        isValid: true
-      };
-    }
-  }
-  
-  return { isValid: false };
-}
 
 // Build Docker image from GitHub repository
 router.post('/build', validateDockerBuildRequest, async (req, res) => {
@@ -90,6 +62,7 @@ router.post('/build', validateDockerBuildRequest, async (req, res) => {
         buildId
       };
       activeBuilds.get(buildId).logs.push(logEntry);
+      activeBuilds.save(buildId);
       io.emit('docker-build-log', logEntry);
     };
     
@@ -102,117 +75,55 @@ router.post('/build', validateDockerBuildRequest, async (req, res) => {
     try {
       // Clone repository
       logger.info(`Cloning repository to ${clonePath}`);
-      const git = simpleGit();
-      
-      // Construct clone URL with access token if provided
-      let cloneUrl = repositoryUrl;
-      if (accessToken) {
-        // Convert HTTPS URL to include token
-        cloneUrl = repositoryUrl.replace('https://github.com/', `https://${accessToken}@github.com/`);
-      }
-      
-      await git.clone(cloneUrl, clonePath, ['--branch', branch, '--single-branch', '--depth', '1']);
+      await cloneRepository({
+        url: repositoryUrl,
+        branch,
+        accessToken,
+        targetDir: clonePath,
+        depth: 1
+      });
       
       // Update build status
       activeBuilds.get(buildId).status = 'building';
+      activeBuilds.save(buildId);
       emitLog(`Repository cloned successfully from ${repositoryUrl}`, 'info');
       
-      // Check if Dockerfile exists
-      const dockerfilePath = path.join(clonePath, 'Dockerfile');
+      // Build image, collecting the daemon's output into the build logs
+      const buildLogs = [];
+      let imageInfo;
       try {
-        await fs.access(dockerfilePath);
-      } catch (error) {
-        throw new Error('No Dockerfile found in repository root');
-      }
-      
-      // Create tar stream from repository directory
-      const tarStream = tar.create(
-        {
-          gzip: true,
-          cwd: clonePath
-        },
-        ['.'] // Include all files
-      );
-      
-      // Build image
-      const buildOptions = {
-        t: fullImageName,
-        dockerfile: 'Dockerfile',
-        rm: true, // Remove intermediate containers
-        forcerm: true, // Always remove intermediate containers
-        pull: true // Always pull base image
-      };
-      const buildStream = await docker.buildImage(tarStream, buildOptions);
-      
-      // Handle build stream
-      const buildPromise = new Promise((resolve, reject) => {
-        const buildLogs = [];
-        
-        docker.modem.followProgress(buildStream, (err, result) => {
-          if (err) {
-            logger.error('Docker build failed:', err);
-            activeBuilds.get(buildId).status = 'failed';
-            activeBuilds.get(buildId).error = err.message;
-            reject(err);
-          } else {
-            logger.info('Docker build completed successfully');
-            activeBuilds.get(buildId).status = 'completed';
-            activeBuilds.get(buildId).completedAt = new Date();
-            activeBuilds.get(buildId).logs = [...activeBuilds.get(buildId).logs, ...buildLogs];
-            resolve(result);
-          }
-        }, (event) => {
-          // Handle build progress
-          if (event.stream) {
-            const logEntry = {
-              timestamp: new Date(),
-              message: event.stream.trim(),
-              level: 'info'
-            };
-            buildLogs.push(logEntry);
-          }
-          
-          if (event.error) {
-            logger.error('Docker build error:', event.error);
-            buildLogs.push({
-              timestamp: new Date(),
-              message: event.error,
-              level: 'error'
-            });
+        imageInfo = await dockerService.buildImage({
+          contextPath: clonePath,
+          imageName,
+          imageTag,
+          onProgress: (event) => {
+            if (event.stream) {
+              buildLogs.push({
+                timestamp: new Date(),
+                message: event.stream.trim(),
+                level: 'info'
+              });
+            }
+            
+            if (event.error) {
+              logger.error('Docker build error:', event.error);
+              buildLogs.push({
+                timestamp: new Date(),
+                message: event.error,
+                level: 'error'
+              });
+            }
           }
         });
-      });
-      
-      // Wait for build to complete
-      await buildPromise;
-      
-      // Check if our image exists, if not try to find the most recent dangling image
-      let targetImage;
-      try {
-        targetImage = docker.getImage(fullImageName);
-        await targetImage.inspect();
-      } catch (error) {
-        // Find the most recent dangling image (likely our build result)
-        const images = await docker.listImages();
-        const danglingImages = images.filter(img => 
-          !img.RepoTags || img.RepoTags.length === 0 || img.RepoTags[0] === '<none>:<none>'
-        ).sort((a, b) => b.Created - a.Created);
-        
-        if (danglingImages.length > 0) {
-          const mostRecentDangling = danglingImages[0];
-          
-          // Tag the dangling image with our desired name
-          const danglingImage = docker.getImage(mostRecentDangling.Id);
-          await danglingImage.tag({ repo: imageName, tag: imageTag });
-          
-          targetImage = docker.getImage(fullImageName);
-        } else {
-          throw new Error(`No image found with name ${fullImageName} and no dangling images available`);
-        }
+      } finally {
+        activeBuilds.get(buildId).logs = [...activeBuilds.get(buildId).logs, ...buildLogs];
+        activeBuilds.save(buildId);
       }
       
-      // Get image info
-      const imageInfo = await targetImage.inspect();
+      logger.info('Docker build completed successfully');
+      activeBuilds.get(buildId).status = 'completed';
+      activeBuilds.get(buildId).completedAt = new Date();
+      activeBuilds.save(buildId);
       
       // Cleanup temporary directory
       tmpDir.removeCallback();
@@ -220,14 +131,7 @@ router.post('/build', validateDockerBuildRequest, async (req, res) => {
       res.json({
         success: true,
         buildId,
-        image: {
-          id: imageInfo.Id,
-          name: fullImageName,
-          size: imageInfo.Size,
-          created: imageInfo.Created,
-          architecture: imageInfo.Architecture,
-          os: imageInfo.Os
-        },
+        image: imageInfo,
         repository: {
           url: repositoryUrl,
           branch,
@@ -239,6 +143,10 @@ router.post('/build', validateDockerBuildRequest, async (req, res) => {
     } catch (error) {
       // Cleanup temporary directory
       tmpDir.removeCallback();
+      
+      activeBuilds.get(buildId).status = 'failed';
+      activeBuilds.get(buildId).error = error.message;
+      activeBuilds.save(buildId);
       throw error;
     }
   } catch (error) {
@@ -248,6 +156,7 @@ router.post('/build', validateDockerBuildRequest, async (req, res) => {
     if (buildId && activeBuilds.has(buildId)) {
       activeBuilds.get(buildId).status = 'failed';
       activeBuilds.get(buildId).error = error.message;
+      activeBuilds.save(buildId);
     }
     
     res.status(500).json({
@@ -312,15 +221,7 @@ router.get('/build-logs/:buildId', (req, res) => {
 // List Docker images
 router.get('/images', async (req, res) => {
   try {
-    const images = await docker.listImages();
-    
-    const imageList = images.map(image => ({
-      id: image.Id,
-      tags: image.RepoTags || [],
-      size: image.Size,
-      created: image.Created,
-      labels: image.Labels || {}
-    }));
+    const imageList = await dockerService.listImages();
     
     res.json({
       success: true,
@@ -342,8 +243,7 @@ router.delete('/images/:imageId', async (req, res) => {
     const { imageId } = req.params;
     const { force = false } = req.query;
     
-    const image = docker.getImage(imageId);
-    await image.remove({ force: force === 'true' });
+    await dockerService.removeImage(imageId, { force: force === 'true' });
     
     logger.info(`Docker image ${imageId} removed`);
     
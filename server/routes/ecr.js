@@ -1,16 +1,11 @@
 const express = require('express');
-const { ECRClient, CreateRepositoryCommand, DescribeRepositoriesCommand, GetAuthorizationTokenCommand } = require('@aws-sdk/client-ecr');
-const Docker = require('dockerode');
-const { spawnSync } = require('child_process');
-const { Buffer } = require('buffer');
 const { logger } = require('../utils/logger');
 const { validateECRPushRequest, validateECRRepository } = require('../middleware/validation');
+const { ecrOperations: activeECROperations } = require('../store/deploymentRepository');
+const ecrService = require('../services/ecr');
+const dockerService = require('../services/docker');
 
 const router = express.Router();
-const docker = new Docker();
-
-// Store active ECR operations
-const activeECROperations = new Map();
 
 // Create ECR repository if it doesn't exist
 router.post('/create-repository', validateECRRepository, async (req, res) => {
@@ -24,56 +19,12 @@ router.post('/create-repository', validateECRRepository, async (req, res) => {
       });
     }
     
-    const ecrClient = new ECRClient({
-      region: awsCredentials.region,
-      credentials: {
-        accessKeyId: awsCredentials.accessKeyId || awsCredentials.accessKey,
-        secretAccessKey: awsCredentials.secretAccessKey || awsCredentials.secretKey
-      }
-    });
-    
-    try {
-      // Check if repository already exists
-      const describeCommand = new DescribeRepositoriesCommand({
-        repositoryNames: [repositoryName]
-      });
-      
-      const existingRepo = await ecrClient.send(describeCommand);
-      
-      if (existingRepo.repositories && existingRepo.repositories.length > 0) {
-        logger.info(`ECR repository ${repositoryName} already exists`);
-        return res.json({
-          success: true,
-          repository: existingRepo.repositories[0],
-          message: 'Repository already exists'
-        });
-      }
-    } catch (error) {
-      // Repository doesn't exist, we'll create it
-      if (error.name !== 'RepositoryNotFoundException') {
-        throw error;
-      }
-    }
-    
-    // Create new repository
-    const createCommand = new CreateRepositoryCommand({
-      repositoryName,
-      imageScanningConfiguration: {
-        scanOnPush: true
-      },
-      encryptionConfiguration: {
-        encryptionType: 'AES256'
-      }
-    });
-    
-    const result = await ecrClient.send(createCommand);
-    
-    logger.info(`ECR repository ${repositoryName} created successfully`);
+    const { repository, existed } = await ecrService.ensureRepository(awsCredentials, repositoryName);
     
     res.json({
       success: true,
-      repository: result.repository,
-      message: 'Repository created successfully'
+      repository,
+      message: existed ? 'Repository already exists' : 'Repository created successfully'
     });
     
   } catch (error) {
@@ -123,88 +74,63 @@ router.post('/push-image', validateECRPushRequest, async (req, res) => {
         operationId
       };
       activeECROperations.get(operationId).logs.push(logEntry);
+      activeECROperations.save(operationId);
       io.emit('ecr-log', logEntry);
     };
     
     emitLog(`Starting ECR push for ${imageName} -> ${ecrImageName}`, 'info');
     
-    const ecrClient = new ECRClient({
-      region: awsCredentials.region,
-      credentials: {
-        accessKeyId: awsCredentials.accessKeyId || awsCredentials.accessKey,
-        secretAccessKey: awsCredentials.secretAccessKey || awsCredentials.secretKey
-      }
-    });
-    
     // Get ECR authorization token
-    const authCommand = new GetAuthorizationTokenCommand({});
-    const authResult = await ecrClient.send(authCommand);
-    
-    if (!authResult.authorizationData || authResult.authorizationData.length === 0) {
-      throw new Error('Failed to get ECR authorization token');
-    }
-    
-    const authData = authResult.authorizationData[0];
-    const token = authData.authorizationToken;
-    const proxyEndpoint = authData.proxyEndpoint;
-    const [username, password] = Buffer.from(token, 'base64').toString().split(':');
+    const { registry: proxyEndpoint, username, password } = await ecrService.getAuthorizationToken(awsCredentials);
     
     // Update operation status
     activeECROperations.get(operationId).status = 'authenticating';
+    activeECROperations.save(operationId);
     emitLog('ECR authentication successful', 'info');
     
     // Docker login using spawnSync
     emitLog(`Logging into ECR registry: ${proxyEndpoint}`, 'info');
-    const loginResult = spawnSync('docker', ['login', '-u', username, '-p', password, proxyEndpoint], { 
-      stdio: 'pipe',
-      encoding: 'utf8'
-    });
-    
-    if (loginResult.status !== 0) {
-      const errorMsg = loginResult.stderr || 'Docker login failed';
-      emitLog(`Docker login failed: ${errorMsg}`, 'error');
-      throw new Error(`Docker login failed: ${errorMsg}`);
+    try {
+      dockerService.cliLogin({ registry: proxyEndpoint, username, password });
+    } catch (error) {
+      emitLog(error.message, 'error');
+      throw error;
     }
     
     emitLog('Docker login successful', 'info');
     
     // Update operation status
     activeECROperations.get(operationId).status = 'tagging';
+    activeECROperations.save(operationId);
     
     // Tag the image for ECR using spawnSync
     emitLog(`Tagging image ${imageName} as ${ecrImageName}`, 'info');
-    const tagResult = spawnSync('docker', ['tag', imageName, ecrImageName], { 
-      stdio: 'pipe',
-      encoding: 'utf8'
-    });
-    
-    if (tagResult.status !== 0) {
-      const errorMsg = tagResult.stderr || 'Docker tag failed';
-      emitLog(`Docker tag failed: ${errorMsg}`, 'error');
-      throw new Error(`Docker tag failed: ${errorMsg}`);
+    try {
+      dockerService.cliTag(imageName, ecrImageName);
+    } catch (error) {
+      emitLog(error.message, 'error');
+      throw error;
     }
     
     emitLog(`Image tagged successfully as ${ecrImageName}`, 'info');
     
     // Update operation status
     activeECROperations.get(operationId).status = 'pushing';
+    activeECROperations.save(operationId);
     
     // Push image to ECR using spawnSync
     emitLog(`Pushing image to ECR: ${ecrImageName}`, 'info');
-    const pushResult = spawnSync('docker', ['push', ecrImageName], { 
-      stdio: 'pipe',
-      encoding: 'utf8'
-    });
-    
-    if (pushResult.status !== 0) {
-      const errorMsg = pushResult.stderr || 'Docker push failed';
-      emitLog(`Docker push failed: ${errorMsg}`, 'error');
-      throw new Error(`Docker push failed: ${errorMsg}`);
+    try {
+      dockerService.cliPush(ecrImageName);
+    } catch (error) {
+      emitLog(error.message, 'error');
+      throw error;
     }
     
     // Update operation status
     activeECROperations.get(operationId).status = 'completed';
     activeECROperations.get(operationId).completedAt = new Date();
+    activeECROperations.save(operationId);
     emitLog(`✅ Image pushed successfully to ${ecrImageName}`, 'info');
     
     res.json({
@@ -224,6 +150,7 @@ router.post('/push-image', validateECRPushRequest, async (req, res) => {
     if (operationId && activeECROperations.has(operationId)) {
       activeECROperations.get(operationId).status = 'failed';
       activeECROperations.get(operationId).error = error.message;
+      activeECROperations.save(operationId);
     }
     
     res.status(500).json({
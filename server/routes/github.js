@@ -1,36 +1,15 @@
 const express = require('express');
-const { Octokit } = require('@octokit/rest');
 const simpleGit = require('simple-git');
 const fs = require('fs').promises;
 const path = require('path');
 const tmp = require('tmp');
 const { logger } = require('../utils/logger');
 const { validateGitHubRequest } = require('../middleware/validation');
+const githubService = require('../services/github');
+const { parseGitHubUrl } = githubService;
 
 const router = express.Router();
 
-// Parse GitHub repository URL
-function parseGitHubUrl(url) {
-  const patterns = [
-    /^https:\/\/github\.com\/([^/]+)\/([^/]+?)(?:\.git)?\/?$/,
-    /^git@github\.com:([^/]+)\/([^/]+?)\.git$/,
-    /^https:\/\/www\.github\.com\/([^/]+)\/([^/]+?)(?:\.git)?\/?$/
-  ];
-  
-  for (const pattern of patterns) {
-    const match = url.match(pattern);
-    if (match) {
-      return {
-        owner: match[1],
-        repo: match[2],
-        isValid: true
-      };
-    }
-  }
-  
-  return { isValid: false };
-}
-
 // Validate repository URL and check accessibility
 router.post('/validate-repository', validateGitHubRequest, async (req, res) => {
   try {
@@ -45,14 +24,11 @@ router.post('/validate-repository', validateGitHubRequest, async (req, res) => {
       });
     }
     
-    const octokit = new Octokit({
-      auth: accessToken || undefined
-    });
-    
     try {
-      const { data: repo } = await octokit.rest.repos.get({
+      const repo = await githubService.getRepository({
         owner: parsed.owner,
-        repo: parsed.repo
+        repo: parsed.repo,
+        accessToken
       });
       
       logger.info(`Repository validated: ${repo.full_name}`);
@@ -111,14 +87,10 @@ router.post('/get-branches', validateGitHubRequest, async (req, res) => {
       });
     }
     
-    const octokit = new Octokit({
-      auth: accessToken || undefined
-    });
-    
-    const { data: branches } = await octokit.rest.repos.listBranches({
+    const branches = await githubService.listBranches({
       owner: parsed.owner,
       repo: parsed.repo,
-      per_page: 100
+      accessToken
     });
     
     const branchList = branches.map(branch => ({
@@ -159,16 +131,13 @@ router.post('/check-dockerfile', validateGitHubRequest, async (req, res) => {
       });
     }
     
-    const octokit = new Octokit({
-      auth: accessToken || undefined
-    });
-    
     try {
-      const { data: dockerfile } = await octokit.rest.repos.getContent({
+      const dockerfile = await githubService.getContent({
         owner: parsed.owner,
         repo: parsed.repo,
         path: 'Dockerfile',
-        ref: branch
+        ref: branch,
+        accessToken
       });
       
       const content = Buffer.from(dockerfile.content, 'base64').toString('utf-8');
@@ -232,15 +201,13 @@ router.post('/clone-repository', validateGitHubRequest, async (req, res) => {
     
     logger.info(`Cloning repository ${url} to ${clonePath}`);
     
-    const git = simpleGit();
-    
-    // Build clone URL with token if provided
-    let cloneUrl = url;
-    if (accessToken && url.startsWith('https://github.com/')) {
-      cloneUrl = url.replace('https://github.com/', `https://${accessToken}@github.com/`);
-    }
-    
-    await git.clone(cloneUrl, clonePath, ['--branch', branch, '--single-branch', '--depth', '1']);
+    await githubService.cloneRepository({
+      url,
+      branch,
+      accessToken,
+      targetDir: clonePath,
+      depth: 1
+    });
     
     // Get repository info
     const repoGit = simpleGit(clonePath);
@@ -295,15 +262,12 @@ router.post('/get-file-tree', validateGitHubRequest, async (req, res) => {
       });
     }
     
-    const octokit = new Octokit({
-      auth: accessToken || undefined
-    });
-    
-    const { data: contents } = await octokit.rest.repos.getContent({
+    const contents = await githubService.getContent({
       owner: parsed.owner,
       repo: parsed.repo,
       path: treePath,
-      ref: branch
+      ref: branch,
+      accessToken
     });
     
     const fileTree = Array.isArray(contents) ? contents.map(item => ({
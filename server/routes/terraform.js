@@ -1,20 +1,21 @@
 const express = require('express');
-const { spawn } = require('child_process');
 const fs = require('fs').promises;
 const path = require('path');
 const tmp = require('tmp');
 const { v4: uuidv4 } = require('uuid');
 const { logger } = require('../utils/logger');
-const { validateTerraformRequest } = require('../middleware/validation');
+const { awsCredentialsSchema, validateTerraformRequest } = require('../middleware/validation');
+const { deployments, terraformRuns, getMissingSecrets } = require('../store/deploymentRepository');
+const { stopProcess } = require('../utils/cancellation');
+const { toTfVars } = require('../utils/hcl');
+const { TERRAFORM_STOP, getBackendConfig, runTerraform, toTerraformError } = require('../services/terraform');
+const { getCredentialsEnv } = require('../services/aws');
+const { DEFAULT_TEMPLATE_ID, copyTemplate, listTemplates } = require('../services/templates');
+const { describeStateBackend, ensureStateBackend } = require('../services/stateBackend');
+const { checkDrift, getDriftBlocker } = require('../services/drift');
 
 const router = express.Router();
 
-// Store active deployments
-const activeDeployments = new Map();
-
-// Terraform template path
-const TERRAFORM_TEMPLATE_PATH = '/Users/yusufam/Desktop/Corevice/aws-builder-eks';
-
 // Generate Terraform variables file
 function generateTerraformVars(deploymentConfig) {
   const {
@@ -90,105 +91,99 @@ function generateTerraformVars(deploymentConfig) {
   return tfVars;
 }
 
-// Convert object to Terraform variables format
-function objectToTfVars(obj) {
-  let content = '';
-  for (const [key, value] of Object.entries(obj)) {
-    if (typeof value === 'string') {
-      content += `${key} = "${value}"\n`;
-    } else if (typeof value === 'number') {
-      content += `${key} = ${value}\n`;
-    } else if (typeof value === 'boolean') {
-      content += `${key} = ${value}\n`;
-    } else if (Array.isArray(value)) {
-      content += `${key} = [${value.map(v => `"${v}"`).join(', ')}]\n`;
-    } else if (typeof value === 'object' && value !== null) {
-      content += `${key} = {\n`;
-      for (const [subKey, subValue] of Object.entries(value)) {
-        content += `  ${subKey} = "${subValue}"\n`;
-      }
-      content += `}\n`;
+// The server does not keep AWS credentials across restarts, so a run loaded
+// from disk takes them from the request. Returns false after sending an
+// error response when they are still missing or invalid.
+function restoreCredentials(req, res, deployment) {
+  const awsCredentials = req.body && req.body.awsCredentials;
+  if (awsCredentials) {
+    const { error, value } = awsCredentialsSchema.validate(awsCredentials);
+    if (error || value.region !== deployment.awsCredentials.region) {
+      res.status(400).json({
+        success: false,
+        error: 'Invalid AWS credentials',
+        message: error ? error.message : `Deployment ${deployment.id} is in ${deployment.awsCredentials.region}`
+      });
+      return false;
     }
+    deployment.awsCredentials = value;
   }
-  return content;
-}
-
-// Execute Terraform command
-function executeTerraform(command, args, workingDir, deploymentId, io) {
-  return new Promise((resolve, reject) => {
-    const process = spawn('terraform', [command, ...args], {
-      cwd: workingDir,
-      env: { ...process.env, TF_IN_AUTOMATION: 'true' }
-    });
-
-    let stdout = '';
-    let stderr = '';
-
-    process.stdout.on('data', (data) => {
-      const output = data.toString();
-      stdout += output;
-      
-      // Emit real-time output to WebSocket
-      io.to(`deployment-${deploymentId}`).emit('terraform-output', {
-        type: 'stdout',
-        data: output,
-        command: command
-      });
-      
-      logger.info(`Terraform ${command} stdout:`, output.trim());
+  
+  if (getMissingSecrets(deployment).length > 0) {
+    res.status(400).json({
+      success: false,
+      error: 'Credentials required',
+      message: 'The server does not keep credentials across restarts; send awsCredentials again',
+      missing: ['awsCredentials']
     });
+    return false;
+  }
+  return true;
+}
 
-    process.stderr.on('data', (data) => {
-      const output = data.toString();
-      stderr += output;
-      
+// Execute Terraform command with the deployment's AWS credentials
+async function executeTerraform(command, args, workingDir, deploymentId, io) {
+  const deployment = terraformRuns.get(deploymentId);
+  
+  const result = await runTerraform(command, args, {
+    workingDir,
+    env: deployment && deployment.awsCredentials ? getCredentialsEnv(deployment.awsCredentials) : {},
+    onOutput: (output, type) => {
       // Emit real-time output to WebSocket
       io.to(`deployment-${deploymentId}`).emit('terraform-output', {
-        type: 'stderr',
+        type,
         data: output,
         command: command
       });
       
-      logger.warn(`Terraform ${command} stderr:`, output.trim());
-    });
-
-    process.on('close', (code) => {
-      if (code === 0) {
-        resolve({ stdout, stderr, exitCode: code });
+      if (type === 'stdout') {
+        logger.info(`Terraform ${command} stdout:`, output.trim());
       } else {
-        // Check if this is just a credential error (non-fatal for validation)
-        const isCredentialError = stderr.includes('No valid credential sources found') ||
-                                 stderr.includes('InvalidClientTokenId') ||
-                                 stderr.includes('failed to refresh cached credentials') ||
-                                 stdout.includes('No valid credential sources found') ||
-                                 stdout.includes('InvalidClientTokenId') ||
-                                 stdout.includes('failed to refresh cached credentials');
-        
-        if (isCredentialError && command === 'plan') {
-          // For plan command with credential errors, return success with warning
-          resolve({ 
-            stdout: stdout + '\n⚠️ AWS credentials not configured - plan validation completed', 
-            stderr, 
-            exitCode: code,
-            warning: 'AWS credentials required for actual deployment'
-          });
-        } else {
-          reject(new Error(`Terraform ${command} failed with exit code ${code}\n${stderr}`));
-        }
+        logger.warn(`Terraform ${command} stderr:`, output.trim());
       }
-    });
-
-    process.on('error', (error) => {
-      reject(new Error(`Failed to start terraform ${command}: ${error.message}`));
-    });
-
+    },
     // Store process reference for potential cancellation
-    if (activeDeployments.has(deploymentId)) {
-      activeDeployments.get(deploymentId).processes.push(process);
+    onSpawn: (terraformProcess) => {
+      if (deployment) {
+        deployment.processes.push(terraformProcess);
+      }
     }
   });
+  
+  if (result.exitCode === 0) {
+    return result;
+  }
+  
+  // Check if this is just a credential error (non-fatal for validation)
+  const { stdout, stderr } = result;
+  const isCredentialError = stderr.includes('No valid credential sources found') ||
+                           stderr.includes('InvalidClientTokenId') ||
+                           stderr.includes('failed to refresh cached credentials') ||
+                           stdout.includes('No valid credential sources found') ||
+                           stdout.includes('InvalidClientTokenId') ||
+                           stdout.includes('failed to refresh cached credentials');
+  
+  if (isCredentialError && command === 'plan') {
+    // For plan command with credential errors, return success with warning
+    return {
+      stdout: stdout + '\n⚠️ AWS credentials not configured - plan validation completed',
+      stderr,
+      exitCode: result.exitCode,
+      warning: 'AWS credentials required for actual deployment'
+    };
+  }
+  
+  throw toTerraformError(command, result);
 }
 
+// List the Terraform templates deployments can be built from
+router.get('/templates', (req, res) => {
+  res.json({
+    success: true,
+    templates: listTemplates()
+  });
+});
+
 // Initialize Terraform deployment
 router.post('/init', validateTerraformRequest, async (req, res) => {
   try {
@@ -202,31 +197,30 @@ router.post('/init', validateTerraformRequest, async (req, res) => {
     logger.info(`Initializing Terraform deployment ${deploymentId} in ${workingDir}`);
     
     // Copy Terraform template to working directory
-    await fs.cp(TERRAFORM_TEMPLATE_PATH, workingDir, { recursive: true });
+    const template = await copyTemplate(DEFAULT_TEMPLATE_ID, workingDir);
     
     // Generate terraform.tfvars file
     const tfVars = generateTerraformVars(deploymentConfig);
-    const tfVarsContent = objectToTfVars(tfVars);
+    const tfVarsContent = toTfVars(tfVars);
     await fs.writeFile(path.join(workingDir, 'terraform.tfvars'), tfVarsContent);
     
     // Generate backend configuration
-    const backendConfig = {
-      bucket: `${deploymentConfig.projectName}-${deploymentConfig.environment}-terraform-state`,
-      key: `${deploymentConfig.projectName}/${deploymentConfig.environment}/terraform.tfstate`,
-      region: awsCredentials.region,
-      encrypt: true,
-      dynamodb_table: `${deploymentConfig.projectName}-${deploymentConfig.environment}-terraform-locks`
-    };
+    const backendConfig = getBackendConfig({
+      projectName: deploymentConfig.projectName,
+      environment: deploymentConfig.environment,
+      region: awsCredentials.region
+    });
     
-    const backendContent = objectToTfVars(backendConfig);
+    const backendContent = toTfVars(backendConfig);
     await fs.writeFile(path.join(workingDir, 'backend.hcl'), backendContent);
     
     // Store deployment info
-    activeDeployments.set(deploymentId, {
+    terraformRuns.set(deploymentId, {
       id: deploymentId,
       workingDir,
       deploymentConfig,
       awsCredentials,
+      template,
       status: 'initialized',
       startTime: new Date(),
       processes: [],
@@ -237,6 +231,7 @@ router.post('/init', validateTerraformRequest, async (req, res) => {
       success: true,
       deploymentId,
       workingDir,
+      template,
       tfVars,
       backendConfig
     });
@@ -254,7 +249,7 @@ router.post('/init', validateTerraformRequest, async (req, res) => {
 router.post('/terraform-init/:deploymentId', async (req, res) => {
   try {
     const { deploymentId } = req.params;
-    const deployment = activeDeployments.get(deploymentId);
+    const deployment = terraformRuns.get(deploymentId);
     
     if (!deployment) {
       return res.status(404).json({
@@ -263,12 +258,19 @@ router.post('/terraform-init/:deploymentId', async (req, res) => {
       });
     }
     
-    logger.info(`Running terraform init for deployment ${deploymentId}`);
+    if (!restoreCredentials(req, res, deployment)) {
+      return;
+    }
     
-    // Set AWS credentials as environment variables
-    process.env.AWS_ACCESS_KEY_ID = deployment.awsCredentials.accessKey;
-    process.env.AWS_SECRET_ACCESS_KEY = deployment.awsCredentials.secretKey;
-    process.env.AWS_DEFAULT_REGION = deployment.awsCredentials.region;
+    // The backend bucket and lock table must exist before init can use them
+    const backend = await ensureStateBackend(deployment.awsCredentials, getBackendConfig({
+      projectName: deployment.deploymentConfig.projectName,
+      environment: deployment.deploymentConfig.environment,
+      region: deployment.awsCredentials.region
+    }));
+    logger.info(`Terraform state backend for deployment ${deploymentId}: ${describeStateBackend(backend)}`);
+    
+    logger.info(`Running terraform init for deployment ${deploymentId}`);
     
     const result = await executeTerraform(
       'init',
@@ -279,10 +281,13 @@ router.post('/terraform-init/:deploymentId', async (req, res) => {
     );
     
     deployment.status = 'init-complete';
+    deployment.backend = backend;
+    terraformRuns.save(deploymentId);
     
     res.json({
       success: true,
       deploymentId,
+      backend,
       output: result.stdout,
       status: deployment.status
     });
@@ -300,7 +305,7 @@ router.post('/terraform-init/:deploymentId', async (req, res) => {
 router.post('/terraform-plan/:deploymentId', async (req, res) => {
   try {
     const { deploymentId } = req.params;
-    const deployment = activeDeployments.get(deploymentId);
+    const deployment = terraformRuns.get(deploymentId);
     
     if (!deployment) {
       return res.status(404).json({
@@ -309,6 +314,10 @@ router.post('/terraform-plan/:deploymentId', async (req, res) => {
       });
     }
     
+    if (!restoreCredentials(req, res, deployment)) {
+      return;
+    }
+    
     logger.info(`Running terraform plan for deployment ${deploymentId}`);
     
     const result = await executeTerraform(
@@ -320,6 +329,7 @@ router.post('/terraform-plan/:deploymentId', async (req, res) => {
     );
     
     deployment.status = 'plan-complete';
+    terraformRuns.save(deploymentId);
     
     res.json({
       success: true,
@@ -341,7 +351,7 @@ router.post('/terraform-plan/:deploymentId', async (req, res) => {
 router.post('/terraform-apply/:deploymentId', async (req, res) => {
   try {
     const { deploymentId } = req.params;
-    const deployment = activeDeployments.get(deploymentId);
+    const deployment = terraformRuns.get(deploymentId);
     
     if (!deployment) {
       return res.status(404).json({
@@ -350,6 +360,10 @@ router.post('/terraform-apply/:deploymentId', async (req, res) => {
       });
     }
     
+    if (!restoreCredentials(req, res, deployment)) {
+      return;
+    }
+    
     logger.info(`Running terraform apply for deployment ${deploymentId}`);
     
     const result = await executeTerraform(
@@ -361,6 +375,7 @@ router.post('/terraform-apply/:deploymentId', async (req, res) => {
     );
     
     deployment.status = 'apply-complete';
+    terraformRuns.save(deploymentId);
     
     // Parse outputs from terraform apply
     try {
@@ -374,6 +389,7 @@ router.post('/terraform-apply/:deploymentId', async (req, res) => {
       
       const outputs = JSON.parse(outputResult.stdout);
       deployment.outputs = outputs;
+      terraformRuns.save(deploymentId);
     } catch (outputError) {
       logger.warn('Failed to parse terraform outputs:', outputError);
     }
@@ -399,7 +415,7 @@ router.post('/terraform-apply/:deploymentId', async (req, res) => {
 // Get deployment status
 router.get('/status/:deploymentId', (req, res) => {
   const { deploymentId } = req.params;
-  const deployment = activeDeployments.get(deploymentId);
+  const deployment = terraformRuns.get(deploymentId);
   
   if (!deployment) {
     return res.status(404).json({
@@ -415,15 +431,102 @@ router.get('/status/:deploymentId', (req, res) => {
       status: deployment.status,
       startTime: deployment.startTime,
       outputs: deployment.outputs,
+      template: deployment.template,
       config: deployment.deploymentConfig
     }
   });
 });
 
+// Check an applied deployment's infrastructure for changes made outside Terraform
+router.post('/drift/:deploymentId', async (req, res) => {
+  try {
+    const { deploymentId } = req.params;
+    const deployment = deployments.get(deploymentId);
+    
+    if (!deployment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Deployment not found'
+      });
+    }
+    
+    const blocker = await getDriftBlocker(deployment);
+    if (blocker) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot check this deployment for drift',
+        message: blocker
+      });
+    }
+    
+    logger.info(`Checking deployment ${deploymentId} for drift`);
+    
+    const drift = await checkDrift(deployment, {
+      io: req.io,
+      onOutput: (output, type) => {
+        req.io.to(`deployment-${deploymentId}`).emit('terraform-output', {
+          type,
+          data: output,
+          command: 'plan -refresh-only'
+        });
+      }
+    });
+    
+    if (drift.status === 'error') {
+      return res.status(500).json({
+        success: false,
+        error: 'Drift check failed',
+        message: drift.error,
+        drift
+      });
+    }
+    
+    res.json({
+      success: true,
+      deploymentId,
+      drift
+    });
+  } catch (error) {
+    logger.error('Drift check failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Drift check failed',
+      message: error.message
+    });
+  }
+});
+
+// Get the result of a deployment's latest drift check
+router.get('/drift/:deploymentId', (req, res) => {
+  const { deploymentId } = req.params;
+  const deployment = deployments.get(deploymentId);
+  
+  if (!deployment) {
+    return res.status(404).json({
+      success: false,
+      error: 'Deployment not found'
+    });
+  }
+  
+  if (!deployment.drift) {
+    return res.status(404).json({
+      success: false,
+      error: 'Drift check not found',
+      message: 'This deployment has not been checked for drift yet'
+    });
+  }
+  
+  res.json({
+    success: true,
+    deploymentId,
+    drift: deployment.drift
+  });
+});
+
 // Cancel deployment
 router.post('/cancel/:deploymentId', (req, res) => {
   const { deploymentId } = req.params;
-  const deployment = activeDeployments.get(deploymentId);
+  const deployment = terraformRuns.get(deploymentId);
   
   if (!deployment) {
     return res.status(404).json({
@@ -432,14 +535,11 @@ router.post('/cancel/:deploymentId', (req, res) => {
     });
   }
   
-  // Kill all running processes
-  deployment.processes.forEach(process => {
-    if (!process.killed) {
-      process.kill('SIGTERM');
-    }
-  });
+  // Interrupt running processes so Terraform can release the state lock
+  deployment.processes.forEach(process => stopProcess(process, TERRAFORM_STOP));
   
   deployment.status = 'cancelled';
+  terraformRuns.save(deploymentId);
   
   logger.info(`Deployment ${deploymentId} cancelled`);
   
@@ -453,7 +553,7 @@ router.post('/cancel/:deploymentId', (req, res) => {
 // Cleanup deployment
 router.delete('/cleanup/:deploymentId', (req, res) => {
   const { deploymentId } = req.params;
-  const deployment = activeDeployments.get(deploymentId);
+  const deployment = terraformRuns.get(deploymentId);
   
   if (!deployment) {
     return res.status(404).json({
@@ -463,14 +563,17 @@ router.delete('/cleanup/:deploymentId', (req, res) => {
   }
   
   // Kill processes and cleanup
-  deployment.processes.forEach(process => {
-    if (!process.killed) {
-      process.kill('SIGTERM');
-    }
-  });
+  deployment.processes.forEach(process => stopProcess(process, TERRAFORM_STOP));
   
-  deployment.cleanup();
-  activeDeployments.delete(deploymentId);
+  // The cleanup callback does not survive a restart; fall back to removing the directory
+  if (deployment.cleanup) {
+    deployment.cleanup();
+  } else {
+    fs.rm(deployment.workingDir, { recursive: true, force: true }).catch(error => {
+      logger.warn(`Failed to remove Terraform working directory ${deployment.workingDir}: ${error.message}`);
+    });
+  }
+  terraformRuns.delete(deploymentId);
   
   logger.info(`Deployment ${deploymentId} cleaned up`);
   
@@ -0,0 +1,105 @@
+const { checkBudget, estimateFromPlan, estimateFromVariables, getCostSummary } = require('../costEstimator');
+
+const variables = {
+  aws_region: 'us-east-1',
+  availability_zones_count: 2,
+  enable_nat_gateway: true,
+  single_nat_gateway: true,
+  node_instance_types: ['t3.medium'],
+  node_capacity_type: 'ON_DEMAND',
+  node_disk_size: 20,
+  node_desired_size: 2,
+  enable_database: false
+};
+
+const monthlyByAddress = (estimate) => Object.fromEntries(estimate.resources.map(resource => [resource.address, resource.monthly]));
+
+describe('estimateFromVariables', () => {
+  it('prices the cluster, nodes and NAT gateway of the EKS template', () => {
+    const estimate = estimateFromVariables(variables);
+
+    expect(monthlyByAddress(estimate)).toEqual({
+      'module.eks.aws_eks_cluster.main': 73,
+      // 2 x t3.medium at $0.0416/hour, plus 2 x 20 GB of gp2
+      'module.eks.aws_eks_node_group.main': 64.74,
+      'module.vpc.aws_nat_gateway.main[0]': 32.85,
+      'module.vpc.aws_eip.nat[0]': 3.65
+    });
+    expect(estimate.monthlyTotal).toBe(174.24);
+    expect(estimate).toMatchObject({ source: 'variables', currency: 'USD', region: 'us-east-1', regionPriced: true, unpriced: [] });
+  });
+
+  it('adds a NAT gateway per zone and prices a Multi-AZ database twice', () => {
+    const estimate = estimateFromVariables({
+      ...variables,
+      single_nat_gateway: false,
+      enable_database: true,
+      db_engine: 'postgres',
+      db_instance_class: 'db.t3.micro',
+      db_allocated_storage: 20,
+      db_multi_az: true
+    });
+
+    expect(estimate.resources.filter(resource => resource.type === 'aws_nat_gateway')).toHaveLength(2);
+    const [database] = estimate.resources.filter(resource => resource.type === 'aws_db_instance');
+    expect(database.items).toEqual([
+      expect.objectContaining({ description: 'db.t3.micro postgres (Multi-AZ)', quantity: 2, unitMonthly: 13.14, monthly: 26.28 }),
+      expect.objectContaining({ description: 'Database storage', quantity: 40, unitMonthly: 0.115, monthly: 4.6 })
+    ]);
+    expect(estimate.monthlyTotal).toBe(241.62);
+  });
+
+  it('discounts spot nodes and scales prices by region', () => {
+    const spot = estimateFromVariables({ ...variables, enable_nat_gateway: false, node_capacity_type: 'SPOT' });
+    expect(monthlyByAddress(spot)['module.eks.aws_eks_node_group.main']).toBe(25.26);
+
+    const ireland = estimateFromVariables({ ...variables, aws_region: 'eu-west-1', enable_nat_gateway: false });
+    expect(monthlyByAddress(ireland)['module.eks.aws_eks_cluster.main']).toBe(80.3);
+  });
+
+  it('lists what the pricing table has no price for and leaves it out of the total', () => {
+    const estimate = estimateFromVariables({ ...variables, enable_nat_gateway: false, node_instance_types: ['x9.huge'] });
+
+    expect(estimate.unpriced).toEqual(['module.eks.aws_eks_node_group.main: x9.huge nodes']);
+    expect(estimate.monthlyTotal).toBe(77);
+  });
+});
+
+describe('estimateFromPlan', () => {
+  const nodeGroup = (desiredSize) => ({ instance_types: ['t3.medium'], capacity_type: 'ON_DEMAND', disk_size: 20, scaling_config: [{ desired_size: desiredSize }] });
+
+  it('compares the cost after the plan with the cost before it', () => {
+    const estimate = estimateFromPlan({
+      resource_changes: [
+        { address: 'aws_eks_node_group.main', mode: 'managed', type: 'aws_eks_node_group', name: 'main', change: { actions: ['update'], before: nodeGroup(2), after: nodeGroup(3) } },
+        { address: 'aws_nat_gateway.main', mode: 'managed', type: 'aws_nat_gateway', name: 'main', change: { actions: ['delete'], before: {}, after: null } },
+        { address: 'aws_eks_cluster.main', mode: 'managed', type: 'aws_eks_cluster', name: 'main', change: { actions: ['create'], before: null, after: {} } },
+        { address: 'data.aws_eks_cluster.main', mode: 'data', type: 'aws_eks_cluster', name: 'main', change: { actions: ['read'], before: null, after: {} } }
+      ]
+    }, 'us-east-1');
+
+    expect(estimate.monthlyTotal).toBe(170.1);
+    expect(estimate.previousMonthlyTotal).toBe(97.59);
+    expect(estimate.monthlyChange).toBe(72.51);
+    expect(estimate.resources.map(resource => [resource.address, resource.action])).toEqual([
+      ['aws_eks_node_group.main', 'update'],
+      ['aws_eks_cluster.main', 'create']
+    ]);
+  });
+});
+
+describe('checkBudget', () => {
+  it('flags estimates over the environment budget', () => {
+    expect(checkBudget({ monthlyTotal: 250 }, 'dev')).toEqual({ environment: 'dev', limit: 200, exceeded: true, remaining: -50 });
+    expect(checkBudget({ monthlyTotal: 250 }, 'staging')).toMatchObject({ exceeded: false, remaining: 750 });
+    expect(checkBudget({ monthlyTotal: 250 }, 'sandbox')).toBeNull();
+  });
+});
+
+describe('getCostSummary', () => {
+  it('keeps the totals and budget only', () => {
+    const estimate = { ...estimateFromVariables(variables), budget: { limit: 200 } };
+    expect(getCostSummary(estimate)).toEqual({ currency: 'USD', monthlyTotal: 174.24, previousMonthlyTotal: undefined, monthlyChange: undefined, budget: { limit: 200 } });
+    expect(getCostSummary(null)).toBeNull();
+  });
+});
@@ -0,0 +1,94 @@
+const http = require('http');
+const { HealthCheckError, requestUrl, waitForHealthy } = require('../healthCheck');
+
+describe('requestUrl', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/moved') {
+        res.writeHead(301, { Location: '/health' });
+        res.end();
+      } else if (req.url !== '/slow') {
+        res.end('ok');
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('returns the status and body', async () => {
+    await expect(requestUrl(`${baseUrl}/health`)).resolves.toEqual({ status: 200, body: 'ok' });
+  });
+
+  it('does not follow redirects', async () => {
+    await expect(requestUrl(`${baseUrl}/moved`)).resolves.toMatchObject({ status: 301 });
+  });
+
+  it('stops when its signal aborts', async () => {
+    const controller = new AbortController();
+    const request = requestUrl(`${baseUrl}/slow`, { signal: controller.signal });
+    controller.abort();
+    await expect(request).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
+
+describe('waitForHealthy', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const sleep = jest.fn(async (ms) => {
+    now += ms;
+  });
+
+  it('retries through errors and unhealthy answers until the expected status', async () => {
+    const probe = jest.fn()
+      .mockRejectedValueOnce(new Error('getaddrinfo ENOTFOUND'))
+      .mockResolvedValueOnce({ status: 503, body: '' })
+      .mockResolvedValueOnce({ status: 200, body: 'ok' });
+    const onAttempt = jest.fn();
+
+    await expect(waitForHealthy(probe, { expectedStatus: 200, timeoutMs: 60000, intervalMs: 5000, sleep, onAttempt }))
+      .resolves.toEqual({ status: 200, body: 'ok' });
+    expect(onAttempt.mock.calls.map(([{ attempt, healthy, result }]) => [attempt, healthy, result])).toEqual([
+      [1, false, { error: 'getaddrinfo ENOTFOUND' }],
+      [2, false, { status: 503, body: '' }],
+      [3, true, { status: 200, body: 'ok' }]
+    ]);
+    expect(sleep).toHaveBeenLastCalledWith(5000);
+  });
+
+  it('fails with the last answer once the time is up', async () => {
+    const probe = jest.fn().mockResolvedValue({ status: 502, body: '  Bad Gateway\n' });
+
+    const error = await waitForHealthy(probe, { expectedStatus: 200, timeoutMs: 30000, intervalMs: 10000, sleep, onAttempt: jest.fn() })
+      .catch(e => e);
+    expect(error).toBeInstanceOf(HealthCheckError);
+    expect(error.message).toBe('Health check did not return HTTP 200 within 30s; last response: HTTP 502: Bad Gateway');
+    expect(error.lastResult).toEqual({ status: 502, body: '  Bad Gateway\n' });
+    expect(probe).toHaveBeenCalledTimes(4);
+  });
+
+  it('stops when sleeping is cancelled', async () => {
+    const probe = jest.fn().mockResolvedValue({ status: 503, body: '' });
+    const cancelledSleep = jest.fn().mockRejectedValue(new Error('Cancelled by user'));
+
+    await expect(waitForHealthy(probe, { expectedStatus: 200, timeoutMs: 60000, sleep: cancelledSleep, onAttempt: jest.fn() }))
+      .rejects.toThrow('Cancelled by user');
+    expect(probe).toHaveBeenCalledTimes(1);
+  });
+});
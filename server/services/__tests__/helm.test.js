@@ -0,0 +1,109 @@
+const yaml = require('js-yaml');
+const tar = require('tar');
+const { Readable } = require('stream');
+const { packageChart, renderChart } = require('../helm');
+
+const IMAGE = '111122223333.dkr.ecr.us-east-1.amazonaws.com/shop:abc123';
+
+const config = (overrides = {}) => ({
+  projectName: 'shop',
+  environment: 'staging',
+  appConfig: {
+    containerPort: 8000,
+    replicas: 3,
+    environmentVariables: { NODE_ENV: 'production' },
+    secrets: { DB_PASSWORD: 'hunter2' }
+  },
+  ...overrides
+});
+
+describe('renderChart', () => {
+  it('renders the chart files, with values files for each environment', () => {
+    const chart = renderChart(config(), IMAGE);
+
+    expect(chart).toMatchObject({ name: 'shop', version: '0.1.0' });
+    expect(Object.keys(chart.files).sort()).toEqual([
+      'Chart.yaml',
+      'templates/_helpers.tpl',
+      'templates/configmap.yaml',
+      'templates/deployment.yaml',
+      'templates/hpa.yaml',
+      'templates/ingress.yaml',
+      'templates/secret.yaml',
+      'templates/service.yaml',
+      'values-dev.yaml',
+      'values-prod.yaml',
+      'values-staging.yaml',
+      'values.yaml'
+    ]);
+    expect(yaml.load(chart.files['Chart.yaml'])).toMatchObject({ apiVersion: 'v2', name: 'shop', version: '0.1.0', appVersion: 'abc123' });
+  });
+
+  it('writes the deployment settings as values', () => {
+    const values = yaml.load(renderChart(config(), IMAGE).files['values.yaml']);
+
+    expect(values).toMatchObject({
+      environment: 'staging',
+      image: { repository: '111122223333.dkr.ecr.us-east-1.amazonaws.com/shop', tag: 'abc123' },
+      replicaCount: 3,
+      containerPort: 8000,
+      healthCheck: { path: '/health', port: 8000 },
+      env: { NODE_ENV: 'production' },
+      service: { type: 'ClusterIP' },
+      ingress: { enabled: true, className: 'alb' }
+    });
+  });
+
+  it('lists secret keys with blank values unless secrets are included', () => {
+    const withoutSecrets = renderChart(config(), IMAGE);
+    expect(yaml.load(withoutSecrets.files['values.yaml']).secrets).toEqual({ DB_PASSWORD: '' });
+    expect(withoutSecrets.files['values.yaml']).toMatch(/^# Secret values are not included/m);
+    expect(JSON.stringify(withoutSecrets.files)).not.toContain('hunter2');
+
+    const withSecrets = renderChart(config(), IMAGE, { includeSecrets: true });
+    expect(yaml.load(withSecrets.files['values.yaml']).secrets).toEqual({ DB_PASSWORD: 'hunter2' });
+  });
+
+  it('adjusts the other environments and leaves the configured one as it is', () => {
+    const { files } = renderChart(config(), IMAGE);
+
+    expect(yaml.load(files['values-staging.yaml'])).toEqual({ environment: 'staging' });
+    expect(yaml.load(files['values-dev.yaml'])).toEqual({ environment: 'dev', replicaCount: 1, autoscaling: { enabled: false } });
+    expect(yaml.load(files['values-prod.yaml'])).toEqual({ environment: 'prod', replicaCount: 3, autoscaling: { enabled: true, minReplicas: 3, maxReplicas: 5 } });
+  });
+
+  it('exposes the application through an NLB Service when a network load balancer is chosen', () => {
+    const values = yaml.load(renderChart(config({ loadBalancerConfig: { type: 'network', certificateArn: 'arn:aws:acm:cert' } }), IMAGE).files['values.yaml']);
+
+    expect(values.ingress.enabled).toBe(false);
+    expect(values.service).toMatchObject({ type: 'LoadBalancer', https: true });
+    expect(values.service.annotations['service.beta.kubernetes.io/aws-load-balancer-ssl-cert']).toBe('arn:aws:acm:cert');
+  });
+
+  it('takes an image without a tag as latest', () => {
+    const values = yaml.load(renderChart(config(), 'registry.local:5000/shop').files['values.yaml']);
+    expect(values.image).toMatchObject({ repository: 'registry.local:5000/shop', tag: 'latest' });
+  });
+});
+
+describe('packageChart', () => {
+  it('packs the chart files under a directory named after the chart', async () => {
+    const chart = renderChart(config(), IMAGE);
+    const archive = await packageChart(chart);
+
+    const entries = [];
+    await new Promise((resolve, reject) => {
+      Readable.from(archive)
+        .pipe(new tar.Parse({
+          onentry: (entry) => {
+            entries.push(entry.path);
+            entry.resume();
+          }
+        }))
+        .on('end', resolve)
+        .on('error', reject);
+    });
+
+    expect(entries.filter(entry => !entry.endsWith('/')).sort()).toEqual(Object.keys(chart.files).map(file => `shop/${file}`).sort());
+  });
+});
@@ -0,0 +1,119 @@
+jest.mock('../aws', () => ({
+  ...jest.requireActual('../aws'),
+  describeCluster: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const kubeconfigDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'kubeconfig-')), 'kubeconfig');
+process.env.KUBECONFIG_DIR = kubeconfigDir;
+
+const { describeCluster } = require('../aws');
+const { createKubeconfig, removeKubeconfig, saveKubeconfig } = require('../kubeconfig');
+
+const awsCredentials = { accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'secret', region: 'eu-west-1' };
+const cluster = {
+  name: 'shop-dev',
+  arn: 'arn:aws:eks:eu-west-1:123456789012:cluster/shop-dev',
+  endpoint: 'https://example.eks.amazonaws.com',
+  version: '1.29',
+  status: 'ACTIVE',
+  certificateAuthority: { data: 'Y2VydA==' }
+};
+const mode = (target) => fs.statSync(target).mode & 0o777;
+
+afterAll(() => {
+  fs.rmSync(path.dirname(kubeconfigDir), { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  describeCluster.mockReset();
+});
+
+describe('createKubeconfig', () => {
+  it('authenticates with a signed token naming the cluster', async () => {
+    describeCluster.mockResolvedValue(cluster);
+    const before = Date.now();
+
+    const result = await createKubeconfig(awsCredentials, 'shop-dev');
+    const config = yaml.load(result.content);
+    expect(config.clusters).toEqual([{
+      name: cluster.arn,
+      cluster: { server: cluster.endpoint, 'certificate-authority-data': 'Y2VydA==' }
+    }]);
+    expect(config['current-context']).toBe(cluster.arn);
+
+    const { token } = config.users[0].user;
+    expect(token).toMatch(/^k8s-aws-v1\./);
+    const url = new URL(Buffer.from(token.slice('k8s-aws-v1.'.length), 'base64url').toString());
+    expect(url.hostname).toBe('sts.eu-west-1.amazonaws.com');
+    expect(url.searchParams.get('Action')).toBe('GetCallerIdentity');
+    expect(url.searchParams.get('X-Amz-SignedHeaders')).toContain('x-k8s-aws-id');
+    expect(url.searchParams.get('X-Amz-Credential')).toMatch(/^AKIDEXAMPLE\//);
+
+    expect(result.cluster).toEqual({ name: 'shop-dev', arn: cluster.arn, endpoint: cluster.endpoint, version: '1.29' });
+    expect(result.expiresAt.getTime()).toBeGreaterThanOrEqual(before + 14 * 60 * 1000);
+  });
+
+  it('leaves fetching tokens to the AWS CLI with exec', async () => {
+    describeCluster.mockResolvedValue(cluster);
+
+    const result = await createKubeconfig(awsCredentials, 'shop-dev', { auth: 'exec' });
+    expect(yaml.load(result.content).users[0].user).toEqual({
+      exec: {
+        apiVersion: 'client.authentication.k8s.io/v1beta1',
+        command: 'aws',
+        args: ['eks', 'get-token', '--cluster-name', 'shop-dev', '--region', 'eu-west-1']
+      }
+    });
+    expect(result.expiresAt).toBeNull();
+  });
+
+  it('fails for a cluster that is not running', async () => {
+    describeCluster.mockResolvedValue({ ...cluster, status: 'CREATING' });
+    await expect(createKubeconfig(awsCredentials, 'shop-dev')).rejects.toThrow('EKS cluster shop-dev is CREATING');
+  });
+});
+
+describe('saveKubeconfig', () => {
+  let previousUmask;
+
+  beforeEach(() => {
+    previousUmask = process.umask(0o022);
+  });
+
+  afterEach(() => {
+    process.umask(previousUmask);
+  });
+
+  it('stores the kubeconfig readable by the server only', async () => {
+    const kubeconfigPath = await saveKubeconfig('dep-1', 'apiVersion: v1\n');
+    expect(kubeconfigPath).toBe(path.join(kubeconfigDir, 'dep-1.yaml'));
+    expect(fs.readFileSync(kubeconfigPath, 'utf8')).toBe('apiVersion: v1\n');
+    expect(mode(kubeconfigDir)).toBe(0o700);
+    expect(mode(kubeconfigPath)).toBe(0o600);
+  });
+
+  it('restricts a kubeconfig written before', async () => {
+    fs.mkdirSync(kubeconfigDir, { recursive: true });
+    fs.writeFileSync(path.join(kubeconfigDir, 'dep-2.yaml'), 'old', { mode: 0o644 });
+
+    const kubeconfigPath = await saveKubeconfig('dep-2', 'apiVersion: v1\n');
+    expect(fs.readFileSync(kubeconfigPath, 'utf8')).toBe('apiVersion: v1\n');
+    expect(mode(kubeconfigPath)).toBe(0o600);
+  });
+});
+
+describe('removeKubeconfig', () => {
+  it('deletes the file and ignores one that is already gone', async () => {
+    const kubeconfigPath = await saveKubeconfig('dep-3', 'apiVersion: v1\n');
+    await removeKubeconfig(kubeconfigPath);
+    expect(fs.existsSync(kubeconfigPath)).toBe(false);
+
+    await expect(removeKubeconfig(kubeconfigPath)).resolves.toBeUndefined();
+    await expect(removeKubeconfig(null)).resolves.toBeUndefined();
+  });
+});
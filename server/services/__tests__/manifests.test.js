@@ -0,0 +1,101 @@
+const yaml = require('js-yaml');
+const { getExposure, renderManifests, toYaml } = require('../manifests');
+
+const IMAGE = '111122223333.dkr.ecr.us-east-1.amazonaws.com/shop:abc123';
+
+const config = (overrides = {}) => ({
+  projectName: 'shop',
+  environment: 'dev',
+  appConfig: {
+    containerPort: 8000,
+    environmentVariables: { NODE_ENV: 'production' },
+    secrets: { DB_PASSWORD: 'hunter2' }
+  },
+  ...overrides
+});
+
+const byKind = (manifests, kind) => manifests.find(manifest => manifest.kind === kind);
+
+describe('renderManifests', () => {
+  it('renders the objects in the order they are applied', () => {
+    expect(renderManifests(config(), IMAGE).map(manifest => `${manifest.kind}/${manifest.metadata.name}`)).toEqual([
+      'Namespace/shop',
+      'ConfigMap/shop-config',
+      'Secret/shop-secrets',
+      'Service/shop',
+      'Deployment/shop',
+      'Ingress/shop'
+    ]);
+  });
+
+  it('runs the image with variables from the ConfigMap and secrets by reference', () => {
+    const deployment = byKind(renderManifests(config(), IMAGE), 'Deployment');
+    const [container] = deployment.spec.template.spec.containers;
+
+    expect(deployment.spec.replicas).toBe(2);
+    expect(container).toMatchObject({
+      image: IMAGE,
+      ports: [{ name: 'http', containerPort: 8000, protocol: 'TCP' }],
+      envFrom: [{ configMapRef: { name: 'shop-config' } }],
+      env: [{ name: 'DB_PASSWORD', valueFrom: { secretKeyRef: { name: 'shop-secrets', key: 'DB_PASSWORD' } } }],
+      readinessProbe: { httpGet: { path: '/health', port: 8000 } }
+    });
+    expect(JSON.stringify(deployment)).not.toContain('hunter2');
+  });
+
+  it('changes the pod template when a variable or secret changes', () => {
+    const annotations = (appConfig) => byKind(renderManifests(config({ appConfig }), IMAGE), 'Deployment').spec.template.metadata.annotations;
+    const before = annotations({ environmentVariables: { A: '1' }, secrets: { S: 'x' } });
+
+    expect(annotations({ environmentVariables: { A: '2' }, secrets: { S: 'x' } })['aws-builder/config-checksum']).not.toBe(before['aws-builder/config-checksum']);
+    expect(annotations({ environmentVariables: { A: '1' }, secrets: { S: 'y' } })['aws-builder/secrets-checksum']).not.toBe(before['aws-builder/secrets-checksum']);
+  });
+
+  it('leaves the secret values out when asked to', () => {
+    const manifests = renderManifests(config(), IMAGE, { includeSecrets: false });
+
+    expect(byKind(manifests, 'Secret')).toBeUndefined();
+    expect(byKind(manifests, 'Deployment').spec.template.metadata.annotations).not.toHaveProperty('aws-builder/secrets-checksum');
+    expect(toYaml(manifests)).not.toContain('hunter2');
+  });
+
+  it('leaves the replica count to the autoscaler when autoscaling is on', () => {
+    const manifests = renderManifests(config({ appConfig: { autoscaling: { enabled: true, maxReplicas: 8 } } }), IMAGE);
+
+    expect(byKind(manifests, 'Deployment').spec).not.toHaveProperty('replicas');
+    expect(byKind(manifests, 'HorizontalPodAutoscaler').spec).toMatchObject({ minReplicas: 2, maxReplicas: 8 });
+  });
+
+  it('exposes the application through an NLB Service when a network load balancer is chosen', () => {
+    const manifests = renderManifests(config({ loadBalancerConfig: { type: 'network', certificateArn: 'arn:aws:acm:cert' } }), IMAGE);
+    const service = byKind(manifests, 'Service');
+
+    expect(getExposure({ loadBalancerConfig: { type: 'network' } })).toBe('network');
+    expect(byKind(manifests, 'Ingress')).toBeUndefined();
+    expect(service.spec.type).toBe('LoadBalancer');
+    expect(service.spec.ports.map(port => port.port)).toEqual([80, 443]);
+    expect(service.metadata.annotations['service.beta.kubernetes.io/aws-load-balancer-ssl-cert']).toBe('arn:aws:acm:cert');
+  });
+
+  it('keeps the application inside the cluster when the load balancer is disabled', () => {
+    const manifests = renderManifests(config({ loadBalancerConfig: { enabled: false } }), IMAGE);
+
+    expect(byKind(manifests, 'Ingress')).toBeUndefined();
+    expect(byKind(manifests, 'Service').spec.type).toBe('ClusterIP');
+  });
+});
+
+describe('toYaml', () => {
+  it('writes one YAML document per object that reads back unchanged', () => {
+    const manifests = renderManifests(config({ appConfig: { environmentVariables: { GREETING: 'a: b\n# not a comment', PORT: '8000' } } }), IMAGE);
+    const output = toYaml(manifests);
+
+    expect(output.split(/^---$/m)).toHaveLength(manifests.length);
+    expect(yaml.loadAll(output)).toEqual(manifests);
+  });
+
+  it('keeps strings that look like other types as strings', () => {
+    const [, configMap] = yaml.loadAll(toYaml(renderManifests(config({ appConfig: { environmentVariables: { DEBUG: 'true', PORT: '8000', EMPTY: '' } } }), IMAGE)));
+    expect(configMap.data).toEqual({ DEBUG: 'true', PORT: '8000', EMPTY: '' });
+  });
+});
@@ -0,0 +1,59 @@
+const { findImportCandidates, toImportBlocks } = require('../resourceImports');
+
+const create = (address, type, after) => ({ address, mode: 'managed', type, change: { actions: ['create'], after } });
+
+describe('findImportCandidates', () => {
+  it('picks resources the plan creates under names the project owns', () => {
+    const plan = {
+      resource_changes: [
+        create('module.eks.aws_iam_role.cluster', 'aws_iam_role', { name: 'shop-dev-cluster-role' }),
+        create('aws_ecr_repository.app', 'aws_ecr_repository', { name: 'shop' }),
+        create('aws_iam_role.other', 'aws_iam_role', { name: 'someone-elses-role' }),
+        create('aws_iam_role.unnamed', 'aws_iam_role', {}),
+        create('aws_s3_bucket.logs', 'aws_s3_bucket', { bucket: 'shop-dev-logs' }),
+        { ...create('aws_cloudwatch_log_group.eks', 'aws_cloudwatch_log_group', { name: '/aws/eks/shop-dev/cluster' }), change: { actions: ['update'], after: { name: '/aws/eks/shop-dev/cluster' } } }
+      ]
+    };
+
+    expect(findImportCandidates(plan, { projectName: 'shop', environment: 'dev' })).toEqual([
+      { address: 'module.eks.aws_iam_role.cluster', type: 'aws_iam_role', id: 'shop-dev-cluster-role' },
+      { address: 'aws_ecr_repository.app', type: 'aws_ecr_repository', id: 'shop' }
+    ]);
+  });
+
+  it('leaves out names that only contain the project and environment', () => {
+    const plan = {
+      resource_changes: [
+        create('aws_iam_role.exact', 'aws_iam_role', { name: 'shop-dev' }),
+        create('aws_cloudwatch_log_group.eks', 'aws_cloudwatch_log_group', { name: '/aws/eks/shop-dev/cluster' }),
+        create('aws_iam_role.longer_project', 'aws_iam_role', { name: 'myshop-dev-role' }),
+        create('aws_iam_role.longer_environment', 'aws_iam_role', { name: 'shop-devtest-role' }),
+        create('aws_cloudwatch_log_group.other', 'aws_cloudwatch_log_group', { name: '/aws/eks/myshop-dev/cluster' }),
+        create('aws_ecr_repository.other', 'aws_ecr_repository', { name: 'shopfront' })
+      ]
+    };
+
+    expect(findImportCandidates(plan, { projectName: 'shop', environment: 'dev' }).map(candidate => candidate.id))
+      .toEqual(['shop-dev', '/aws/eks/shop-dev/cluster']);
+  });
+});
+
+describe('toImportBlocks', () => {
+  it('writes an import block per resource, with the id quoted for HCL', () => {
+    expect(toImportBlocks([
+      { address: 'module.eks.aws_iam_role.cluster', id: 'shop-dev-cluster-role' },
+      { address: 'aws_cloudwatch_log_group.eks["main"]', id: '/aws/eks/${shop}' }
+    ])).toBe([
+      'import {',
+      '  to = module.eks.aws_iam_role.cluster',
+      '  id = "shop-dev-cluster-role"',
+      '}',
+      '',
+      'import {',
+      '  to = aws_cloudwatch_log_group.eks["main"]',
+      '  id = "/aws/eks/$${shop}"',
+      '}',
+      ''
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,159 @@
+jest.mock('../../utils/logger', () => ({ logger: { info: jest.fn(), error: jest.fn() } }));
+
+process.env.DEPLOYMENT_STORE = 'memory';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stacksDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stacks-'));
+process.env.TERRAFORM_STACKS_DIR = stacksDir;
+
+const { stacks } = require('../../store/deploymentRepository');
+const {
+  ensureStack,
+  holdsStackWorkingDir,
+  prepareStackWorkingDir,
+  recordStackApply,
+  recordStackDeployment,
+  writeWorkingFile
+} = require('../stacks');
+
+const config = { projectName: 'shop', environment: 'dev', awsCredentials: { region: 'eu-west-1' } };
+const mode = (target) => fs.statSync(target).mode & 0o777;
+
+afterAll(() => {
+  fs.rmSync(stacksDir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  stacks.delete('shop-dev');
+});
+
+describe('ensureStack', () => {
+  it('creates the stack for a project environment once', () => {
+    const stack = ensureStack(config);
+    expect(stack).toMatchObject({
+      id: 'shop-dev',
+      projectName: 'shop',
+      environment: 'dev',
+      region: 'eu-west-1',
+      workingDir: path.join(stacksDir, 'shop-dev'),
+      status: 'new'
+    });
+    expect(ensureStack(config)).toBe(stack);
+  });
+});
+
+describe('prepareStackWorkingDir', () => {
+  let previousUmask;
+
+  beforeEach(() => {
+    previousUmask = process.umask(0o022);
+  });
+
+  afterEach(() => {
+    process.umask(previousUmask);
+    fs.rmSync(path.join(stacksDir, 'shop-dev'), { recursive: true, force: true });
+  });
+
+  it('creates the working directory readable by the server only', async () => {
+    const stack = ensureStack(config);
+    await prepareStackWorkingDir(stack, { id: 'dep-1' });
+    expect(mode(stack.workingDir)).toBe(0o700);
+  });
+
+  it('restricts a working directory created before', async () => {
+    const stack = ensureStack(config);
+    fs.mkdirSync(stack.workingDir, { mode: 0o755 });
+    await prepareStackWorkingDir(stack, { id: 'dep-1' });
+    expect(mode(stack.workingDir)).toBe(0o700);
+  });
+
+  it('removes the previous configuration but keeps the initialized providers', async () => {
+    const stack = ensureStack(config);
+    fs.mkdirSync(path.join(stack.workingDir, '.terraform'), { recursive: true });
+    fs.mkdirSync(path.join(stack.workingDir, 'modules'));
+    for (const file of ['.terraform.lock.hcl', 'main.tf', 'terraform.tfvars', 'tfplan']) {
+      fs.writeFileSync(path.join(stack.workingDir, file), '');
+    }
+
+    await expect(prepareStackWorkingDir(stack, { id: 'dep-1' })).resolves.toBe(stack.workingDir);
+    expect(fs.readdirSync(stack.workingDir).sort()).toEqual(['.terraform', '.terraform.lock.hcl']);
+    expect(stacks.get('shop-dev').configuredBy).toBe('dep-1');
+  });
+});
+
+describe('writeWorkingFile', () => {
+  let workingDir;
+
+  beforeEach(() => {
+    workingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'working-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(workingDir, { recursive: true, force: true });
+  });
+
+  it('writes the file readable by the server only, even over an existing one', async () => {
+    const target = path.join(workingDir, 'terraform.tfvars');
+    fs.writeFileSync(target, 'old', { mode: 0o644 });
+
+    await writeWorkingFile(workingDir, 'terraform.tfvars', 'ssl_private_key = "key"\n');
+    expect(fs.readFileSync(target, 'utf8')).toBe('ssl_private_key = "key"\n');
+    expect(mode(target)).toBe(0o600);
+  });
+});
+
+describe('holdsStackWorkingDir', () => {
+  it('is true only for the deployment that last configured the stack', () => {
+    const stack = ensureStack(config);
+    stack.configuredBy = 'dep-2';
+
+    expect(holdsStackWorkingDir({ id: 'dep-2', stackId: 'shop-dev' })).toBe(true);
+    expect(holdsStackWorkingDir({ id: 'dep-1', stackId: 'shop-dev' })).toBe(false);
+    expect(holdsStackWorkingDir({ id: 'dep-1', stackId: 'other-dev' })).toBe(false);
+  });
+
+  it('is true for deployments from before stacks existed', () => {
+    expect(holdsStackWorkingDir({ id: 'dep-1' })).toBe(true);
+  });
+});
+
+describe('recordStackDeployment', () => {
+  it('links the deployment and its stack', () => {
+    const deployment = { id: 'dep-1', config };
+    const stack = recordStackDeployment(deployment);
+    expect(deployment.stackId).toBe('shop-dev');
+    expect(stack.lastDeploymentId).toBe('dep-1');
+  });
+});
+
+describe('recordStackApply', () => {
+  const outputs = [{ name: 'cluster_name', value: 'shop-dev' }];
+
+  it('records an apply with its outputs', () => {
+    recordStackApply({ id: 'dep-1', config }, { outputs });
+    expect(stacks.get('shop-dev')).toMatchObject({
+      status: 'applied',
+      outputs,
+      lastApply: { deploymentId: 'dep-1', destroy: false }
+    });
+  });
+
+  it('keeps the stack applied after a targeted destroy', () => {
+    recordStackApply({ id: 'dep-1', config }, { destroyed: true, targets: ['aws_s3_bucket.logs'], outputs });
+    expect(stacks.get('shop-dev')).toMatchObject({
+      status: 'applied',
+      outputs,
+      lastApply: { destroy: true, targets: ['aws_s3_bucket.logs'] }
+    });
+  });
+
+  it('marks the stack destroyed and drops its outputs after a full destroy', () => {
+    recordStackApply({ id: 'dep-1', config }, { destroyed: true, outputs });
+    const stack = stacks.get('shop-dev');
+    expect(stack.status).toBe('destroyed');
+    expect(stack.outputs).toBeUndefined();
+    expect(stack.lastApply.targets).toEqual([]);
+  });
+});
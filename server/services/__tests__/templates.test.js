@@ -0,0 +1,180 @@
+jest.mock('child_process', () => {
+  const actual = jest.requireActual('child_process');
+  return { ...actual, spawn: jest.fn(actual.spawn) };
+});
+
+const { EventEmitter } = require('events');
+const { execFileSync, spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ENV_KEYS = ['TERRAFORM_TEMPLATE_SOURCE', 'TERRAFORM_TEMPLATE_CACHE_DIR', 'TERRAFORM_TEMPLATE_GIT_TOKEN'];
+const savedEnv = {};
+let tempDir;
+
+// The templates module loaded afresh, as the configured template is read
+// when the module loads
+function loadTemplates(env) {
+  Object.assign(process.env, { TERRAFORM_TEMPLATE_CACHE_DIR: path.join(tempDir, 'cache') }, env);
+  let templates;
+  jest.isolateModules(() => {
+    templates = require('../templates');
+  });
+  return templates;
+}
+
+const git = (cwd, ...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd, encoding: 'utf8' }).trim();
+
+// Bare repository with one commit on main; returns its file:// URL
+function createRepository() {
+  const workDir = path.join(tempDir, 'work');
+  fs.mkdirSync(path.join(workDir, 'eks'), { recursive: true });
+  fs.writeFileSync(path.join(workDir, 'eks', 'main.tf'), 'terraform {}\n');
+  git(workDir, 'init', '--quiet', '--initial-branch', 'main');
+  git(workDir, 'add', '.');
+  git(workDir, 'commit', '--quiet', '-m', 'first');
+  git(tempDir, 'clone', '--quiet', '--bare', workDir, 'origin.git');
+  return { workDir, url: `file://${path.join(tempDir, 'origin.git')}` };
+}
+
+// Commit a change in the working copy and push it to the bare repository
+function pushChange(workDir, content, ...pushArgs) {
+  fs.writeFileSync(path.join(workDir, 'eks', 'main.tf'), content);
+  git(workDir, 'commit', '--quiet', '-am', content);
+  git(workDir, 'push', '--quiet', path.join(tempDir, 'origin.git'), ...pushArgs);
+  return git(workDir, 'rev-parse', 'HEAD');
+}
+
+beforeEach(() => {
+  spawn.mockClear();
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-'));
+  ENV_KEYS.forEach(key => {
+    savedEnv[key] = process.env[key];
+    delete process.env[key];
+  });
+});
+
+afterEach(() => {
+  spawn.mockImplementation(jest.requireActual('child_process').spawn);
+  ENV_KEYS.forEach(key => {
+    if (savedEnv[key] === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = savedEnv[key];
+    }
+  });
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('templates', () => {
+  it('uses the bundled EKS template unless a source is configured', () => {
+    const templates = loadTemplates();
+
+    expect(templates.DEFAULT_TEMPLATE_ID).toBe('eks');
+    expect(templates.listTemplates()).toEqual([
+      expect.objectContaining({ id: 'eks', source: 'bundled', location: 'bundled:eks', default: true })
+    ]);
+  });
+
+  it('copies a directory template without Terraform state and records its content hash', async () => {
+    const sourceDir = path.join(tempDir, 'template');
+    fs.mkdirSync(path.join(sourceDir, '.terraform'), { recursive: true });
+    fs.writeFileSync(path.join(sourceDir, 'main.tf'), 'terraform {}\n');
+    fs.writeFileSync(path.join(sourceDir, 'terraform.tfstate'), '{}');
+    const templates = loadTemplates({ TERRAFORM_TEMPLATE_SOURCE: sourceDir });
+    const targetDir = path.join(tempDir, 'target');
+
+    const version = await templates.copyTemplate(templates.DEFAULT_TEMPLATE_ID, targetDir);
+
+    expect(fs.readdirSync(targetDir)).toEqual(['main.tf']);
+    expect(version).toMatchObject({ templateId: 'custom', source: 'directory', location: sourceDir });
+    expect(version.revision).toMatch(/^sha256:[0-9a-f]{64}$/);
+
+    fs.writeFileSync(path.join(sourceDir, 'terraform.tfstate'), '{"serial": 2}');
+    expect((await templates.resolveTemplate()).version.revision).toBe(version.revision);
+  });
+
+  it('rejects a git source that does not pin a ref', () => {
+    expect(() => loadTemplates({ TERRAFORM_TEMPLATE_SOURCE: 'git::https://github.com/acme/templates.git' }))
+      .toThrow('must pin a ref');
+  });
+
+  it('follows a branch ref to its latest commit', async () => {
+    const { workDir, url } = createRepository();
+    const templates = loadTemplates({ TERRAFORM_TEMPLATE_SOURCE: `git::${url}//eks?ref=main` });
+    const first = git(workDir, 'rev-parse', 'HEAD');
+
+    const resolved = await templates.resolveTemplate();
+    expect(resolved.version).toMatchObject({ source: 'git', ref: 'main', revision: first });
+    expect(fs.readFileSync(path.join(resolved.dir, 'main.tf'), 'utf8')).toBe('terraform {}\n');
+
+    const second = pushChange(workDir, 'terraform { required_version = ">= 1.5" }\n', 'main');
+    const moved = await templates.resolveTemplate();
+    expect(moved.version.revision).toBe(second);
+    expect(moved.dir).not.toBe(resolved.dir);
+    expect(fs.readFileSync(path.join(moved.dir, 'main.tf'), 'utf8')).toContain('required_version');
+  });
+
+  it('peels an annotated tag to its commit and prefers it over a branch of the same name', async () => {
+    const { workDir, url } = createRepository();
+    git(workDir, 'tag', '-a', 'v1', '-m', 'v1');
+    const tagged = git(workDir, 'rev-parse', 'HEAD');
+    git(workDir, 'push', '--quiet', path.join(tempDir, 'origin.git'), 'v1');
+    pushChange(workDir, '# branch named like the tag\n', 'HEAD:refs/heads/v1');
+    const templates = loadTemplates({ TERRAFORM_TEMPLATE_SOURCE: `git::${url}//eks?ref=v1` });
+
+    expect((await templates.resolveTemplate()).version.revision).toBe(tagged);
+  });
+
+  it('fails for a ref the repository does not have', async () => {
+    const { url } = createRepository();
+    const templates = loadTemplates({ TERRAFORM_TEMPLATE_SOURCE: `git::${url}//eks?ref=v9` });
+
+    await expect(templates.resolveTemplate()).rejects.toThrow(`Template ref v9 not found in ${url}//eks?ref=v9`);
+  });
+
+  it('passes the GitHub token to git through its environment, not its arguments', async () => {
+    const commit = 'a'.repeat(40);
+    const templates = loadTemplates({
+      TERRAFORM_TEMPLATE_SOURCE: 'git::https://github.com/acme/templates.git//eks?ref=v1',
+      TERRAFORM_TEMPLATE_GIT_TOKEN: 'ghp_secret'
+    });
+    // git stand-in that answers ls-remote and rev-parse and creates the subdirectory
+    spawn.mockImplementation((command, args, { cwd }) => {
+      const child = new EventEmitter();
+      child.stdout = new EventEmitter();
+      child.stderr = new EventEmitter();
+      setImmediate(() => {
+        if (args[0] === 'ls-remote') {
+          child.stdout.emit('data', `${commit}\trefs/tags/v1\n`);
+        } else if (args[0] === 'rev-parse') {
+          child.stdout.emit('data', `${commit}\n`);
+        } else if (args[0] === 'checkout') {
+          fs.mkdirSync(path.join(cwd, 'eks'));
+        }
+        child.emit('close', 0);
+      });
+      return child;
+    });
+
+    expect((await templates.resolveTemplate()).version.revision).toBe(commit);
+
+    const credentials = Buffer.from('x-access-token:ghp_secret').toString('base64');
+    // Settings the server's own environment gives git come first
+    const index = parseInt(process.env.GIT_CONFIG_COUNT, 10) || 0;
+    const isRemote = (args) => ['ls-remote', 'fetch'].includes(args[0]);
+    expect(spawn.mock.calls.filter(([, args]) => isRemote(args))).toHaveLength(2);
+    spawn.mock.calls.forEach(([, args, { env }]) => {
+      expect(args.join(' ')).not.toContain(credentials);
+      expect(Object.values(env).includes(`Authorization: Basic ${credentials}`)).toBe(isRemote(args));
+      if (isRemote(args)) {
+        expect(env).toMatchObject({
+          GIT_CONFIG_COUNT: String(index + 1),
+          [`GIT_CONFIG_KEY_${index}`]: 'http.extraHeader',
+          [`GIT_CONFIG_VALUE_${index}`]: `Authorization: Basic ${credentials}`
+        });
+      }
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const { parsePlanSummary, summarizeOutputs, summarizePlanJson, summarizeStateJson } = require('../terraform');
+
+const resourceChange = (address, actions, change = {}) => ({
+  address,
+  mode: 'managed',
+  type: address.split('.').slice(-2)[0],
+  name: address.split('.').pop(),
+  change: { actions, before: null, after: null, ...change }
+});
+
+describe('summarizePlanJson', () => {
+  const plan = {
+    terraform_version: '1.6.0',
+    resource_changes: [
+      resourceChange('aws_vpc.main', ['no-op']),
+      resourceChange('aws_s3_bucket.logs', ['create'], { after: { bucket: 'logs' }, after_unknown: { arn: true } }),
+      resourceChange('aws_db_instance.db', ['update'], {
+        before: { instance_class: 'db.t3.micro', password: 'old-password', tags: { Env: 'dev' } },
+        after: { instance_class: 'db.t3.small', password: 'new-password', tags: { Env: 'dev' } },
+        before_sensitive: { password: true },
+        after_sensitive: { password: true }
+      }),
+      resourceChange('module.eks.aws_eks_cluster.this', ['delete', 'create'], { replace_paths: [['vpc_config', 0, 'subnet_ids']] }),
+      resourceChange('aws_iam_role.cluster', ['no-op'], { importing: { id: 'shop-dev-cluster' } })
+    ]
+  };
+
+  it('counts resources by action, with a replacement as an add and a destroy', () => {
+    const { summary } = summarizePlanJson(plan);
+    expect(summary).toMatchObject({ import: 1, add: 2, change: 1, destroy: 1, replace: 1, noChanges: false });
+    expect(summary.text).toBe('Plan: 1 to import, 2 to add, 1 to change, 1 to destroy.');
+  });
+
+  it('lists changed and imported resources, replacements first and imports last', () => {
+    const { resources } = summarizePlanJson(plan);
+    expect(resources.map(resource => [resource.address, resource.action])).toEqual([
+      ['module.eks.aws_eks_cluster.this', 'replace'],
+      ['aws_db_instance.db', 'update'],
+      ['aws_s3_bucket.logs', 'create'],
+      ['aws_iam_role.cluster', 'import']
+    ]);
+    expect(resources[0].replaceReasons).toEqual(['vpc_config[0].subnet_ids']);
+  });
+
+  it('masks sensitive attribute values and marks unknown ones', () => {
+    const { resources } = summarizePlanJson(plan);
+    const database = resources.find(resource => resource.address === 'aws_db_instance.db');
+
+    expect(database.changes).toEqual([
+      { path: 'instance_class', before: 'db.t3.micro', after: 'db.t3.small' },
+      { path: 'password', before: '(sensitive)', after: '(sensitive)', sensitive: true }
+    ]);
+    expect(JSON.stringify(resources)).not.toMatch(/old-password|new-password/);
+
+    const bucket = resources.find(resource => resource.address === 'aws_s3_bucket.logs');
+    expect(bucket.changes).toContainEqual({ path: 'arn', before: null, after: '(known after apply)', unknown: true });
+  });
+
+  it('reports a plan without changes', () => {
+    const { summary, resources } = summarizePlanJson({ resource_changes: [resourceChange('aws_vpc.main', ['no-op'])] });
+    expect(resources).toEqual([]);
+    expect(summary).toMatchObject({ noChanges: true, text: 'No changes.' });
+  });
+});
+
+describe('summarizeStateJson', () => {
+  const state = {
+    terraform_version: '1.6.0',
+    values: {
+      outputs: {
+        cluster_name: { value: 'shop-dev', type: 'string' },
+        db_password: { value: 'hunter2', type: 'string', sensitive: true }
+      },
+      root_module: {
+        resources: [{
+          address: 'aws_db_instance.db',
+          mode: 'managed',
+          type: 'aws_db_instance',
+          name: 'db',
+          provider_name: 'registry.terraform.io/hashicorp/aws',
+          values: { id: 'db-1', username: 'admin', password: 'hunter2', endpoints: [{ host: 'db.internal', token: 'abc' }] },
+          sensitive_values: { password: true, endpoints: [{ token: true }] }
+        }],
+        child_modules: [{
+          address: 'module.eks',
+          resources: [{ address: 'module.eks.aws_eks_cluster.this', mode: 'managed', type: 'aws_eks_cluster', name: 'this', values: { id: 'shop-dev' } }]
+        }]
+      }
+    }
+  };
+
+  it('masks sensitive attributes at any depth', () => {
+    const [database] = summarizeStateJson(state).resources;
+    expect(database.attributes).toEqual({ id: 'db-1', username: 'admin', password: '(sensitive)', endpoints: [{ host: 'db.internal', token: '(sensitive)' }] });
+  });
+
+  it('includes resources of child modules', () => {
+    expect(summarizeStateJson(state).resources.map(resource => [resource.address, resource.module])).toEqual([
+      ['aws_db_instance.db', null],
+      ['module.eks.aws_eks_cluster.this', 'module.eks']
+    ]);
+  });
+
+  it('masks sensitive outputs', () => {
+    expect(summarizeStateJson(state).outputs).toEqual([
+      { name: 'cluster_name', type: 'string', sensitive: false, value: 'shop-dev' },
+      { name: 'db_password', type: 'string', sensitive: true, value: '(sensitive)' }
+    ]);
+    expect(JSON.stringify(summarizeStateJson(state))).not.toContain('hunter2');
+  });
+});
+
+describe('summarizeOutputs', () => {
+  it('masks sensitive outputs from `terraform output -json`', () => {
+    expect(summarizeOutputs({ url: { value: 'http://x' }, token: { value: 'secret', sensitive: true } })).toEqual([
+      { name: 'url', type: null, sensitive: false, value: 'http://x' },
+      { name: 'token', type: null, sensitive: true, value: '(sensitive)' }
+    ]);
+  });
+});
+
+describe('parsePlanSummary', () => {
+  it('reads the counts from the Plan line', () => {
+    expect(parsePlanSummary('...\nPlan: 2 to import, 3 to add, 1 to change, 0 to destroy.\n')).toEqual({
+      import: 2, add: 3, change: 1, destroy: 0, noChanges: false, text: 'Plan: 2 to import, 3 to add, 1 to change, 0 to destroy.'
+    });
+  });
+
+  it('recognizes a plan without changes', () => {
+    expect(parsePlanSummary('No changes. Your infrastructure matches the configuration.')).toMatchObject({ noChanges: true, text: 'No changes.' });
+  });
+});
@@ -0,0 +1,67 @@
+const { STSClient, GetCallerIdentityCommand } = require('@aws-sdk/client-sts');
+const { EKSClient, DescribeClusterCommand, ListClustersCommand } = require('@aws-sdk/client-eks');
+
+// The UI and the routes name credential fields differently; accept both shapes
+function normalizeCredentials(awsCredentials = {}) {
+  return {
+    accessKeyId: (awsCredentials.accessKeyId || awsCredentials.accessKey || '').trim(),
+    secretAccessKey: (awsCredentials.secretAccessKey || awsCredentials.secretKey || '').trim(),
+    region: (awsCredentials.region || '').trim()
+  };
+}
+
+// Client configuration shared by every AWS SDK v3 client
+function getClientConfig(awsCredentials) {
+  const { accessKeyId, secretAccessKey, region } = normalizeCredentials(awsCredentials);
+  return {
+    region,
+    credentials: {
+      accessKeyId,
+      secretAccessKey
+    }
+  };
+}
+
+// Environment for CLI tools (terraform, kubectl) that read the standard AWS variables
+function getCredentialsEnv(awsCredentials) {
+  const { accessKeyId, secretAccessKey, region } = normalizeCredentials(awsCredentials);
+  return {
+    AWS_ACCESS_KEY_ID: accessKeyId,
+    AWS_SECRET_ACCESS_KEY: secretAccessKey,
+    AWS_DEFAULT_REGION: region,
+    AWS_REGION: region
+  };
+}
+
+// Resolve the identity behind a set of credentials
+async function getCallerIdentity(awsCredentials) {
+  const stsClient = new STSClient(getClientConfig(awsCredentials));
+  const response = await stsClient.send(new GetCallerIdentityCommand({}));
+
+  return {
+    account: response.Account,
+    userId: response.UserId,
+    arn: response.Arn
+  };
+}
+
+async function listClusters(awsCredentials) {
+  const eksClient = new EKSClient(getClientConfig(awsCredentials));
+  const response = await eksClient.send(new ListClustersCommand({}));
+  return response.clusters || [];
+}
+
+async function describeCluster(awsCredentials, clusterName) {
+  const eksClient = new EKSClient(getClientConfig(awsCredentials));
+  const response = await eksClient.send(new DescribeClusterCommand({ name: clusterName }));
+  return response.cluster;
+}
+
+module.exports = {
+  normalizeCredentials,
+  getClientConfig,
+  getCredentialsEnv,
+  getCallerIdentity,
+  listClusters,
+  describeCluster
+};
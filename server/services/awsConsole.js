@@ -0,0 +1,40 @@
+// AWS console pages for Terraform resource types, built from the resource's
+// state attributes. Each returns null when an attribute it needs is missing.
+
+const regionalConsole = (region, service) => `https://${region}.console.aws.amazon.com/${service}/home?region=${region}`;
+
+// IAM is global; its console lives in us-east-1
+const IAM_CONSOLE = 'https://us-east-1.console.aws.amazon.com/iam/home';
+
+const CONSOLE_PAGES = {
+  aws_vpc: ({ id }, region) => id && `${regionalConsole(region, 'vpcconsole')}#VpcDetails:VpcId=${id}`,
+  aws_subnet: ({ id }, region) => id && `${regionalConsole(region, 'vpcconsole')}#SubnetDetails:subnetId=${id}`,
+  aws_route_table: ({ id }, region) => id && `${regionalConsole(region, 'vpcconsole')}#RouteTableDetails:RouteTableId=${id}`,
+  aws_internet_gateway: ({ id }, region) => id && `${regionalConsole(region, 'vpcconsole')}#InternetGateway:internetGatewayId=${id}`,
+  aws_nat_gateway: ({ id }, region) => id && `${regionalConsole(region, 'vpcconsole')}#NatGatewayDetails:natGatewayId=${id}`,
+  aws_eip: ({ id }, region) => id && `${regionalConsole(region, 'ec2')}#ElasticIpDetails:AllocationId=${id}`,
+  aws_security_group: ({ id }, region) => id && `${regionalConsole(region, 'ec2')}#SecurityGroup:groupId=${id}`,
+  aws_eks_cluster: ({ name }, region) => name && `${regionalConsole(region, 'eks')}#/clusters/${encodeURIComponent(name)}`,
+  aws_eks_node_group: ({ cluster_name: clusterName, node_group_name: nodeGroupName }, region) => clusterName && nodeGroupName &&
+    `${regionalConsole(region, 'eks')}#/clusters/${encodeURIComponent(clusterName)}/nodegroups/${encodeURIComponent(nodeGroupName)}`,
+  aws_db_instance: ({ identifier }, region) => identifier && `${regionalConsole(region, 'rds')}#database:id=${encodeURIComponent(identifier)};is-cluster=false`,
+  aws_db_subnet_group: ({ name }, region) => name && `${regionalConsole(region, 'rds')}#db-subnet-group:id=${encodeURIComponent(name)}`,
+  aws_s3_bucket: ({ bucket }, region) => bucket && `https://s3.console.aws.amazon.com/s3/buckets/${encodeURIComponent(bucket)}?region=${region}`,
+  aws_ecr_repository: ({ name, registry_id: registryId }, region) => name && registryId &&
+    `https://${region}.console.aws.amazon.com/ecr/repositories/private/${registryId}/${name}?region=${region}`,
+  aws_iam_role: ({ name }) => name && `${IAM_CONSOLE}#/roles/details/${encodeURIComponent(name)}`
+};
+
+// Link to a resource's details in the AWS console, or null for resource types
+// without a known page
+function getConsoleUrl(type, attributes, region) {
+  const page = CONSOLE_PAGES[type];
+  if (!page || !region) {
+    return null;
+  }
+  return page(attributes || {}, region) || null;
+}
+
+module.exports = {
+  getConsoleUrl
+};
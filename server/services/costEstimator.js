@@ -0,0 +1,207 @@
+const PRICES = require('../pricing/aws-prices.json');
+const { getChangeAction } = require('./terraform');
+
+// Monthly budgets per environment, e.g. "dev=200,staging=1000,prod=5000".
+// Estimates over budget are flagged but not blocked.
+const COST_BUDGETS = (process.env.COST_BUDGETS || 'dev=200,staging=1000,prod=5000')
+  .split(',')
+  .map(entry => entry.split('='))
+  .filter(([environment, limit]) => environment && Number.isFinite(parseFloat(limit)))
+  .reduce((budgets, [environment, limit]) => ({ ...budgets, [environment.trim()]: parseFloat(limit) }), {});
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Unit prices such as $0.115 per GB-month are finer than a cent
+const roundUnitPrice = (amount) => Math.round(amount * 10000) / 10000;
+
+const monthlyFromHourly = (hourly) => (hourly === undefined ? undefined : hourly * PRICES.hoursPerMonth);
+
+// One priced part of a resource. The unit price is undefined when the pricing
+// table has no entry for it.
+const lineItem = (description, quantity, unit, unitMonthly) => ({ description, quantity, unit, unitMonthly });
+
+// Line items for each priced resource type, from its attributes as
+// `terraform show -json` reports them. Other resource types cost nothing to
+// run or are not covered by the table.
+const RESOURCE_PRICERS = {
+  aws_eks_cluster: () => [
+    lineItem('EKS control plane', 1, 'cluster', monthlyFromHourly(PRICES.eks.clusterHourly))
+  ],
+  aws_eks_node_group: (values) => {
+    const [scaling = {}] = values.scaling_config || [];
+    const [instanceType] = values.instance_types || [];
+    const nodes = scaling.desired_size || 0;
+    const spot = values.capacity_type === 'SPOT';
+    const hourly = PRICES.ec2.instanceHourly[instanceType];
+
+    return [
+      lineItem(`${instanceType || 'Unknown'} nodes${spot ? ' (spot)' : ''}`, nodes, 'node',
+        monthlyFromHourly(hourly === undefined ? undefined : hourly * (spot ? PRICES.ec2.spotFactor : 1))),
+      lineItem('Node root volumes (gp2)', nodes * (values.disk_size || 20), 'GB', PRICES.ebs.gp2MonthlyPerGb)
+    ];
+  },
+  aws_nat_gateway: () => [
+    lineItem('NAT gateway (before data processing)', 1, 'gateway', monthlyFromHourly(PRICES.vpc.natGatewayHourly))
+  ],
+  aws_eip: () => [
+    lineItem('Public IPv4 address', 1, 'address', monthlyFromHourly(PRICES.vpc.publicIpv4Hourly))
+  ],
+  aws_db_instance: (values) => {
+    // A Multi-AZ instance runs and stores everything twice
+    const copies = values.multi_az ? 2 : 1;
+    const hourly = (PRICES.rds.instanceHourly[values.engine] || {})[values.instance_class];
+
+    return [
+      lineItem(`${values.instance_class} ${values.engine}${values.multi_az ? ' (Multi-AZ)' : ''}`, copies, 'instance', monthlyFromHourly(hourly)),
+      lineItem('Database storage', (values.allocated_storage || 0) * copies, 'GB', PRICES.rds.storageMonthlyPerGb)
+    ];
+  }
+};
+
+// Price resources given as { address, type, name, values }
+function priceResources(resources, region) {
+  const multiplier = PRICES.regionMultipliers[region] || 1;
+
+  return resources
+    .filter(resource => RESOURCE_PRICERS[resource.type])
+    .map(resource => {
+      const items = RESOURCE_PRICERS[resource.type](resource.values || {}).map(item => {
+        const unitMonthly = item.unitMonthly === undefined ? null : item.unitMonthly * multiplier;
+        return {
+          ...item,
+          unitMonthly: unitMonthly === null ? null : roundUnitPrice(unitMonthly),
+          monthly: unitMonthly === null ? null : round(unitMonthly * item.quantity)
+        };
+      });
+
+      return {
+        address: resource.address,
+        type: resource.type,
+        name: resource.name,
+        action: resource.action,
+        items,
+        monthly: round(items.reduce((total, item) => total + (item.monthly || 0), 0))
+      };
+    });
+}
+
+const sumMonthly = (resources) => round(resources.reduce((total, resource) => total + resource.monthly, 0));
+
+// The estimate common to both sources: totals, what the table had no price
+// for, and what it leaves out
+function buildEstimate(resources, region, source) {
+  return {
+    source,
+    currency: PRICES.currency,
+    region,
+    regionPriced: region in PRICES.regionMultipliers,
+    pricingVersion: PRICES.version,
+    monthlyTotal: sumMonthly(resources),
+    resources,
+    unpriced: resources.flatMap(resource => resource.items
+      .filter(item => item.unitMonthly === null)
+      .map(item => `${resource.address}: ${item.description}`)),
+    excludes: PRICES.excludes,
+    estimatedAt: new Date()
+  };
+}
+
+// Estimate the monthly cost of the infrastructure the EKS template creates
+// from its Terraform variables, before anything has been planned
+function estimateFromVariables(variables) {
+  const region = variables.aws_region;
+  const zones = variables.availability_zones_count || 2;
+  const natGateways = variables.enable_nat_gateway ? (variables.single_nat_gateway ? 1 : zones) : 0;
+
+  const resources = [
+    { address: 'module.eks.aws_eks_cluster.main', type: 'aws_eks_cluster', name: 'main', values: {} },
+    {
+      address: 'module.eks.aws_eks_node_group.main',
+      type: 'aws_eks_node_group',
+      name: 'main',
+      values: {
+        instance_types: variables.node_instance_types,
+        capacity_type: variables.node_capacity_type,
+        disk_size: variables.node_disk_size,
+        scaling_config: [{ desired_size: variables.node_desired_size }]
+      }
+    }
+  ];
+
+  for (let index = 0; index < natGateways; index++) {
+    resources.push(
+      { address: `module.vpc.aws_nat_gateway.main[${index}]`, type: 'aws_nat_gateway', name: 'main', values: {} },
+      { address: `module.vpc.aws_eip.nat[${index}]`, type: 'aws_eip', name: 'nat', values: {} }
+    );
+  }
+
+  if (variables.enable_database) {
+    resources.push({
+      address: 'module.database[0].aws_db_instance.main',
+      type: 'aws_db_instance',
+      name: 'main',
+      values: {
+        engine: variables.db_engine,
+        instance_class: variables.db_instance_class,
+        allocated_storage: variables.db_allocated_storage,
+        multi_az: variables.db_multi_az
+      }
+    });
+  }
+
+  return buildEstimate(priceResources(resources, region), region, 'variables');
+}
+
+// Estimate the monthly cost of the infrastructure a `terraform show -json`
+// plan leaves behind, next to what the same resources cost before it
+function estimateFromPlan(plan, region) {
+  const managed = (plan.resource_changes || []).filter(resourceChange => resourceChange.mode === 'managed');
+  const stateOf = (side) => managed
+    .filter(resourceChange => resourceChange.change && resourceChange.change[side])
+    .map(resourceChange => ({
+      address: resourceChange.address,
+      type: resourceChange.type,
+      name: resourceChange.name,
+      action: getChangeAction(resourceChange.change.actions),
+      values: resourceChange.change[side]
+    }));
+
+  const estimate = buildEstimate(priceResources(stateOf('after'), region), region, 'plan');
+  const previousMonthlyTotal = sumMonthly(priceResources(stateOf('before'), region));
+
+  return {
+    ...estimate,
+    previousMonthlyTotal,
+    monthlyChange: round(estimate.monthlyTotal - previousMonthlyTotal)
+  };
+}
+
+// Compare an estimate with the environment's budget; null when it has none
+function checkBudget(estimate, environment) {
+  const limit = COST_BUDGETS[environment];
+  if (limit === undefined) {
+    return null;
+  }
+  return {
+    environment,
+    limit,
+    exceeded: estimate.monthlyTotal > limit,
+    remaining: round(limit - estimate.monthlyTotal)
+  };
+}
+
+// The part of an estimate shown alongside a deployment's status and approval
+const getCostSummary = (estimate) => estimate && {
+  currency: estimate.currency,
+  monthlyTotal: estimate.monthlyTotal,
+  previousMonthlyTotal: estimate.previousMonthlyTotal,
+  monthlyChange: estimate.monthlyChange,
+  budget: estimate.budget
+};
+
+module.exports = {
+  checkBudget,
+  estimateFromPlan,
+  estimateFromVariables,
+  getCostSummary
+};
@@ -0,0 +1,31 @@
+const { createJobQueue } = require('../utils/jobQueue');
+
+// How many deployments may run at once, in total and per project
+const DEPLOYMENT_CONCURRENCY = parseInt(process.env.DEPLOYMENT_CONCURRENCY, 10) || 2;
+const PROJECT_CONCURRENCY = parseInt(process.env.DEPLOYMENT_PROJECT_CONCURRENCY, 10) || 1;
+
+const changeListeners = new Set();
+
+// Deployments, and the drift checks that use their working directories, wait
+// here until a worker slot for them is free
+const deploymentQueue = createJobQueue({
+  concurrency: DEPLOYMENT_CONCURRENCY,
+  keyConcurrency: PROJECT_CONCURRENCY,
+  onChange: (queue) => changeListeners.forEach(listener => listener(queue))
+});
+
+// Register a listener called with the queue whenever it changes; returns a
+// function that unregisters it
+function onQueueChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+// A stack is one project environment: one Terraform state key and lock
+const getStackKey = (config) => `${config.projectName}/${config.environment}`;
+
+module.exports = {
+  deploymentQueue,
+  getStackKey,
+  onQueueChange
+};
@@ -0,0 +1,202 @@
+const Docker = require('dockerode');
+const tar = require('tar');
+const { spawnSync } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+
+const docker = new Docker();
+
+// Errors from the Docker daemon, named so the Docker error handler picks them up
+class DockerError extends Error {
+  constructor(message, { statusCode, reason, details } = {}) {
+    super(message);
+    this.name = 'DockerError';
+    this.statusCode = statusCode;
+    this.reason = reason;
+    this.details = details;
+  }
+}
+
+const toDockerError = (error) => error instanceof DockerError
+  ? error
+  : new DockerError(error.message, { statusCode: error.statusCode, reason: error.reason, details: error.json });
+
+// Follow a build/push stream to the end. Progress events are passed to
+// onProgress; an aborted signal closes the stream, which makes the daemon stop.
+function followStream(stream, { onProgress, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    let streamError = null;
+
+    const onAbort = () => stream.destroy(new DockerError('Docker operation cancelled'));
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+
+    docker.modem.followProgress(stream, (err, result) => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+
+      if (err || streamError) {
+        reject(toDockerError(err || streamError));
+      } else {
+        resolve(result);
+      }
+    }, (event) => {
+      // The daemon reports build and push failures as events, not stream errors
+      if (event.error) {
+        streamError = new DockerError(event.error, { details: event.errorDetail });
+      }
+      if (onProgress) {
+        onProgress(event);
+      }
+    });
+  });
+}
+
+// Build an image from a directory containing a Dockerfile and return its details
+async function buildImage({ contextPath, imageName, imageTag = 'latest', onProgress, signal }) {
+  const fullImageName = `${imageName}:${imageTag}`;
+
+  try {
+    await fs.access(path.join(contextPath, 'Dockerfile'));
+  } catch (error) {
+    throw new DockerError('No Dockerfile found in repository root');
+  }
+
+  // Create tar stream from repository directory
+  const tarStream = tar.create(
+    {
+      gzip: true,
+      cwd: contextPath
+    },
+    ['.'] // Include all files
+  );
+
+  const buildStream = await docker.buildImage(tarStream, {
+    t: fullImageName,
+    dockerfile: 'Dockerfile',
+    rm: true, // Remove intermediate containers
+    forcerm: true, // Always remove intermediate containers
+    pull: true // Always pull base image
+  });
+
+  await followStream(buildStream, { onProgress, signal });
+
+  // Check if our image exists, if not try to find the most recent dangling image
+  let targetImage = docker.getImage(fullImageName);
+  try {
+    await targetImage.inspect();
+  } catch (error) {
+    const images = await docker.listImages();
+    const danglingImages = images.filter(img =>
+      !img.RepoTags || img.RepoTags.length === 0 || img.RepoTags[0] === '<none>:<none>'
+    ).sort((a, b) => b.Created - a.Created);
+
+    if (danglingImages.length === 0) {
+      throw new DockerError(`No image found with name ${fullImageName} and no dangling images available`);
+    }
+
+    // Tag the dangling image with our desired name
+    await docker.getImage(danglingImages[0].Id).tag({ repo: imageName, tag: imageTag });
+    targetImage = docker.getImage(fullImageName);
+  }
+
+  const imageInfo = await targetImage.inspect();
+
+  return {
+    id: imageInfo.Id,
+    name: fullImageName,
+    size: imageInfo.Size,
+    created: imageInfo.Created,
+    architecture: imageInfo.Architecture,
+    os: imageInfo.Os
+  };
+}
+
+async function tagImage(sourceImage, repo, tag) {
+  try {
+    await docker.getImage(sourceImage).tag({ repo, tag });
+  } catch (error) {
+    throw toDockerError(error);
+  }
+}
+
+// Tag a local image for a registry and push it
+async function pushImage({ localImage, registry, repository, tag = 'latest', auth, onProgress, signal }) {
+  const remoteRepo = `${registry}/${repository}`;
+  const remoteImage = `${remoteRepo}:${tag}`;
+
+  await tagImage(localImage, remoteRepo, tag);
+
+  const pushStream = await docker.getImage(remoteImage).push({
+    authconfig: {
+      username: auth.username || 'AWS',
+      password: auth.password,
+      serveraddress: registry
+    }
+  });
+
+  await followStream(pushStream, { onProgress, signal });
+
+  return {
+    local: localImage,
+    remote: remoteImage,
+    registry,
+    repository,
+    tag
+  };
+}
+
+// Run a Docker CLI command. The ECR push endpoint uses the CLI for login, tag
+// and push because it has proven more reliable than dockerode push streams.
+function runCli(args) {
+  const result = spawnSync('docker', args, {
+    stdio: 'pipe',
+    encoding: 'utf8'
+  });
+
+  if (result.status !== 0) {
+    const command = args[0];
+    const errorMsg = result.stderr || (result.error && result.error.message) || `Docker ${command} failed`;
+    throw new DockerError(`Docker ${command} failed: ${errorMsg}`);
+  }
+
+  return result.stdout;
+}
+
+const cliLogin = ({ registry, username, password }) => runCli(['login', '-u', username, '-p', password, registry]);
+const cliTag = (sourceImage, targetImage) => runCli(['tag', sourceImage, targetImage]);
+const cliPush = (image) => runCli(['push', image]);
+
+async function listImages() {
+  const images = await docker.listImages();
+
+  return images.map(image => ({
+    id: image.Id,
+    tags: image.RepoTags || [],
+    size: image.Size,
+    created: image.Created,
+    labels: image.Labels || {}
+  }));
+}
+
+async function removeImage(imageId, { force = false } = {}) {
+  await docker.getImage(imageId).remove({ force });
+}
+
+module.exports = {
+  DockerError,
+  buildImage,
+  tagImage,
+  pushImage,
+  cliLogin,
+  cliTag,
+  cliPush,
+  listImages,
+  removeImage
+};
@@ -0,0 +1,203 @@
+const fs = require('fs').promises;
+const path = require('path');
+const cron = require('node-cron');
+const { logger } = require('../utils/logger');
+const { deployments, stacks, getMissingSecrets } = require('../store/deploymentRepository');
+const { getCredentialsEnv } = require('./aws');
+const { deploymentQueue, getStackKey } = require('./deploymentQueue');
+const { runTerraform, summarizeDriftJson, toTerraformError } = require('./terraform');
+
+// Written next to the deployment's tfplan so the two never collide
+const DRIFT_PLAN_FILE = 'drift.tfplan';
+
+// Deployment statuses in which nothing else is using the working directory
+const SETTLED_STATUSES = ['completed', 'failed', 'cancelled', 'rejected', 'interrupted'];
+
+// Deployments with a check queued or in progress. Kept in memory rather than
+// read from the stored drift status, which would stay 'checking' across a restart.
+const runningChecks = new Set();
+
+// Drift checks share one key in the deployment queue, so they never count
+// against a project's deployments
+const DRIFT_QUEUE_KEY = 'drift-checks';
+
+const isDriftCheckJob = (job) => job.kind === 'drift-check';
+
+const pathExists = (target) => fs.access(target).then(() => true, () => false);
+
+// Why a deployment's stack cannot be checked for drift, or null if it can.
+// `locked` is set by a check that holds the stack's lock: deployments of the
+// stack still in flight are waiting for it then.
+async function getDriftBlocker(deployment, { locked = false } = {}) {
+  const applyStep = (deployment.steps || []).find(step => step.id === 'terraform-apply');
+  if (!applyStep || applyStep.status !== 'completed') {
+    return 'Terraform has not applied this deployment';
+  }
+  if (deployment.config.destroy_mode === true) {
+    return 'This deployment has been destroyed';
+  }
+  if (!SETTLED_STATUSES.includes(deployment.status)) {
+    return `Deployment is ${deployment.status}`;
+  }
+  // The stack's working directory is shared by its deployments: only the one
+  // that last applied is checked, and not while another one is using it
+  const stack = deployment.stackId && stacks.get(deployment.stackId);
+  if (stack) {
+    if (!stack.lastApply || stack.lastApply.deploymentId !== deployment.id) {
+      return 'A later deployment of this stack has replaced it';
+    }
+    const latest = deployments.get(stack.lastDeploymentId);
+    if (!locked && latest && latest.id !== deployment.id && !SETTLED_STATUSES.includes(latest.status)) {
+      return `Deployment ${latest.id} of this stack is ${latest.status}`;
+    }
+  }
+  if (getMissingSecrets(deployment).some(secretPath => secretPath.startsWith('config.awsCredentials.'))) {
+    return 'The server restarted since this deployment ran and does not keep AWS credentials; resume it with them to check for drift';
+  }
+  if (!locked && runningChecks.has(deployment.id)) {
+    return 'A drift check is already running';
+  }
+  if (!deployment.terraformWorkingDir || !(await pathExists(path.join(deployment.terraformWorkingDir, '.terraform')))) {
+    return 'The Terraform working directory no longer exists; resume the deployment to recreate it';
+  }
+  return null;
+}
+
+const emitDrift = (io, deployment) => {
+  if (io) {
+    io.to(`deployment-${deployment.id}`).emit('drift-update', {
+      deploymentId: deployment.id,
+      drift: deployment.drift,
+      timestamp: new Date()
+    });
+  }
+};
+
+// Run `task` as a job holding the stack's lock in the deployment queue, so
+// no deployment of the stack rewrites the working directory or the state
+// while it runs; resolves or rejects as the task does
+const withStackLock = (deployment, task) => new Promise((resolve, reject) => {
+  const { projectName, environment } = deployment.config;
+  deploymentQueue.enqueue(`drift-${deployment.id}`, {
+    key: DRIFT_QUEUE_KEY,
+    lock: getStackKey(deployment.config),
+    meta: { kind: 'drift-check', deploymentId: deployment.id, projectName, environment },
+    run: () => task().then(resolve, reject)
+  });
+});
+
+// Compare the deployed infrastructure with Terraform state using a
+// refresh-only plan, which reads the real resources without proposing
+// changes to them. The result is stored as deployment.drift. The check waits
+// for deployments of the stack to finish, and they wait for it.
+async function checkDrift(deployment, { io, onOutput } = {}) {
+  const { id: deploymentId, terraformWorkingDir: workingDir } = deployment;
+  const env = getCredentialsEnv(deployment.config.awsCredentials);
+  const startedAt = new Date();
+
+  runningChecks.add(deploymentId);
+  deployment.drift = { ...deployment.drift, status: 'checking', startedAt };
+  deployments.save(deploymentId);
+  emitDrift(io, deployment);
+
+  try {
+    const { drifted, summary, resources } = await withStackLock(deployment, async () => {
+      // A deployment that ran while the check was queued may have replaced this one
+      const blocker = await getDriftBlocker(deployment, { locked: true });
+      if (blocker) {
+        throw new Error(blocker);
+      }
+
+      // -detailed-exitcode: 0 when state matches, 2 when something drifted
+      const planResult = await runTerraform('plan', [
+        '-refresh-only',
+        '-detailed-exitcode',
+        '-input=false',
+        `-out=${DRIFT_PLAN_FILE}`
+      ], { workingDir, env, onOutput });
+      if (planResult.exitCode !== 0 && planResult.exitCode !== 2) {
+        throw toTerraformError('plan -refresh-only', planResult);
+      }
+
+      const showResult = await runTerraform('show', ['-json', DRIFT_PLAN_FILE], { workingDir, env });
+      if (showResult.exitCode !== 0) {
+        throw toTerraformError('show', showResult);
+      }
+
+      return summarizeDriftJson(JSON.parse(showResult.stdout));
+    });
+    deployment.drift = {
+      status: drifted ? 'drifted' : 'in-sync',
+      startedAt,
+      checkedAt: new Date(),
+      summary,
+      resources
+    };
+    logger.info(`Drift check for deployment ${deploymentId}: ${deployment.drift.status}`);
+  } catch (error) {
+    logger.error(`Drift check for deployment ${deploymentId} failed:`, error);
+    deployment.drift = {
+      status: 'error',
+      startedAt,
+      checkedAt: new Date(),
+      error: error.message
+    };
+  } finally {
+    runningChecks.delete(deploymentId);
+    deployments.save(deploymentId);
+    emitDrift(io, deployment);
+  }
+
+  return deployment.drift;
+}
+
+// The part of deployment.drift shown in deployment lists
+const getDriftBadge = (drift) => drift && {
+  status: drift.status,
+  checkedAt: drift.checkedAt,
+  summary: drift.summary
+};
+
+// Check every applied deployment on the DRIFT_CHECK_SCHEDULE cron expression,
+// one at a time. Does nothing when no schedule is configured.
+function startDriftSchedule(io, schedule = process.env.DRIFT_CHECK_SCHEDULE) {
+  if (!schedule) {
+    return null;
+  }
+  if (!cron.validate(schedule)) {
+    logger.error(`Invalid DRIFT_CHECK_SCHEDULE "${schedule}"; scheduled drift checks are disabled`);
+    return null;
+  }
+
+  let sweeping = false;
+  const task = cron.schedule(schedule, async () => {
+    // A slow sweep is not overlapped by the next one
+    if (sweeping) {
+      return;
+    }
+    sweeping = true;
+
+    try {
+      for (const deployment of Array.from(deployments.values())) {
+        if (!(await getDriftBlocker(deployment))) {
+          await checkDrift(deployment, { io });
+        }
+      }
+    } catch (error) {
+      logger.error('Scheduled drift check failed:', error);
+    } finally {
+      sweeping = false;
+    }
+  });
+
+  logger.info(`Scheduled drift checks: ${schedule}`);
+  return task;
+}
+
+module.exports = {
+  checkDrift,
+  getDriftBadge,
+  getDriftBlocker,
+  isDriftCheckJob,
+  startDriftSchedule
+};
@@ -0,0 +1,68 @@
+const { ECRClient, CreateRepositoryCommand, DescribeRepositoriesCommand, GetAuthorizationTokenCommand } = require('@aws-sdk/client-ecr');
+const { logger } = require('../utils/logger');
+const { getClientConfig } = require('./aws');
+
+// Get registry credentials for `docker login` / image pushes
+async function getAuthorizationToken(awsCredentials) {
+  const ecrClient = new ECRClient(getClientConfig(awsCredentials));
+  const response = await ecrClient.send(new GetAuthorizationTokenCommand({}));
+
+  if (!response.authorizationData || response.authorizationData.length === 0) {
+    throw new Error('Failed to get ECR authorization token');
+  }
+
+  const authData = response.authorizationData[0];
+  const token = Buffer.from(authData.authorizationToken, 'base64').toString('utf-8');
+  const [username, password] = token.split(':');
+
+  return {
+    registry: authData.proxyEndpoint,
+    username,
+    password,
+    expiresAt: authData.expiresAt
+  };
+}
+
+// Return the repository, creating it first if it does not exist yet
+async function ensureRepository(awsCredentials, repositoryName) {
+  const ecrClient = new ECRClient(getClientConfig(awsCredentials));
+
+  try {
+    const existingRepo = await ecrClient.send(new DescribeRepositoriesCommand({
+      repositoryNames: [repositoryName]
+    }));
+
+    if (existingRepo.repositories && existingRepo.repositories.length > 0) {
+      logger.info(`ECR repository ${repositoryName} already exists`);
+      return { repository: existingRepo.repositories[0], existed: true };
+    }
+  } catch (error) {
+    // Repository doesn't exist, we'll create it
+    if (error.name !== 'RepositoryNotFoundException') {
+      throw error;
+    }
+  }
+
+  const result = await ecrClient.send(new CreateRepositoryCommand({
+    repositoryName,
+    imageScanningConfiguration: {
+      scanOnPush: true
+    },
+    encryptionConfiguration: {
+      encryptionType: 'AES256'
+    }
+  }));
+
+  logger.info(`ECR repository ${repositoryName} created successfully`);
+
+  return { repository: result.repository, existed: false };
+}
+
+// Registry host without the scheme, as used in image names
+const getRegistryHost = (registry) => registry.replace(/^https?:\/\//, '');
+
+module.exports = {
+  getAuthorizationToken,
+  ensureRepository,
+  getRegistryHost
+};
@@ -0,0 +1,130 @@
+const { Octokit } = require('@octokit/rest');
+const { spawn } = require('child_process');
+const { CancelledError } = require('../utils/cancellation');
+
+// How a cancelled clone is stopped
+const GIT_STOP = { signal: 'SIGTERM', killAfterMs: 5000 };
+
+// Parse GitHub repository URL
+function parseGitHubUrl(url) {
+  const patterns = [
+    /^https:\/\/github\.com\/([^/]+)\/([^/]+?)(?:\.git)?\/?$/,
+    /^git@github\.com:([^/]+)\/([^/]+?)\.git$/,
+    /^https:\/\/www\.github\.com\/([^/]+)\/([^/]+?)(?:\.git)?\/?$/
+  ];
+
+  for (const pattern of patterns) {
+    const match = url.match(pattern);
+    if (match) {
+      return {
+        owner: match[1],
+        repo: match[2],
+        isValid: true
+      };
+    }
+  }
+
+  return { isValid: false };
+}
+
+// HTTPS clone URL with the access token embedded, for private repositories
+function getCloneUrl(url, accessToken) {
+  if (accessToken && url.startsWith('https://github.com/')) {
+    return url.replace('https://github.com/', `https://${accessToken}@github.com/`);
+  }
+  return url;
+}
+
+const createClient = (accessToken) => new Octokit({
+  auth: accessToken || undefined
+});
+
+async function getRepository({ owner, repo, accessToken }) {
+  const { data } = await createClient(accessToken).rest.repos.get({ owner, repo });
+  return data;
+}
+
+async function listBranches({ owner, repo, accessToken }) {
+  const { data } = await createClient(accessToken).rest.repos.listBranches({
+    owner,
+    repo,
+    per_page: 100
+  });
+  return data;
+}
+
+// File or directory contents at a path; files come back base64 encoded
+async function getContent({ owner, repo, path, ref, accessToken }) {
+  const { data } = await createClient(accessToken).rest.repos.getContent({ owner, repo, path, ref });
+  return data;
+}
+
+// Clone with the git CLI so output can be streamed and the process tracked
+// by a cancellation token. Without a branch the default branch is cloned.
+function cloneRepository({ url, branch, accessToken, targetDir, depth, onOutput, cancellation }) {
+  const args = ['clone'];
+  if (branch) {
+    args.push('--branch', branch, '--single-branch');
+  }
+  if (depth) {
+    args.push('--depth', String(depth));
+  }
+  args.push(getCloneUrl(url, accessToken), '.');
+
+  return new Promise((resolve, reject) => {
+    const gitProcess = spawn('git', args, {
+      cwd: targetDir,
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    if (cancellation) {
+      cancellation.trackProcess(gitProcess, GIT_STOP);
+    }
+
+    let output = '';
+    let errorOutput = '';
+
+    gitProcess.stdout.on('data', (data) => {
+      output += data.toString();
+      if (onOutput) {
+        onOutput(data.toString().trim(), 'stdout');
+      }
+    });
+
+    gitProcess.stderr.on('data', (data) => {
+      errorOutput += data.toString();
+      if (onOutput) {
+        onOutput(data.toString().trim(), 'stderr');
+      }
+    });
+
+    // On cancel, don't wait for stdio to close: children may still hold the pipes
+    gitProcess.on('exit', () => {
+      if (cancellation && cancellation.cancelled) {
+        reject(new CancelledError(cancellation.reason));
+      }
+    });
+
+    gitProcess.on('close', (code) => {
+      if (code === 0) {
+        resolve({ path: targetDir, output });
+      } else {
+        const error = new Error(`Git clone failed with code ${code}: ${errorOutput}`);
+        error.stderr = errorOutput;
+        reject(error);
+      }
+    });
+
+    gitProcess.on('error', (error) => {
+      reject(new Error(`Failed to start git: ${error.message}`));
+    });
+  });
+}
+
+module.exports = {
+  parseGitHubUrl,
+  getCloneUrl,
+  getRepository,
+  listBranches,
+  getContent,
+  cloneRepository
+};
@@ -0,0 +1,91 @@
+const http = require('http');
+const https = require('https');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Only the start of a response body is kept, for reporting
+const MAX_BODY_LENGTH = 500;
+
+// Thrown when the application never answered with the expected status;
+// `lastResult` is its final answer or the error that took its place
+class HealthCheckError extends Error {
+  constructor(message, lastResult) {
+    super(message);
+    this.name = 'HealthCheckError';
+    this.lastResult = lastResult;
+  }
+}
+
+// GET a URL once, without following redirects. A load balancer is addressed
+// by the hostname AWS gave it, which the application's certificate does not
+// name, so the certificate chain is verified but not the hostname.
+function requestUrl(url, { signal } = {}) {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = client.get(target, {
+      signal,
+      timeout: REQUEST_TIMEOUT_MS,
+      checkServerIdentity: () => undefined
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString() }));
+    });
+
+    req.on('timeout', () => {
+      const error = new Error(`GET ${url} timed out after ${REQUEST_TIMEOUT_MS / 1000}s`);
+      error.code = 'ETIMEDOUT';
+      req.destroy(error);
+    });
+    req.on('error', reject);
+  });
+}
+
+const describeResult = (result) => {
+  if (!result) {
+    return 'no response';
+  }
+  if (result.error) {
+    return result.error;
+  }
+  const body = result.body.trim().slice(0, MAX_BODY_LENGTH);
+  return `HTTP ${result.status}${body ? `: ${body}` : ''}`;
+};
+
+// Call probe until it answers with expectedStatus, passing each result to
+// onAttempt. Connection errors count as unhealthy answers, since a new load
+// balancer takes a while to resolve and accept connections.
+async function waitForHealthy(probe, { expectedStatus, timeoutMs, intervalMs = 10000, sleep, onAttempt }) {
+  const deadline = Date.now() + timeoutMs;
+
+  for (let attempt = 1; ; attempt++) {
+    let result;
+    try {
+      result = await probe();
+    } catch (error) {
+      result = { error: error.message };
+    }
+    onAttempt({ attempt, healthy: result.status === expectedStatus, result });
+
+    if (result.status === expectedStatus) {
+      return result;
+    }
+    if (Date.now() >= deadline) {
+      throw new HealthCheckError(
+        `Health check did not return HTTP ${expectedStatus} within ${Math.round(timeoutMs / 1000)}s; last response: ${describeResult(result)}`,
+        result
+      );
+    }
+
+    // Rejects with CancelledError when the deployment is cancelled
+    await sleep(intervalMs);
+  }
+}
+
+module.exports = {
+  HealthCheckError,
+  requestUrl,
+  waitForHealthy
+};
@@ -0,0 +1,410 @@
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const tar = require('tar');
+const tmp = require('tmp');
+const yaml = require('js-yaml');
+const { CancelledError } = require('../utils/cancellation');
+const { getAppIdentity, getAppSettings, getExposure, getIngressAnnotations, getServiceAnnotations } = require('./manifests');
+
+const CHART_VERSION = '0.1.0';
+
+const ENVIRONMENTS = ['dev', 'staging', 'prod'];
+
+// SIGTERM lets Helm record a failed release instead of leaving it pending
+const HELM_STOP = { signal: 'SIGTERM', killAfterMs: 30000 };
+
+// A Helm command that could not be started or exited unsuccessfully
+class HelmError extends Error {
+  constructor(message, { command, exitCode, stderr } = {}) {
+    super(message);
+    this.name = 'HelmError';
+    this.command = command;
+    this.code = exitCode;
+    this.stderr = stderr;
+  }
+}
+
+// Split an image reference into the repository and tag Helm charts take
+function splitImage(imageUri) {
+  const tagStart = imageUri.lastIndexOf(':');
+  if (tagStart > imageUri.lastIndexOf('/')) {
+    return { repository: imageUri.slice(0, tagStart), tag: imageUri.slice(tagStart + 1) };
+  }
+  return { repository: imageUri, tag: 'latest' };
+}
+
+// How the other environments differ from the one the deployment was
+// configured for: one replica in dev, at least two and autoscaling in prod
+const ENVIRONMENT_PROFILES = {
+  dev: () => ({ replicaCount: 1, autoscaling: { enabled: false } }),
+  staging: () => ({}),
+  prod: (app) => {
+    const minReplicas = Math.max(app.autoscaling.minReplicas, app.replicas, 2);
+    return {
+      replicaCount: Math.max(app.replicas, 2),
+      autoscaling: { enabled: true, minReplicas, maxReplicas: Math.max(app.autoscaling.maxReplicas, minReplicas) }
+    };
+  }
+};
+
+// Chart values for the deployment's settings. Secret keys are always listed;
+// their values only with `includeSecrets`.
+function buildValues(config, imageUri, includeSecrets) {
+  const app = getAppSettings(config);
+  const exposure = getExposure(config);
+  const secrets = Object.fromEntries(Object.entries(app.secrets).map(([key, value]) => [key, includeSecrets ? value : '']));
+
+  return {
+    environment: config.environment,
+    image: { ...splitImage(imageUri), pullPolicy: 'IfNotPresent' },
+    replicaCount: app.replicas,
+    containerPort: app.containerPort,
+    healthCheck: { path: app.healthCheckPath, port: app.healthCheckPort },
+    resources: app.resources,
+    autoscaling: app.autoscaling,
+    env: app.environmentVariables,
+    secrets,
+    existingSecret: '',
+    service: exposure === 'network'
+      ? { type: 'LoadBalancer', https: Boolean((config.loadBalancerConfig || {}).certificateArn), annotations: getServiceAnnotations(config) }
+      : { type: 'ClusterIP', https: false, annotations: {} },
+    ingress: exposure === 'application'
+      ? { enabled: true, className: 'alb', annotations: getIngressAnnotations(app, config) }
+      : { enabled: false, className: 'alb', annotations: {} }
+  };
+}
+
+const dumpValues = (header, values) => `${header.map(line => `# ${line}\n`).join('')}${yaml.dump(values, { lineWidth: -1, noRefs: true })}`;
+
+// Templates producing the same objects as services/manifests, except the
+// Namespace, which `helm install --create-namespace` creates
+function renderTemplates(chartName) {
+  const include = (helper, context = '.') => `include "${chartName}.${helper}" ${context}`;
+
+  return {
+    'templates/_helpers.tpl': `{{- define "${chartName}.name" -}}
+{{- default .Chart.Name .Values.nameOverride | trunc 63 | trimSuffix "-" }}
+{{- end }}
+
+{{- define "${chartName}.fullname" -}}
+{{- default .Release.Name .Values.fullnameOverride | trunc 63 | trimSuffix "-" }}
+{{- end }}
+
+{{- define "${chartName}.selectorLabels" -}}
+app.kubernetes.io/name: {{ ${include('name')} }}
+app.kubernetes.io/instance: {{ .Release.Name }}-{{ .Values.environment }}
+{{- end }}
+
+{{- define "${chartName}.labels" -}}
+{{ ${include('selectorLabels')} }}
+app.kubernetes.io/managed-by: {{ .Release.Service }}
+app.kubernetes.io/version: {{ .Chart.AppVersion | quote }}
+helm.sh/chart: {{ .Chart.Name }}-{{ .Chart.Version }}
+{{- end }}
+
+{{- define "${chartName}.secretName" -}}
+{{- default (printf "%s-secrets" (${include('fullname')})) .Values.existingSecret }}
+{{- end }}
+`,
+
+    'templates/configmap.yaml': `{{- if .Values.env }}
+apiVersion: v1
+kind: ConfigMap
+metadata:
+  name: {{ ${include('fullname')} }}-config
+  labels:
+    {{- ${include('labels')} | nindent 4 }}
+data:
+  {{- range $key, $value := .Values.env }}
+  {{ $key }}: {{ $value | quote }}
+  {{- end }}
+{{- end }}
+`,
+
+    'templates/secret.yaml': `{{- if and .Values.secrets (not .Values.existingSecret) }}
+apiVersion: v1
+kind: Secret
+metadata:
+  name: {{ ${include('secretName')} }}
+  labels:
+    {{- ${include('labels')} | nindent 4 }}
+type: Opaque
+stringData:
+  {{- range $key, $value := .Values.secrets }}
+  {{ $key }}: {{ $value | quote }}
+  {{- end }}
+{{- end }}
+`,
+
+    'templates/service.yaml': `apiVersion: v1
+kind: Service
+metadata:
+  name: {{ ${include('fullname')} }}
+  labels:
+    {{- ${include('labels')} | nindent 4 }}
+  {{- with .Values.service.annotations }}
+  annotations:
+    {{- toYaml . | nindent 4 }}
+  {{- end }}
+spec:
+  type: {{ .Values.service.type }}
+  selector:
+    {{- ${include('selectorLabels')} | nindent 4 }}
+  ports:
+    - name: http
+      port: 80
+      targetPort: http
+      protocol: TCP
+    {{- if .Values.service.https }}
+    - name: https
+      port: 443
+      targetPort: http
+      protocol: TCP
+    {{- end }}
+`,
+
+    'templates/deployment.yaml': `apiVersion: apps/v1
+kind: Deployment
+metadata:
+  name: {{ ${include('fullname')} }}
+  labels:
+    {{- ${include('labels')} | nindent 4 }}
+spec:
+  {{- if not .Values.autoscaling.enabled }}
+  replicas: {{ .Values.replicaCount }}
+  {{- end }}
+  selector:
+    matchLabels:
+      {{- ${include('selectorLabels')} | nindent 6 }}
+  # Keep every current replica serving until its replacement is ready
+  strategy:
+    type: RollingUpdate
+    rollingUpdate:
+      maxSurge: 1
+      maxUnavailable: 0
+  template:
+    metadata:
+      labels:
+        {{- ${include('labels')} | nindent 8 }}
+      # Pods only read their environment when they start
+      annotations:
+        checksum/config: {{ include (print $.Template.BasePath "/configmap.yaml") . | sha256sum }}
+        checksum/secrets: {{ include (print $.Template.BasePath "/secret.yaml") . | sha256sum }}
+    spec:
+      containers:
+        - name: {{ ${include('name')} }}
+          image: "{{ .Values.image.repository }}:{{ .Values.image.tag }}"
+          imagePullPolicy: {{ .Values.image.pullPolicy }}
+          ports:
+            - name: http
+              containerPort: {{ .Values.containerPort }}
+              protocol: TCP
+          {{- if .Values.env }}
+          envFrom:
+            - configMapRef:
+                name: {{ ${include('fullname')} }}-config
+          {{- end }}
+          {{- if .Values.secrets }}
+          env:
+            {{- range $key, $value := .Values.secrets }}
+            - name: {{ $key }}
+              valueFrom:
+                secretKeyRef:
+                  name: {{ ${include('secretName', '$')} }}
+                  key: {{ $key }}
+            {{- end }}
+          {{- end }}
+          resources:
+            {{- toYaml .Values.resources | nindent 12 }}
+          readinessProbe:
+            httpGet:
+              path: {{ .Values.healthCheck.path }}
+              port: {{ .Values.healthCheck.port }}
+            initialDelaySeconds: 5
+            periodSeconds: 10
+            failureThreshold: 3
+          livenessProbe:
+            httpGet:
+              path: {{ .Values.healthCheck.path }}
+              port: {{ .Values.healthCheck.port }}
+            initialDelaySeconds: 15
+            periodSeconds: 20
+            failureThreshold: 3
+`,
+
+    'templates/hpa.yaml': `{{- if .Values.autoscaling.enabled }}
+# Scales on CPU use, which needs the Kubernetes metrics server in the cluster
+apiVersion: autoscaling/v2
+kind: HorizontalPodAutoscaler
+metadata:
+  name: {{ ${include('fullname')} }}
+  labels:
+    {{- ${include('labels')} | nindent 4 }}
+spec:
+  scaleTargetRef:
+    apiVersion: apps/v1
+    kind: Deployment
+    name: {{ ${include('fullname')} }}
+  minReplicas: {{ .Values.autoscaling.minReplicas }}
+  maxReplicas: {{ .Values.autoscaling.maxReplicas }}
+  metrics:
+    - type: Resource
+      resource:
+        name: cpu
+        target:
+          type: Utilization
+          averageUtilization: {{ .Values.autoscaling.targetCpuUtilization }}
+{{- end }}
+`,
+
+    'templates/ingress.yaml': `{{- if .Values.ingress.enabled }}
+apiVersion: networking.k8s.io/v1
+kind: Ingress
+metadata:
+  name: {{ ${include('fullname')} }}
+  labels:
+    {{- ${include('labels')} | nindent 4 }}
+  {{- with .Values.ingress.annotations }}
+  annotations:
+    {{- toYaml . | nindent 4 }}
+  {{- end }}
+spec:
+  ingressClassName: {{ .Values.ingress.className }}
+  rules:
+    - http:
+        paths:
+          - path: /
+            pathType: Prefix
+            backend:
+              service:
+                name: {{ ${include('fullname')} }}
+                port:
+                  name: http
+{{- end }}
+`
+  };
+}
+
+// Helm chart of a deployment's application, as file contents by path within
+// the chart directory. values.yaml holds the deployment's settings and
+// values-<environment>.yaml adjusts them per environment. Without
+// `includeSecrets` the secret values are left blank.
+function renderChart(config, imageUri, { includeSecrets = false } = {}) {
+  const { name } = getAppIdentity(config);
+  const app = getAppSettings(config);
+  const values = buildValues(config, imageUri, includeSecrets);
+
+  const files = {
+    'Chart.yaml': yaml.dump({
+      apiVersion: 'v2',
+      name,
+      description: `${name} application, generated by AWS Builder`,
+      type: 'application',
+      version: CHART_VERSION,
+      appVersion: values.image.tag
+    }),
+    'values.yaml': dumpValues([
+      `Settings of the ${name} application as configured for ${config.environment}.`,
+      'Install with the values file of an environment, e.g.',
+      `  helm upgrade --install ${name} . --namespace ${name} --create-namespace -f values-${config.environment}.yaml`,
+      Object.keys(values.secrets).length > 0 && !includeSecrets
+        ? 'Secret values are not included: set them with --set secrets.<KEY>=..., or name a Secret holding them in existingSecret.'
+        : null
+    ].filter(Boolean), values),
+    ...renderTemplates(name)
+  };
+
+  ENVIRONMENTS.forEach(environment => {
+    const overrides = environment === config.environment ? {} : ENVIRONMENT_PROFILES[environment](app);
+    files[`values-${environment}.yaml`] = dumpValues(
+      [`Overrides of values.yaml for ${environment}`],
+      { environment, ...overrides }
+    );
+  });
+
+  return { name, version: CHART_VERSION, files };
+}
+
+// Write a chart into a directory named after it under parentDir, and return
+// the chart's directory
+async function writeChart(chart, parentDir) {
+  const chartDir = path.join(parentDir, chart.name);
+  for (const [file, content] of Object.entries(chart.files)) {
+    await fs.mkdir(path.dirname(path.join(chartDir, file)), { recursive: true });
+    await fs.writeFile(path.join(chartDir, file), content, { mode: 0o600 });
+  }
+  return chartDir;
+}
+
+// The chart as a .tgz, laid out the way `helm package` lays it out
+async function packageChart(chart) {
+  const tmpDir = tmp.dirSync({ unsafeCleanup: true });
+  try {
+    await writeChart(chart, tmpDir.name);
+    const chunks = [];
+    for await (const chunk of tar.create({ gzip: true, cwd: tmpDir.name, portable: true }, [chart.name])) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  } finally {
+    tmpDir.removeCallback();
+  }
+}
+
+// Run a Helm command and collect its output, rejecting with HelmError when it
+// fails and with CancelledError when the run was cancelled
+function runHelm(args, { onOutput, cancellation } = {}) {
+  if (cancellation) {
+    cancellation.throwIfCancelled();
+  }
+
+  return new Promise((resolve, reject) => {
+    const helmProcess = spawn('helm', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    if (cancellation) {
+      cancellation.trackProcess(helmProcess, HELM_STOP);
+    }
+
+    let stdout = '';
+    let stderr = '';
+
+    helmProcess.stdout.on('data', (data) => {
+      const output = data.toString();
+      stdout += output;
+      if (onOutput) {
+        onOutput(output, 'stdout');
+      }
+    });
+
+    helmProcess.stderr.on('data', (data) => {
+      const output = data.toString();
+      stderr += output;
+      if (onOutput) {
+        onOutput(output, 'stderr');
+      }
+    });
+
+    helmProcess.on('close', (code) => {
+      if (cancellation && cancellation.cancelled) {
+        reject(new CancelledError(cancellation.reason));
+      } else if (code !== 0) {
+        reject(new HelmError(`helm ${args[0]} failed: ${(stderr.trim() || stdout.trim()).split('\n').pop()}`, { command: args[0], exitCode: code, stderr }));
+      } else {
+        resolve({ stdout, stderr });
+      }
+    });
+
+    helmProcess.on('error', (error) => {
+      const reason = error.code === 'ENOENT' ? 'helm is not installed on the server' : error.message;
+      reject(new HelmError(`Failed to start helm ${args[0]}: ${reason}`, { command: args[0] }));
+    });
+  });
+}
+
+module.exports = {
+  HelmError,
+  packageChart,
+  renderChart,
+  runHelm,
+  writeChart
+};
@@ -0,0 +1,132 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const { SignatureV4 } = require('@smithy/signature-v4');
+const { describeCluster, normalizeCredentials } = require('./aws');
+
+// Kubeconfigs hold cluster credentials, so only the server's user can read them
+const KUBECONFIG_DIR = process.env.KUBECONFIG_DIR ||
+  path.join(process.env.DATA_DIR || path.join(__dirname, '../data'), 'kubeconfig');
+
+// EKS accepts a token for 15 minutes after it was signed; a minute is kept
+// back so a token is never used right at the edge
+const TOKEN_LIFETIME_MS = 14 * 60 * 1000;
+
+// SHA-256 for the SigV4 signer, backed by node's crypto
+class Sha256 {
+  constructor(secret) {
+    this.hash = secret ? crypto.createHmac('sha256', secret) : crypto.createHash('sha256');
+  }
+
+  update(data) {
+    this.hash.update(data);
+  }
+
+  async digest() {
+    return new Uint8Array(this.hash.digest());
+  }
+}
+
+// Bearer token for the cluster's API server, the same one `aws eks get-token`
+// prints: a presigned STS GetCallerIdentity URL naming the cluster, which EKS
+// resolves to the IAM identity that signed it
+async function getEksToken(awsCredentials, clusterName) {
+  const { accessKeyId, secretAccessKey, region } = normalizeCredentials(awsCredentials);
+  const hostname = `sts.${region}.amazonaws.com`;
+  const signer = new SignatureV4({
+    credentials: { accessKeyId, secretAccessKey },
+    region,
+    service: 'sts',
+    sha256: Sha256
+  });
+
+  const signedAt = new Date();
+  const { query } = await signer.presign({
+    method: 'GET',
+    protocol: 'https:',
+    hostname,
+    path: '/',
+    query: { Action: 'GetCallerIdentity', Version: '2011-06-15' },
+    headers: { host: hostname, 'x-k8s-aws-id': clusterName }
+  }, { expiresIn: 60, signingDate: signedAt });
+
+  const queryString = Object.entries(query)
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&');
+
+  return {
+    token: `k8s-aws-v1.${Buffer.from(`https://${hostname}/?${queryString}`).toString('base64url')}`,
+    expiresAt: new Date(signedAt.getTime() + TOKEN_LIFETIME_MS)
+  };
+}
+
+// Kubeconfig for an EKS cluster as DescribeCluster returns it. The user
+// authenticates with `token`, or with `exec` the AWS CLI fetches a token
+// whenever kubectl needs one.
+function buildKubeconfig(cluster, { region, token }) {
+  const name = cluster.arn || cluster.name;
+  const user = token
+    ? { token }
+    : {
+      exec: {
+        apiVersion: 'client.authentication.k8s.io/v1beta1',
+        command: 'aws',
+        args: ['eks', 'get-token', '--cluster-name', cluster.name, '--region', region]
+      }
+    };
+
+  return yaml.dump({
+    apiVersion: 'v1',
+    kind: 'Config',
+    clusters: [{
+      name,
+      cluster: {
+        server: cluster.endpoint,
+        'certificate-authority-data': cluster.certificateAuthority.data
+      }
+    }],
+    users: [{ name, user }],
+    contexts: [{ name, context: { cluster: name, user: name } }],
+    'current-context': name
+  }, { lineWidth: -1 });
+}
+
+// Look the cluster up with the given credentials and build a kubeconfig for
+// it. Fails when the credentials cannot see the cluster or it is not running.
+async function createKubeconfig(awsCredentials, clusterName, { auth = 'token' } = {}) {
+  const { region } = normalizeCredentials(awsCredentials);
+  const cluster = await describeCluster(awsCredentials, clusterName);
+  if (cluster.status !== 'ACTIVE') {
+    throw new Error(`EKS cluster ${clusterName} is ${cluster.status}`);
+  }
+
+  const credentials = auth === 'exec' ? null : await getEksToken(awsCredentials, clusterName);
+  return {
+    content: buildKubeconfig(cluster, { region, token: credentials && credentials.token }),
+    cluster: { name: cluster.name, arn: cluster.arn, endpoint: cluster.endpoint, version: cluster.version },
+    expiresAt: credentials ? credentials.expiresAt : null
+  };
+}
+
+// Store a deployment's kubeconfig, readable by the server's user only
+async function saveKubeconfig(deploymentId, content) {
+  await fs.mkdir(KUBECONFIG_DIR, { recursive: true, mode: 0o700 });
+  const kubeconfigPath = path.join(KUBECONFIG_DIR, `${deploymentId}.yaml`);
+  await fs.writeFile(kubeconfigPath, content, { mode: 0o600 });
+  // The mode above only applies when the file is created
+  await fs.chmod(kubeconfigPath, 0o600);
+  return kubeconfigPath;
+}
+
+async function removeKubeconfig(kubeconfigPath) {
+  if (kubeconfigPath) {
+    await fs.rm(kubeconfigPath, { force: true });
+  }
+}
+
+module.exports = {
+  createKubeconfig,
+  removeKubeconfig,
+  saveKubeconfig
+};
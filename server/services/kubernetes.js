@@ -0,0 +1,265 @@
+const https = require('https');
+const yaml = require('js-yaml');
+
+const FIELD_MANAGER = 'aws-builder';
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+// Where the API serves each kind of object the app manages
+const RESOURCE_PATHS = {
+  Namespace: ({ name }) => `/api/v1/namespaces/${name}`,
+  ConfigMap: ({ namespace, name }) => `/api/v1/namespaces/${namespace}/configmaps/${name}`,
+  Secret: ({ namespace, name }) => `/api/v1/namespaces/${namespace}/secrets/${name}`,
+  Service: ({ namespace, name }) => `/api/v1/namespaces/${namespace}/services/${name}`,
+  Deployment: ({ namespace, name }) => `/apis/apps/v1/namespaces/${namespace}/deployments/${name}`,
+  HorizontalPodAutoscaler: ({ namespace, name }) => `/apis/autoscaling/v2/namespaces/${namespace}/horizontalpodautoscalers/${name}`,
+  Ingress: ({ namespace, name }) => `/apis/networking.k8s.io/v1/namespaces/${namespace}/ingresses/${name}`
+};
+
+// Container states that keep a pod from becoming ready until someone fixes
+// the image, the configuration or the application
+const STUCK_REASONS = ['ErrImagePull', 'ImagePullBackOff', 'InvalidImageName', 'CrashLoopBackOff', 'CreateContainerConfigError'];
+
+// An error response from the API server. `response` has the shape the retry
+// classifier reads (see utils/retry).
+class KubernetesApiError extends Error {
+  constructor(status, body) {
+    super((body && body.message) || `Kubernetes API request failed with status ${status}`);
+    this.name = 'KubernetesApiError';
+    this.statusCode = status;
+    this.reason = body && body.reason;
+    this.response = { status, data: body };
+  }
+}
+
+// Client for the cluster of a kubeconfig's current context. Only token users
+// are supported, as the kubectl-config step writes them.
+function createKubernetesClient(kubeconfigContent, { signal } = {}) {
+  const kubeconfig = yaml.load(kubeconfigContent);
+  const findNamed = (list, name) => ((list || []).find(entry => entry.name === name) || {});
+  const context = findNamed(kubeconfig.contexts, kubeconfig['current-context']).context || {};
+  const cluster = findNamed(kubeconfig.clusters, context.cluster).cluster;
+  const user = findNamed(kubeconfig.users, context.user).user;
+
+  if (!cluster || !user || !user.token) {
+    throw new Error('Kubeconfig has no cluster with a token user for its current context');
+  }
+
+  const server = new URL(cluster.server);
+  const ca = cluster['certificate-authority-data']
+    ? Buffer.from(cluster['certificate-authority-data'], 'base64')
+    : undefined;
+
+  // With `raw`, any response resolves as { status, body } instead of parsed JSON
+  const request = (method, apiPath, { body, contentType = 'application/json', raw = false } = {}) => new Promise((resolve, reject) => {
+    const req = https.request({
+      method,
+      hostname: server.hostname,
+      port: server.port || 443,
+      path: apiPath,
+      ca,
+      signal,
+      timeout: REQUEST_TIMEOUT_MS,
+      headers: {
+        Authorization: `Bearer ${user.token}`,
+        Accept: raw ? '*/*' : 'application/json',
+        ...(body ? { 'Content-Type': contentType, 'Content-Length': Buffer.byteLength(body) } : {})
+      }
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString();
+        if (raw) {
+          resolve({ status: res.statusCode, body: text });
+          return;
+        }
+
+        let parsed;
+        try {
+          parsed = text ? JSON.parse(text) : {};
+        } catch (error) {
+          parsed = { message: text };
+        }
+
+        if (res.statusCode >= 400) {
+          reject(new KubernetesApiError(res.statusCode, parsed));
+        } else {
+          resolve(parsed);
+        }
+      });
+    });
+
+    req.on('timeout', () => {
+      const error = new Error(`Kubernetes API request ${method} ${apiPath} timed out`);
+      error.code = 'ETIMEDOUT';
+      req.destroy(error);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+
+  const getPath = (kind, namespace, name) => {
+    if (!RESOURCE_PATHS[kind]) {
+      throw new Error(`Unsupported Kubernetes kind ${kind}`);
+    }
+    return RESOURCE_PATHS[kind]({ namespace, name });
+  };
+
+  return {
+    server: cluster.server,
+
+    // Create or update an object with server-side apply, taking over fields
+    // someone else changed by hand
+    apply(manifest) {
+      const objectPath = getPath(manifest.kind, manifest.metadata.namespace, manifest.metadata.name);
+      return request('PATCH', `${objectPath}?fieldManager=${FIELD_MANAGER}&force=true`, {
+        // JSON is valid YAML, which is what an apply patch is
+        body: JSON.stringify(manifest),
+        contentType: 'application/apply-patch+yaml'
+      });
+    },
+
+    get(kind, namespace, name) {
+      return request('GET', getPath(kind, namespace, name));
+    },
+
+    async listPods(namespace, matchLabels) {
+      const labelSelector = Object.entries(matchLabels).map(([key, value]) => `${key}=${value}`).join(',');
+      const list = await request('GET', `/api/v1/namespaces/${namespace}/pods?labelSelector=${encodeURIComponent(labelSelector)}`);
+      return list.items || [];
+    },
+
+    async listEvents(namespace) {
+      const list = await request('GET', `/api/v1/namespaces/${namespace}/events`);
+      return list.items || [];
+    },
+
+    // GET a path of a Service through the API server, for Services that are
+    // not reachable from outside the cluster
+    proxyGet(namespace, service, port, servicePath) {
+      return request('GET', `/api/v1/namespaces/${namespace}/services/${service}:${port}/proxy${servicePath}`, { raw: true });
+    }
+  };
+}
+
+// Why a pod is not running yet, when it is stuck rather than starting
+function getPodProblem(pod) {
+  const scheduled = (pod.status.conditions || []).find(condition => condition.type === 'PodScheduled');
+  if (scheduled && scheduled.status === 'False' && scheduled.reason === 'Unschedulable') {
+    return `${pod.metadata.name} cannot be scheduled: ${scheduled.message}`;
+  }
+
+  const waiting = (pod.status.containerStatuses || [])
+    .map(container => container.state && container.state.waiting)
+    .find(state => state && STUCK_REASONS.includes(state.reason));
+  return waiting ? `${pod.metadata.name}: ${waiting.reason}${waiting.message ? ` (${waiting.message})` : ''}` : null;
+}
+
+// Where a Deployment's rollout stands, by the same rules as
+// `kubectl rollout status`, with its pods for detail
+function getRolloutProgress(deployment, pods) {
+  const status = deployment.status || {};
+  const desired = deployment.spec.replicas;
+  const livePods = pods.filter(pod => !pod.metadata.deletionTimestamp);
+  const progressing = (status.conditions || []).find(condition => condition.type === 'Progressing');
+  const observed = (status.observedGeneration || 0) >= deployment.metadata.generation;
+  const updated = status.updatedReplicas || 0;
+  const available = status.availableReplicas || 0;
+
+  return {
+    desired,
+    updated,
+    ready: status.readyReplicas || 0,
+    available,
+    pods: livePods.length,
+    scheduled: livePods.filter(pod => pod.spec.nodeName).length,
+    problems: livePods.map(getPodProblem).filter(Boolean),
+    complete: observed && updated === desired && (status.replicas || 0) === desired && available === desired,
+    deadlineExceeded: Boolean(progressing && progressing.reason === 'ProgressDeadlineExceeded')
+  };
+}
+
+// The hostname AWS gave the load balancer of an Ingress or LoadBalancer
+// Service, once it has been provisioned
+const getLoadBalancerHostname = (object) => {
+  const [entry] = (object.status && object.status.loadBalancer && object.status.loadBalancer.ingress) || [];
+  return entry ? entry.hostname || entry.ip || null : null;
+};
+
+// Poll an Ingress or LoadBalancer Service until AWS has provisioned its load
+// balancer, and return the load balancer's hostname
+async function waitForLoadBalancer(client, { kind, namespace, name }, { timeoutMs, intervalMs = 10000, sleep }) {
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    const hostname = getLoadBalancerHostname(await client.get(kind, namespace, name));
+    if (hostname) {
+      return hostname;
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(`${kind} ${namespace}/${name} has no load balancer address after ${Math.round(timeoutMs / 1000)}s; check that the AWS Load Balancer Controller is installed`);
+    }
+    await sleep(intervalMs);
+  }
+}
+
+// The latest warning events of the given pods, oldest first, as
+// `kubectl describe pod` lists them
+async function getPodWarnings(client, namespace, pods, limit = 10) {
+  const podNames = new Set(pods.map(pod => pod.metadata.name));
+  const events = await client.listEvents(namespace);
+  const eventTime = (event) => new Date(event.lastTimestamp || event.eventTime || event.metadata.creationTimestamp);
+
+  return events
+    .filter(event => event.type === 'Warning' && event.involvedObject.kind === 'Pod' && podNames.has(event.involvedObject.name))
+    .sort((a, b) => eventTime(a) - eventTime(b))
+    .slice(-limit)
+    .map(event => `${event.involvedObject.name}: ${event.reason}: ${event.message}${event.count > 1 ? ` (x${event.count})` : ''}`);
+}
+
+const describeProgress = (progress) =>
+  `${progress.scheduled}/${progress.pods} pods scheduled, ${progress.ready}/${progress.desired} replicas ready, ${progress.updated}/${progress.desired} updated`;
+
+// Poll a Deployment until its rollout completes, calling onProgress whenever
+// the counts or problems change. Fails when the rollout stalls past its
+// progress deadline or takes longer than timeoutMs.
+async function waitForRollout(client, { namespace, name }, { timeoutMs, intervalMs = 5000, sleep, onProgress }) {
+  const deadline = Date.now() + timeoutMs;
+  let lastReport;
+
+  for (;;) {
+    const deployment = await client.get('Deployment', namespace, name);
+    const pods = await client.listPods(namespace, deployment.spec.selector.matchLabels);
+    const progress = getRolloutProgress(deployment, pods);
+
+    const report = JSON.stringify([describeProgress(progress), progress.problems]);
+    if (report !== lastReport) {
+      lastReport = report;
+      onProgress(progress);
+    }
+
+    if (progress.complete) {
+      return progress;
+    }
+
+    const stalled = progress.deadlineExceeded
+      ? 'exceeded its progress deadline'
+      : Date.now() >= deadline && `did not finish within ${Math.round(timeoutMs / 1000)}s`;
+    if (stalled) {
+      const problems = progress.problems.length > 0 ? `; ${progress.problems.join('; ')}` : '';
+      throw new Error(`Rollout of ${namespace}/${name} ${stalled}: ${describeProgress(progress)}${problems}`);
+    }
+
+    await sleep(intervalMs);
+  }
+}
+
+module.exports = {
+  KubernetesApiError,
+  createKubernetesClient,
+  describeProgress,
+  getPodWarnings,
+  waitForLoadBalancer,
+  waitForRollout
+};
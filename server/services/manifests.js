@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+
+const MANAGED_BY = 'aws-builder';
+
+// Application defaults, matching appConfig in middleware/validation
+const APP_DEFAULTS = {
+  containerPort: 3000,
+  healthCheckPath: '/health',
+  healthCheckExpectedStatus: 200,
+  // How the deploy step installs the objects: applied as rendered here, or as a Helm release
+  deployMethod: 'manifests',
+  environmentVariables: {},
+  secrets: {},
+  replicas: 2,
+  autoscaling: { enabled: false, minReplicas: 2, maxReplicas: 5, targetCpuUtilization: 70 },
+  resources: {
+    requests: { cpu: '100m', memory: '128Mi' },
+    limits: { cpu: '500m', memory: '512Mi' }
+  }
+};
+
+// The application's settings from a deployment config, with defaults filled in
+function getAppSettings(config) {
+  const app = { ...APP_DEFAULTS, ...(config.appConfig || {}) };
+  return {
+    ...app,
+    healthCheckPort: app.healthCheckPort || app.containerPort,
+    autoscaling: { ...APP_DEFAULTS.autoscaling, ...app.autoscaling },
+    resources: {
+      requests: { ...APP_DEFAULTS.resources.requests, ...(app.resources && app.resources.requests) },
+      limits: { ...APP_DEFAULTS.resources.limits, ...(app.resources && app.resources.limits) }
+    }
+  };
+}
+
+// Where the application runs in the cluster and the labels on its objects.
+// Each stack has a cluster of its own, so the project name is unique in it.
+function getAppIdentity(config) {
+  const name = config.projectName;
+  const selector = {
+    'app.kubernetes.io/name': name,
+    'app.kubernetes.io/instance': `${name}-${config.environment}`
+  };
+  return {
+    name,
+    namespace: name,
+    selector,
+    labels: { ...selector, 'app.kubernetes.io/managed-by': MANAGED_BY }
+  };
+}
+
+// How the application is exposed: an ALB through an Ingress, an NLB through
+// a LoadBalancer Service, or only inside the cluster
+function getExposure(config) {
+  const loadBalancer = config.loadBalancerConfig || {};
+  if (loadBalancer.enabled === false) {
+    return 'cluster';
+  }
+  return loadBalancer.type === 'network' ? 'network' : 'application';
+}
+
+const checksum = (values) => crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex');
+
+const configMapName = (identity) => `${identity.name}-config`;
+const secretName = (identity) => `${identity.name}-secrets`;
+
+function renderConfigMap(identity, app) {
+  return {
+    apiVersion: 'v1',
+    kind: 'ConfigMap',
+    metadata: { name: configMapName(identity), namespace: identity.namespace, labels: identity.labels },
+    data: app.environmentVariables
+  };
+}
+
+function renderSecret(identity, app) {
+  return {
+    apiVersion: 'v1',
+    kind: 'Secret',
+    metadata: { name: secretName(identity), namespace: identity.namespace, labels: identity.labels },
+    type: 'Opaque',
+    stringData: app.secrets
+  };
+}
+
+function renderDeployment(identity, app, imageUri, includeSecrets) {
+  const hasVariables = Object.keys(app.environmentVariables).length > 0;
+  const probe = {
+    httpGet: { path: app.healthCheckPath, port: app.healthCheckPort }
+  };
+
+  return {
+    apiVersion: 'apps/v1',
+    kind: 'Deployment',
+    metadata: { name: identity.name, namespace: identity.namespace, labels: identity.labels },
+    spec: {
+      // Left to the HorizontalPodAutoscaler when there is one
+      replicas: app.autoscaling.enabled ? undefined : app.replicas,
+      selector: { matchLabels: identity.selector },
+      // Keep every current replica serving until its replacement is ready
+      strategy: { type: 'RollingUpdate', rollingUpdate: { maxSurge: 1, maxUnavailable: 0 } },
+      template: {
+        metadata: {
+          labels: identity.labels,
+          // Pods only read their environment when they start, so changing a
+          // variable or secret must change the template to roll them
+          annotations: {
+            [`${MANAGED_BY}/config-checksum`]: checksum(app.environmentVariables),
+            [`${MANAGED_BY}/secrets-checksum`]: includeSecrets && Object.keys(app.secrets).length > 0
+              ? checksum(app.secrets)
+              : undefined
+          }
+        },
+        spec: {
+          containers: [{
+            name: identity.name,
+            image: imageUri,
+            ports: [{ name: 'http', containerPort: app.containerPort, protocol: 'TCP' }],
+            envFrom: hasVariables ? [{ configMapRef: { name: configMapName(identity) } }] : undefined,
+            // Each secret by reference, so the values never appear here
+            env: Object.keys(app.secrets).map(key => ({
+              name: key,
+              valueFrom: { secretKeyRef: { name: secretName(identity), key } }
+            })),
+            resources: app.resources,
+            readinessProbe: { ...probe, initialDelaySeconds: 5, periodSeconds: 10, failureThreshold: 3 },
+            livenessProbe: { ...probe, initialDelaySeconds: 15, periodSeconds: 20, failureThreshold: 3 }
+          }]
+        }
+      }
+    }
+  };
+}
+
+// Scales on CPU use, which needs the Kubernetes metrics server in the cluster
+function renderAutoscaler(identity, app) {
+  return {
+    apiVersion: 'autoscaling/v2',
+    kind: 'HorizontalPodAutoscaler',
+    metadata: { name: identity.name, namespace: identity.namespace, labels: identity.labels },
+    spec: {
+      scaleTargetRef: { apiVersion: 'apps/v1', kind: 'Deployment', name: identity.name },
+      minReplicas: app.autoscaling.minReplicas,
+      maxReplicas: app.autoscaling.maxReplicas,
+      metrics: [{
+        type: 'Resource',
+        resource: { name: 'cpu', target: { type: 'Utilization', averageUtilization: app.autoscaling.targetCpuUtilization } }
+      }]
+    }
+  };
+}
+
+// Annotations of a LoadBalancer Service, which the AWS Load Balancer
+// Controller provisions as an NLB
+function getServiceAnnotations(config) {
+  const loadBalancer = config.loadBalancerConfig || {};
+  const annotations = {
+    'service.beta.kubernetes.io/aws-load-balancer-type': 'external',
+    'service.beta.kubernetes.io/aws-load-balancer-nlb-target-type': 'ip',
+    'service.beta.kubernetes.io/aws-load-balancer-scheme': loadBalancer.scheme || 'internet-facing'
+  };
+  if (loadBalancer.certificateArn) {
+    annotations['service.beta.kubernetes.io/aws-load-balancer-ssl-cert'] = loadBalancer.certificateArn;
+    annotations['service.beta.kubernetes.io/aws-load-balancer-ssl-ports'] = '443';
+  }
+  return annotations;
+}
+
+// Annotations of an Ingress, which the AWS Load Balancer Controller
+// provisions as an ALB
+function getIngressAnnotations(app, config) {
+  const loadBalancer = config.loadBalancerConfig || {};
+  const annotations = {
+    'alb.ingress.kubernetes.io/scheme': loadBalancer.scheme || 'internet-facing',
+    'alb.ingress.kubernetes.io/target-type': 'ip',
+    'alb.ingress.kubernetes.io/healthcheck-path': app.healthCheckPath,
+    'alb.ingress.kubernetes.io/success-codes': String(app.healthCheckExpectedStatus)
+  };
+  if (loadBalancer.certificateArn) {
+    annotations['alb.ingress.kubernetes.io/certificate-arn'] = loadBalancer.certificateArn;
+    annotations['alb.ingress.kubernetes.io/listen-ports'] = '[{"HTTP": 80}, {"HTTPS": 443}]';
+    annotations['alb.ingress.kubernetes.io/ssl-redirect'] = '443';
+    if (loadBalancer.sslPolicy) {
+      annotations['alb.ingress.kubernetes.io/ssl-policy'] = loadBalancer.sslPolicy;
+    }
+  }
+  return annotations;
+}
+
+function renderService(identity, config) {
+  const ports = [{ name: 'http', port: 80, targetPort: 'http', protocol: 'TCP' }];
+
+  if (getExposure(config) !== 'network') {
+    return {
+      apiVersion: 'v1',
+      kind: 'Service',
+      metadata: { name: identity.name, namespace: identity.namespace, labels: identity.labels },
+      spec: { type: 'ClusterIP', selector: identity.selector, ports }
+    };
+  }
+
+  if ((config.loadBalancerConfig || {}).certificateArn) {
+    ports.push({ name: 'https', port: 443, targetPort: 'http', protocol: 'TCP' });
+  }
+
+  return {
+    apiVersion: 'v1',
+    kind: 'Service',
+    metadata: { name: identity.name, namespace: identity.namespace, labels: identity.labels, annotations: getServiceAnnotations(config) },
+    spec: { type: 'LoadBalancer', selector: identity.selector, ports }
+  };
+}
+
+function renderIngress(identity, app, config) {
+  return {
+    apiVersion: 'networking.k8s.io/v1',
+    kind: 'Ingress',
+    metadata: { name: identity.name, namespace: identity.namespace, labels: identity.labels, annotations: getIngressAnnotations(app, config) },
+    spec: {
+      ingressClassName: 'alb',
+      rules: [{
+        http: {
+          paths: [{
+            path: '/',
+            pathType: 'Prefix',
+            backend: { service: { name: identity.name, port: { name: 'http' } } }
+          }]
+        }
+      }]
+    }
+  };
+}
+
+// The Kubernetes objects that run a deployment's application from the image,
+// in the order they are applied. Without `includeSecrets` the Secret holding
+// the secret values is left out; the Deployment still references its keys.
+function renderManifests(config, imageUri, { includeSecrets = true } = {}) {
+  const identity = getAppIdentity(config);
+  const app = getAppSettings(config);
+
+  const manifests = [{
+    apiVersion: 'v1',
+    kind: 'Namespace',
+    metadata: { name: identity.namespace, labels: { 'app.kubernetes.io/managed-by': MANAGED_BY } }
+  }];
+
+  if (Object.keys(app.environmentVariables).length > 0) {
+    manifests.push(renderConfigMap(identity, app));
+  }
+  if (includeSecrets && Object.keys(app.secrets).length > 0) {
+    manifests.push(renderSecret(identity, app));
+  }
+  manifests.push(renderService(identity, config), renderDeployment(identity, app, imageUri, includeSecrets));
+  if (app.autoscaling.enabled) {
+    manifests.push(renderAutoscaler(identity, app));
+  }
+  if (getExposure(config) === 'application') {
+    manifests.push(renderIngress(identity, app, config));
+  }
+
+  // Leave out the optional fields that were not set
+  return JSON.parse(JSON.stringify(manifests));
+}
+
+// Manifests as one multi-document YAML file, as `kubectl apply -f` takes them
+const toYaml = (manifests) => manifests
+  .map(manifest => yaml.dump(manifest, { lineWidth: -1, noRefs: true }))
+  .join('---\n');
+
+module.exports = {
+  getAppIdentity,
+  getAppSettings,
+  getExposure,
+  getIngressAnnotations,
+  getServiceAnnotations,
+  renderManifests,
+  toYaml
+};
@@ -0,0 +1,106 @@
+const { IAMClient, GetRoleCommand } = require('@aws-sdk/client-iam');
+const { RDSClient, DescribeDBSubnetGroupsCommand } = require('@aws-sdk/client-rds');
+const { ECRClient, DescribeRepositoriesCommand } = require('@aws-sdk/client-ecr');
+const { CloudWatchLogsClient, DescribeLogGroupsCommand } = require('@aws-sdk/client-cloudwatch-logs');
+const { getClientConfig } = require('./aws');
+const { formatHclValue } = require('../utils/hcl');
+
+// Resource types that can be adopted: the attribute holding the AWS name,
+// which is also the import ID, and how to check the name exists.
+// Lookups resolve false only when AWS says the resource is not there.
+const IMPORTABLE_TYPES = {
+  aws_iam_role: {
+    nameAttribute: 'name',
+    exists: (awsCredentials, name) => new IAMClient(getClientConfig(awsCredentials))
+      .send(new GetRoleCommand({ RoleName: name }))
+      .then(() => true, ifNotFound('NoSuchEntityException'))
+  },
+  aws_db_subnet_group: {
+    nameAttribute: 'name',
+    exists: (awsCredentials, name) => new RDSClient(getClientConfig(awsCredentials))
+      .send(new DescribeDBSubnetGroupsCommand({ DBSubnetGroupName: name }))
+      .then(() => true, ifNotFound('DBSubnetGroupNotFoundFault'))
+  },
+  aws_ecr_repository: {
+    nameAttribute: 'name',
+    exists: (awsCredentials, name) => new ECRClient(getClientConfig(awsCredentials))
+      .send(new DescribeRepositoriesCommand({ repositoryNames: [name] }))
+      .then(() => true, ifNotFound('RepositoryNotFoundException'))
+  },
+  aws_cloudwatch_log_group: {
+    nameAttribute: 'name',
+    exists: async (awsCredentials, name) => {
+      const { logGroups = [] } = await new CloudWatchLogsClient(getClientConfig(awsCredentials))
+        .send(new DescribeLogGroupsCommand({ logGroupNamePrefix: name }));
+      return logGroups.some(logGroup => logGroup.logGroupName === name);
+    }
+  }
+};
+
+function ifNotFound(errorName) {
+  return (error) => {
+    if (error.name === errorName) {
+      return false;
+    }
+    throw error;
+  };
+}
+
+// Only adopt resources whose names say they belong to this project and
+// environment: the template names them `<project>-<environment>-...`, and log
+// groups are paths such as /aws/eks/<project>-<environment>/cluster. Names
+// that merely contain the prefix (myshop-dev-role for shop) belong to someone
+// else. ECR repositories are created per project by the ecr-setup step, so
+// they are named after the project alone.
+function isOwnedName(name, { projectName, environment }) {
+  const prefix = `${projectName}-${environment}`;
+  return name.split('/').some(segment => segment === prefix || segment.startsWith(`${prefix}-`)) ||
+    name === projectName ||
+    name.startsWith(`${projectName}/`);
+}
+
+// Resources in a `terraform show -json` plan that Terraform is about to create
+// (so they are not in state) under a name this project owns
+function findImportCandidates(plan, { projectName, environment }) {
+  return (plan.resource_changes || [])
+    .filter(resourceChange => resourceChange.mode === 'managed' && IMPORTABLE_TYPES[resourceChange.type])
+    .filter(resourceChange => {
+      const actions = (resourceChange.change && resourceChange.change.actions) || [];
+      return actions.length === 1 && actions[0] === 'create';
+    })
+    .map(resourceChange => {
+      const after = resourceChange.change.after || {};
+      return {
+        address: resourceChange.address,
+        type: resourceChange.type,
+        id: after[IMPORTABLE_TYPES[resourceChange.type].nameAttribute]
+      };
+    })
+    // Names Terraform only learns during apply cannot be looked up
+    .filter(candidate => typeof candidate.id === 'string' && isOwnedName(candidate.id, { projectName, environment }));
+}
+
+// Look each candidate up in AWS; resolves with the ones that already exist
+async function findExistingResources(awsCredentials, candidates) {
+  const existing = [];
+  for (const candidate of candidates) {
+    if (await IMPORTABLE_TYPES[candidate.type].exists(awsCredentials, candidate.id)) {
+      existing.push(candidate);
+    }
+  }
+  return existing;
+}
+
+// Terraform `import` blocks adopting the resources. Unlike `terraform import`
+// they change nothing until the plan they are part of is applied.
+function toImportBlocks(resources) {
+  return resources
+    .map(resource => `import {\n  to = ${resource.address}\n  id = ${formatHclValue(resource.id)}\n}\n`)
+    .join('\n');
+}
+
+module.exports = {
+  findImportCandidates,
+  findExistingResources,
+  toImportBlocks
+};
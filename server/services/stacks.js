@@ -0,0 +1,120 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { stacks } = require('../store/deploymentRepository');
+
+// Each stack keeps its Terraform working directory here between deployments
+const STACKS_DIR = process.env.TERRAFORM_STACKS_DIR ||
+  path.join(process.env.DATA_DIR || path.join(__dirname, '../data'), 'stacks');
+
+// Working directories hold terraform.tfvars, with the SSL private key and
+// other secrets, the backend config and saved plans: only the server's user
+// may read them
+const DIR_MODE = 0o700;
+const FILE_MODE = 0o600;
+
+// Kept when a stack's configuration is refreshed: downloaded providers and
+// modules, the initialized backend and the provider lock file
+const PRESERVED_ENTRIES = ['.terraform', '.terraform.lock.hcl'];
+
+// A stack is one project environment. Environments are a fixed set without
+// dashes, so the id always splits back into the two; it also matches the
+// state bucket name (see getBackendConfig).
+const getStackId = ({ projectName, environment }) => `${projectName}-${environment}`;
+
+// The stack record for a deployment config, created on first use
+function ensureStack(config) {
+  const id = getStackId(config);
+  let stack = stacks.get(id);
+
+  if (!stack) {
+    stack = {
+      id,
+      projectName: config.projectName,
+      environment: config.environment,
+      region: config.awsCredentials && config.awsCredentials.region,
+      workingDir: path.join(STACKS_DIR, id),
+      status: 'new',
+      createdAt: new Date()
+    };
+    stacks.set(id, stack);
+  }
+
+  return stack;
+}
+
+// Ready the stack's working directory for a deployment's copy of the
+// template. The previous configuration files, variables and saved plans are
+// removed so nothing stale is planned; the initialized .terraform directory
+// stays.
+async function prepareStackWorkingDir(stack, deployment) {
+  await fs.mkdir(stack.workingDir, { recursive: true, mode: DIR_MODE });
+  // The mode above only applies when the directory is created
+  await fs.chmod(stack.workingDir, DIR_MODE);
+
+  for (const entry of await fs.readdir(stack.workingDir)) {
+    if (!PRESERVED_ENTRIES.includes(entry)) {
+      await fs.rm(path.join(stack.workingDir, entry), { recursive: true, force: true });
+    }
+  }
+
+  stack.configuredBy = deployment.id;
+  stack.updatedAt = new Date();
+  stacks.save(stack.id);
+  return stack.workingDir;
+}
+
+// Write a file into a working directory, readable by the server's user only
+async function writeWorkingFile(workingDir, name, content) {
+  const filePath = path.join(workingDir, name);
+  await fs.writeFile(filePath, content, { mode: FILE_MODE });
+  await fs.chmod(filePath, FILE_MODE);
+}
+
+// Whether the stack's working directory still holds the configuration this
+// deployment wrote, rather than that of a later deployment of the stack.
+// Deployments from before stacks existed have a working directory of their own.
+function holdsStackWorkingDir(deployment) {
+  if (!deployment.stackId) {
+    return true;
+  }
+  const stack = stacks.get(deployment.stackId);
+  return Boolean(stack) && stack.configuredBy === deployment.id;
+}
+
+// Record that a deployment of the stack was queued
+function recordStackDeployment(deployment) {
+  const stack = ensureStack(deployment.config);
+  deployment.stackId = stack.id;
+  stack.lastDeploymentId = deployment.id;
+  stack.updatedAt = new Date();
+  stacks.save(stack.id);
+  return stack;
+}
+
+// Record a successful apply or destroy of the stack with the outputs it left.
+// A targeted destroy leaves the rest of the stack applied.
+function recordStackApply(deployment, { destroyed = false, targets, outputs } = {}) {
+  const stack = ensureStack(deployment.config);
+  const appliedAt = new Date();
+
+  stack.status = destroyed && !(targets && targets.length > 0) ? 'destroyed' : 'applied';
+  stack.lastApply = {
+    deploymentId: deployment.id,
+    appliedAt,
+    destroy: destroyed,
+    targets: destroyed ? targets || [] : undefined
+  };
+  stack.outputs = stack.status === 'destroyed' ? undefined : outputs;
+  stack.updatedAt = appliedAt;
+  stacks.save(stack.id);
+}
+
+module.exports = {
+  ensureStack,
+  getStackId,
+  holdsStackWorkingDir,
+  prepareStackWorkingDir,
+  recordStackApply,
+  recordStackDeployment,
+  writeWorkingFile
+};
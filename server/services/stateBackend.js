@@ -0,0 +1,167 @@
+const {
+  S3Client,
+  HeadBucketCommand,
+  CreateBucketCommand,
+  PutBucketVersioningCommand,
+  PutBucketEncryptionCommand,
+  PutPublicAccessBlockCommand,
+  GetBucketEncryptionCommand,
+  waitUntilBucketExists
+} = require('@aws-sdk/client-s3');
+const {
+  DynamoDBClient,
+  DescribeTableCommand,
+  CreateTableCommand,
+  UpdateTableCommand,
+  waitUntilTableExists
+} = require('@aws-sdk/client-dynamodb');
+const { logger } = require('../utils/logger');
+const { getClientConfig } = require('./aws');
+
+// Terraform's S3 backend locks state with items keyed by this attribute
+const LOCK_KEY = 'LockID';
+
+// New buckets and tables take a few seconds to become usable
+const WAIT_OPTIONS = { maxWaitTime: 120 };
+
+// Create the state bucket if it does not exist, then make sure it has
+// versioning (so earlier state can be recovered), default encryption and a
+// public access block. The settings are applied on every run, so a bucket an
+// earlier run created but did not finish setting up gets them too; default
+// encryption a bucket already has, e.g. with a KMS key, is kept.
+async function ensureStateBucket(awsCredentials, { bucket, region }) {
+  const s3Client = new S3Client(getClientConfig(awsCredentials));
+
+  let created = false;
+  try {
+    await s3Client.send(new HeadBucketCommand({ Bucket: bucket }));
+  } catch (error) {
+    // 403 means the bucket exists but belongs to someone else or is not readable
+    if (error.$metadata && error.$metadata.httpStatusCode === 403) {
+      throw new Error(`State bucket ${bucket} exists but these credentials cannot access it`);
+    }
+    if (error.name !== 'NotFound' && error.name !== 'NoSuchBucket') {
+      throw error;
+    }
+
+    // us-east-1 is the default location and rejects an explicit constraint
+    await s3Client.send(new CreateBucketCommand({
+      Bucket: bucket,
+      CreateBucketConfiguration: region === 'us-east-1' ? undefined : { LocationConstraint: region }
+    }));
+    await waitUntilBucketExists({ client: s3Client, ...WAIT_OPTIONS }, { Bucket: bucket });
+    created = true;
+  }
+
+  await s3Client.send(new PutPublicAccessBlockCommand({
+    Bucket: bucket,
+    PublicAccessBlockConfiguration: {
+      BlockPublicAcls: true,
+      IgnorePublicAcls: true,
+      BlockPublicPolicy: true,
+      RestrictPublicBuckets: true
+    }
+  }));
+  await s3Client.send(new PutBucketVersioningCommand({
+    Bucket: bucket,
+    VersioningConfiguration: { Status: 'Enabled' }
+  }));
+
+  let encryption;
+  try {
+    const { ServerSideEncryptionConfiguration } = await s3Client.send(new GetBucketEncryptionCommand({ Bucket: bucket }));
+    const [rule] = ServerSideEncryptionConfiguration.Rules || [];
+    encryption = rule && rule.ApplyServerSideEncryptionByDefault && rule.ApplyServerSideEncryptionByDefault.SSEAlgorithm;
+  } catch (error) {
+    if (error.name !== 'ServerSideEncryptionConfigurationNotFoundError') {
+      throw error;
+    }
+  }
+  if (!encryption) {
+    await s3Client.send(new PutBucketEncryptionCommand({
+      Bucket: bucket,
+      ServerSideEncryptionConfiguration: {
+        Rules: [{ ApplyServerSideEncryptionByDefault: { SSEAlgorithm: 'AES256' } }]
+      }
+    }));
+    encryption = 'AES256';
+  }
+
+  logger.info(`Terraform state bucket ${bucket} ${created ? 'created' : 'already exists'}`);
+  return { name: bucket, created, versioning: true, encryption, publicAccessBlocked: true };
+}
+
+// Create the lock table if it does not exist; an existing table must be keyed
+// the way Terraform expects or every lock attempt would fail. Like the bucket,
+// an existing table is brought in line on every run: it is waited for if an
+// earlier run left it creating, and gets the KMS encryption new tables have.
+async function ensureLockTable(awsCredentials, { dynamodb_table: table }) {
+  const dynamoClient = new DynamoDBClient(getClientConfig(awsCredentials));
+
+  let existing;
+  try {
+    ({ Table: existing } = await dynamoClient.send(new DescribeTableCommand({ TableName: table })));
+  } catch (error) {
+    if (error.name !== 'ResourceNotFoundException') {
+      throw error;
+    }
+  }
+
+  if (existing) {
+    const hashKey = (existing.KeySchema || []).find(key => key.KeyType === 'HASH');
+    if (!hashKey || hashKey.AttributeName !== LOCK_KEY) {
+      throw new Error(`Lock table ${table} exists but its partition key is not ${LOCK_KEY}`);
+    }
+  } else {
+    await dynamoClient.send(new CreateTableCommand({
+      TableName: table,
+      AttributeDefinitions: [{ AttributeName: LOCK_KEY, AttributeType: 'S' }],
+      KeySchema: [{ AttributeName: LOCK_KEY, KeyType: 'HASH' }],
+      BillingMode: 'PAY_PER_REQUEST',
+      SSESpecification: { Enabled: true }
+    }));
+  }
+
+  if (!existing || existing.TableStatus !== 'ACTIVE') {
+    await waitUntilTableExists({ client: dynamoClient, ...WAIT_OPTIONS }, { TableName: table });
+  }
+
+  const sseStatus = existing && existing.SSEDescription && existing.SSEDescription.Status;
+  if (existing && !['ENABLED', 'ENABLING', 'UPDATING'].includes(sseStatus)) {
+    await dynamoClient.send(new UpdateTableCommand({
+      TableName: table,
+      SSESpecification: { Enabled: true, SSEType: 'KMS' }
+    }));
+  }
+
+  const billingMode = existing
+    ? (existing.BillingModeSummary && existing.BillingModeSummary.BillingMode) || 'PROVISIONED'
+    : 'PAY_PER_REQUEST';
+
+  logger.info(`Terraform lock table ${table} ${existing ? 'already exists' : 'created'}`);
+  return { name: table, created: !existing, billingMode, encryption: true };
+}
+
+// Make sure the S3 bucket and DynamoDB table named in a backend config
+// (see getBackendConfig) exist before `terraform init` uses them
+async function ensureStateBackend(awsCredentials, backendConfig) {
+  const bucket = await ensureStateBucket(awsCredentials, backendConfig);
+  const lockTable = await ensureLockTable(awsCredentials, backendConfig);
+  return { bucket, lockTable };
+}
+
+// One line describing what ensureStateBackend did
+const describeStateBackend = ({ bucket, lockTable }) => {
+  const created = [bucket.created && `state bucket ${bucket.name}`, lockTable.created && `lock table ${lockTable.name}`].filter(Boolean);
+  const existing = [!bucket.created && `state bucket ${bucket.name}`, !lockTable.created && `lock table ${lockTable.name}`].filter(Boolean);
+
+  return [
+    created.length > 0 && `Created ${created.join(' and ')}`,
+    existing.length > 0 && `${created.length > 0 ? 'using existing' : 'Using existing'} ${existing.join(' and ')}`
+  ].filter(Boolean).join('; ');
+};
+
+module.exports = {
+  ensureStateBackend,
+  describeStateBackend
+};
@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Templates shipped with the server, one directory per template
+const BUNDLED_TEMPLATES_DIR = path.join(__dirname, '../templates');
+
+// Git templates are checked out once per URL and commit
+const TEMPLATE_CACHE_DIR = process.env.TERRAFORM_TEMPLATE_CACHE_DIR ||
+  path.join(process.env.DATA_DIR || path.join(__dirname, '../data'), 'template-cache');
+
+// Never copied into a working directory or included in a revision hash
+const IGNORED_ENTRIES = ['.git', '.terraform', 'terraform.tfstate', 'terraform.tfstate.backup'];
+
+// Parse a template source in the notation Terraform uses for module sources:
+//   git::https://github.com/org/repo.git//path/in/repo?ref=v1.2.0
+//   /path/to/directory
+// Git sources must name a ref. Tags and branches are looked up on every
+// checkout, so a branch is followed; the commit used is recorded either way.
+function parseTemplateSource(value) {
+  if (!value.startsWith('git::')) {
+    return { type: 'directory', path: path.resolve(value) };
+  }
+
+  const [location, query = ''] = value.slice('git::'.length).split('?');
+  const ref = new URLSearchParams(query).get('ref');
+  if (!ref) {
+    throw new Error(`Git template source ${location} must pin a ref, e.g. ${location}?ref=v1.0.0`);
+  }
+
+  const schemeEnd = location.indexOf('://');
+  const subdirStart = location.indexOf('//', schemeEnd === -1 ? 0 : schemeEnd + 3);
+  return {
+    type: 'git',
+    url: subdirStart === -1 ? location : location.slice(0, subdirStart),
+    subdir: subdirStart === -1 ? '' : location.slice(subdirStart + 2),
+    ref
+  };
+}
+
+// Where a template comes from, without credentials, for logs and deployment records
+const describeSource = (source) => {
+  switch (source.type) {
+    case 'git':
+      return `${source.url.replace(/\/\/[^@/]+@/, '//')}${source.subdir ? `//${source.subdir}` : ''}?ref=${source.ref}`;
+    case 'directory':
+      return source.path;
+    default:
+      return `bundled:${source.name}`;
+  }
+};
+
+const templates = new Map();
+
+function registerTemplate({ id, name, description, source }) {
+  if (!['bundled', 'directory', 'git'].includes(source.type)) {
+    throw new Error(`Template ${id} has unknown source type ${source.type}`);
+  }
+  templates.set(id, { id, name, description, source });
+}
+
+registerTemplate({
+  id: 'eks',
+  name: 'EKS cluster',
+  description: 'VPC, EKS cluster with a managed node group and an optional RDS database',
+  source: { type: 'bundled', name: 'eks' }
+});
+
+// TERRAFORM_TEMPLATE_SOURCE replaces the bundled template as the default
+if (process.env.TERRAFORM_TEMPLATE_SOURCE) {
+  registerTemplate({
+    id: 'custom',
+    name: 'Configured template',
+    description: 'Template from TERRAFORM_TEMPLATE_SOURCE',
+    source: parseTemplateSource(process.env.TERRAFORM_TEMPLATE_SOURCE)
+  });
+}
+
+const DEFAULT_TEMPLATE_ID = templates.has('custom') ? 'custom' : 'eks';
+
+function getTemplate(templateId = DEFAULT_TEMPLATE_ID) {
+  return templates.get(templateId) || null;
+}
+
+function listTemplates() {
+  return [...templates.values()].map(template => ({
+    id: template.id,
+    name: template.name,
+    description: template.description,
+    source: template.source.type,
+    location: describeSource(template.source),
+    default: template.id === DEFAULT_TEMPLATE_ID
+  }));
+}
+
+const pathExists = (target) => fs.access(target).then(() => true, () => false);
+
+// Files under a directory, relative and sorted so the listing is stable
+async function listFiles(dir, prefix = '') {
+  const entries = await fs.readdir(path.join(dir, prefix), { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    if (IGNORED_ENTRIES.includes(entry.name)) {
+      continue;
+    }
+    const relativePath = path.join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(dir, relativePath));
+    } else if (entry.isFile()) {
+      files.push(relativePath);
+    }
+  }
+
+  return files;
+}
+
+// Content hash of a template directory, the revision of templates that are not in git
+async function hashDirectory(dir) {
+  const hash = crypto.createHash('sha256');
+  for (const file of await listFiles(dir)) {
+    hash.update(`${file}\0`);
+    hash.update(await fs.readFile(path.join(dir, file)));
+    hash.update('\0');
+  }
+  return `sha256:${hash.digest('hex')}`;
+}
+
+// TERRAFORM_TEMPLATE_GIT_TOKEN for GitHub sources, sent as a header: git
+// writes fetched URLs into the checkout's metadata, so it can't go in the URL.
+// The header is configured through the environment, after any settings the
+// server's own environment gives git, as `-c` arguments can be read by anyone
+// on the host from the process list.
+function getAuthEnv(source) {
+  const token = process.env.TERRAFORM_TEMPLATE_GIT_TOKEN;
+  if (!token || !source.url.startsWith('https://github.com/')) {
+    return {};
+  }
+  const credentials = Buffer.from(`x-access-token:${token}`).toString('base64');
+  const index = parseInt(process.env.GIT_CONFIG_COUNT, 10) || 0;
+  return {
+    GIT_CONFIG_COUNT: String(index + 1),
+    [`GIT_CONFIG_KEY_${index}`]: 'http.extraHeader',
+    [`GIT_CONFIG_VALUE_${index}`]: `Authorization: Basic ${credentials}`
+  };
+}
+
+function runGit(args, { cwd, env = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const gitProcess = spawn('git', args, {
+      cwd,
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0', ...env },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    let errorOutput = '';
+    gitProcess.stdout.on('data', (data) => {
+      output += data.toString();
+    });
+    gitProcess.stderr.on('data', (data) => {
+      errorOutput += data.toString();
+    });
+
+    gitProcess.on('close', (code) => {
+      if (code === 0) {
+        resolve(output.trim());
+      } else {
+        reject(new Error(`git ${args[0]} failed with code ${code}: ${errorOutput.trim()}`));
+      }
+    });
+
+    gitProcess.on('error', (error) => {
+      reject(new Error(`Failed to start git: ${error.message}`));
+    });
+  });
+}
+
+const FULL_COMMIT = /^[0-9a-f]{40}$/i;
+
+// The commit a template ref points at on the remote. A tag is preferred over
+// a branch of the same name, as git itself does, and annotated tags are
+// peeled to their commit.
+async function resolveGitRef(source) {
+  if (FULL_COMMIT.test(source.ref)) {
+    return source.ref.toLowerCase();
+  }
+
+  const candidates = [`refs/tags/${source.ref}^{}`, `refs/tags/${source.ref}`, `refs/heads/${source.ref}`];
+  const output = await runGit(['ls-remote', source.url, ...candidates], { env: getAuthEnv(source) });
+  const refs = new Map(output.split('\n').filter(Boolean).map(line => line.split('\t').reverse()));
+
+  const match = candidates.find(candidate => refs.has(candidate));
+  if (!match) {
+    throw new Error(`Template ref ${source.ref} not found in ${describeSource(source)}`);
+  }
+  return refs.get(match);
+}
+
+// Checkouts in progress, so deployments starting together share one fetch.
+// A shared fetch is not tied to any one deployment's cancellation.
+const checkouts = new Map();
+
+// Check out a git template into the cache at the commit its ref points at
+// now. Commits do not change, so each is fetched only once.
+async function checkoutGitTemplate(source, { onOutput }) {
+  const commit = await resolveGitRef(source);
+  const key = crypto.createHash('sha256').update(`${source.url}#${commit}`).digest('hex').slice(0, 16);
+  const checkoutDir = path.join(TEMPLATE_CACHE_DIR, key);
+
+  if (checkouts.has(key)) {
+    return checkouts.get(key);
+  }
+
+  const checkout = (async () => {
+    if (!(await pathExists(checkoutDir))) {
+      const stagingDir = `${checkoutDir}.${process.pid}.${Date.now()}`;
+      await fs.mkdir(stagingDir, { recursive: true });
+
+      try {
+        if (onOutput) {
+          onOutput(`Fetching template ${describeSource(source)} at ${commit.slice(0, 12)}`);
+        }
+        await runGit(['init', '--quiet'], { cwd: stagingDir });
+        await runGit(['fetch', '--quiet', '--depth', '1', source.url, commit], { cwd: stagingDir, env: getAuthEnv(source) });
+        await runGit(['checkout', '--quiet', 'FETCH_HEAD'], { cwd: stagingDir });
+        await fs.rename(stagingDir, checkoutDir);
+      } catch (error) {
+        await fs.rm(stagingDir, { recursive: true, force: true });
+        throw error;
+      }
+    }
+
+    return {
+      dir: path.join(checkoutDir, source.subdir),
+      revision: await runGit(['rev-parse', 'HEAD'], { cwd: checkoutDir })
+    };
+  })().finally(() => checkouts.delete(key));
+
+  checkouts.set(key, checkout);
+  return checkout;
+}
+
+// Locate a template's files and work out which revision they are
+async function resolveTemplate(templateId = DEFAULT_TEMPLATE_ID, { cancellation, onOutput } = {}) {
+  const template = getTemplate(templateId);
+  if (!template) {
+    throw new Error(`Unknown Terraform template: ${templateId}`);
+  }
+
+  const { source } = template;
+  let dir;
+  let revision;
+
+  if (source.type === 'git') {
+    ({ dir, revision } = await checkoutGitTemplate(source, { onOutput }));
+    if (cancellation) {
+      cancellation.throwIfCancelled();
+    }
+  } else {
+    dir = source.type === 'bundled' ? path.join(BUNDLED_TEMPLATES_DIR, source.name) : source.path;
+  }
+
+  if (!(await pathExists(dir))) {
+    throw new Error(`Terraform template ${templateId} not found at ${dir}`);
+  }
+  if (!revision) {
+    revision = await hashDirectory(dir);
+  }
+
+  return {
+    dir,
+    version: {
+      templateId,
+      source: source.type,
+      location: describeSource(source),
+      ref: source.ref,
+      revision,
+      resolvedAt: new Date()
+    }
+  };
+}
+
+// Copy a template into a Terraform working directory; resolves with the
+// template version so it can be recorded against the deployment
+async function copyTemplate(templateId, targetDir, options = {}) {
+  const { dir, version } = await resolveTemplate(templateId, options);
+
+  await fs.cp(dir, targetDir, {
+    recursive: true,
+    filter: (source) => !IGNORED_ENTRIES.includes(path.basename(source))
+  });
+
+  return version;
+}
+
+// Short form of a template version for log lines
+const formatTemplateVersion = (version) => {
+  const revision = version.revision.replace(/^sha256:/, '').slice(0, 12);
+  return `${version.templateId} (${version.location} @ ${revision})`;
+};
+
+module.exports = {
+  DEFAULT_TEMPLATE_ID,
+  copyTemplate,
+  formatTemplateVersion,
+  getTemplate,
+  listTemplates,
+  resolveTemplate
+};
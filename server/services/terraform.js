@@ -0,0 +1,314 @@
+const { spawn } = require('child_process');
+const { CancelledError } = require('../utils/cancellation');
+
+// SIGINT lets Terraform release the state lock; SIGKILL if it has not exited in time
+const TERRAFORM_STOP = { signal: 'SIGINT', killAfterMs: 60000 };
+
+// A Terraform command that exited unsuccessfully, named for the Terraform error handler
+class TerraformError extends Error {
+  constructor(message, { command, exitCode, stdout, stderr } = {}) {
+    super(message);
+    this.name = 'TerraformError';
+    this.command = command;
+    this.code = exitCode;
+    this.stdout = stdout;
+    this.stderr = stderr;
+  }
+}
+
+// S3 backend settings for a project's environment
+function getBackendConfig({ projectName, environment, region }) {
+  return {
+    bucket: `${projectName}-${environment}-terraform-state`,
+    key: `${projectName}/${environment}/terraform.tfstate`,
+    region,
+    encrypt: true,
+    dynamodb_table: `${projectName}-${environment}-terraform-locks`
+  };
+}
+
+// Run a Terraform command and collect its output. Resolves with the exit code
+// whatever it is, so callers decide which failures they tolerate; rejects only
+// when terraform cannot be started or the run was cancelled.
+function runTerraform(command, args = [], { workingDir, env = {}, onOutput, onSpawn, cancellation } = {}) {
+  if (cancellation) {
+    cancellation.throwIfCancelled();
+  }
+
+  return new Promise((resolve, reject) => {
+    const terraformProcess = spawn('terraform', [command, ...args], {
+      cwd: workingDir,
+      env: { ...process.env, TF_IN_AUTOMATION: 'true', ...env },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    if (cancellation) {
+      cancellation.trackProcess(terraformProcess, TERRAFORM_STOP);
+    }
+    if (onSpawn) {
+      onSpawn(terraformProcess);
+    }
+
+    let stdout = '';
+    let stderr = '';
+
+    terraformProcess.stdout.on('data', (data) => {
+      const output = data.toString();
+      stdout += output;
+      if (onOutput) {
+        onOutput(output, 'stdout');
+      }
+    });
+
+    terraformProcess.stderr.on('data', (data) => {
+      const output = data.toString();
+      stderr += output;
+      if (onOutput) {
+        onOutput(output, 'stderr');
+      }
+    });
+
+    // On cancel, don't wait for stdio to close: children may still hold the pipes
+    terraformProcess.on('exit', () => {
+      if (cancellation && cancellation.cancelled) {
+        reject(new CancelledError(cancellation.reason));
+      }
+    });
+
+    terraformProcess.on('close', (code) => {
+      resolve({ stdout, stderr, exitCode: code });
+    });
+
+    terraformProcess.on('error', (error) => {
+      reject(new TerraformError(`Failed to start terraform ${command}: ${error.message}`, { command }));
+    });
+  });
+}
+
+// Resource counts from the "Plan: ..." line of `terraform plan` output
+function parsePlanSummary(output = '') {
+  const count = (action) => {
+    const match = output.match(new RegExp(`(\\d+) to ${action}`));
+    return match ? parseInt(match[1], 10) : 0;
+  };
+
+  const summary = {
+    import: count('import'),
+    add: count('add'),
+    change: count('change'),
+    destroy: count('destroy')
+  };
+  summary.noChanges = /No changes\./.test(output) ||
+    (summary.import + summary.add + summary.change + summary.destroy === 0);
+
+  const planLine = output.match(/^.*Plan: .*$/m);
+  summary.text = planLine ? planLine[0].trim() : (summary.noChanges ? 'No changes.' : '');
+  return summary;
+}
+
+// Shown instead of attribute values Terraform marks as sensitive or not yet known
+const SENSITIVE_VALUE = '(sensitive)';
+const UNKNOWN_VALUE = '(known after apply)';
+
+// Order resources are listed in; replacements first as they are the riskiest.
+// 'import' is a resource only brought under management, with no other change.
+const PLAN_ACTIONS = ['replace', 'delete', 'update', 'create', 'import'];
+
+// Terraform reports a replacement as delete and create in either order
+function getChangeAction(actions = []) {
+  if (actions.includes('delete') && actions.includes('create')) {
+    return 'replace';
+  }
+  return actions.join('-');
+}
+
+const isContainer = (value) => value !== null && typeof value === 'object';
+const orNull = (value) => (value === undefined ? null : value);
+
+// The part of a value or sensitivity mask under one key, if it has one
+const child = (value, key) => (isContainer(value) ? value[key] : undefined);
+
+const formatAttributePath = (segments) => segments
+  .map((segment, index) => (typeof segment === 'number' ? `[${segment}]` : `${index > 0 ? '.' : ''}${segment}`))
+  .join('');
+
+// Flatten the before and after values of a resource into the leaf attributes
+// that differ. Sensitive values are compared but never copied into the result.
+function diffAttributes(before, after, masks, segments = [], changes = []) {
+  const path = formatAttributePath(segments);
+
+  if (masks.beforeSensitive === true || masks.afterSensitive === true) {
+    if (JSON.stringify(before) !== JSON.stringify(after) || masks.afterUnknown === true) {
+      changes.push({
+        path,
+        before: before == null ? null : SENSITIVE_VALUE,
+        after: masks.afterUnknown === true ? UNKNOWN_VALUE : (after == null ? null : SENSITIVE_VALUE),
+        sensitive: true
+      });
+    }
+    return changes;
+  }
+
+  if (masks.afterUnknown === true) {
+    changes.push({ path, before: isContainer(before) ? JSON.stringify(before) : orNull(before), after: UNKNOWN_VALUE, unknown: true });
+    return changes;
+  }
+
+  if (isContainer(before) || isContainer(after) || isContainer(masks.afterUnknown)) {
+    const keys = new Set([before, after, masks.afterUnknown]
+      .filter(isContainer)
+      .flatMap(value => (Array.isArray(value) ? value.map((item, index) => index) : Object.keys(value))));
+
+    keys.forEach(key => diffAttributes(child(before, key), child(after, key), {
+      beforeSensitive: child(masks.beforeSensitive, key),
+      afterSensitive: child(masks.afterSensitive, key),
+      afterUnknown: child(masks.afterUnknown, key)
+    }, [...segments, key], changes));
+    return changes;
+  }
+
+  if (orNull(before) !== orNull(after)) {
+    changes.push({ path, before: orNull(before), after: orNull(after) });
+  }
+  return changes;
+}
+
+// One resource_changes (or resource_drift) entry of `terraform show -json`
+function describeResourceChange(resourceChange) {
+  const { change = {} } = resourceChange;
+  const action = getChangeAction(change.actions);
+  return {
+    address: resourceChange.address,
+    module: resourceChange.module_address || null,
+    type: resourceChange.type,
+    name: resourceChange.name,
+    action: action === 'no-op' && change.importing ? 'import' : action,
+    actionReason: resourceChange.action_reason || null,
+    importing: Boolean(change.importing),
+    replaceReasons: (change.replace_paths || []).map(formatAttributePath),
+    changes: diffAttributes(change.before, change.after, {
+      beforeSensitive: change.before_sensitive,
+      afterSensitive: change.after_sensitive,
+      afterUnknown: change.after_unknown
+    })
+  };
+}
+
+// Structured summary of `terraform show -json` output for a saved plan: the
+// resources that change, grouped by action, and which of their attributes change
+function summarizePlanJson(plan) {
+  const resources = (plan.resource_changes || [])
+    .map(describeResourceChange)
+    .filter(resource => PLAN_ACTIONS.includes(resource.action))
+    .sort((a, b) => PLAN_ACTIONS.indexOf(a.action) - PLAN_ACTIONS.indexOf(b.action));
+
+  const count = (action) => resources.filter(resource => resource.action === action).length;
+  const summary = {
+    import: resources.filter(resource => resource.importing).length,
+    add: count('create') + count('replace'),
+    change: count('update'),
+    destroy: count('delete') + count('replace'),
+    replace: count('replace')
+  };
+  summary.noChanges = summary.import + summary.add + summary.change + summary.destroy === 0;
+  summary.text = summary.noChanges
+    ? 'No changes.'
+    : `Plan: ${summary.import > 0 ? `${summary.import} to import, ` : ''}${summary.add} to add, ${summary.change} to change, ${summary.destroy} to destroy.`;
+
+  return {
+    terraformVersion: plan.terraform_version,
+    summary,
+    resources,
+    generatedAt: new Date()
+  };
+}
+
+// Resources that changed outside Terraform, from `terraform show -json` of a
+// `-refresh-only` plan: 'update' when attributes differ from state, 'delete'
+// when the object no longer exists
+function summarizeDriftJson(plan) {
+  const resources = (plan.resource_drift || [])
+    .filter(resourceDrift => resourceDrift.mode !== 'data')
+    .map(describeResourceChange)
+    .filter(resource => resource.action === 'update' || resource.action === 'delete')
+    .map(({ address, module, type, name, action, changes }) => ({ address, module, type, name, action, changes }));
+
+  return {
+    drifted: resources.length > 0,
+    summary: {
+      changed: resources.filter(resource => resource.action === 'update').length,
+      deleted: resources.filter(resource => resource.action === 'delete').length
+    },
+    resources
+  };
+}
+
+// Copy of a value with the parts a sensitive_values mask marks replaced
+function maskSensitive(value, sensitive) {
+  if (sensitive === true) {
+    return value == null ? null : SENSITIVE_VALUE;
+  }
+  if (!isContainer(value) || !isContainer(sensitive)) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, index) => maskSensitive(item, sensitive[index]));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, maskSensitive(item, sensitive[key])]));
+}
+
+// Outputs as `terraform output -json` and `terraform show -json` report them,
+// with the values of sensitive outputs masked
+const summarizeOutputs = (outputs = {}) => Object.entries(outputs).map(([name, output]) => ({
+  name,
+  type: output.type || null,
+  sensitive: Boolean(output.sensitive),
+  value: output.sensitive ? SENSITIVE_VALUE : orNull(output.value)
+}));
+
+// Resources of a state module and all of its child modules
+function collectStateResources(module = {}) {
+  const resources = (module.resources || []).map(resource => ({ ...resource, module_address: module.address }));
+  return resources.concat(...(module.child_modules || []).map(collectStateResources));
+}
+
+// Resources and outputs in `terraform show -json` output for the current
+// state (no plan file), with sensitive attributes and outputs masked
+function summarizeStateJson(state) {
+  const { root_module: rootModule, outputs } = state.values || {};
+  const resources = collectStateResources(rootModule).map(resource => ({
+    address: resource.address,
+    module: resource.module_address || null,
+    mode: resource.mode,
+    type: resource.type,
+    name: resource.name,
+    index: orNull(resource.index),
+    provider: resource.provider_name,
+    id: (resource.values && resource.values.id) || null,
+    attributes: maskSensitive(resource.values || {}, resource.sensitive_values)
+  }));
+
+  return {
+    terraformVersion: state.terraform_version || null,
+    resources,
+    outputs: summarizeOutputs(outputs),
+    readAt: new Date()
+  };
+}
+
+// Error for a finished run that the caller considers failed
+const toTerraformError = (command, { stdout, stderr, exitCode }) =>
+  new TerraformError(`Terraform ${command} failed with exit code ${exitCode}: ${stderr}`, { command, exitCode, stdout, stderr });
+
+module.exports = {
+  TERRAFORM_STOP,
+  TerraformError,
+  getBackendConfig,
+  getChangeAction,
+  parsePlanSummary,
+  runTerraform,
+  summarizeDriftJson,
+  summarizeOutputs,
+  summarizePlanJson,
+  summarizeStateJson,
+  toTerraformError
+};
@@ -0,0 +1,105 @@
+jest.mock('../../utils/logger', () => ({ logger: { info: jest.fn(), error: jest.fn() } }));
+
+process.env.DEPLOYMENT_STORE = 'memory';
+
+const { createCollection, getMissingSecrets } = require('../deploymentRepository');
+
+// Adapter that keeps what was written so tests can look at the stored JSON
+function createRecordingAdapter(initial = []) {
+  const written = new Map();
+  const write = (name, id, json) => {
+    written.set(id, JSON.parse(json));
+    return Promise.resolve();
+  };
+  return {
+    name: 'recording',
+    written,
+    loadAll: () => initial.map(record => JSON.parse(JSON.stringify(record))),
+    write,
+    writeSync: write,
+    remove: (name, id) => {
+      written.delete(id);
+      return Promise.resolve();
+    }
+  };
+}
+
+const SECRETS = ['config.awsCredentials.secretAccessKey', 'config.appConfig.secrets'];
+
+const createDeployment = () => ({
+  id: 'dep-1',
+  status: 'completed',
+  config: {
+    awsCredentials: { accessKeyId: 'AKIA123', secretAccessKey: 'shh' },
+    appConfig: { env: { NODE_ENV: 'production' }, secrets: { DB_PASSWORD: 'hunter2' } }
+  }
+});
+
+describe('createCollection secrets', () => {
+  it('writes records without their secrets and keeps them in memory', () => {
+    const adapter = createRecordingAdapter();
+    const deployments = createCollection('deployments', adapter, { secrets: SECRETS });
+    const deployment = createDeployment();
+
+    deployments.set(deployment.id, deployment);
+
+    const stored = adapter.written.get('dep-1');
+    expect(stored.config.awsCredentials).toEqual({ accessKeyId: 'AKIA123' });
+    expect(stored.config.appConfig).toEqual({ env: { NODE_ENV: 'production' } });
+    expect(stored.withheldSecrets).toEqual(SECRETS);
+
+    expect(deployments.get('dep-1')).toBe(deployment);
+    expect(deployment.config.awsCredentials.secretAccessKey).toBe('shh');
+    expect(deployment.withheldSecrets).toBeUndefined();
+  });
+
+  it('writes records that have no secrets unchanged', () => {
+    const adapter = createRecordingAdapter();
+    const deployments = createCollection('deployments', adapter, { secrets: SECRETS });
+
+    deployments.set('dep-2', { id: 'dep-2', config: { awsCredentials: { accessKeyId: 'AKIA123' } } });
+
+    expect(adapter.written.get('dep-2')).toEqual({ id: 'dep-2', config: { awsCredentials: { accessKeyId: 'AKIA123' } } });
+  });
+
+  it('rewrites records loaded with secrets on disk and reports them missing', () => {
+    const adapter = createRecordingAdapter([createDeployment()]);
+    const deployments = createCollection('deployments', adapter, { secrets: SECRETS });
+
+    const stored = adapter.written.get('dep-1');
+    expect(stored.config.awsCredentials.secretAccessKey).toBeUndefined();
+    expect(stored.config.appConfig.secrets).toBeUndefined();
+
+    const loaded = deployments.get('dep-1');
+    expect(loaded.config.awsCredentials.secretAccessKey).toBe('shh');
+    expect(getMissingSecrets(loaded)).toEqual([]);
+  });
+
+  it('keeps listing secrets that were withheld until they are given again', () => {
+    const { withheldSecrets, ...stored } = { ...createDeployment(), withheldSecrets: SECRETS };
+    delete stored.config.awsCredentials.secretAccessKey;
+    delete stored.config.appConfig.secrets;
+    const adapter = createRecordingAdapter([{ ...stored, withheldSecrets }]);
+    const deployments = createCollection('deployments', adapter, { secrets: SECRETS });
+    const loaded = deployments.get('dep-1');
+
+    expect(getMissingSecrets(loaded)).toEqual(SECRETS);
+
+    loaded.config.awsCredentials.secretAccessKey = 'again';
+    expect(getMissingSecrets(loaded)).toEqual(['config.appConfig.secrets']);
+
+    // Still withheld from disk, whether given again or not
+    deployments.set('dep-1', loaded);
+    expect(adapter.written.get('dep-1').withheldSecrets).toEqual(SECRETS);
+    expect(adapter.written.get('dep-1').config.awsCredentials.secretAccessKey).toBeUndefined();
+  });
+
+  it('leaves transient fields out of the stored record', () => {
+    const adapter = createRecordingAdapter();
+    const runs = createCollection('terraform-runs', adapter, { transient: ['processes'] });
+
+    runs.set('run-1', { id: 'run-1', processes: [{ pid: 1 }], details: { processes: 'kept' } });
+
+    expect(adapter.written.get('run-1')).toEqual({ id: 'run-1', details: { processes: 'kept' } });
+  });
+});
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../../utils/logger');
+
+// Records can name cloud resources and hold deployment logs, so only the
+// server's user can read them
+const DIR_MODE = 0o700;
+const FILE_MODE = 0o600;
+
+// File-backed persistence: one JSON document per record, stored under
+// <dataDir>/<collection>/<id>.json and replaced atomically on every write
+function createFileAdapter({ dataDir }) {
+  const collectionDir = (collection) => path.join(dataDir, collection);
+  const recordPath = (collection, id) => path.join(collectionDir(collection), `${id}.json`);
+
+  // Writes for the same record are chained so renames never interleave
+  const pendingWrites = new Map();
+
+  // The modes given to mkdir only apply to directories it creates
+  const ensureDir = (collection) => {
+    fs.mkdirSync(collectionDir(collection), { recursive: true, mode: DIR_MODE });
+    fs.chmodSync(collectionDir(collection), DIR_MODE);
+  };
+
+  return {
+    name: 'file',
+
+    loadAll(collection) {
+      ensureDir(collection);
+
+      const records = [];
+      for (const file of fs.readdirSync(collectionDir(collection))) {
+        if (!file.endsWith('.json')) {
+          continue;
+        }
+
+        try {
+          const content = fs.readFileSync(path.join(collectionDir(collection), file), 'utf8');
+          records.push(JSON.parse(content));
+        } catch (error) {
+          logger.warn(`Skipping unreadable ${collection} record ${file}: ${error.message}`);
+        }
+      }
+
+      return records;
+    },
+
+    write(collection, id, content) {
+      const key = `${collection}/${id}`;
+      const target = recordPath(collection, id);
+      const tmpFile = `${target}.tmp`;
+
+      const previous = pendingWrites.get(key) || Promise.resolve();
+      const next = previous
+        .then(async () => {
+          await fs.promises.mkdir(collectionDir(collection), { recursive: true, mode: DIR_MODE });
+          await fs.promises.writeFile(tmpFile, content, { mode: FILE_MODE });
+          await fs.promises.chmod(tmpFile, FILE_MODE);
+          await fs.promises.rename(tmpFile, target);
+        })
+        .catch(error => {
+          logger.error(`Failed to persist ${collection} record ${id}: ${error.message}`);
+        })
+        .finally(() => {
+          if (pendingWrites.get(key) === next) {
+            pendingWrites.delete(key);
+          }
+        });
+
+      pendingWrites.set(key, next);
+      return next;
+    },
+
+    writeSync(collection, id, content) {
+      const target = recordPath(collection, id);
+      ensureDir(collection);
+      fs.writeFileSync(`${target}.tmp`, content, { mode: FILE_MODE });
+      fs.chmodSync(`${target}.tmp`, FILE_MODE);
+      fs.renameSync(`${target}.tmp`, target);
+    },
+
+    remove(collection, id) {
+      return fs.promises.rm(recordPath(collection, id), { force: true }).catch(error => {
+        logger.error(`Failed to remove ${collection} record ${id}: ${error.message}`);
+      });
+    }
+  };
+}
+
+module.exports = { createFileAdapter };
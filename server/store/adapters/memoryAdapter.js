@@ -0,0 +1,13 @@
+// In-memory persistence: nothing survives a restart. Useful for local
+// experiments and for running the server on a read-only filesystem
+function createMemoryAdapter() {
+  return {
+    name: 'memory',
+    loadAll: () => [],
+    write: () => Promise.resolve(),
+    writeSync: () => {},
+    remove: () => Promise.resolve()
+  };
+}
+
+module.exports = { createMemoryAdapter };
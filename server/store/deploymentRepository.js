@@ -0,0 +1,289 @@
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { createFileAdapter } = require('./adapters/fileAdapter');
+const { createMemoryAdapter } = require('./adapters/memoryAdapter');
+
+// Persistence driver: 'file' (default) or 'memory'
+const STORE_DRIVER = process.env.DEPLOYMENT_STORE || 'file';
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+
+// Coalesce bursts of log lines/step updates into a single write per record
+const SAVE_DEBOUNCE_MS = 250;
+
+function createAdapter() {
+  switch (STORE_DRIVER) {
+    case 'memory':
+      return createMemoryAdapter();
+    case 'file':
+      return createFileAdapter({ dataDir: DATA_DIR });
+    default:
+      throw new Error(`Unknown deployment store driver: ${STORE_DRIVER}`);
+  }
+}
+
+const getPath = (record, dottedPath) =>
+  dottedPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), record);
+
+// Copy of a record without the values at the given paths, copying only the
+// objects along them. `withheldSecrets` lists the paths that were left out,
+// including those a record loaded from disk still has no value for.
+function withholdSecrets(record, secretPaths) {
+  const present = secretPaths.filter(secretPath => getPath(record, secretPath) !== undefined);
+  const withheld = Array.from(new Set([...present, ...getMissingSecrets(record)]));
+  if (withheld.length === 0) {
+    return record;
+  }
+
+  const copy = { ...record, withheldSecrets: withheld };
+  present.forEach(secretPath => {
+    const keys = secretPath.split('.');
+    let target = copy;
+    keys.slice(0, -1).forEach(key => {
+      target[key] = { ...target[key] };
+      target = target[key];
+    });
+    delete target[keys[keys.length - 1]];
+  });
+  return copy;
+}
+
+// Paths of secrets that were withheld from disk and have not been given
+// again since the record was loaded
+function getMissingSecrets(record) {
+  return (record.withheldSecrets || []).filter(secretPath => getPath(record, secretPath) === undefined);
+}
+
+// Map-like collection whose records are persisted through the adapter.
+// Records are mutated in place by the routes, so callers must call save(id)
+// after changing a record; set() and delete() persist immediately.
+// Values at the `secrets` paths stay in memory only.
+function createCollection(name, adapter, { transient = [], secrets = [], onLoad } = {}) {
+  const records = new Map();
+  const saveTimers = new Map();
+
+  // Fields holding child processes, callbacks and timers never hit the disk
+  const serialize = (record) => {
+    const stored = withholdSecrets(record, secrets);
+    return JSON.stringify(stored, function (key, value) {
+      if (this === stored && transient.includes(key)) {
+        return undefined;
+      }
+      return value;
+    }, 2);
+  };
+
+  for (const record of adapter.loadAll(name)) {
+    if (!record || !record.id) {
+      continue;
+    }
+
+    // Records written before secrets were withheld are rewritten without them
+    const stored = JSON.stringify(record, null, 2);
+    const loaded = onLoad ? onLoad(record) || record : record;
+    records.set(loaded.id, loaded);
+
+    // Persist recovery changes right away so they are not re-applied on the next boot
+    if (serialize(loaded) !== stored) {
+      adapter.write(name, loaded.id, serialize(loaded));
+    }
+  }
+
+  const writeNow = (id) => {
+    const timer = saveTimers.get(id);
+    if (timer) {
+      clearTimeout(timer);
+      saveTimers.delete(id);
+    }
+
+    const record = records.get(id);
+    if (record) {
+      return adapter.write(name, id, serialize(record));
+    }
+    return Promise.resolve();
+  };
+
+  return {
+    name,
+
+    get size() {
+      return records.size;
+    },
+
+    get(id) {
+      return records.get(id);
+    },
+
+    has(id) {
+      return records.has(id);
+    },
+
+    set(id, record) {
+      records.set(id, record);
+      writeNow(id);
+      return this;
+    },
+
+    delete(id) {
+      const timer = saveTimers.get(id);
+      if (timer) {
+        clearTimeout(timer);
+        saveTimers.delete(id);
+      }
+
+      const existed = records.delete(id);
+      if (existed) {
+        adapter.remove(name, id);
+      }
+      return existed;
+    },
+
+    save(id) {
+      if (!records.has(id) || saveTimers.has(id)) {
+        return;
+      }
+
+      const timer = setTimeout(() => writeNow(id), SAVE_DEBOUNCE_MS);
+      timer.unref();
+      saveTimers.set(id, timer);
+    },
+
+    values() {
+      return records.values();
+    },
+
+    keys() {
+      return records.keys();
+    },
+
+    forEach(callback) {
+      records.forEach(callback);
+    },
+
+    // Synchronously write every record that still has a pending save
+    flush() {
+      for (const [id, timer] of saveTimers) {
+        clearTimeout(timer);
+        const record = records.get(id);
+        if (record) {
+          try {
+            adapter.writeSync(name, id, serialize(record));
+          } catch (error) {
+            logger.error(`Failed to flush ${name} record ${id}: ${error.message}`);
+          }
+        }
+      }
+      saveTimers.clear();
+    }
+  };
+}
+
+// Step statuses that only make sense while the server is running the step
+const ACTIVE_STEP_STATUSES = ['running', 'retrying', 'awaiting-approval'];
+
+// Mark work that was in flight when the server stopped as interrupted
+const markInterrupted = (activeStatuses) => (record) => {
+  if (!activeStatuses.includes(record.status)) {
+    return record;
+  }
+
+  const interruptedAt = new Date();
+  record.status = 'interrupted';
+  record.interruptedAt = interruptedAt;
+  record.error = record.error || 'Server restarted while this operation was in progress';
+
+  (record.steps || []).forEach(step => {
+    if (ACTIVE_STEP_STATUSES.includes(step.status)) {
+      step.status = 'failed';
+      step.message = 'Interrupted by server restart';
+      step.timestamp = interruptedAt;
+    }
+  });
+
+  return record;
+};
+
+// A cancellation that was still stopping processes ended with the server
+const markCancelled = (record) => {
+  if (record.status !== 'cancelling') {
+    return record;
+  }
+
+  const cancelledAt = new Date();
+  record.status = 'cancelled';
+  record.cancelledAt = cancelledAt;
+
+  (record.steps || []).forEach(step => {
+    if (ACTIVE_STEP_STATUSES.includes(step.status)) {
+      step.status = 'cancelled';
+      step.message = 'Cancelled';
+      step.timestamp = cancelledAt;
+    }
+  });
+
+  return record;
+};
+
+const adapter = createAdapter();
+
+logger.info(`Deployment store using ${adapter.name} driver${adapter.name === 'file' ? ` (${DATA_DIR})` : ''}`);
+
+// Credentials and application secrets of deployments. After a restart they
+// have to be given again before the deployment can run.
+const DEPLOYMENT_SECRETS = [
+  'config.awsCredentials.secretAccessKey',
+  'config.awsCredentials.sessionToken',
+  'config.repository.accessToken',
+  'config.appConfig.secrets'
+];
+
+// Steps used to keep a copy of their outputs, unmasked Terraform outputs
+// among them; the deployment itself holds those
+const dropStepOutputs = (record) => {
+  (record.steps || []).forEach(step => {
+    delete step.outputs;
+  });
+  return record;
+};
+
+const deployments = createCollection('deployments', adapter, {
+  secrets: DEPLOYMENT_SECRETS,
+  onLoad: (record) => markInterrupted(['queued', 'initializing', 'running', 'awaiting-approval', 'building', 'pushing', 'destroying'])(markCancelled(dropStepOutputs(record)))
+});
+
+const builds = createCollection('builds', adapter, {
+  onLoad: markInterrupted(['cloning', 'building'])
+});
+
+const ecrOperations = createCollection('ecr-operations', adapter, {
+  onLoad: markInterrupted(['authenticating', 'tagging', 'pushing'])
+});
+
+const terraformRuns = createCollection('terraform-runs', adapter, {
+  transient: ['processes', 'cleanup'],
+  secrets: ['awsCredentials.secretAccessKey', 'awsCredentials.sessionToken'],
+  onLoad: (record) => {
+    record.processes = [];
+    return record;
+  }
+});
+
+// One record per project environment, pointing at its persistent Terraform working directory
+const stacks = createCollection('stacks', adapter);
+
+const collections = [deployments, builds, ecrOperations, terraformRuns, stacks];
+
+// Flush pending writes; called on shutdown so the last updates are not lost
+function flush() {
+  collections.forEach(collection => collection.flush());
+}
+
+module.exports = {
+  deployments,
+  builds,
+  ecrOperations,
+  terraformRuns,
+  stacks,
+  flush,
+  createCollection,
+  getMissingSecrets
+};
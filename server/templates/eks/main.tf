@@ -0,0 +1,70 @@
+locals {
+  name            = "${var.project_name}-${var.environment}"
+  cluster_name    = var.cluster_name != "" ? var.cluster_name : local.name
+  node_group_name = var.node_group_name != "" ? var.node_group_name : "${local.cluster_name}-nodes"
+
+  tags = {
+    Project     = var.project_name
+    Environment = var.environment
+    ManagedBy   = "aws-builder"
+  }
+}
+
+data "aws_availability_zones" "available" {
+  state = "available"
+}
+
+module "vpc" {
+  source = "./modules/vpc"
+
+  name                 = local.name
+  cluster_name         = local.cluster_name
+  vpc_cidr             = var.vpc_cidr
+  availability_zones   = slice(data.aws_availability_zones.available.names, 0, var.availability_zones_count)
+  public_subnet_cidrs  = var.public_subnet_cidrs
+  private_subnet_cidrs = var.private_subnet_cidrs
+  db_subnet_cidrs      = var.db_subnet_cidrs
+  enable_nat_gateway   = var.enable_nat_gateway
+  single_nat_gateway   = var.single_nat_gateway
+}
+
+module "eks" {
+  source = "./modules/eks"
+
+  name                         = local.name
+  cluster_name                 = local.cluster_name
+  node_group_name              = local.node_group_name
+  kubernetes_version           = var.kubernetes_version
+  subnet_ids                   = module.vpc.private_subnet_ids
+  endpoint_private_access      = var.endpoint_private_access
+  endpoint_public_access       = var.endpoint_public_access
+  endpoint_public_access_cidrs = var.endpoint_public_access_cidrs
+  node_instance_types          = var.node_instance_types
+  node_ami_type                = var.node_ami_type
+  node_capacity_type           = var.node_capacity_type
+  node_disk_size               = var.node_disk_size
+  node_desired_size            = var.node_desired_size
+  node_min_size                = var.node_min_size
+  node_max_size                = var.node_max_size
+}
+
+module "database" {
+  source = "./modules/database"
+  count  = var.enable_database ? 1 : 0
+
+  name                    = local.name
+  vpc_id                  = module.vpc.vpc_id
+  subnet_ids              = module.vpc.db_subnet_ids
+  allowed_security_groups = [module.eks.cluster_security_group_id]
+  engine                  = var.db_engine
+  engine_version          = var.db_engine_version
+  instance_class          = var.db_instance_class
+  allocated_storage       = var.db_allocated_storage
+  database_name           = var.db_database_name
+  username                = var.db_username
+  port                    = var.db_port
+  backup_retention_period = var.db_backup_retention_period
+  multi_az                = var.db_multi_az
+  storage_encrypted       = var.db_storage_encrypted
+  deletion_protection     = var.environment == "prod"
+}
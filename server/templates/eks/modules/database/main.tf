@@ -0,0 +1,61 @@
+variable "name" { type = string }
+variable "vpc_id" { type = string }
+variable "subnet_ids" { type = list(string) }
+variable "allowed_security_groups" { type = list(string) }
+variable "engine" { type = string }
+variable "engine_version" { type = string }
+variable "instance_class" { type = string }
+variable "allocated_storage" { type = number }
+variable "database_name" { type = string }
+variable "username" { type = string }
+variable "port" { type = number }
+variable "backup_retention_period" { type = number }
+variable "multi_az" { type = bool }
+variable "storage_encrypted" { type = bool }
+variable "deletion_protection" { type = bool }
+
+resource "aws_db_subnet_group" "main" {
+  name       = "${var.name}-db-subnet-group"
+  subnet_ids = var.subnet_ids
+}
+
+# Only the cluster can reach the database
+resource "aws_security_group" "database" {
+  name   = "${var.name}-db"
+  vpc_id = var.vpc_id
+
+  ingress {
+    from_port       = var.port
+    to_port         = var.port
+    protocol        = "tcp"
+    security_groups = var.allowed_security_groups
+  }
+}
+
+resource "aws_db_instance" "main" {
+  identifier                  = "${var.name}-db"
+  engine                      = var.engine
+  engine_version              = var.engine_version
+  instance_class              = var.instance_class
+  allocated_storage           = var.allocated_storage
+  db_name                     = var.database_name
+  username                    = var.username
+  port                        = var.port
+  manage_master_user_password = true
+  db_subnet_group_name        = aws_db_subnet_group.main.name
+  vpc_security_group_ids      = [aws_security_group.database.id]
+  backup_retention_period     = var.backup_retention_period
+  multi_az                    = var.multi_az
+  storage_encrypted           = var.storage_encrypted
+  deletion_protection         = var.deletion_protection
+  skip_final_snapshot         = !var.deletion_protection
+  final_snapshot_identifier   = var.deletion_protection ? "${var.name}-db-final" : null
+}
+
+output "endpoint" {
+  value = aws_db_instance.main.endpoint
+}
+
+output "master_user_secret_arn" {
+  value = aws_db_instance.main.master_user_secret[0].secret_arn
+}
@@ -0,0 +1,34 @@
+output "region" {
+  description = "AWS region the stack is deployed in"
+  value       = var.aws_region
+}
+
+output "vpc_id" {
+  description = "ID of the VPC"
+  value       = module.vpc.vpc_id
+}
+
+output "cluster_name" {
+  description = "Name of the EKS cluster"
+  value       = module.eks.cluster_name
+}
+
+output "cluster_endpoint" {
+  description = "Kubernetes API server endpoint"
+  value       = module.eks.cluster_endpoint
+}
+
+output "cluster_certificate_authority_data" {
+  description = "Base64 encoded certificate authority of the cluster"
+  value       = module.eks.cluster_certificate_authority_data
+}
+
+output "database_endpoint" {
+  description = "Connection endpoint of the database, if one was created"
+  value       = var.enable_database ? module.database[0].endpoint : null
+}
+
+output "database_secret_arn" {
+  description = "Secrets Manager secret holding the database master password"
+  value       = var.enable_database ? module.database[0].master_user_secret_arn : null
+}
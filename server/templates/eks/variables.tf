@@ -0,0 +1,208 @@
+# Core
+
+variable "project_name" {
+  description = "Project name, used as a prefix for resource names"
+  type        = string
+}
+
+variable "environment" {
+  description = "Environment name such as dev, staging or prod"
+  type        = string
+}
+
+variable "aws_region" {
+  description = "AWS region to deploy into"
+  type        = string
+}
+
+variable "cluster_name" {
+  description = "EKS cluster name; defaults to <project_name>-<environment>"
+  type        = string
+  default     = ""
+}
+
+variable "node_group_name" {
+  description = "EKS node group name; defaults to <cluster_name>-nodes"
+  type        = string
+  default     = ""
+}
+
+# VPC
+
+variable "vpc_cidr" {
+  description = "CIDR block of the VPC"
+  type        = string
+  default     = "10.0.0.0/16"
+}
+
+variable "availability_zones_count" {
+  description = "Number of availability zones to spread subnets across"
+  type        = number
+  default     = 2
+}
+
+variable "public_subnet_cidrs" {
+  description = "CIDR blocks of the public subnets, one per availability zone"
+  type        = list(string)
+  default     = ["10.0.1.0/24", "10.0.2.0/24"]
+}
+
+variable "private_subnet_cidrs" {
+  description = "CIDR blocks of the private subnets, one per availability zone"
+  type        = list(string)
+  default     = ["10.0.10.0/24", "10.0.20.0/24"]
+}
+
+variable "db_subnet_cidrs" {
+  description = "CIDR blocks of the database subnets, one per availability zone"
+  type        = list(string)
+  default     = ["10.0.100.0/24", "10.0.200.0/24"]
+}
+
+variable "enable_nat_gateway" {
+  description = "Give private subnets outbound internet access through NAT gateways"
+  type        = bool
+  default     = true
+}
+
+variable "single_nat_gateway" {
+  description = "Share one NAT gateway between all private subnets"
+  type        = bool
+  default     = false
+}
+
+# EKS
+
+variable "kubernetes_version" {
+  description = "Kubernetes version of the EKS cluster"
+  type        = string
+  default     = "1.28"
+}
+
+variable "endpoint_private_access" {
+  description = "Enable the private API server endpoint"
+  type        = bool
+  default     = true
+}
+
+variable "endpoint_public_access" {
+  description = "Enable the public API server endpoint"
+  type        = bool
+  default     = true
+}
+
+variable "endpoint_public_access_cidrs" {
+  description = "CIDR blocks allowed to reach the public API server endpoint"
+  type        = list(string)
+  default     = ["0.0.0.0/0"]
+}
+
+variable "node_instance_types" {
+  description = "EC2 instance types of the worker nodes"
+  type        = list(string)
+  default     = ["t3.medium"]
+}
+
+variable "node_ami_type" {
+  description = "AMI type of the worker nodes"
+  type        = string
+  default     = "AL2_x86_64"
+}
+
+variable "node_capacity_type" {
+  description = "ON_DEMAND or SPOT"
+  type        = string
+  default     = "ON_DEMAND"
+}
+
+variable "node_disk_size" {
+  description = "Disk size of the worker nodes in GiB"
+  type        = number
+  default     = 20
+}
+
+variable "node_desired_size" {
+  description = "Desired number of worker nodes"
+  type        = number
+  default     = 2
+}
+
+variable "node_min_size" {
+  description = "Minimum number of worker nodes"
+  type        = number
+  default     = 1
+}
+
+variable "node_max_size" {
+  description = "Maximum number of worker nodes"
+  type        = number
+  default     = 4
+}
+
+# Database
+
+variable "enable_database" {
+  description = "Create an RDS database in the database subnets"
+  type        = bool
+  default     = true
+}
+
+variable "db_engine" {
+  description = "RDS engine"
+  type        = string
+  default     = "postgres"
+}
+
+variable "db_engine_version" {
+  description = "RDS engine version"
+  type        = string
+  default     = "15.4"
+}
+
+variable "db_instance_class" {
+  description = "RDS instance class"
+  type        = string
+  default     = "db.t3.micro"
+}
+
+variable "db_allocated_storage" {
+  description = "RDS storage in GiB"
+  type        = number
+  default     = 20
+}
+
+variable "db_database_name" {
+  description = "Name of the database created on the instance"
+  type        = string
+  default     = "appdb"
+}
+
+variable "db_username" {
+  description = "Master username; the password is generated and kept in Secrets Manager by RDS"
+  type        = string
+  default     = "dbadmin"
+}
+
+variable "db_port" {
+  description = "Port the database listens on"
+  type        = number
+  default     = 5432
+}
+
+variable "db_backup_retention_period" {
+  description = "Days to keep automated backups"
+  type        = number
+  default     = 7
+}
+
+variable "db_multi_az" {
+  description = "Run a standby instance in a second availability zone"
+  type        = bool
+  default     = false
+}
+
+variable "db_storage_encrypted" {
+  description = "Encrypt database storage"
+  type        = bool
+  default     = true
+}
@@ -0,0 +1,175 @@
+jest.mock('../logger', () => ({ logger: { warn: jest.fn(), error: jest.fn() } }));
+
+const { EventEmitter } = require('events');
+const { logger } = require('../logger');
+const { CancelledError, createCancellationToken, stopProcess } = require('../cancellation');
+
+// Child process stand-in that exits, asynchronously like a real one, when
+// sent one of `exitOn`
+function createChild(exitOn = ['SIGTERM', 'SIGKILL']) {
+  const child = new EventEmitter();
+  child.pid = 4242;
+  child.exitCode = null;
+  child.signalCode = null;
+  child.kill = jest.fn((signal) => {
+    if (exitOn.includes(signal)) {
+      setImmediate(() => {
+        child.signalCode = signal;
+        child.emit('exit', null, signal);
+      });
+    }
+  });
+  return child;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('stopProcess', () => {
+  it('sends the signal and nothing more once the process exits', () => {
+    jest.useFakeTimers();
+    const child = createChild();
+
+    stopProcess(child, { signal: 'SIGINT', killAfterMs: 1000 });
+    child.exitCode = 0;
+    child.emit('exit', 0, null);
+    jest.advanceTimersByTime(1000);
+
+    expect(child.kill.mock.calls).toEqual([['SIGINT']]);
+  });
+
+  it('sends SIGKILL when the process ignores the signal', () => {
+    jest.useFakeTimers();
+    const child = createChild(['SIGKILL']);
+
+    stopProcess(child, { killAfterMs: 1000 });
+    jest.advanceTimersByTime(999);
+    expect(child.kill.mock.calls).toEqual([['SIGTERM']]);
+
+    jest.advanceTimersByTime(1);
+    expect(child.kill.mock.calls).toEqual([['SIGTERM'], ['SIGKILL']]);
+  });
+
+  it('leaves processes that already exited alone', () => {
+    const child = createChild();
+    child.exitCode = 1;
+
+    stopProcess(child);
+
+    expect(child.kill).not.toHaveBeenCalled();
+  });
+
+  it('ignores processes that exit before the signal arrives', () => {
+    jest.useFakeTimers();
+    const child = createChild();
+    child.kill.mockImplementation(() => {
+      throw Object.assign(new Error('kill ESRCH'), { code: 'ESRCH' });
+    });
+
+    expect(() => stopProcess(child)).not.toThrow();
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+});
+
+describe('createCancellationToken', () => {
+  it('aborts its signal and runs handlers once with the reason', () => {
+    const token = createCancellationToken();
+    const handler = jest.fn();
+    const removed = jest.fn();
+    token.onCancel(handler);
+    token.onCancel(removed)();
+
+    token.cancel('Superseded');
+    token.cancel('Again');
+
+    expect(token.cancelled).toBe(true);
+    expect(token.signal.aborted).toBe(true);
+    expect(token.reason).toBe('Superseded');
+    expect(handler.mock.calls).toEqual([['Superseded']]);
+    expect(removed).not.toHaveBeenCalled();
+  });
+
+  it('calls handlers registered after the cancellation straight away', () => {
+    const token = createCancellationToken();
+    token.cancel();
+    const handler = jest.fn();
+
+    token.onCancel(handler);
+
+    expect(handler).toHaveBeenCalledWith('Deployment cancelled');
+  });
+
+  it('keeps running handlers when one throws', () => {
+    const token = createCancellationToken();
+    const handler = jest.fn();
+    token.onCancel(() => {
+      throw new Error('boom');
+    });
+    token.onCancel(handler);
+
+    token.cancel();
+
+    expect(handler).toHaveBeenCalled();
+    expect(logger.error).toHaveBeenCalledWith('Cancellation handler failed: boom');
+  });
+
+  it('throws CancelledError with the reason once cancelled', () => {
+    const token = createCancellationToken();
+    expect(() => token.throwIfCancelled()).not.toThrow();
+
+    token.cancel('Stopped by user');
+
+    expect(() => token.throwIfCancelled()).toThrow(CancelledError);
+    expect(() => token.throwIfCancelled()).toThrow('Stopped by user');
+  });
+
+  it('stops tracked processes on cancel with their own options', async () => {
+    const token = createCancellationToken();
+    const child = createChild(['SIGINT']);
+    const exited = createChild();
+
+    token.trackProcess(child, { signal: 'SIGINT' });
+    token.trackProcess(exited);
+    expect(token.processCount).toBe(2);
+    exited.exitCode = 0;
+    exited.emit('exit', 0, null);
+    expect(token.processCount).toBe(1);
+
+    token.cancel();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(child.kill).toHaveBeenCalledWith('SIGINT');
+    expect(exited.kill).not.toHaveBeenCalled();
+    expect(token.processCount).toBe(0);
+  });
+
+  it('stops processes tracked after the cancellation', () => {
+    const token = createCancellationToken();
+    token.cancel();
+    const child = createChild();
+
+    token.trackProcess(child);
+
+    expect(child.kill).toHaveBeenCalledWith('SIGTERM');
+    expect(token.processCount).toBe(0);
+  });
+
+  it('sleeps for the given time unless cancelled', async () => {
+    jest.useFakeTimers();
+    const token = createCancellationToken();
+
+    const slept = token.sleep(1000);
+    jest.advanceTimersByTime(1000);
+    await expect(slept).resolves.toBeUndefined();
+
+    const interrupted = token.sleep(1000);
+    token.cancel('Stopped by user');
+    await expect(interrupted).rejects.toThrow(new CancelledError('Stopped by user'));
+    await expect(token.sleep(1000)).rejects.toBeInstanceOf(CancelledError);
+  });
+});
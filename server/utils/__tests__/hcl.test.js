@@ -0,0 +1,77 @@
+const { formatHclValue, toTfVars } = require('../hcl');
+
+describe('formatHclValue', () => {
+  it('escapes quotes, backslashes and control characters in strings', () => {
+    expect(formatHclValue('say "hi" C:\\temp\ttab')).toBe('"say \\"hi\\" C:\\\\temp\\ttab"');
+    expect(formatHclValue('bell\u0007')).toBe('"bell\\u0007"');
+  });
+
+  it('escapes template sequences so values are taken literally', () => {
+    expect(formatHclValue('${var.secret} and %{ if true }')).toBe('"$${var.secret} and %%{ if true }"');
+    expect(formatHclValue('$5 and 100%')).toBe('"$5 and 100%"');
+  });
+
+  it('writes multi-line strings as heredocs ending in a newline', () => {
+    expect(formatHclValue('line one\nline two')).toBe('<<EOT\nline one\nline two\nEOT');
+    expect(formatHclValue('line one\n')).toBe('<<EOT\nline one\nEOT');
+  });
+
+  it('picks a heredoc delimiter that does not appear as a line of the value', () => {
+    expect(formatHclValue('EOT\n  EOT1\n')).toBe('<<EOT2\nEOT\n  EOT1\nEOT2');
+    // Only whole lines end a heredoc
+    expect(formatHclValue('NOT EOT\n')).toBe('<<EOT\nNOT EOT\nEOT');
+  });
+
+  it('escapes template sequences in heredocs', () => {
+    expect(formatHclValue('host = ${HOST}\n')).toBe('<<EOT\nhost = $${HOST}\nEOT');
+  });
+
+  it('quotes multi-line strings inside lists instead of using heredocs', () => {
+    expect(formatHclValue(['a\nb', 'c'])).toBe('["a\\nb", "c"]');
+    expect(formatHclValue([{ pem: 'x\ny' }])).toBe('[\n  {\n    pem = "x\\ny"\n  },\n]');
+  });
+
+  it('writes scalars, nulls and dates', () => {
+    expect(formatHclValue(3)).toBe('3');
+    expect(formatHclValue(false)).toBe('false');
+    expect(formatHclValue(null)).toBe('null');
+    expect(formatHclValue(undefined)).toBe('null');
+    expect(formatHclValue(new Date('2026-01-02T03:04:05Z'))).toBe('"2026-01-02T03:04:05.000Z"');
+  });
+
+  it('rejects values HCL cannot hold', () => {
+    expect(() => formatHclValue(NaN)).toThrow('Cannot write NaN as an HCL number');
+    expect(() => formatHclValue(Infinity)).toThrow('Cannot write Infinity as an HCL number');
+    expect(() => formatHclValue(() => {})).toThrow('Cannot write a function as HCL');
+  });
+
+  it('writes nested maps across lines and quotes keys that are not identifiers', () => {
+    expect(formatHclValue({ Name: 'web', 'kubernetes.io/role': 'elb', skipped: undefined, empty: {} })).toBe(
+      '{\n  Name = "web"\n  "kubernetes.io/role" = "elb"\n  empty = {}\n}'
+    );
+  });
+});
+
+describe('toTfVars', () => {
+  it('writes one assignment per variable', () => {
+    expect(toTfVars({
+      project_name: 'shop',
+      node_desired_size: 2,
+      enable_database: false,
+      availability_zones: ['us-east-1a', 'us-east-1b'],
+      tags: { Environment: 'dev' }
+    })).toBe([
+      'project_name = "shop"',
+      'node_desired_size = 2',
+      'enable_database = false',
+      'availability_zones = ["us-east-1a", "us-east-1b"]',
+      'tags = {\n  Environment = "dev"\n}',
+      ''
+    ].join('\n'));
+  });
+
+  it('rejects variable names Terraform would not accept', () => {
+    expect(() => toTfVars({ 'bad name': 'x' })).toThrow('Invalid Terraform variable name: bad name');
+    expect(() => toTfVars({ '1st': 'x' })).toThrow('Invalid Terraform variable name: 1st');
+  });
+});
@@ -0,0 +1,113 @@
+jest.mock('../logger', () => ({ logger: { error: jest.fn() } }));
+
+const { logger } = require('../logger');
+const { createJobQueue } = require('../jobQueue');
+
+// A job whose run() stays pending until finish() or fail() is called
+function createJob() {
+  const job = { started: false };
+  job.done = new Promise((resolve, reject) => {
+    job.finish = resolve;
+    job.fail = reject;
+  });
+  job.run = () => {
+    job.started = true;
+    return job.done;
+  };
+  return job;
+}
+
+// Let the queue react to a finished job
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('createJobQueue', () => {
+  it('runs jobs up to the global concurrency, then in order as slots free up', async () => {
+    const queue = createJobQueue({ concurrency: 2, keyConcurrency: 5 });
+    const jobs = [createJob(), createJob(), createJob()];
+
+    expect(jobs.map((job, index) => queue.enqueue(`job-${index}`, { key: 'shop', run: job.run }))).toEqual([0, 0, 1]);
+    expect(jobs.map(job => job.started)).toEqual([true, true, false]);
+
+    jobs[0].finish();
+    await settle();
+    expect(jobs[2].started).toBe(true);
+    expect(queue.position('job-0')).toBeNull();
+    expect(queue.position('job-2')).toBe(0);
+  });
+
+  it('limits jobs per key without holding up other keys', () => {
+    const queue = createJobQueue({ concurrency: 3, keyConcurrency: 1 });
+    const [first, second, other] = [createJob(), createJob(), createJob()];
+
+    queue.enqueue('shop-1', { key: 'shop', run: first.run });
+    queue.enqueue('shop-2', { key: 'shop', run: second.run });
+    queue.enqueue('blog-1', { key: 'blog', run: other.run });
+
+    expect([first.started, second.started, other.started]).toEqual([true, false, true]);
+    expect(queue.snapshot().queued).toEqual([expect.objectContaining({ id: 'shop-2', key: 'shop', position: 1 })]);
+  });
+
+  it('never runs two jobs holding the same lock, and keeps their order', async () => {
+    const queue = createJobQueue({ concurrency: 3, keyConcurrency: 3 });
+    const [first, second, third] = [createJob(), createJob(), createJob()];
+
+    queue.enqueue('a', { key: 'a', lock: 'stack', run: first.run });
+    queue.enqueue('b', { key: 'b', lock: 'stack', run: second.run });
+    queue.enqueue('c', { key: 'c', lock: 'stack', run: third.run });
+    expect([first.started, second.started, third.started]).toEqual([true, false, false]);
+
+    first.finish();
+    await settle();
+    expect([second.started, third.started]).toEqual([true, false]);
+  });
+
+  it('frees the slot of a failed job and logs the failure', async () => {
+    const queue = createJobQueue({ concurrency: 1 });
+    const [failing, next] = [createJob(), createJob()];
+
+    queue.enqueue('failing', { key: 'a', run: failing.run });
+    queue.enqueue('next', { key: 'b', run: next.run });
+    failing.fail(new Error('boom'));
+    await settle();
+
+    expect(next.started).toBe(true);
+    expect(logger.error).toHaveBeenCalledWith('Queued job failing failed: boom');
+  });
+
+  it('removes only jobs that have not started', () => {
+    const onChange = jest.fn();
+    const queue = createJobQueue({ concurrency: 1, onChange });
+
+    queue.enqueue('running', { key: 'a', run: createJob().run });
+    queue.enqueue('waiting', { key: 'b', run: createJob().run });
+
+    expect(queue.remove('running')).toBe(false);
+    expect(queue.remove('waiting')).toBe(true);
+    expect(queue.position('waiting')).toBeNull();
+    expect(onChange).toHaveBeenLastCalledWith(queue);
+  });
+
+  it('starts jobs that were waiting on a removed job\'s lock', () => {
+    const queue = createJobQueue({ concurrency: 3, keyConcurrency: 1 });
+    const later = createJob();
+
+    queue.enqueue('running', { key: 'shop', run: createJob().run });
+    queue.enqueue('removed', { key: 'shop', lock: 'shop/dev', run: createJob().run });
+    queue.enqueue('later', { key: 'admin', lock: 'shop/dev', run: later.run });
+    expect(later.started).toBe(false);
+
+    queue.remove('removed');
+
+    expect(later.started).toBe(true);
+    expect(queue.position('later')).toBe(0);
+  });
+
+  it('rejects a job id that is already queued or running', () => {
+    const queue = createJobQueue({ concurrency: 1 });
+    queue.enqueue('a', { key: 'a', run: createJob().run });
+    queue.enqueue('b', { key: 'b', run: createJob().run });
+
+    expect(() => queue.enqueue('a', { key: 'a', run: createJob().run })).toThrow('Job a is already queued');
+    expect(() => queue.enqueue('b', { key: 'b', run: createJob().run })).toThrow('Job b is already queued');
+  });
+});
@@ -0,0 +1,78 @@
+const { ERROR_CLASSES, classifyError, getBackoffDelay, retryWithBackoff } = require('../retry');
+
+const networkError = () => Object.assign(new Error('connect ECONNRESET'), { code: 'ECONNRESET' });
+
+describe('classifyError', () => {
+  it('recognizes network, throttling and unavailable services', () => {
+    expect(classifyError(networkError())).toEqual([ERROR_CLASSES.NETWORK]);
+    expect(classifyError({ name: 'ThrottlingException', message: 'Rate exceeded' })).toEqual([ERROR_CLASSES.THROTTLING]);
+    expect(classifyError({ message: 'Request failed', response: { status: 503 } })).toEqual([ERROR_CLASSES.SERVICE_UNAVAILABLE]);
+  });
+
+  it('reads Terraform failures from stderr', () => {
+    expect(classifyError({ message: 'Terraform init failed', stderr: 'Error: Failed to install provider' })).toEqual([ERROR_CLASSES.PROVIDER_DOWNLOAD]);
+    expect(classifyError({ message: 'Terraform plan failed', stderr: 'Error acquiring the state lock' })).toEqual([ERROR_CLASSES.STATE_LOCK]);
+  });
+
+  it('leaves other errors unclassified', () => {
+    expect(classifyError(new Error('Invalid instance type'))).toEqual([]);
+    expect(classifyError(null)).toEqual([]);
+  });
+});
+
+describe('getBackoffDelay', () => {
+  it('grows exponentially up to the maximum, with at most 20% jitter', () => {
+    const policy = { initialDelayMs: 1000, factor: 2, maxDelayMs: 5000 };
+    [[1, 1000], [2, 2000], [3, 4000], [4, 5000], [10, 5000]].forEach(([retry, base]) => {
+      const delay = getBackoffDelay(retry, policy);
+      expect(delay).toBeGreaterThanOrEqual(base);
+      expect(delay).toBeLessThanOrEqual(base * 1.2);
+    });
+  });
+});
+
+describe('retryWithBackoff', () => {
+  const noWait = () => Promise.resolve();
+
+  it('retries errors of the listed classes until an attempt succeeds', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(networkError())
+      .mockRejectedValueOnce(networkError())
+      .mockResolvedValue('done');
+    const onRetry = jest.fn();
+
+    await expect(retryWithBackoff(fn, { attempts: 3, retryOn: [ERROR_CLASSES.NETWORK] }, { onRetry, sleep: noWait })).resolves.toBe('done');
+    expect(fn.mock.calls).toEqual([[1], [2], [3]]);
+    expect(onRetry.mock.calls.map(([retry]) => [retry.attempt, retry.maxAttempts, retry.errorClasses])).toEqual([
+      [1, 3, [ERROR_CLASSES.NETWORK]],
+      [2, 3, [ERROR_CLASSES.NETWORK]]
+    ]);
+  });
+
+  it('gives up after the last attempt and reports how many were made', async () => {
+    const fn = jest.fn().mockRejectedValue(networkError());
+
+    const error = await retryWithBackoff(fn, { attempts: 2, retryOn: [ERROR_CLASSES.NETWORK] }, { sleep: noWait }).catch(e => e);
+    expect(error.message).toBe('connect ECONNRESET');
+    expect(error.attempts).toBe(2);
+    expect(error.errorClasses).toEqual([ERROR_CLASSES.NETWORK]);
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry errors outside the policy', async () => {
+    const fn = jest.fn().mockRejectedValue(new Error('Access denied'));
+    const sleep = jest.fn(noWait);
+
+    await expect(retryWithBackoff(fn, { attempts: 5, retryOn: [ERROR_CLASSES.NETWORK] }, { sleep })).rejects.toMatchObject({ attempts: 1 });
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  it('stops when the wait between attempts is cancelled', async () => {
+    const fn = jest.fn().mockRejectedValue(networkError());
+    const cancelled = new Error('Deployment cancelled');
+
+    await expect(retryWithBackoff(fn, { attempts: 3, retryOn: [ERROR_CLASSES.NETWORK] }, { sleep: () => Promise.reject(cancelled) })).rejects.toBe(cancelled);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
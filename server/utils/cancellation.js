@@ -0,0 +1,140 @@
+const { logger } = require('./logger');
+
+// Thrown by a cancelled token; steps let it propagate so the runner stops
+class CancelledError extends Error {
+  constructor(message = 'Deployment cancelled') {
+    super(message);
+    this.name = 'CancelledError';
+  }
+}
+
+const isRunning = (child) => child.exitCode === null && child.signalCode === null;
+
+// Ask a child process to stop with `signal`, then SIGKILL it if it is still
+// running after `killAfterMs`
+function stopProcess(child, { signal = 'SIGTERM', killAfterMs = 10000 } = {}) {
+  const send = (sig) => {
+    try {
+      child.kill(sig);
+    } catch (error) {
+      // ESRCH: the process exited between the check and the signal
+      if (error.code !== 'ESRCH') {
+        logger.warn(`Failed to send ${sig} to process ${child.pid}: ${error.message}`);
+      }
+    }
+  };
+
+  if (!isRunning(child)) {
+    return;
+  }
+
+  send(signal);
+
+  const killTimer = setTimeout(() => {
+    if (isRunning(child)) {
+      logger.warn(`Process ${child.pid} did not exit after ${signal}, sending SIGKILL`);
+      send('SIGKILL');
+    }
+  }, killAfterMs);
+  child.once('exit', () => clearTimeout(killTimer));
+}
+
+// Cancellation token threaded through a deployment's steps. It tracks the
+// child processes the steps spawn and stops them when the token is cancelled.
+function createCancellationToken() {
+  const controller = new AbortController();
+  const handlers = new Set();
+  const processes = new Map();
+
+  const token = {
+    reason: null,
+
+    // Pass to services (Docker streams, HTTP requests) so they stop on cancel
+    signal: controller.signal,
+
+    get cancelled() {
+      return controller.signal.aborted;
+    },
+
+    get processCount() {
+      return processes.size;
+    },
+
+    cancel(reason = 'Deployment cancelled') {
+      if (token.cancelled) {
+        return;
+      }
+
+      token.reason = reason;
+      controller.abort();
+
+      processes.forEach((options, child) => stopProcess(child, options));
+
+      handlers.forEach(handler => {
+        try {
+          handler(reason);
+        } catch (error) {
+          logger.error(`Cancellation handler failed: ${error.message}`);
+        }
+      });
+      handlers.clear();
+    },
+
+    // Register a handler; returns a function that unregisters it
+    onCancel(handler) {
+      if (token.cancelled) {
+        handler(token.reason);
+        return () => {};
+      }
+
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+
+    throwIfCancelled() {
+      if (token.cancelled) {
+        throw new CancelledError(token.reason);
+      }
+    },
+
+    // Track a spawned process until it exits; stopped with the given options on cancel
+    trackProcess(child, options = {}) {
+      if (token.cancelled) {
+        stopProcess(child, options);
+        return child;
+      }
+
+      processes.set(child, options);
+      child.once('exit', () => processes.delete(child));
+      child.once('error', () => processes.delete(child));
+      return child;
+    },
+
+    // Wait that ends early, rejecting with CancelledError, when the token is cancelled
+    sleep(ms) {
+      return new Promise((resolve, reject) => {
+        if (token.cancelled) {
+          reject(new CancelledError(token.reason));
+          return;
+        }
+
+        const unsubscribe = token.onCancel((reason) => {
+          clearTimeout(timer);
+          reject(new CancelledError(reason));
+        });
+        const timer = setTimeout(() => {
+          unsubscribe();
+          resolve();
+        }, ms);
+      });
+    }
+  };
+
+  return token;
+}
+
+module.exports = {
+  CancelledError,
+  createCancellationToken,
+  stopProcess
+};
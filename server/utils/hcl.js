@@ -0,0 +1,108 @@
+// Write JavaScript values as HCL, for the terraform.tfvars and backend.hcl
+// files generated for each deployment
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+const INDENT = '  ';
+
+// `${` and `%{` start template sequences in quoted strings and heredocs
+const escapeTemplates = (text) => text.replace(/([$%])\{/g, (match, sigil) => `${sigil}${sigil}{`);
+
+function quoteString(value) {
+  const escaped = value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t')
+    .replace(/[\u0000-\u001f]/g, (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+  return `"${escapeTemplates(escaped)}"`;
+}
+
+// Multi-line strings such as PEM certificates. A heredoc always ends with a
+// newline, so one is added if the value has none.
+function heredoc(value) {
+  const body = value.endsWith('\n') ? value : `${value}\n`;
+  const lines = body.split('\n');
+
+  let delimiter = 'EOT';
+  for (let suffix = 1; lines.some(line => line.trim() === delimiter); suffix++) {
+    delimiter = `EOT${suffix}`;
+  }
+
+  return `<<${delimiter}\n${escapeTemplates(body)}${delimiter}`;
+}
+
+const formatKey = (key) => (IDENTIFIER.test(key) ? key : quoteString(key));
+
+const isScalar = (value) => value === null || value === undefined || ['string', 'number', 'boolean'].includes(typeof value);
+
+// HCL for one value. Nested maps and lists of objects are written across
+// lines, indented by depth. `inline` rules out heredocs, which cannot be
+// followed by a comma on their closing line.
+function formatHclValue(value, depth = 0, { inline = false } = {}) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+
+  if (typeof value === 'string') {
+    return value.includes('\n') && !inline ? heredoc(value) : quoteString(value);
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Cannot write ${value} as an HCL number`);
+    }
+    return String(value);
+  }
+
+  if (typeof value === 'boolean') {
+    return String(value);
+  }
+
+  if (value instanceof Date) {
+    return quoteString(value.toISOString());
+  }
+
+  const indent = INDENT.repeat(depth);
+  const innerIndent = INDENT.repeat(depth + 1);
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return '[]';
+    }
+    if (value.every(isScalar)) {
+      return `[${value.map(item => formatHclValue(item, depth, { inline: true })).join(', ')}]`;
+    }
+    const items = value.map(item => `${innerIndent}${formatHclValue(item, depth + 1, { inline: true })},`);
+    return `[\n${items.join('\n')}\n${indent}]`;
+  }
+
+  if (typeof value === 'object') {
+    // As in JSON, undefined attributes are left out of nested objects
+    const entries = Object.entries(value).filter(([, entryValue]) => entryValue !== undefined);
+    if (entries.length === 0) {
+      return '{}';
+    }
+    const attributes = entries.map(([key, entryValue]) => `${innerIndent}${formatKey(key)} = ${formatHclValue(entryValue, depth + 1, { inline })}`);
+    return `{\n${attributes.join('\n')}\n${indent}}`;
+  }
+
+  throw new Error(`Cannot write a ${typeof value} as HCL`);
+}
+
+// A .tfvars/.hcl file body: one `name = value` line per key
+function toTfVars(variables) {
+  return Object.entries(variables)
+    .map(([name, value]) => {
+      if (!IDENTIFIER.test(name)) {
+        throw new Error(`Invalid Terraform variable name: ${name}`);
+      }
+      return `${name} = ${formatHclValue(value)}`;
+    })
+    .join('\n') + '\n';
+}
+
+module.exports = {
+  formatHclValue,
+  toTfVars
+};
@@ -0,0 +1,118 @@
+const { logger } = require('./logger');
+
+// FIFO job queue with a global concurrency limit and a limit per key (e.g.
+// per project). Jobs may also name a lock; jobs holding the same lock never
+// run together, whatever the limits. A blocked job does not hold up jobs
+// queued behind it that are free to run.
+function createJobQueue({ concurrency = 2, keyConcurrency = 1, onChange } = {}) {
+  const queued = [];
+  const running = new Map();
+
+  const runningForKey = (key) => Array.from(running.values()).filter(job => job.key === key).length;
+  const isLocked = (lock) => lock !== undefined && Array.from(running.values()).some(job => job.lock === lock);
+  // Earlier queued jobs keep their claim on a lock, so later ones cannot jump them
+  const canStart = (job, index) => runningForKey(job.key) < keyConcurrency &&
+    !isLocked(job.lock) &&
+    !(job.lock !== undefined && queued.slice(0, index).some(other => other.lock === job.lock));
+
+  const notify = () => {
+    if (onChange) {
+      try {
+        onChange(queue);
+      } catch (error) {
+        logger.error(`Job queue change handler failed: ${error.message}`);
+      }
+    }
+  };
+
+  const start = (job) => {
+    job.startedAt = new Date();
+    running.set(job.id, job);
+
+    // Run synchronously up to the job's first await, so its state is
+    // already updated when enqueue() returns
+    new Promise(resolve => resolve(job.run()))
+      .catch(error => {
+        logger.error(`Queued job ${job.id} failed: ${error.message}`);
+      })
+      .finally(() => {
+        running.delete(job.id);
+        schedule();
+      });
+  };
+
+  // Start every queued job that fits within the limits, oldest first
+  const schedule = () => {
+    for (let index = 0; index < queued.length && running.size < concurrency;) {
+      const job = queued[index];
+      if (canStart(job, index)) {
+        queued.splice(index, 1);
+        start(job);
+      } else {
+        index++;
+      }
+    }
+    notify();
+  };
+
+  const queue = {
+    get concurrency() {
+      return concurrency;
+    },
+
+    get keyConcurrency() {
+      return keyConcurrency;
+    },
+
+    // Add a job; `run` is called once a slot is free. Extra fields in `meta`
+    // are kept on the job for queue views.
+    enqueue(id, { key, lock, run, meta = {} }) {
+      if (running.has(id) || queued.some(job => job.id === id)) {
+        throw new Error(`Job ${id} is already queued`);
+      }
+
+      queued.push({ id, key, lock, run, meta, queuedAt: new Date() });
+      schedule();
+      return queue.position(id);
+    },
+
+    // Remove a job that has not started yet
+    remove(id) {
+      const index = queued.findIndex(job => job.id === id);
+      if (index === -1) {
+        return false;
+      }
+
+      queued.splice(index, 1);
+      // Jobs queued behind it may have been waiting on its claim to a lock
+      schedule();
+      return true;
+    },
+
+    // 1-based position among queued jobs, 0 while running, null if unknown
+    position(id) {
+      if (running.has(id)) {
+        return 0;
+      }
+      const index = queued.findIndex(job => job.id === id);
+      return index === -1 ? null : index + 1;
+    },
+
+    isRunning(id) {
+      return running.has(id);
+    },
+
+    snapshot() {
+      const describe = ({ id, key, lock, meta, queuedAt, startedAt }) => ({ id, key, lock, ...meta, queuedAt, startedAt });
+
+      return {
+        running: Array.from(running.values()).map(describe),
+        queued: queued.map((job, index) => ({ ...describe(job), position: index + 1 }))
+      };
+    }
+  };
+
+  return queue;
+}
+
+module.exports = { createJobQueue };
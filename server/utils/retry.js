@@ -0,0 +1,135 @@
+// Error classes used by step retry policies
+const ERROR_CLASSES = {
+  NETWORK: 'network',
+  THROTTLING: 'throttling',
+  SERVICE_UNAVAILABLE: 'service-unavailable',
+  PROVIDER_DOWNLOAD: 'provider-download',
+  STATE_LOCK: 'state-lock'
+};
+
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ECONNABORTED', 'NetworkingError', 'TimeoutError'];
+
+const NETWORK_PATTERNS = [
+  /socket hang up/i,
+  /network (is )?unreachable/i,
+  /could not resolve host/i,
+  /unable to access '.*'/i,
+  /early eof/i,
+  /the remote end hung up/i,
+  /connection (reset|timed out|refused)/i,
+  /TLS handshake timeout/i,
+  /i\/o timeout/i
+];
+
+const THROTTLING_PATTERNS = [
+  /Throttling/,
+  /TooManyRequests/,
+  /RequestLimitExceeded/,
+  /Rate exceeded/i,
+  /SlowDown/
+];
+
+const SERVICE_UNAVAILABLE_PATTERNS = [
+  /ServiceUnavailable/,
+  /InternalError/,
+  /\b50[234]\b/
+];
+
+const PROVIDER_DOWNLOAD_PATTERNS = [
+  /Failed to query available provider packages/i,
+  /could not connect to registry\.terraform\.io/i,
+  /Failed to install provider/i,
+  /Error while installing/i,
+  /checksum list/i
+];
+
+const STATE_LOCK_PATTERNS = [
+  /Error acquiring the state lock/i,
+  /ConditionalCheckFailedException/
+];
+
+// Collect everything an error can tell us: SDK names, Node codes, HTTP status
+// and, for HTTP client errors, the message in the response body
+function describeError(error) {
+  return [
+    error.name,
+    error.code,
+    error.message,
+    error.stderr,
+    error.response?.status,
+    error.response?.data?.message,
+    error.response?.data?.error,
+    error.$metadata?.httpStatusCode
+  ].filter(Boolean).join(' ');
+}
+
+// Classify an error into the retry error classes it belongs to
+function classifyError(error) {
+  if (!error) {
+    return [];
+  }
+
+  const text = describeError(error);
+  const status = error.response?.status || error.$metadata?.httpStatusCode || error.statusCode;
+  const classes = [];
+
+  if (NETWORK_CODES.includes(error.code) || NETWORK_CODES.includes(error.name) || NETWORK_PATTERNS.some(pattern => pattern.test(text))) {
+    classes.push(ERROR_CLASSES.NETWORK);
+  }
+  if (status === 429 || THROTTLING_PATTERNS.some(pattern => pattern.test(text))) {
+    classes.push(ERROR_CLASSES.THROTTLING);
+  }
+  if ([502, 503, 504].includes(status) || SERVICE_UNAVAILABLE_PATTERNS.some(pattern => pattern.test(text))) {
+    classes.push(ERROR_CLASSES.SERVICE_UNAVAILABLE);
+  }
+  if (PROVIDER_DOWNLOAD_PATTERNS.some(pattern => pattern.test(text))) {
+    classes.push(ERROR_CLASSES.PROVIDER_DOWNLOAD);
+  }
+  if (STATE_LOCK_PATTERNS.some(pattern => pattern.test(text))) {
+    classes.push(ERROR_CLASSES.STATE_LOCK);
+  }
+
+  return classes;
+}
+
+// Delay before the given retry (1-based), with exponential growth and jitter
+function getBackoffDelay(retry, { initialDelayMs = 1000, factor = 2, maxDelayMs = 30000 } = {}) {
+  const delay = Math.min(initialDelayMs * Math.pow(factor, retry - 1), maxDelayMs);
+  const jitter = delay * 0.2 * Math.random();
+  return Math.round(delay + jitter);
+}
+
+// Run fn until it succeeds, the error is not retryable or attempts run out.
+// onRetry is called before each wait with details of the failed attempt.
+async function retryWithBackoff(fn, policy = {}, { onRetry, sleep } = {}) {
+  const { attempts = 1, retryOn = [] } = policy;
+  const wait = sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const errorClasses = classifyError(error);
+      const retryable = errorClasses.some(errorClass => retryOn.includes(errorClass));
+
+      if (!retryable || attempt >= attempts) {
+        error.attempts = attempt;
+        error.errorClasses = errorClasses;
+        throw error;
+      }
+
+      const delayMs = getBackoffDelay(attempt, policy);
+      if (onRetry) {
+        await onRetry({ attempt, maxAttempts: attempts, delayMs, error, errorClasses });
+      }
+      await wait(delayMs);
+    }
+  }
+}
+
+module.exports = {
+  ERROR_CLASSES,
+  classifyError,
+  getBackoffDelay,
+  retryWithBackoff
+};
@@ -97,6 +97,23 @@ interface TerraformConfig {
   node_memory_threshold: number
 }
 
+interface CostEstimate {
+  currency: string
+  region: string
+  regionPriced: boolean
+  monthlyTotal: number
+  resources: {
+    address: string
+    monthly: number
+    items: { description: string; quantity: number; unit: string; monthly: number | null }[]
+  }[]
+  unpriced: string[]
+  excludes: string
+  budget: { environment: string; limit: number; exceeded: boolean; remaining: number } | null
+}
+
+const formatCost = (amount: number) => `$${amount.toFixed(2)}`
+
 const getEnvironmentDefaults = (env: Environment, repoName: string, awsRegion?: string): Partial<TerraformConfig> => {
   const prefix = env === 'dev' ? 'dev-' : env === 'staging' ? 'stg-' : 'prod-'
   const projectName = `${prefix}${repoName.toLowerCase().replace(/[^a-z0-9-]/g, '-')}`
@@ -204,6 +221,8 @@ export default function DeploymentConfigStep({
   const [activeSection, setActiveSection] = useState('project')
   const [errors, setErrors] = useState<Record<string, string>>({})
   const [newEmail, setNewEmail] = useState('')
+  const [costEstimate, setCostEstimate] = useState<CostEstimate | null>(null)
+  const [costError, setCostError] = useState('')
 
   // Update aws_region dynamically when awsCredentials.region changes
   useEffect(() => {
@@ -212,6 +231,46 @@ export default function DeploymentConfigStep({
     }
   }, [awsCredentials?.region, config.aws_region])
   
+  // Only the settings that change the price are sent for an estimate
+  const costVariables = JSON.stringify({
+    aws_region: config.aws_region,
+    availability_zones_count: config.availability_zones_count,
+    enable_nat_gateway: config.enable_nat_gateway,
+    single_nat_gateway: config.single_nat_gateway,
+    node_instance_types: config.node_instance_types,
+    node_capacity_type: config.node_capacity_type,
+    node_disk_size: config.node_disk_size,
+    node_desired_size: config.node_desired_size,
+    enable_database: config.enable_database,
+    db_engine: config.db_engine,
+    db_instance_class: config.db_instance_class,
+    db_allocated_storage: config.db_allocated_storage,
+    db_multi_az: config.db_multi_az,
+  })
+  
+  // Re-estimate once the settings have stopped changing for a moment
+  useEffect(() => {
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch('http://localhost:3001/api/deployment/estimate', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ variables: JSON.parse(costVariables), environment: config.environment })
+        })
+        const result = await response.json()
+        if (result.success) {
+          setCostEstimate(result.estimate)
+          setCostError('')
+        } else {
+          setCostError(result.message || result.error)
+        }
+      } catch (error) {
+        setCostError('Cost estimate unavailable')
+      }
+    }, 500)
+    return () => clearTimeout(timer)
+  }, [costVariables, config.environment])
+  
   const sections = [
     { id: 'project', name: 'Project', icon: '🏗️' },
     { id: 'vpc', name: 'VPC & Network', icon: '🌐' },
@@ -941,6 +1000,43 @@ export default function DeploymentConfigStep({
         {renderCurrentSection()}
       </div>
       
+      {/* Cost Estimate */}
+      <div className={`border rounded-lg p-6 mb-8 ${costEstimate?.budget?.exceeded ? 'bg-yellow-50 border-yellow-300' : 'bg-white border-gray-200'}`}>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium text-gray-900">💰 Estimated Monthly Cost</h3>
+          {costEstimate && (
+            <span className="text-2xl font-bold text-gray-900">{formatCost(costEstimate.monthlyTotal)}</span>
+          )}
+        </div>
+        {costError && !costEstimate && (
+          <p className="text-sm text-gray-500">{costError}</p>
+        )}
+        {costEstimate && (
+          <>
+            {costEstimate.budget?.exceeded && (
+              <div className="flex items-center text-sm text-yellow-800 mb-4">
+                <ExclamationTriangleIcon className="h-5 w-5 mr-2" />
+                Over the {costEstimate.budget.environment} budget of {formatCost(costEstimate.budget.limit)}/month by {formatCost(-costEstimate.budget.remaining)}
+              </div>
+            )}
+            <table className="w-full text-sm">
+              <tbody>
+                {costEstimate.resources.flatMap(resource => resource.items.map((item, index) => (
+                  <tr key={`${resource.address}-${index}`} className="border-t border-gray-100">
+                    <td className="py-1 text-gray-700">{item.description}</td>
+                    <td className="py-1 text-gray-500">{item.quantity} {item.unit}</td>
+                    <td className="py-1 text-right text-gray-900">{item.monthly === null ? 'not priced' : formatCost(item.monthly)}</td>
+                  </tr>
+                )))}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500 mt-4">
+              On-demand list prices{costEstimate.regionPriced ? ` for ${costEstimate.region}` : `; no regional prices for ${costEstimate.region}, so us-east-1 prices are shown`}. Excludes {costEstimate.excludes.charAt(0).toLowerCase()}{costEstimate.excludes.slice(1)}.
+            </p>
+          </>
+        )}
+      </div>
+      
       {/* Navigation */}
       <div className="flex justify-between pt-6">
         <button
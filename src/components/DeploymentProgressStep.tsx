@@ -1,10 +1,174 @@
 'use client'
 
 import { useState, useEffect, useRef } from 'react'
-import { ArrowLeftIcon, CheckCircleIcon, ExclamationCircleIcon, ClockIcon, EyeIcon, EyeSlashIcon } from '@heroicons/react/24/outline'
+import { ArrowLeftIcon, CheckCircleIcon, ExclamationCircleIcon, ClockIcon, EyeIcon, EyeSlashIcon, XCircleIcon, MinusCircleIcon } from '@heroicons/react/24/outline'
 import { io, Socket } from 'socket.io-client'
+import { buildDeploymentRequest, toAwsCredentials } from '../lib/deploymentRequest'
 
-type DeploymentStatus = 'pending' | 'running' | 'completed' | 'failed'
+type DeploymentStatus = 'pending' | 'running' | 'retrying' | 'awaiting-approval' | 'completed' | 'skipped' | 'failed' | 'cancelled' | 'rejected'
+
+// Resource counts from `terraform plan`, shown at the approval gate
+interface PlanSummary {
+  import: number
+  add: number
+  change: number
+  destroy: number
+  replace?: number
+  noChanges: boolean
+  text: string
+}
+
+// One changed attribute; sensitive and not-yet-known values arrive already masked
+interface PlanAttributeChange {
+  path: string
+  before: any
+  after: any
+  sensitive?: boolean
+  unknown?: boolean
+}
+
+type PlanAction = 'replace' | 'delete' | 'update' | 'create' | 'import'
+
+interface PlanResourceChange {
+  address: string
+  module: string | null
+  type: string
+  name: string
+  action: PlanAction
+  actionReason: string | null
+  importing: boolean
+  replaceReasons: string[]
+  changes: PlanAttributeChange[]
+}
+
+// Structured plan from GET /api/deployment/plan/:id
+interface TerraformPlan {
+  terraformVersion?: string
+  summary: PlanSummary
+  resources: PlanResourceChange[]
+  generatedAt: string
+}
+
+// Monthly cost of the infrastructure a plan leaves, from GET /api/deployment/plan/:id
+interface CostBudget {
+  environment: string
+  limit: number
+  exceeded: boolean
+  remaining: number
+}
+
+interface PlanCostEstimate {
+  monthlyTotal: number
+  previousMonthlyTotal: number
+  monthlyChange: number
+  resources: { address: string; action: string; monthly: number }[]
+  unpriced: string[]
+  excludes: string
+  budget: CostBudget | null
+}
+
+const formatCost = (amount: number) => `$${amount.toFixed(2)}`
+const formatCostChange = (amount: number) => `${amount < 0 ? '-' : '+'}${formatCost(Math.abs(amount))}`
+
+const PLAN_ACTION_GROUPS: Array<{ action: PlanAction; title: string; symbol: string; className: string }> = [
+  { action: 'replace', title: 'Replace', symbol: '-/+', className: 'text-error-600' },
+  { action: 'delete', title: 'Destroy', symbol: '-', className: 'text-error-600' },
+  { action: 'update', title: 'Update in place', symbol: '~', className: 'text-yellow-700' },
+  { action: 'create', title: 'Create', symbol: '+', className: 'text-success-600' },
+  { action: 'import', title: 'Import', symbol: '#', className: 'text-blue-700' }
+]
+
+// Quote strings the way Terraform does; masked values are shown as they are
+const formatPlanValue = (change: PlanAttributeChange, value: any) => {
+  if (value === null) {
+    return 'null'
+  }
+  if ((change.sensitive || change.unknown) && typeof value === 'string' && value.startsWith('(')) {
+    return value
+  }
+  return JSON.stringify(value)
+}
+
+// Resource in Terraform state from GET /api/deployment/state/:id; sensitive attributes arrive masked
+interface StateResource {
+  address: string
+  module: string | null
+  mode: 'managed' | 'data'
+  type: string
+  name: string
+  id: string | null
+  attributes: Record<string, any>
+  consoleUrl: string | null
+}
+
+// Output from GET /api/deployment/outputs/:id; sensitive values arrive masked
+interface TerraformOutput {
+  name: string
+  type: any
+  sensitive: boolean
+  value: any
+}
+
+// Top-level modules in state (module.vpc, module.eks, ...), the units a destroy can be limited to
+const getStateModules = (resources: StateResource[]) => Array.from(new Set(
+  resources
+    .map(resource => resource.module && resource.module.split('.').slice(0, 2).join('.'))
+    .filter((module): module is string => Boolean(module))
+)).sort()
+
+// Approval request from the `approval-required` event; destroys list their targets
+interface ApprovalRequest {
+  planSummary?: PlanSummary
+  costEstimate?: { monthlyTotal: number; monthlyChange: number; budget: CostBudget | null }
+  requestedAt: string
+  destroy?: boolean
+  targets?: string[]
+  confirmationRequired?: boolean
+  projectName?: string
+}
+
+const formatOutputValue = (output: TerraformOutput) => {
+  if (output.sensitive || typeof output.value === 'string') {
+    return output.value
+  }
+  return JSON.stringify(output.value)
+}
+
+// Step definition from GET /api/deployment/pipelines
+interface PipelineStep {
+  id: string
+  name: string
+  description: string
+  dependsOn?: string[]
+  skipIf?: Array<{ config: string; reason: string }>
+}
+
+// Steps that do not depend on each other run at the same time, so they are
+// drawn side by side in lanes; depth is the row
+interface PipelineLayout {
+  lanes: number
+  steps: { [stepId: string]: { lane: number; depth: number } }
+}
+
+interface StepRetry {
+  attempt: number
+  maxAttempts: number
+  delayMs: number
+  error: string
+  errorClasses?: string[]
+}
+
+// Another deployment queued or running against the same project/environment
+interface StackConflict {
+  deploymentId: string
+  stack: string
+  status: string
+  queuePosition: number
+  destroy?: boolean
+  waiting: number
+}
+
+type ConflictStrategy = 'queue' | 'supersede'
 
 interface DeploymentStep {
   id: string
@@ -12,7 +176,11 @@ interface DeploymentStep {
   description: string
   status: DeploymentStatus
   logs?: string[]
+  retries?: StepRetry[]
   duration?: number
+  // Position in the pipeline's parallel lanes
+  lane?: number
+  depth?: number
 }
 
 interface DeploymentProgressStepProps {
@@ -37,74 +205,39 @@ interface DeploymentProgressStepProps {
   }
 }
 
+// Mirrors the server: a step is skipped when any of its skipIf config paths is set
+const getSkipReason = (step: PipelineStep, config: any): string | null => {
+  const match = (step.skipIf || []).find(condition =>
+    Boolean(condition.config.split('.').reduce((value, key) => (value == null ? undefined : value[key]), config))
+  )
+  return match ? match.reason : null
+}
+
 export default function DeploymentProgressStep({ onBack, deploymentData }: DeploymentProgressStepProps) {
-  const [deploymentSteps, setDeploymentSteps] = useState<DeploymentStep[]>([
-    {
-      id: 'clone',
-      name: 'Clone Repository',
-      description: deploymentData.repository?.ecrImageUri ? 'Using pre-built image (skipped)' : 'Cloning repository from GitHub',
-      status: 'pending'
-    },
-    {
-      id: 'build',
-      name: 'Build Docker Image',
-      description: deploymentData.repository?.ecrImageUri ? 'Using pre-built image (skipped)' : 'Building Docker image from source code',
-      status: 'pending'
-    },
-    {
-      id: 'ecr-setup',
-      name: 'Setup ECR Repository',
-      description: deploymentData.repository?.ecrImageUri ? 'Using existing ECR repository (skipped)' : 'Creating ECR repository for container images',
-      status: 'pending'
-    },
-    {
-      id: 'push',
-      name: 'Push to ECR',
-      description: deploymentData.repository?.ecrImageUri ? 'Using pre-pushed image (skipped)' : 'Pushing Docker image to ECR registry',
-      status: 'pending'
-    },
-    {
-      id: 'terraform-init',
-      name: 'Initialize Terraform',
-      description: 'Setting up Terraform configuration and providers',
-      status: 'pending'
-    },
-    {
-      id: 'terraform-plan',
-      name: 'Plan Infrastructure',
-      description: 'Creating deployment plan for AWS resources',
-      status: 'pending'
-    },
-    {
-      id: 'terraform-apply',
-      name: 'Deploy Infrastructure',
-      description: 'Creating EKS cluster and related resources',
-      status: 'pending'
-    },
-    {
-      id: 'kubectl-config',
-      name: 'Configure kubectl',
-      description: 'Setting up Kubernetes cluster access',
-      status: 'pending'
-    },
-    {
-      id: 'deploy-app',
-      name: 'Deploy Application',
-      description: 'Deploying your application to the EKS cluster',
-      status: 'pending'
-    },
-    {
-      id: 'verify-deployment',
-      name: 'Verify Deployment',
-      description: 'Checking application health and accessibility',
-      status: 'pending'
-    }
-  ])
-  
+  const [deploymentSteps, setDeploymentSteps] = useState<DeploymentStep[]>([])
+  const [pipelineError, setPipelineError] = useState<string | null>(null)
+  const [laneCount, setLaneCount] = useState(1)
+  const [approvalRequest, setApprovalRequest] = useState<ApprovalRequest | null>(null)
+  const [approverName, setApproverName] = useState('')
+  const [approvalComment, setApprovalComment] = useState('')
+  const [destroyConfirmation, setDestroyConfirmation] = useState('')
+  const [isSubmittingApproval, setIsSubmittingApproval] = useState(false)
+  const [terraformPlan, setTerraformPlan] = useState<TerraformPlan | null>(null)
+  const [planCost, setPlanCost] = useState<PlanCostEstimate | null>(null)
+  const [stateResources, setStateResources] = useState<StateResource[] | null>(null)
+  const [terraformOutputs, setTerraformOutputs] = useState<TerraformOutput[] | null>(null)
+  const [isLoadingInfrastructure, setIsLoadingInfrastructure] = useState(false)
+  const [isDownloadingKubeconfig, setIsDownloadingKubeconfig] = useState(false)
   const [currentStepIndex, setCurrentStepIndex] = useState(-1)
   const [isDeploying, setIsDeploying] = useState(false)
   const [deploymentUrl, setDeploymentUrl] = useState<string | null>(null)
   const [isDestroying, setIsDestroying] = useState(false)
+  const [showDestroyOptions, setShowDestroyOptions] = useState(false)
+  const [destroyTargets, setDestroyTargets] = useState<string[]>([])
+  const [isCancelling, setIsCancelling] = useState(false)
+  const [queuePosition, setQueuePosition] = useState<number | null>(null)
+  const [stackConflict, setStackConflict] = useState<{ conflict: StackConflict; retry: (strategy: ConflictStrategy) => void } | null>(null)
+  const [stackDecision, setStackDecision] = useState<{ deploymentId: string; strategy: ConflictStrategy } | null>(null)
   const [overallStatus, setOverallStatus] = useState<DeploymentStatus>('pending')
   const [realTimeLogs, setRealTimeLogs] = useState<Array<{timestamp: Date, message: string, level: string, stepId?: string}>>([]) 
   const [showAllLogs, setShowAllLogs] = useState(false)
@@ -114,6 +247,45 @@ export default function DeploymentProgressStep({ onBack, deploymentData }: Deplo
   const logsEndRef = useRef<HTMLDivElement>(null)
   const logsContainerRef = useRef<HTMLDivElement>(null)
 
+  // Steps come from the server's pipeline definition
+  useEffect(() => {
+    const loadPipeline = async () => {
+      try {
+        const response = await fetch('http://localhost:3001/api/deployment/pipelines')
+        const result = await response.json()
+
+        if (!result.success) {
+          throw new Error(result.message || result.error || 'Failed to load deployment pipeline')
+        }
+
+        const pipeline = result.pipelines.find((p: { id: string }) => p.id === 'complete-deployment')
+        if (!pipeline) {
+          throw new Error('Deployment pipeline not found')
+        }
+
+        const config = { ...deploymentData.deploymentConfig, repository: deploymentData.repository }
+        const layout: PipelineLayout = pipeline.layout
+        setLaneCount(layout.lanes)
+        setDeploymentSteps(pipeline.steps.map((step: PipelineStep) => {
+          const skipReason = getSkipReason(step, config)
+          return {
+            id: step.id,
+            name: step.name,
+            description: skipReason ? `${skipReason} (skipped)` : step.description,
+            status: 'pending',
+            lane: layout.steps[step.id].lane,
+            depth: layout.steps[step.id].depth
+          }
+        }))
+      } catch (error) {
+        console.error('Failed to load pipeline:', error)
+        setPipelineError(error instanceof Error ? error.message : 'Unknown error')
+      }
+    }
+
+    loadPipeline()
+  }, [])
+
   useEffect(() => {
     // Cleanup function to disconnect socket on unmount
     return () => {
@@ -138,6 +310,14 @@ export default function DeploymentProgressStep({ onBack, deploymentData }: Deplo
     ))
   }
 
+  const addStepRetry = (stepId: string, retry: StepRetry) => {
+    setDeploymentSteps(prev => prev.map(step => 
+      step.id === stepId 
+        ? { ...step, status: 'retrying', retries: [...(step.retries || []), retry] }
+        : step
+    ))
+  }
+
   const addStepLog = (stepId: string, log: string) => {
     setDeploymentSteps(prev => prev.map(step => 
       step.id === stepId 
@@ -163,35 +343,53 @@ export default function DeploymentProgressStep({ onBack, deploymentData }: Deplo
     }
   }
 
-  const executeDestroy = async () => {
+  const executeDestroy = async (conflictStrategy?: ConflictStrategy) => {
     if (!deploymentId) {
       alert('No deployment ID available for destroy operation')
       return
     }
 
-    if (!confirm('Are you sure you want to destroy all AWS resources? This action cannot be undone.')) {
-      return
-    }
-
+    const previousStatus = overallStatus
     setIsDestroying(true)
+    setShowDestroyOptions(false)
     setOverallStatus('running')
-    addRealTimeLog('🗑️ Starting Terraform destroy...', 'info')
+    addRealTimeLog(`🗑️ Planning Terraform destroy of ${destroyTargets.length > 0 ? destroyTargets.join(', ') : 'all infrastructure'}...`, 'info')
 
     try {
-      const response = await fetch(`/api/deployment/destroy/${deploymentId}`, {
+      const response = await fetch(`http://localhost:3001/api/deployment/destroy/${deploymentId}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
-        }
+        },
+        body: JSON.stringify({
+          conflictStrategy,
+          targets: destroyTargets,
+          awsCredentials: toAwsCredentials(deploymentData.awsCredentials)
+        })
       })
 
       const result = await response.json()
 
+      if (handleStackConflict(response, result, executeDestroy)) {
+        setIsDestroying(false)
+        setOverallStatus(previousStatus)
+        return
+      }
+
       if (!result.success) {
         throw new Error(result.message || 'Failed to start destroy operation')
       }
 
-      addRealTimeLog('✅ Terraform destroy started successfully', 'success')
+      const destroySteps: Array<{ id: string; status: DeploymentStatus }> = result.steps || []
+      setDeploymentSteps(prev => prev.map(step => {
+        const destroyStep = destroySteps.find(s => s.id === step.id)
+        return destroyStep ? { ...step, status: destroyStep.status, retries: undefined } : step
+      }))
+
+      reportStackDecision(result.stackConflict)
+      reportQueuePosition(result.queuePosition)
+      addRealTimeLog('✅ Terraform destroy queued; the destroy plan must be approved before anything is removed', 'success')
+      connectToDeployment(deploymentId)
     } catch (error) {
       console.error('Destroy failed:', error)
       setIsDestroying(false)
@@ -200,10 +398,205 @@ export default function DeploymentProgressStep({ onBack, deploymentData }: Deplo
     }
   }
 
-  const executeDeployment = async () => {
+  // Deployments wait in a server-side queue when all worker slots are busy
+  const reportQueuePosition = (position?: number | null) => {
+    if (position && position > 0) {
+      setQueuePosition(position)
+      addRealTimeLog(`⏳ Waiting in deployment queue at position ${position}`, 'info')
+    } else {
+      setQueuePosition(null)
+    }
+  }
+
+  // The server answers 409 with the conflicting deployment when another one
+  // holds the stack; the user then chooses to wait behind it or supersede it
+  const handleStackConflict = (response: Response, result: any, retry: (strategy: ConflictStrategy) => void) => {
+    if (response.status !== 409 || !result.conflict) {
+      return false
+    }
+
+    setStackConflict({ conflict: result.conflict, retry })
+    addRealTimeLog(`⚠️ ${result.message}`, 'warning')
+    return true
+  }
+
+  const chooseConflictStrategy = (strategy: ConflictStrategy) => {
+    if (!stackConflict) {
+      return
+    }
+
+    const { retry } = stackConflict
+    setStackConflict(null)
+    retry(strategy)
+  }
+
+  // Remember how the last stack conflict was resolved so the queue banner can show it
+  const reportStackDecision = (decision?: { deploymentId: string; strategy: ConflictStrategy } | null) => {
+    setStackDecision(decision || null)
+    if (decision) {
+      addRealTimeLog(decision.strategy === 'supersede'
+        ? `⏭️ Superseding deployment ${decision.deploymentId} on this stack`
+        : `⏳ Waiting for deployment ${decision.deploymentId} on this stack to finish`, 'info')
+    }
+  }
+
+  // Set up Socket.IO connection for real-time updates
+  const connectToDeployment = (deploymentIdValue: string) => {
+    const socketConnection = io('http://localhost:3001')
+    setSocket(socketConnection)
+    
+    socketConnection.on('connect', () => {
+      socketConnection.emit('join-deployment', deploymentIdValue)
+      addRealTimeLog('Connected to deployment server', 'success')
+    })
+    
+    socketConnection.on('step-update', (data) => {
+      // Retries arrive as sub-events of the step they belong to
+      if (data.event === 'retry' && data.retry) {
+        addStepRetry(data.stepId, data.retry)
+        return
+      }
+      
+      updateStepStatus(data.stepId, data.status, data.logs)
+      
+      // A new plan replaces the one on screen
+      if (data.stepId === 'terraform-plan' && data.status === 'running') {
+        setTerraformPlan(null)
+        setPlanCost(null)
+      }
+      
+      // Add step-specific logs
+      if (data.logs) {
+        data.logs.forEach((log: string) => {
+          addRealTimeLog(log, 'info', data.stepId)
+        })
+      }
+      
+      if (data.status === 'running') {
+        const stepIndex = deploymentSteps.findIndex(s => s.id === data.stepId)
+        setCurrentStepIndex(stepIndex)
+        addRealTimeLog(`Step ${stepIndex + 1}: ${deploymentSteps[stepIndex]?.name} - ${data.status}`, 'info', data.stepId)
+      }
+    })
+    
+    // Position 0 means the deployment has left the queue and is running
+    socketConnection.on('queue-update', (data: { position: number; queueLength: number }) => {
+      setQueuePosition(prev => {
+        if (prev && data.position === 0) {
+          addRealTimeLog('▶️ Deployment left the queue and is starting', 'info')
+        }
+        return data.position > 0 ? data.position : null
+      })
+    })
+    
+    socketConnection.on('realTimeLog', (data: { message: string; level?: string; stepId?: string }) => {
+      addRealTimeLog(data.message, data.level || 'info', data.stepId)
+    })
+    
+    socketConnection.on('deployment-completed', (data) => {
+      setQueuePosition(null)
+      setIsDeploying(false)
+      setIsDestroying(false)
+      setCurrentStepIndex(deploymentSteps.length)
+      setOverallStatus('completed')
+      
+      if (data.isDestroy && data.destroyTargets && data.destroyTargets.length > 0) {
+        addRealTimeLog(`🗑️ Destroyed ${data.destroyTargets.join(', ')}`, 'success')
+        loadInfrastructure(deploymentIdValue)
+      } else if (data.isDestroy) {
+        addRealTimeLog('🗑️ Resources destroyed successfully!', 'success')
+        setStateResources(null)
+        setTerraformOutputs(null)
+      } else {
+        addRealTimeLog('🎉 Deployment completed successfully!', 'success')
+        if (data.deploymentUrl) {
+          setDeploymentUrl(data.deploymentUrl)
+          addRealTimeLog(`Application URL: ${data.deploymentUrl}`, 'success')
+        }
+        loadInfrastructure(deploymentIdValue)
+      }
+      socketConnection.disconnect()
+    })
+    
+    socketConnection.on('deployment-failed', (data) => {
+      setQueuePosition(null)
+      setApprovalRequest(null)
+      setOverallStatus('failed')
+      setIsDeploying(false)
+      setIsDestroying(false)
+      addRealTimeLog(`❌ Deployment failed: ${data.error}`, 'error', data.stepId)
+      socketConnection.disconnect()
+    })
+    
+    socketConnection.on('plan-ready', (data: { planSummary: PlanSummary; hasResourceChanges: boolean }) => {
+      addRealTimeLog(`📋 ${data.planSummary.text || 'Infrastructure plan created'}`, 'info', 'terraform-plan')
+      if (data.hasResourceChanges) {
+        loadPlan(deploymentIdValue)
+      }
+    })
+    
+    socketConnection.on('approval-required', (data: ApprovalRequest) => {
+      setApprovalRequest(data)
+      setDestroyConfirmation('')
+      addRealTimeLog(`✋ ${data.destroy ? 'Destroy plan' : 'Plan'} is waiting for approval${data.planSummary ? `: ${data.planSummary.text}` : ''}`, 'warning', 'approval')
+    })
+    
+    socketConnection.on('approval-decision', (data: { status: string; approver: string; comment?: string }) => {
+      setApprovalRequest(null)
+      addRealTimeLog(`${data.status === 'approved' ? '✅ Plan approved' : '🚫 Plan rejected'} by ${data.approver}${data.comment ? `: ${data.comment}` : ''}`,
+        data.status === 'approved' ? 'success' : 'warning', 'approval')
+    })
+    
+    socketConnection.on('deployment-rejected', (data) => {
+      const rejectedSteps: Array<{ id: string; status: DeploymentStatus }> = data.steps || []
+      setDeploymentSteps(prev => prev.map(step => {
+        const rejected = rejectedSteps.find(s => s.id === step.id)
+        return rejected ? { ...step, status: rejected.status } : step
+      }))
+      
+      setApprovalRequest(null)
+      setOverallStatus('rejected')
+      setIsDeploying(false)
+      setIsDestroying(false)
+      socketConnection.disconnect()
+    })
+    
+    socketConnection.on('deployment-cancelled', (data) => {
+      setQueuePosition(null)
+      // The server reports the final step states once its processes have stopped
+      const cancelledSteps: Array<{ id: string; status: DeploymentStatus }> = data.steps || []
+      setDeploymentSteps(prev => prev.map(step => {
+        const cancelled = cancelledSteps.find(s => s.id === step.id)
+        return cancelled ? { ...step, status: cancelled.status } : step
+      }))
+      
+      setOverallStatus('cancelled')
+      setIsDeploying(false)
+      setIsDestroying(false)
+      setIsCancelling(false)
+      addRealTimeLog(data.supersededBy
+        ? `⏭️ Deployment superseded by ${data.supersededBy}`
+        : '⏹️ Deployment cancelled', 'warning')
+      socketConnection.disconnect()
+    })
+    
+    socketConnection.on('connect_error', (error) => {
+      console.error('Socket.IO connection error:', error)
+      addRealTimeLog('⚠️ Connection error occurred', 'error')
+    })
+    
+    socketConnection.on('disconnect', (reason) => {
+      addRealTimeLog(`Connection closed: ${reason}`, 'warning')
+    })
+  }
+
+  const executeDeployment = async (conflictStrategy?: ConflictStrategy) => {
+    const previousStatus = overallStatus
     setIsDeploying(true)
     setOverallStatus('running')
-    setRealTimeLogs([])
+    if (!conflictStrategy) {
+      setRealTimeLogs([])
+    }
     
     try {
       addRealTimeLog('Starting deployment process...', 'info')
@@ -214,37 +607,25 @@ export default function DeploymentProgressStep({ onBack, deploymentData }: Deplo
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          awsCredentials: {
-            accessKeyId: deploymentData.awsCredentials?.accessKey,
-            secretAccessKey: deploymentData.awsCredentials?.secretKey,
-            region: deploymentData.awsCredentials?.region
-          },
+          awsCredentials: toAwsCredentials(deploymentData.awsCredentials),
           repository: {
             ...deploymentData.repository,
             owner: deploymentData.repository?.owner || 'Corevice',
             name: deploymentData.repository?.name || 'ai-interview-back'
           },
-          deploymentType: deploymentData.deploymentType === 'backend' ? 'eks' : 'fargate',
-          environment: 'dev',
-          deploymentConfig: {
-            ...deploymentData.deploymentConfig,
-            projectName: 'ai-interview-back',
-            environment: 'dev',
-            deploymentType: deploymentData.deploymentType === 'backend' ? 'eks' : 'fargate',
-            eksConfig: {
-              clusterName: 'ai-interview-cluster',
-              nodeGroupName: 'ai-interview-nodes',
-              instanceType: 't3.medium',
-              minSize: 1,
-              maxSize: 3,
-              desiredSize: 2
-            }
-          }
+          ...buildDeploymentRequest(deploymentData.deploymentType, deploymentData.deploymentConfig),
+          conflictStrategy
         }),
       })
       
       const result = await response.json()
       
+      if (handleStackConflict(response, result, executeDeployment)) {
+        setIsDeploying(false)
+        setOverallStatus(previousStatus)
+        return
+      }
+      
       if (!result.success) {
         throw new Error(result.message || 'Failed to start deployment')
       }
@@ -252,71 +633,10 @@ export default function DeploymentProgressStep({ onBack, deploymentData }: Deplo
       const deploymentIdValue = result.deploymentId
       setDeploymentId(deploymentIdValue)
       addRealTimeLog(`Deployment initiated with ID: ${deploymentIdValue}`, 'success')
+      reportStackDecision(result.stackConflict)
+      reportQueuePosition(result.queuePosition)
       
-      // Set up Socket.IO connection for real-time updates
-      const socketConnection = io('http://localhost:3001')
-      setSocket(socketConnection)
-      
-      socketConnection.on('connect', () => {
-        socketConnection.emit('join-deployment', deploymentIdValue)
-        addRealTimeLog('Connected to deployment server', 'success')
-      })
-      
-      socketConnection.on('step-update', (data) => {
-        updateStepStatus(data.stepId, data.status, data.logs)
-        
-        // Add step-specific logs
-         if (data.logs) {
-           data.logs.forEach((log: string) => {
-             addRealTimeLog(log, 'info', data.stepId)
-           })
-         }
-        
-        if (data.status === 'running') {
-          const stepIndex = deploymentSteps.findIndex(s => s.id === data.stepId)
-          setCurrentStepIndex(stepIndex)
-          addRealTimeLog(`Step ${stepIndex + 1}: ${deploymentSteps[stepIndex]?.name} - ${data.status}`, 'info', data.stepId)
-        }
-      })
-      
-      socketConnection.on('realTimeLog', (data: { message: string; level?: string; stepId?: string }) => {
-        addRealTimeLog(data.message, data.level || 'info', data.stepId)
-      })
-      
-      socketConnection.on('deployment-completed', (data) => {
-        setIsDeploying(false)
-        setIsDestroying(false)
-        setCurrentStepIndex(deploymentSteps.length)
-        setOverallStatus('completed')
-        
-        if (data.message && data.message.includes('destroy')) {
-          addRealTimeLog('🗑️ Resources destroyed successfully!', 'success')
-        } else {
-          addRealTimeLog('🎉 Deployment completed successfully!', 'success')
-          if (data.deploymentUrl) {
-            setDeploymentUrl(data.deploymentUrl)
-            addRealTimeLog(`Application URL: ${data.deploymentUrl}`, 'success')
-          }
-        }
-        socketConnection.disconnect()
-      })
-      
-      socketConnection.on('deployment-failed', (data) => {
-        setOverallStatus('failed')
-        setIsDeploying(false)
-        setIsDestroying(false)
-        addRealTimeLog(`❌ Deployment failed: ${data.error}`, 'error', data.stepId)
-        socketConnection.disconnect()
-      })
-      
-      socketConnection.on('connect_error', (error) => {
-        console.error('Socket.IO connection error:', error)
-        addRealTimeLog('⚠️ Connection error occurred', 'error')
-      })
-      
-      socketConnection.on('disconnect', (reason) => {
-        addRealTimeLog(`Connection closed: ${reason}`, 'warning')
-      })
+      connectToDeployment(deploymentIdValue)
       
     } catch (error) {
       console.error('Deployment failed:', error)
@@ -330,49 +650,199 @@ export default function DeploymentProgressStep({ onBack, deploymentData }: Deplo
     }
   }
 
-  const simulateDeploymentStep = async (step: DeploymentStep) => {
-    const stepLogs: { [key: string]: string[] } = {
-      'terraform-init': [
-        'Initializing Terraform...',
-        'Downloading AWS provider...',
-        'Terraform initialized successfully'
-      ],
-      'terraform-plan': [
-        'Creating execution plan...',
-        'Planning EKS cluster creation...',
-        'Plan created successfully'
-      ],
-      'terraform-apply': [
-        'Creating VPC and subnets...',
-        'Setting up security groups...',
-        'Creating EKS cluster...',
-        'Configuring node groups...',
-        'Infrastructure deployed successfully'
-      ],
-      'kubectl-config': [
-        'Updating kubeconfig...',
-        'Testing cluster connectivity...',
-        'kubectl configured successfully'
-      ],
-      'deploy-app': [
-        'Creating Kubernetes manifests...',
-        'Applying deployment configuration...',
-        'Creating services and ingress...',
-        'Application deployed successfully'
-      ],
-      'verify-deployment': [
-        'Checking pod status...',
-        'Verifying service endpoints...',
-        'Testing application health...',
-        'Deployment verified successfully'
-      ]
+  const cancelDeployment = async () => {
+    if (!deploymentId) {
+      return
     }
 
-    const logs = stepLogs[step.id] || ['Processing...']
-    
-    for (const log of logs) {
-      addStepLog(step.id, log)
-      await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 2000))
+    if (!confirm('Cancel this deployment? Running Terraform operations will be interrupted.')) {
+      return
+    }
+
+    setIsCancelling(true)
+    addRealTimeLog('⏹️ Cancelling deployment - waiting for running processes to stop...', 'warning')
+
+    try {
+      const response = await fetch(`http://localhost:3001/api/deployment/cancel/${deploymentId}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      })
+
+      const result = await response.json()
+
+      if (!result.success) {
+        throw new Error(result.message || result.error || 'Failed to cancel deployment')
+      }
+    } catch (error) {
+      console.error('Cancel failed:', error)
+      setIsCancelling(false)
+      addRealTimeLog(`❌ Failed to cancel deployment: ${error instanceof Error ? error.message : 'Unknown error'}`, 'error')
+    }
+  }
+
+  const loadPlan = async (deploymentIdValue: string) => {
+    try {
+      const response = await fetch(`http://localhost:3001/api/deployment/plan/${deploymentIdValue}`)
+      const result = await response.json()
+
+      if (!result.success) {
+        throw new Error(result.message || result.error || 'Failed to load plan')
+      }
+
+      setTerraformPlan(result.plan)
+      setPlanCost(result.costEstimate || null)
+    } catch (error) {
+      console.error('Failed to load plan:', error)
+      addRealTimeLog(`⚠️ Could not load plan details: ${error instanceof Error ? error.message : 'Unknown error'}`, 'warning', 'terraform-plan')
+    }
+  }
+
+  // Resources in Terraform state and every output, for the infrastructure panel
+  const loadInfrastructure = async (deploymentIdValue: string) => {
+    setIsLoadingInfrastructure(true)
+    try {
+      const [stateResponse, outputsResponse] = await Promise.all([
+        fetch(`http://localhost:3001/api/deployment/state/${deploymentIdValue}`),
+        fetch(`http://localhost:3001/api/deployment/outputs/${deploymentIdValue}`)
+      ])
+      const [stateResult, outputsResult] = await Promise.all([stateResponse.json(), outputsResponse.json()])
+
+      if (outputsResult.success) {
+        setTerraformOutputs(outputsResult.outputs)
+      }
+      if (!stateResult.success) {
+        throw new Error(stateResult.message || stateResult.error || 'Failed to load Terraform state')
+      }
+      setStateResources(stateResult.state.resources)
+    } catch (error) {
+      console.error('Failed to load Terraform state:', error)
+      addRealTimeLog(`⚠️ Could not load Terraform state: ${error instanceof Error ? error.message : 'Unknown error'}`, 'warning')
+    } finally {
+      setIsLoadingInfrastructure(false)
+    }
+  }
+
+  // Kubeconfig for the deployed cluster, authenticating with the credentials
+  // entered in the first step
+  const downloadKubeconfig = async () => {
+    if (!deploymentId) {
+      return
+    }
+
+    setIsDownloadingKubeconfig(true)
+    try {
+      const response = await fetch(`http://localhost:3001/api/deployment/kubeconfig/${deploymentId}`, {
+        headers: {
+          'X-AWS-Access-Key-Id': deploymentData.awsCredentials?.accessKey || '',
+          'X-AWS-Secret-Access-Key': deploymentData.awsCredentials?.secretKey || ''
+        }
+      })
+
+      if (!response.ok) {
+        const result = await response.json()
+        throw new Error(result.message || result.error || 'Failed to download kubeconfig')
+      }
+
+      const fileName = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || 'kubeconfig.yaml'
+      const url = URL.createObjectURL(await response.blob())
+      const link = document.createElement('a')
+      link.href = url
+      link.download = fileName
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Failed to download kubeconfig:', error)
+      addRealTimeLog(`❌ Could not download kubeconfig: ${error instanceof Error ? error.message : 'Unknown error'}`, 'error')
+    } finally {
+      setIsDownloadingKubeconfig(false)
+    }
+  }
+
+  const submitApproval = async (approved: boolean) => {
+    if (!deploymentId || !approverName.trim()) {
+      return
+    }
+
+    setIsSubmittingApproval(true)
+
+    try {
+      const response = await fetch(`http://localhost:3001/api/deployment/${approved ? 'approve' : 'reject'}/${deploymentId}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ approver: approverName.trim(), comment: approvalComment, confirmation: destroyConfirmation })
+      })
+
+      const result = await response.json()
+
+      if (!result.success) {
+        throw new Error(result.message || result.error || 'Failed to submit approval')
+      }
+
+      setApprovalComment('')
+    } catch (error) {
+      console.error('Approval failed:', error)
+      addRealTimeLog(`❌ Failed to submit approval: ${error instanceof Error ? error.message : 'Unknown error'}`, 'error')
+    } finally {
+      setIsSubmittingApproval(false)
+    }
+  }
+
+  const resumeDeployment = async (conflictStrategy?: ConflictStrategy) => {
+    if (!deploymentId) {
+      alert('No deployment ID available for resume operation')
+      return
+    }
+
+    const previousStatus = overallStatus
+    setIsDeploying(true)
+    setOverallStatus('running')
+    addRealTimeLog('🔁 Resuming deployment from the last completed step...', 'info')
+
+    try {
+      const response = await fetch(`http://localhost:3001/api/deployment/resume/${deploymentId}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          conflictStrategy,
+          awsCredentials: toAwsCredentials(deploymentData.awsCredentials),
+          accessToken: deploymentData.repository?.accessToken
+        })
+      })
+
+      const result = await response.json()
+
+      if (handleStackConflict(response, result, resumeDeployment)) {
+        setIsDeploying(false)
+        setOverallStatus(previousStatus)
+        return
+      }
+
+      if (!result.success) {
+        throw new Error(result.message || result.error || 'Failed to resume deployment')
+      }
+
+      // Steps from the restart point onwards run again
+      const resumedSteps: Array<{ id: string; status: DeploymentStatus }> = result.steps || []
+      setDeploymentSteps(prev => prev.map(step => {
+        const resumed = resumedSteps.find(s => s.id === step.id)
+        return resumed ? { ...step, status: resumed.status, retries: undefined } : step
+      }))
+
+      addRealTimeLog(`✅ Deployment resumed, running again: ${(result.resumedSteps || [result.resumedFrom]).join(', ')}`, 'success')
+      reportStackDecision(result.stackConflict)
+      reportQueuePosition(result.queuePosition)
+      connectToDeployment(deploymentId)
+    } catch (error) {
+      console.error('Resume failed:', error)
+      setIsDeploying(false)
+      setOverallStatus('failed')
+      addRealTimeLog(`❌ Failed to resume deployment: ${error instanceof Error ? error.message : 'Unknown error'}`, 'error')
     }
   }
 
@@ -382,9 +852,18 @@ export default function DeploymentProgressStep({ onBack, deploymentData }: Deplo
         return <CheckCircleIcon className="h-5 w-5 text-success-600" />
       case 'failed':
         return <ExclamationCircleIcon className="h-5 w-5 text-error-600" />
+      case 'cancelled':
+        return <XCircleIcon className="h-5 w-5 text-gray-500" />
+      case 'rejected':
+        return <XCircleIcon className="h-5 w-5 text-error-600" />
+      case 'awaiting-approval':
+        return <ClockIcon className="h-5 w-5 text-yellow-500" />
+      case 'skipped':
+        return <MinusCircleIcon className="h-5 w-5 text-gray-400" />
       case 'running':
+      case 'retrying':
         return (
-          <svg className="animate-spin h-5 w-5 text-primary-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+          <svg className={`animate-spin h-5 w-5 ${status === 'retrying' ? 'text-yellow-500' : 'text-primary-600'}`} xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
             <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
             <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
           </svg>
@@ -399,6 +878,11 @@ export default function DeploymentProgressStep({ onBack, deploymentData }: Deplo
       case 'completed': return 'text-success-600'
       case 'failed': return 'text-error-600'
       case 'running': return 'text-primary-600'
+      case 'retrying': return 'text-yellow-600'
+      case 'cancelled': return 'text-gray-600'
+      case 'rejected': return 'text-error-600'
+      case 'awaiting-approval': return 'text-yellow-600'
+      case 'skipped': return 'text-gray-400'
       default: return 'text-gray-500'
     }
   }
@@ -435,10 +919,22 @@ export default function DeploymentProgressStep({ onBack, deploymentData }: Deplo
         </div>
       </div>
 
-      {/* Deployment Steps */}
-      <div className="space-y-4 mb-6">
+      {/* Deployment Steps, one column per parallel lane */}
+      <div
+        className="grid gap-4 mb-6"
+        style={{ gridTemplateColumns: `repeat(${laneCount}, minmax(0, 1fr))` }}
+      >
+        {deploymentSteps.length === 0 && (
+          <p className={`col-span-full text-sm ${pipelineError ? 'text-error-600' : 'text-gray-500'}`}>
+            {pipelineError ? `Failed to load deployment steps: ${pipelineError}` : 'Loading deployment steps...'}
+          </p>
+        )}
         {deploymentSteps.map((step, index) => (
-          <div key={step.id} className="border border-gray-200 rounded-lg p-4">
+          <div
+            key={step.id}
+            className="border border-gray-200 rounded-lg p-4"
+            style={{ gridColumn: (step.lane ?? 0) + 1, gridRow: (step.depth ?? index) + 1 }}
+          >
             <div className="flex items-center justify-between">
               <div className="flex items-center">
                 {getStatusIcon(step.status)}
@@ -454,6 +950,21 @@ export default function DeploymentProgressStep({ onBack, deploymentData }: Deplo
               </span>
             </div>
             
+            {step.retries && step.retries.length > 0 && (
+              <div className="mt-3 bg-yellow-50 rounded-lg p-3">
+                <div className="text-sm font-medium text-yellow-800 mb-2">Retries:</div>
+                <div className="space-y-1">
+                  {step.retries.map((retry) => (
+                    <div key={retry.attempt} className="text-xs text-yellow-700 break-words">
+                      Attempt {retry.attempt}/{retry.maxAttempts} failed
+                      {retry.errorClasses && retry.errorClasses.length > 0 && ` (${retry.errorClasses.join(', ')})`}
+                      : {retry.error} — retried after {Math.round(retry.delayMs / 1000)}s
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+            
             {step.logs && step.logs.length > 0 && (
               <div className="mt-3 bg-gray-50 rounded-lg p-3">
                 <div className="text-sm font-medium text-gray-700 mb-2">Step Logs:</div>
@@ -470,6 +981,210 @@ export default function DeploymentProgressStep({ onBack, deploymentData }: Deplo
         ))}
       </div>
 
+      {/* Planned Infrastructure Changes, grouped by action */}
+      {terraformPlan && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 mb-6">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+            <h3 className="text-lg font-semibold text-gray-900">Planned Infrastructure Changes</h3>
+            <span className="text-sm text-gray-600">{terraformPlan.summary.text}</span>
+          </div>
+          <div className="px-6 py-4 space-y-4">
+            {terraformPlan.summary.noChanges && (
+              <p className="text-sm text-gray-500">No changes. Your infrastructure matches the configuration.</p>
+            )}
+            {PLAN_ACTION_GROUPS.map(group => {
+              const resources = terraformPlan.resources.filter(resource => resource.action === group.action)
+              if (resources.length === 0) {
+                return null
+              }
+
+              return (
+                <div key={group.action}>
+                  <h4 className={`text-sm font-medium mb-2 ${group.className}`}>
+                    {group.title} ({resources.length})
+                  </h4>
+                  <div className="space-y-1">
+                    {resources.map(resource => (
+                      <details key={resource.address} className="border border-gray-200 rounded-md">
+                        <summary className="px-3 py-2 cursor-pointer text-sm font-mono">
+                          <span className={group.className}>{group.symbol}</span> {resource.address}
+                          {resource.importing && resource.action !== 'import' && <span className="ml-2 text-xs text-blue-700">(import)</span>}
+                          {resource.replaceReasons.length > 0 && (
+                            <span className="ml-2 text-xs text-gray-500">forces replacement: {resource.replaceReasons.join(', ')}</span>
+                          )}
+                        </summary>
+                        <div className="px-3 pb-2 space-y-1">
+                          {resource.changes.length === 0 && (
+                            <div className="text-xs text-gray-500">No attribute changes</div>
+                          )}
+                          {resource.changes.map(change => (
+                            <div key={change.path} className="text-xs font-mono text-gray-700 break-words">
+                              <span className="text-gray-900">{change.path}</span>:{' '}
+                              {group.action !== 'create' && <span className="text-error-600">{formatPlanValue(change, change.before)}</span>}
+                              {group.action !== 'create' && group.action !== 'delete' && ' → '}
+                              {group.action !== 'delete' && <span className="text-success-600">{formatPlanValue(change, change.after)}</span>}
+                            </div>
+                          ))}
+                        </div>
+                      </details>
+                    ))}
+                  </div>
+                </div>
+              )
+            })}
+            {planCost && (
+              <div className="border-t border-gray-200 pt-4">
+                <div className="flex items-center justify-between text-sm">
+                  <h4 className="font-medium text-gray-900">Estimated Monthly Cost</h4>
+                  <span className="text-gray-900">
+                    {formatCost(planCost.monthlyTotal)}
+                    <span className={`ml-2 ${planCost.monthlyChange > 0 ? 'text-error-600' : 'text-success-600'}`}>
+                      ({formatCostChange(planCost.monthlyChange)})
+                    </span>
+                  </span>
+                </div>
+                {planCost.budget?.exceeded && (
+                  <p className="mt-1 text-sm text-yellow-700">
+                    ⚠️ Over the {planCost.budget.environment} budget of {formatCost(planCost.budget.limit)}/month by {formatCost(-planCost.budget.remaining)}
+                  </p>
+                )}
+                <div className="mt-2 space-y-1">
+                  {planCost.resources.map(resource => (
+                    <div key={resource.address} className="flex justify-between text-xs font-mono text-gray-700">
+                      <span>{resource.address}</span>
+                      <span>{formatCost(resource.monthly)}</span>
+                    </div>
+                  ))}
+                </div>
+                {planCost.unpriced.length > 0 && (
+                  <p className="mt-2 text-xs text-gray-500">Not priced: {planCost.unpriced.join(', ')}</p>
+                )}
+                <p className="mt-2 text-xs text-gray-500">Excludes {planCost.excludes.charAt(0).toLowerCase()}{planCost.excludes.slice(1)}.</p>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Deployed Infrastructure: Terraform outputs and the resources in state */}
+      {(stateResources || terraformOutputs) && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 mb-6">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+            <h3 className="text-lg font-semibold text-gray-900">Deployed Infrastructure</h3>
+            <div className="flex items-center space-x-2">
+              {deploymentSteps.find(step => step.id === 'kubectl-config')?.status === 'completed' && (
+                <button
+                  onClick={downloadKubeconfig}
+                  disabled={isDownloadingKubeconfig}
+                  className="inline-flex items-center px-3 py-1 text-sm bg-blue-100 text-blue-700 rounded-md hover:bg-blue-200 transition-colors disabled:opacity-50"
+                >
+                  {isDownloadingKubeconfig ? 'Downloading...' : 'Download kubeconfig'}
+                </button>
+              )}
+              <button
+                onClick={() => deploymentId && loadInfrastructure(deploymentId)}
+                disabled={isLoadingInfrastructure}
+                className="inline-flex items-center px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors disabled:opacity-50"
+              >
+                {isLoadingInfrastructure ? 'Refreshing...' : 'Refresh'}
+              </button>
+            </div>
+          </div>
+          <div className="px-6 py-4 space-y-6">
+            {terraformOutputs && (
+              <div>
+                <h4 className="text-sm font-medium text-gray-900 mb-2">Outputs ({terraformOutputs.length})</h4>
+                <dl className="space-y-1">
+                  {terraformOutputs.map(output => (
+                    <div key={output.name} className="text-xs font-mono flex items-start">
+                      <dt className="text-gray-900 shrink-0 mr-2">{output.name}:</dt>
+                      <dd className={`break-all ${output.sensitive ? 'text-gray-500 italic' : 'text-gray-700'}`}>{formatOutputValue(output)}</dd>
+                    </div>
+                  ))}
+                </dl>
+              </div>
+            )}
+            {stateResources && (
+              <div>
+                <h4 className="text-sm font-medium text-gray-900 mb-2">Resources in State ({stateResources.length})</h4>
+                <div className="space-y-1">
+                  {stateResources.map(resource => (
+                    <details key={resource.address} className="border border-gray-200 rounded-md">
+                      <summary className="px-3 py-2 cursor-pointer text-sm font-mono">
+                        {resource.address}
+                        {resource.id && <span className="ml-2 text-xs text-gray-500">{resource.id}</span>}
+                        {resource.consoleUrl && (
+                          <a
+                            href={resource.consoleUrl}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="ml-2 text-xs text-primary-600 hover:text-primary-500 underline"
+                          >
+                            AWS console
+                          </a>
+                        )}
+                      </summary>
+                      <pre className="px-3 pb-2 text-xs font-mono text-gray-700 whitespace-pre-wrap break-all">
+                        {JSON.stringify(resource.attributes, null, 2)}
+                      </pre>
+                    </details>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Destroy scope: everything, or only some modules */}
+      {showDestroyOptions && (
+        <div className="bg-error-50 border border-error-200 rounded-lg p-4 mb-6">
+          <h3 className="text-sm font-medium text-error-800">Destroy Infrastructure</h3>
+          <p className="mt-1 text-sm text-error-700">
+            Terraform plans the destroy first; nothing is removed until the destroy plan is approved.
+          </p>
+          <div className="mt-3 space-y-2 text-sm">
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                checked={destroyTargets.length === 0}
+                onChange={() => setDestroyTargets([])}
+                className="mr-2"
+              />
+              Everything in this deployment
+            </label>
+            {stateResources && getStateModules(stateResources).map(module => (
+              <label key={module} className="flex items-center font-mono">
+                <input
+                  type="checkbox"
+                  checked={destroyTargets.includes(module)}
+                  onChange={(e) => setDestroyTargets(prev => e.target.checked ? [...prev, module] : prev.filter(target => target !== module))}
+                  className="mr-2"
+                />
+                {module}
+              </label>
+            ))}
+          </div>
+          <div className="mt-3 space-x-3">
+            <button
+              type="button"
+              onClick={() => executeDestroy()}
+              className="btn-secondary bg-red-600 hover:bg-red-700 text-white border-red-600 hover:border-red-700"
+              disabled={isDestroying}
+            >
+              Plan Destroy
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowDestroyOptions(false)}
+              className="btn-secondary"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Real-time Logs Section */}
       {(isDeploying || realTimeLogs.length > 0) && (
         <div className="mt-8 bg-white rounded-lg shadow-sm border border-gray-200">
@@ -569,6 +1284,64 @@ export default function DeploymentProgressStep({ onBack, deploymentData }: Deplo
         </div>
       )}
 
+      {/* Queued Message */}
+      {queuePosition !== null && (
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
+          <div className="flex items-center">
+            <ClockIcon className="h-5 w-5 text-blue-600" />
+            <h3 className="ml-2 text-sm font-medium text-blue-800">
+              Queued — position {queuePosition}
+            </h3>
+          </div>
+          <p className="mt-2 text-sm text-blue-700">
+            {stackDecision
+              ? `Waiting for deployment ${stackDecision.deploymentId} on the same project and environment to ${stackDecision.strategy === 'supersede' ? 'stop' : 'finish'}.`
+              : 'Other deployments are using the available worker slots.'}
+            {' '}This deployment starts automatically when it can.
+          </p>
+        </div>
+      )}
+
+      {/* Stack Conflict */}
+      {stackConflict && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6">
+          <div className="flex items-center">
+            <ExclamationCircleIcon className="h-5 w-5 text-yellow-600" />
+            <h3 className="ml-2 text-sm font-medium text-yellow-800">
+              Another deployment is in progress for {stackConflict.conflict.stack}
+            </h3>
+          </div>
+          <p className="mt-2 text-sm text-yellow-700">
+            {stackConflict.conflict.destroy ? 'Destroy' : 'Deployment'} {stackConflict.conflict.deploymentId} is {stackConflict.conflict.status}
+            {stackConflict.conflict.waiting > 0 && ` and ${stackConflict.conflict.waiting} more are waiting`}.
+            Both would use the same Terraform state, so they cannot run at the same time.
+          </p>
+          <div className="mt-3 space-x-3">
+            <button
+              type="button"
+              onClick={() => chooseConflictStrategy('queue')}
+              className="btn-secondary"
+            >
+              ⏳ Wait in Queue
+            </button>
+            <button
+              type="button"
+              onClick={() => chooseConflictStrategy('supersede')}
+              className="btn-primary"
+            >
+              ⏭️ Supersede
+            </button>
+            <button
+              type="button"
+              onClick={() => setStackConflict(null)}
+              className="btn-secondary"
+            >
+              Dismiss
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Error Message */}
       {overallStatus === 'failed' && (
         <div className="bg-error-50 border border-error-200 rounded-lg p-4 mb-6">
@@ -584,6 +1357,117 @@ export default function DeploymentProgressStep({ onBack, deploymentData }: Deplo
         </div>
       )}
 
+      {/* Approval Gate */}
+      {approvalRequest && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6">
+          <div className="flex items-center">
+            <ClockIcon className="h-5 w-5 text-yellow-600" />
+            <h3 className="ml-2 text-sm font-medium text-yellow-800">
+              {approvalRequest.destroy ? 'Destroy plan' : 'Infrastructure plan'} awaiting approval
+            </h3>
+          </div>
+          {approvalRequest.planSummary && (
+            <div className="mt-3 flex space-x-4 text-sm">
+              <span className="text-success-600">+{approvalRequest.planSummary.add} to add</span>
+              <span className="text-yellow-700">~{approvalRequest.planSummary.change} to change</span>
+              <span className="text-error-600">-{approvalRequest.planSummary.destroy} to destroy</span>
+              {approvalRequest.planSummary.import > 0 && (
+                <span className="text-blue-700">{approvalRequest.planSummary.import} to import</span>
+              )}
+            </div>
+          )}
+          {approvalRequest.costEstimate && (
+            <p className="mt-2 text-sm text-yellow-800">
+              Estimated cost afterwards: {formatCost(approvalRequest.costEstimate.monthlyTotal)}/month ({formatCostChange(approvalRequest.costEstimate.monthlyChange)})
+              {approvalRequest.costEstimate.budget?.exceeded && (
+                <span className="ml-1 font-medium">
+                  - over the {approvalRequest.costEstimate.budget.environment} budget of {formatCost(approvalRequest.costEstimate.budget.limit)}
+                </span>
+              )}
+            </p>
+          )}
+          <p className="mt-2 text-sm text-yellow-700">
+            {approvalRequest.destroy
+              ? `Review the resources below. ${approvalRequest.targets && approvalRequest.targets.length > 0 ? approvalRequest.targets.join(', ') : 'All infrastructure'} is destroyed only after this is approved.`
+              : 'Review the planned changes below. Apply starts only after it is approved.'}
+          </p>
+          <div className="mt-3 grid grid-cols-1 gap-3 sm:grid-cols-2">
+            <input
+              type="text"
+              value={approverName}
+              onChange={(e) => setApproverName(e.target.value)}
+              className="input-field"
+              placeholder="Your name"
+            />
+            <input
+              type="text"
+              value={approvalComment}
+              onChange={(e) => setApprovalComment(e.target.value)}
+              className="input-field"
+              placeholder="Comment (optional)"
+            />
+            {approvalRequest.confirmationRequired && (
+              <input
+                type="text"
+                value={destroyConfirmation}
+                onChange={(e) => setDestroyConfirmation(e.target.value)}
+                className="input-field sm:col-span-2"
+                placeholder={`Type ${approvalRequest.projectName} to confirm`}
+              />
+            )}
+          </div>
+          <div className="mt-3 space-x-3">
+            <button
+              type="button"
+              onClick={() => submitApproval(true)}
+              className="btn-primary"
+              disabled={isSubmittingApproval || !approverName.trim() ||
+                (approvalRequest.confirmationRequired && destroyConfirmation.trim() !== approvalRequest.projectName)}
+            >
+              {approvalRequest.destroy ? '🗑️ Approve & Destroy' : '✅ Approve & Apply'}
+            </button>
+            <button
+              type="button"
+              onClick={() => submitApproval(false)}
+              className="btn-secondary"
+              disabled={isSubmittingApproval || !approverName.trim()}
+            >
+              🚫 Reject
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Rejected Message */}
+      {overallStatus === 'rejected' && (
+        <div className="bg-error-50 border border-error-200 rounded-lg p-4 mb-6">
+          <div className="flex items-center">
+            <XCircleIcon className="h-5 w-5 text-error-600" />
+            <h3 className="ml-2 text-sm font-medium text-error-800">
+              Plan Rejected
+            </h3>
+          </div>
+          <p className="mt-2 text-sm text-error-700">
+            Nothing was applied. Resume to plan and ask for approval again.
+          </p>
+        </div>
+      )}
+
+      {/* Cancelled Message */}
+      {overallStatus === 'cancelled' && (
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6">
+          <div className="flex items-center">
+            <XCircleIcon className="h-5 w-5 text-gray-600" />
+            <h3 className="ml-2 text-sm font-medium text-gray-800">
+              Deployment Cancelled
+            </h3>
+          </div>
+          <p className="mt-2 text-sm text-gray-700">
+            Running processes were stopped. You can resume from the last completed step.
+          </p>
+        </div>
+      )}
+
       {/* Action Buttons */}
       <div className="flex justify-between pt-6">
         <button
@@ -600,27 +1484,59 @@ export default function DeploymentProgressStep({ onBack, deploymentData }: Deplo
           {overallStatus === 'pending' && (
             <button
               type="button"
-              onClick={executeDeployment}
+              onClick={() => executeDeployment()}
               className="btn-primary"
-              disabled={isDeploying}
+              disabled={isDeploying || stackConflict !== null || deploymentSteps.length === 0}
             >
               {isDeploying ? 'Deploying...' : 'Start Deployment'}
             </button>
           )}
           
+          {overallStatus === 'running' && deploymentId && (
+            <button
+              type="button"
+              onClick={cancelDeployment}
+              className="btn-secondary"
+              disabled={isCancelling}
+            >
+              {isCancelling ? 'Cancelling...' : '⏹️ Cancel Deployment'}
+            </button>
+          )}
+          
+          {(overallStatus === 'cancelled' || overallStatus === 'rejected') && deploymentId && (
+            <button
+              type="button"
+              onClick={() => resumeDeployment()}
+              className="btn-secondary"
+              disabled={isDeploying}
+            >
+              🔁 Resume
+            </button>
+          )}
+          
           {overallStatus === 'failed' && (
             <>
               <button
                 type="button"
-                onClick={executeDestroy}
+                onClick={() => setShowDestroyOptions(true)}
                 className="btn-secondary bg-red-600 hover:bg-red-700 text-white border-red-600 hover:border-red-700"
                 disabled={isDestroying}
               >
                 {isDestroying ? 'Destroying...' : '🗑️ Destroy Resources'}
               </button>
+              {deploymentId && (
+                <button
+                  type="button"
+                  onClick={() => resumeDeployment()}
+                  className="btn-secondary"
+                  disabled={isDestroying || isDeploying}
+                >
+                  🔁 Resume
+                </button>
+              )}
               <button
                 type="button"
-                onClick={executeDeployment}
+                onClick={() => executeDeployment()}
                 className="btn-primary"
                 disabled={isDestroying}
               >
@@ -630,13 +1546,25 @@ export default function DeploymentProgressStep({ onBack, deploymentData }: Deplo
           )}
           
           {overallStatus === 'completed' && (
-            <button
-              type="button"
-              onClick={() => window.location.reload()}
-              className="btn-primary"
-            >
-              New Deployment
-            </button>
+            <>
+              {stateResources && stateResources.length > 0 && (
+                <button
+                  type="button"
+                  onClick={() => setShowDestroyOptions(true)}
+                  className="btn-secondary bg-red-600 hover:bg-red-700 text-white border-red-600 hover:border-red-700"
+                  disabled={isDestroying}
+                >
+                  🗑️ Destroy Resources
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => window.location.reload()}
+                className="btn-primary"
+              >
+                New Deployment
+              </button>
+            </>
           )}
         </div>
       </div>
@@ -1,7 +1,8 @@
 'use client'
 
-import { useState } from 'react'
-import { ArrowLeftIcon, ServerIcon, GlobeAltIcon } from '@heroicons/react/24/outline'
+import { useState, useEffect } from 'react'
+import { ArrowLeftIcon, ServerIcon, GlobeAltIcon, ArrowDownTrayIcon } from '@heroicons/react/24/outline'
+import { buildDeploymentRequest } from '../lib/deploymentRequest'
 
 type DeploymentType = 'backend' | 'frontend'
 type Environment = 'dev' | 'staging' | 'prod'
@@ -14,6 +15,8 @@ interface DeploymentTypeStepProps {
     url: string
     branch: string
     dockerImage?: string
+    owner?: string
+    name?: string
     ecrImageUri?: string
     ecrConfig?: {
       repositoryName: string
@@ -42,6 +45,18 @@ interface DeploymentConfig {
     path: string
     port: number
   }
+  // Apply the manifests directly, or install them as a Helm release
+  deployMethod: 'manifests' | 'helm'
+}
+
+// Rendered manifests from POST /api/deployment/manifests/preview
+interface ManifestPreview {
+  namespace: string
+  name: string
+  image: string
+  secretKeys: string[]
+  manifests: Array<{ kind: string; metadata: { name: string } }>
+  yaml: string
 }
 
 export default function DeploymentTypeStep({ onComplete, onBack, initialData, repository }: DeploymentTypeStepProps) {
@@ -70,9 +85,100 @@ export default function DeploymentTypeStep({ onComplete, onBack, initialData, re
     healthCheck: {
       path: selectedType === 'backend' ? '/health' : '/',
       port: selectedType === 'backend' ? 8000 : 3000
-    }
+    },
+    deployMethod: 'manifests'
+  })
+
+  const [configView, setConfigView] = useState<'settings' | 'manifests'>('settings')
+  const [manifestPreview, setManifestPreview] = useState<ManifestPreview | null>(null)
+  const [manifestError, setManifestError] = useState('')
+  const [isDownloadingChart, setIsDownloadingChart] = useState(false)
+
+  // The same request a deployment of these settings starts with
+  const previewRequest = JSON.stringify({
+    ...(repository?.url ? {
+      repository: {
+        url: repository.url,
+        branch: repository.branch,
+        owner: repository.owner || 'Corevice',
+        name: repository.name || 'ai-interview-back'
+      }
+    } : {}),
+    ...buildDeploymentRequest(selectedType, config)
   })
 
+  // Re-render once the settings have stopped changing for a moment
+  useEffect(() => {
+    if (configView !== 'manifests') {
+      return
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch('http://localhost:3001/api/deployment/manifests/preview', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: previewRequest
+        })
+        const result = await response.json()
+        if (result.success) {
+          setManifestPreview(result)
+          setManifestError('')
+        } else {
+          setManifestError(result.message || result.error)
+        }
+      } catch (error) {
+        setManifestError('Manifest preview unavailable')
+      }
+    }, 500)
+    return () => clearTimeout(timer)
+  }, [previewRequest, configView])
+
+  const downloadManifests = () => {
+    if (!manifestPreview) {
+      return
+    }
+    const url = URL.createObjectURL(new Blob([manifestPreview.yaml], { type: 'application/yaml' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `${manifestPreview.name}-manifests.yaml`
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    URL.revokeObjectURL(url)
+  }
+
+  // The Helm chart of these settings, for installing with other tooling
+  const downloadHelmChart = async () => {
+    setIsDownloadingChart(true)
+    try {
+      const response = await fetch('http://localhost:3001/api/deployment/helm/chart', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: previewRequest
+      })
+      if (!response.ok) {
+        const result = await response.json()
+        throw new Error(result.message || result.error)
+      }
+
+      const disposition = response.headers.get('Content-Disposition') || ''
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'chart.tgz'
+      const url = URL.createObjectURL(await response.blob())
+      const link = document.createElement('a')
+      link.href = url
+      link.download = filename
+      document.body.appendChild(link)
+      link.click()
+      link.remove()
+      URL.revokeObjectURL(url)
+      setManifestError('')
+    } catch (error) {
+      setManifestError(`Failed to download Helm chart: ${error instanceof Error ? error.message : 'Unknown error'}`)
+    } finally {
+      setIsDownloadingChart(false)
+    }
+  }
+
   const deploymentTypes = [
     {
       id: 'backend' as DeploymentType,
@@ -249,8 +355,82 @@ export default function DeploymentTypeStep({ onComplete, onBack, initialData, re
 
       {/* Configuration Section */}
       <div className="mb-8">
-        <h3 className="text-lg font-medium text-gray-900 mb-4">Application Configuration</h3>
-        
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-medium text-gray-900">Application Configuration</h3>
+          <div className="flex border border-gray-200 rounded-lg overflow-hidden text-sm">
+            {[
+              { value: 'settings', label: 'Settings' },
+              { value: 'manifests', label: 'Manifests (YAML)' }
+            ].map((view) => (
+              <button
+                key={view.value}
+                type="button"
+                onClick={() => setConfigView(view.value as 'settings' | 'manifests')}
+                className={`px-3 py-1.5 ${
+                  configView === view.value
+                    ? 'bg-primary-600 text-white'
+                    : 'bg-white text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {view.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {configView === 'manifests' ? (
+          <div>
+            {manifestError && (
+              <p className="text-sm text-error-600 mb-3">{manifestError}</p>
+            )}
+            {!manifestPreview && !manifestError && (
+              <p className="text-sm text-gray-500">Rendering manifests...</p>
+            )}
+            {manifestPreview && (
+              <>
+                <div className="flex justify-between items-start mb-3">
+                  <div className="text-sm text-gray-600 space-y-1">
+                    <p>
+                      {manifestPreview.manifests.map(manifest => manifest.kind).join(', ')} in namespace{' '}
+                      <span className="font-mono">{manifestPreview.namespace}</span>
+                    </p>
+                    <p>
+                      Image: <span className="font-mono">{manifestPreview.image}</span>
+                    </p>
+                    {manifestPreview.secretKeys.length > 0 && (
+                      <p>
+                        Secrets are referenced by key ({manifestPreview.secretKeys.join(', ')}); their values are not included.
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex space-x-2">
+                    <button
+                      type="button"
+                      onClick={downloadManifests}
+                      className="btn-secondary flex items-center text-sm"
+                    >
+                      <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+                      Download
+                    </button>
+                    <button
+                      type="button"
+                      onClick={downloadHelmChart}
+                      disabled={isDownloadingChart}
+                      className="btn-secondary flex items-center text-sm disabled:opacity-50"
+                    >
+                      <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+                      {isDownloadingChart ? 'Packaging...' : 'Helm chart'}
+                    </button>
+                  </div>
+                </div>
+                <pre className="bg-gray-900 text-gray-100 text-xs rounded-lg p-4 overflow-auto max-h-96">
+                  {manifestPreview.yaml}
+                </pre>
+              </>
+            )}
+          </div>
+        ) : (
+        <>
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -279,6 +459,20 @@ export default function DeploymentTypeStep({ onComplete, onBack, initialData, re
               className="input-field"
             />
           </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Deploy With
+            </label>
+            <select
+              value={config.deployMethod}
+              onChange={(e) => handleConfigChange('deployMethod', e.target.value)}
+              className="input-field"
+            >
+              <option value="manifests">Kubernetes manifests</option>
+              <option value="helm">Helm chart (helm upgrade --install)</option>
+            </select>
+          </div>
         </div>
 
         {/* Environment Variables */}
@@ -322,6 +516,8 @@ export default function DeploymentTypeStep({ onComplete, onBack, initialData, re
             ))}
           </div>
         </div>
+        </>
+        )}
       </div>
 
       <div className="flex justify-between pt-6">
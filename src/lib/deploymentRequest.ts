@@ -0,0 +1,48 @@
+// The parts of a /api/deployment/start request that come from the deployment
+// type step, shared with the manifest preview so it renders what a deployment
+// of the same choices would apply
+
+// AWS credentials as the server takes them. The server does not keep them
+// across restarts, so they are sent again to resume or destroy a deployment.
+export const toAwsCredentials = (credentials?: { accessKey: string; secretKey: string; region: string }) => ({
+  accessKeyId: credentials?.accessKey,
+  secretAccessKey: credentials?.secretKey,
+  region: credentials?.region
+})
+
+// The application settings chosen in the deployment type step, in the
+// server's appConfig shape; anything left unset gets the server's default
+export const toAppConfig = (config: any) => config ? {
+  replicas: config.replicas,
+  containerPort: config.port,
+  healthCheckPath: config.healthCheck?.path,
+  healthCheckPort: config.healthCheck?.port,
+  environmentVariables: config.environment,
+  resources: config.resources,
+  deployMethod: config.deployMethod
+} : undefined
+
+export const buildDeploymentRequest = (deploymentType: 'backend' | 'frontend' | undefined, deploymentConfig: any) => {
+  const serverDeploymentType = deploymentType === 'backend' ? 'eks' : 'fargate'
+
+  return {
+    deploymentType: serverDeploymentType,
+    environment: 'dev',
+    deploymentConfig: {
+      ...deploymentConfig,
+      // What the application's Kubernetes manifests are rendered from
+      appConfig: toAppConfig(deploymentConfig),
+      projectName: 'ai-interview-back',
+      environment: 'dev',
+      deploymentType: serverDeploymentType,
+      eksConfig: {
+        clusterName: 'ai-interview-cluster',
+        nodeGroupName: 'ai-interview-nodes',
+        instanceType: 't3.medium',
+        minSize: 1,
+        maxSize: 3,
+        desiredSize: 2
+      }
+    }
+  }
+}